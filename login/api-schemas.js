@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Provides the JSON schemas shared by the metadata server
+ * routes, registered as the components of the generated OpenAPI document.
+ */
+
+const {DOWNSTREAM_APIS} = require('./token-broker');
+
+// The shared schemas keyed by name.
+const SCHEMAS = {
+  Error: {
+    type: 'object',
+    properties: {
+      error: {type: 'string', description: 'The error message.'},
+      claim: {
+        type: 'string',
+        description: 'The ID token claim failing verification, if any.',
+      },
+    },
+  },
+  GoogleApiError: {
+    type: 'object',
+    properties: {
+      error: {type: 'string', description: 'The error message.'},
+      code: {
+        type: 'string',
+        description: 'The canonical GCP error code, e.g. PERMISSION_DENIED.',
+      },
+      details: {type: 'array', items: {type: 'object'}},
+    },
+  },
+  CacheStatus: {
+    type: 'object',
+    properties: {
+      hits: {type: 'integer'},
+      misses: {type: 'integer'},
+      merged: {type: 'integer'},
+      refresh_skew_seconds: {type: 'integer'},
+      entries: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            key: {type: 'string'},
+            expires_in: {type: 'integer'},
+            fresh: {type: 'boolean'},
+          },
+        },
+      },
+    },
+  },
+  Profile: {
+    type: 'object',
+    properties: {
+      name: {type: 'string'},
+      type: {type: 'string', enum: ['oidc', 'saml']},
+      token_path: {type: 'string'},
+      default: {type: 'boolean'},
+      session: {type: 'boolean'},
+    },
+  },
+  Handle: {
+    type: 'object',
+    properties: {
+      id: {type: 'string'},
+      profile: {type: 'string'},
+      apis: {type: 'array', items: {type: 'string', enum: DOWNSTREAM_APIS}},
+      scopes: {type: 'array', items: {type: 'string'}},
+      service_account: {type: 'string'},
+      created_at: {type: 'string', format: 'date-time'},
+      expires_in: {type: 'integer'},
+    },
+  },
+  Project: {
+    type: 'object',
+    properties: {
+      projectId: {type: 'string'},
+      projectNumber: {type: 'string'},
+      name: {type: 'string'},
+      labels: {type: 'object', additionalProperties: {type: 'string'}},
+      lifecycleState: {type: 'string'},
+      parent: {
+        type: 'object',
+        properties: {type: {type: 'string'}, id: {type: 'string'}},
+      },
+    },
+  },
+  QueryResult: {
+    type: 'object',
+    properties: {
+      schema: {type: 'object'},
+      rows: {
+        type: 'array',
+        description: 'The rows as JSON objects keyed by column name, typed ' +
+            'according to the schema.',
+        items: {type: 'object'},
+      },
+      totalRows: {type: 'integer'},
+      truncated: {
+        type: 'boolean',
+        description: 'Whether more rows than maxRows were returned by the ' +
+            'query.',
+      },
+      jobReference: {type: 'object'},
+      cacheHit: {type: 'boolean'},
+      totalBytesProcessed: {type: 'string'},
+    },
+  },
+  Table: {
+    type: 'object',
+    properties: {
+      id: {type: 'string'},
+      schema: {type: 'object'},
+      numRows: {type: 'string'},
+      type: {type: 'string'},
+    },
+  },
+  Dataset: {
+    type: 'object',
+    properties: {
+      id: {type: 'string'},
+      name: {type: 'string'},
+      description: {type: 'string'},
+    },
+  },
+};
+
+exports.SCHEMAS = SCHEMAS;
@@ -0,0 +1,269 @@
+/**
+ * @fileoverview Simulates the attribute mapping and attribute condition of a
+ * workforce (or workload) identity pool provider against the claims of a
+ * subject token, so mapping mistakes are found before STS rejects the token:
+ * https://cloud.google.com/iam/docs/workforce-identity-federation#attribute-mappings
+ *
+ * Usage:
+ * const result = simulateMapping({
+ *   // The gcloud --attribute-mapping value, or an object.
+ *   mapping: 'google.subject=assertion.sub,google.groups=assertion.groups',
+ *   condition: '"admins" in google.groups',
+ *   // The ID token claims, or getAssertion(sessionResponse).
+ *   assertion: {sub: 'user', groups: ['admins']},
+ *   // Optional, to list the IAM principal identifiers.
+ *   poolResource: 'locations/global/workforcePools/my-pool',
+ * });
+ * // {google: {subject: 'user', groups: ['admins']}, attribute: {},
+ * //  condition: true, principals: [...], problems: []}
+ */
+
+const {evaluate} = require('./cel');
+const {parseSamlResponse} = require('./saml');
+const {decodeJwt} = require('./verifier');
+
+// The google.* attributes which can be mapped.
+const GOOGLE_ATTRIBUTES = [
+  'subject', 'groups', 'display_name', 'profile_photo', 'posix_username',
+];
+// The maximum google.subject size in bytes.
+const MAX_SUBJECT_BYTES = 127;
+// The maximum google.display_name length in characters.
+const MAX_DISPLAY_NAME_LENGTH = 100;
+// The maximum number of groups mapped to google.groups.
+const MAX_GROUPS = 100;
+// The google.posix_username format.
+const POSIX_USERNAME_PATTERN = /^[a-z_][a-z0-9._-]{0,31}$/i;
+// The custom attribute.* names.
+const CUSTOM_ATTRIBUTE_PATTERN = /^[a-z0-9_]{1,64}$/;
+// The IAM principal identifiers host.
+const PRINCIPAL_HOST = 'iam.googleapis.com';
+
+/**
+ * Parses an attribute mapping, either the gcloud --attribute-mapping flag
+ * value (comma delimited KEY=EXPRESSION pairs, with the ^DELIMITER^ prefix
+ * to use another delimiter when the expressions contain commas) or an object
+ * keyed by attribute.
+ *
+ * @param {string|!Object<string, string>} mapping The attribute mapping.
+ * @return {!Object<string, string>} The CEL expressions keyed by attribute.
+ */
+function parseAttributeMapping(mapping) {
+  if (typeof mapping !== 'string') {
+    return {...mapping};
+  }
+  const delimiter = mapping.match(/^\^([^^]+)\^/);
+  const pairs = delimiter ?
+    mapping.slice(delimiter[0].length).split(delimiter[1]) :
+    mapping.split(',');
+  const parsed = {};
+  for (const pair of pairs.filter((pair) => pair.trim())) {
+    const separator = pair.indexOf('=');
+    if (separator < 0) {
+      throw new Error(`Invalid attribute mapping, expected KEY=EXPRESSION: ` +
+          pair);
+    }
+    parsed[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+  }
+  return parsed;
+}
+
+/**
+ * Returns the assertion seen by the attribute mapping for a stored session:
+ * the ID token claims for OIDC, or the SAML NameID (subject) and attributes
+ * (lists of values keyed by name).
+ *
+ * @param {*} sessionResponse The session token response, with id_token or
+ *     saml_response.
+ * @return {*} The assertion variable.
+ */
+function getAssertion(sessionResponse) {
+  if (sessionResponse.id_token) {
+    return decodeJwt(sessionResponse.id_token).payload;
+  }
+  if (sessionResponse.saml_response) {
+    const {nameId, attributes} =
+        parseSamlResponse(sessionResponse.saml_response);
+    return {subject: nameId, attributes};
+  }
+  throw new Error('The session has no ID token or SAML response');
+}
+
+/**
+ * Returns the pool resource name of a provider audience.
+ *
+ * @param {string} audience The provider audience, e.g.
+ *     //iam.googleapis.com/locations/global/workforcePools/POOL/providers/ID.
+ * @return {string} The pool resource name, e.g.
+ *     locations/global/workforcePools/POOL.
+ */
+function getPoolResource(audience) {
+  const match = String(audience).match(
+      /^\/\/iam\.googleapis\.com\/(.+Pools\/[^/]+)\/providers\/[^/]+$/);
+  if (!match) {
+    throw new Error('Not a workforce or workload identity pool provider ' +
+        `audience: ${audience}`);
+  }
+  return match[1];
+}
+
+/**
+ * Returns whether the value is a list of strings.
+ *
+ * @param {*} value The value.
+ * @return {boolean} Whether it is a list of strings.
+ */
+function isStringList(value) {
+  return Array.isArray(value) &&
+      value.every((element) => typeof element === 'string');
+}
+
+/**
+ * Checks a mapped google.* attribute against its constraints.
+ *
+ * @param {string} name The attribute name, e.g. subject.
+ * @param {*} value The mapped value.
+ * @param {!Array<string>} problems The problems found, appended to.
+ */
+function validateGoogleAttribute(name, value, problems) {
+  if (name === 'groups') {
+    if (!isStringList(value)) {
+      problems.push('google.groups must be a list of strings');
+    } else if (value.length > MAX_GROUPS) {
+      problems.push(`google.groups has ${value.length} groups, at most ` +
+          `${MAX_GROUPS} are supported`);
+    }
+    return;
+  }
+  if (typeof value !== 'string') {
+    problems.push(`google.${name} must be a string`);
+    return;
+  }
+  const bytes = Buffer.byteLength(value, 'utf8');
+  if (name === 'subject' && !value) {
+    problems.push('google.subject must not be empty');
+  } else if (name === 'subject' && bytes > MAX_SUBJECT_BYTES) {
+    problems.push(`google.subject is ${bytes} bytes, at most ` +
+        `${MAX_SUBJECT_BYTES} are supported`);
+  } else if (name === 'display_name' &&
+      [...value].length > MAX_DISPLAY_NAME_LENGTH) {
+    problems.push(`google.display_name is longer than ` +
+        `${MAX_DISPLAY_NAME_LENGTH} characters`);
+  } else if (name === 'posix_username' &&
+      !POSIX_USERNAME_PATTERN.test(value)) {
+    problems.push(`google.posix_username is not a valid POSIX username: ` +
+        value);
+  }
+}
+
+/**
+ * Returns the IAM principal identifiers matching the mapped attributes.
+ *
+ * @param {string} poolResource The pool resource name.
+ * @param {*} google The mapped google.* attributes.
+ * @param {*} attribute The mapped custom attributes.
+ * @return {!Array<string>} The principal and principal set identifiers.
+ */
+function getPrincipals(poolResource, google, attribute) {
+  const pool = `${PRINCIPAL_HOST}/${poolResource}`;
+  const principals = [];
+  if (typeof google.subject === 'string' && google.subject) {
+    principals.push(`principal://${pool}/subject/${google.subject}`);
+  }
+  if (isStringList(google.groups)) {
+    for (const group of google.groups) {
+      principals.push(`principalSet://${pool}/group/${group}`);
+    }
+  }
+  for (const [name, value] of Object.entries(attribute)) {
+    for (const element of [].concat(value)) {
+      if (typeof element === 'string') {
+        principals.push(`principalSet://${pool}/attribute.${name}/${element}`);
+      }
+    }
+  }
+  principals.push(`principalSet://${pool}/*`);
+  return principals;
+}
+
+/**
+ * Evaluates an attribute mapping and attribute condition against an
+ * assertion, and checks the mapped attributes against the STS constraints.
+ *
+ * @param {{mapping: (string|!Object<string, string>), condition: ?string,
+ *     assertion: *, poolResource: ?string}} options The attribute mapping,
+ *     the optional attribute condition, the assertion (ID token claims, or
+ *     the SAML subject and attributes) and the optional pool resource name
+ *     used to list the principal identifiers.
+ * @return {{google: *, attribute: *, condition: ?boolean,
+ *     principals: !Array<string>, problems: !Array<string>}} The mapped
+ *     google.* and custom attributes, the condition result (null without
+ *     condition or when it fails), the principal identifiers and the
+ *     problems found, empty if STS would accept the assertion.
+ */
+function simulateMapping(options) {
+  const mapping = parseAttributeMapping(options.mapping || {});
+  const google = {};
+  const attribute = {};
+  const problems = [];
+  for (const [key, expression] of Object.entries(mapping)) {
+    const [prefix, name] = key.split(/\.(.*)/);
+    const known = prefix === 'google' ?
+      GOOGLE_ATTRIBUTES.includes(name) :
+      prefix === 'attribute' && CUSTOM_ATTRIBUTE_PATTERN.test(name);
+    if (!known) {
+      problems.push(prefix === 'attribute' ?
+        `Invalid custom attribute name ${key}: only lowercase letters, ` +
+            'digits and underscores are allowed, up to 64 characters' :
+        `Unknown attribute ${key}: only the google.* attributes ` +
+            `${GOOGLE_ATTRIBUTES.join(', ')} and attribute.* can be mapped`);
+      continue;
+    }
+    let value;
+    try {
+      value = evaluate(expression, {assertion: options.assertion});
+    } catch (error) {
+      problems.push(`${key}: ${error.message}`);
+      continue;
+    }
+    if (prefix === 'google') {
+      google[name] = value;
+      validateGoogleAttribute(name, value, problems);
+    } else {
+      attribute[name] = value;
+      if (typeof value !== 'string' && !isStringList(value)) {
+        problems.push(`${key} must be a string or a list of strings`);
+      }
+    }
+  }
+  if (!('google.subject' in mapping)) {
+    problems.push('google.subject must be mapped');
+  }
+
+  let condition = null;
+  if (options.condition) {
+    try {
+      condition = evaluate(options.condition,
+          {assertion: options.assertion, google, attribute});
+      if (typeof condition !== 'boolean') {
+        problems.push('The attribute condition must evaluate to a bool, ' +
+            `got ${JSON.stringify(condition)}`);
+        condition = null;
+      } else if (!condition) {
+        problems.push('The attribute condition rejects the assertion');
+      }
+    } catch (error) {
+      problems.push(`The attribute condition failed: ${error.message}`);
+    }
+  }
+
+  const principals = options.poolResource ?
+    getPrincipals(options.poolResource, google, attribute) : [];
+  return {google, attribute, condition, principals, problems};
+}
+
+exports.MAX_SUBJECT_BYTES = MAX_SUBJECT_BYTES;
+exports.getAssertion = getAssertion;
+exports.getPoolResource = getPoolResource;
+exports.parseAttributeMapping = parseAttributeMapping;
+exports.simulateMapping = simulateMapping;
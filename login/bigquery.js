@@ -0,0 +1,313 @@
+/**
+ * @fileoverview Runs BigQuery queries and looks up dataset and table metadata
+ * with a GCP access token: https://cloud.google.com/bigquery/docs/reference/rest
+ *
+ * Usage:
+ * const result = await runQuery(accessToken, 'my-project', {
+ *   query: 'SELECT name, age FROM people WHERE city = @city',
+ *   // Optional named query parameters, types are inferred from the values
+ *   // or set explicitly with {type, value}.
+ *   params: {city: 'Chicago', since: {type: 'DATE', value: '2023-01-01'}},
+ *   // Optional dataset used for unqualified table names.
+ *   datasetId: 'my_dataset',
+ * });
+ * // {schema, rows: [{name: 'Alice Johnson', age: 35}], totalRows, ...}
+ *
+ * const dataset = await getDataset(accessToken, 'my-project', 'my_dataset');
+ * const table = await getTable(
+ *     accessToken, 'my-project', 'my_dataset', 'people');
+ *
+ * Long running queries are polled with jobs.getQueryResults and all the
+ * result pages are read, up to maxRows. Rows are decoded from the f/v
+ * encoding into JSON objects typed according to the result schema.
+ */
+
+const {GoogleApiError, callGoogleApi} = require('./google-api');
+
+// The BigQuery API root.
+const BIGQUERY_URL = 'https://bigquery.googleapis.com/bigquery/v2';
+// The time in milliseconds each jobs.query or getQueryResults call waits for
+// the query to complete.
+const POLL_TIMEOUT_MS = 10000;
+// The default total time in milliseconds to wait for the query to complete.
+const DEFAULT_QUERY_TIMEOUT_MS = 120000;
+// The default maximum number of rows returned.
+const DEFAULT_MAX_ROWS = 10000;
+
+/**
+ * Returns the BigQuery API URL of the provided project path.
+ *
+ * @param {string} rootUrl The BigQuery API root.
+ * @param {string} projectId The project ID.
+ * @param {...string} segments The path segments after the project.
+ * @return {string} The URL.
+ */
+function getProjectUrl(rootUrl, projectId, ...segments) {
+  return [rootUrl, 'projects', projectId, ...segments]
+      .map((segment, i) => i ? encodeURIComponent(segment) : segment)
+      .join('/');
+}
+
+/**
+ * Returns the query parameter type of the provided value.
+ *
+ * @param {*} value The parameter value.
+ * @return {*} The BigQuery QueryParameterType.
+ */
+function inferParameterType(value) {
+  if (Array.isArray(value)) {
+    return {
+      type: 'ARRAY',
+      arrayType: value.length ?
+          inferParameterType(value[0]) : {type: 'STRING'},
+    };
+  }
+  switch (typeof value) {
+    case 'number':
+      return {type: Number.isInteger(value) ? 'INT64' : 'FLOAT64'};
+    case 'bigint':
+      return {type: 'INT64'};
+    case 'boolean':
+      return {type: 'BOOL'};
+    default:
+      return {type: value instanceof Date ? 'TIMESTAMP' : 'STRING'};
+  }
+}
+
+/**
+ * Returns the query parameter value of the provided value.
+ *
+ * @param {*} value The parameter value.
+ * @return {*} The BigQuery QueryParameterValue.
+ */
+function toParameterValue(value) {
+  if (Array.isArray(value)) {
+    return {arrayValues: value.map(toParameterValue)};
+  }
+  if (value instanceof Date) {
+    return {value: value.toISOString()};
+  }
+  return {value: value === null ? null : String(value)};
+}
+
+/**
+ * Converts named query parameters into BigQuery query parameters. Values are
+ * typed by inference, or explicitly when provided as {type, value}.
+ *
+ * @param {!Object<string, *>} params The parameter values keyed by name.
+ * @return {!Array<*>} The BigQuery QueryParameters.
+ */
+function toQueryParameters(params) {
+  return Object.entries(params).map(([name, param]) => {
+    const explicit = param !== null && typeof param === 'object' &&
+        !Array.isArray(param) && !(param instanceof Date) && param.type;
+    const value = explicit ? param.value : param;
+    return {
+      name,
+      parameterType: explicit ?
+          {...inferParameterType(value), type: param.type.toUpperCase()} :
+          inferParameterType(value),
+      parameterValue: toParameterValue(value),
+    };
+  });
+}
+
+/**
+ * Decodes a single cell value according to its schema field.
+ *
+ * @param {*} field The schema field: name, type, mode and nested fields.
+ * @param {*} value The encoded value.
+ * @return {*} The decoded value.
+ */
+function decodeValue(field, value) {
+  if (value === null || typeof value === 'undefined') {
+    return null;
+  }
+  if (field.mode === 'REPEATED') {
+    return value.map((item) =>
+      decodeValue({...field, mode: 'NULLABLE'}, item.v));
+  }
+  switch (field.type) {
+    case 'INTEGER':
+    case 'INT64': {
+      const number = Number(value);
+      // Keep integers that do not fit a double as strings.
+      return Number.isSafeInteger(number) ? number : value;
+    }
+    case 'FLOAT':
+    case 'FLOAT64':
+      return Number(value);
+    case 'BOOLEAN':
+    case 'BOOL':
+      return value === 'true';
+    case 'TIMESTAMP':
+      // Encoded as seconds since epoch, e.g. 1.6990848E9.
+      return new Date(Number(value) * 1000).toISOString();
+    case 'RECORD':
+    case 'STRUCT':
+      return decodeRow(field.fields, value);
+    case 'JSON':
+      return JSON.parse(value);
+    default:
+      // STRING, BYTES (base64), NUMERIC and BIGNUMERIC (to keep their
+      // precision), DATE, TIME, DATETIME, GEOGRAPHY and INTERVAL.
+      return value;
+  }
+}
+
+/**
+ * Decodes a row from the f/v encoding into an object keyed by field name.
+ *
+ * @param {!Array<*>} fields The schema fields.
+ * @param {{f: !Array<{v: *}>}} row The encoded row.
+ * @return {!Object<string, *>} The decoded row.
+ */
+function decodeRow(fields, row) {
+  const decoded = {};
+  fields.forEach((field, i) => {
+    decoded[field.name] = decodeValue(field, row.f[i] && row.f[i].v);
+  });
+  return decoded;
+}
+
+/**
+ * Decodes the rows of a query response.
+ *
+ * @param {{fields: !Array<*>}} schema The result schema.
+ * @param {!Array<*>=} rows The encoded rows.
+ * @return {!Array<!Object<string, *>>} The decoded rows.
+ */
+function decodeRows(schema, rows = []) {
+  return rows.map((row) => decodeRow(schema.fields, row));
+}
+
+/**
+ * Runs a standard SQL query, waiting for it to complete and reading all the
+ * result pages up to maxRows.
+ *
+ * @param {string} accessToken The GCP access token.
+ * @param {string} projectId The project the query job runs in.
+ * @param {{query: string, params: (Object<string, *>|undefined),
+ *     datasetId: (string|undefined), location: (string|undefined),
+ *     maxRows: (number|undefined), timeoutMs: (number|undefined),
+ *     rootUrl: (string|undefined)}} options The query, its optional named
+ *     parameters, default dataset, location, the maximum number of rows
+ *     returned, how long to wait for the query and the API root, e.g. the
+ *     fake server one.
+ * @return {Promise<*>} A promise that resolves with the result: schema,
+ *     decoded rows, totalRows, truncated (when more than maxRows rows),
+ *     jobReference, cacheHit and totalBytesProcessed. Rejects with a
+ *     GoogleApiError.
+ */
+async function runQuery(accessToken, projectId, options) {
+  if (!options.query) {
+    throw new GoogleApiError(400, 'INVALID_ARGUMENT', 'Missing query.');
+  }
+  const maxRows = options.maxRows || DEFAULT_MAX_ROWS;
+  const rootUrl = options.rootUrl || BIGQUERY_URL;
+  const deadline =
+      Date.now() + (options.timeoutMs || DEFAULT_QUERY_TIMEOUT_MS);
+  const body = {
+    query: options.query,
+    useLegacySql: false,
+    timeoutMs: POLL_TIMEOUT_MS,
+    maxResults: maxRows,
+  };
+  if (options.params && Object.keys(options.params).length) {
+    body.parameterMode = 'NAMED';
+    body.queryParameters = toQueryParameters(options.params);
+  }
+  if (options.datasetId) {
+    body.defaultDataset = {projectId, datasetId: options.datasetId};
+  }
+  if (options.location) {
+    body.location = options.location;
+  }
+  let response = await callGoogleApi(accessToken, {
+    method: 'POST',
+    url: getProjectUrl(rootUrl, projectId, 'queries'),
+    data: body,
+  });
+  const jobReference = response.jobReference;
+
+  /**
+   * Calls jobs.getQueryResults for the query job.
+   * @param {string=} pageToken The optional page token.
+   * @return {Promise<*>} A promise that resolves with the results page.
+   */
+  const getQueryResults = (pageToken) => callGoogleApi(accessToken, {
+    method: 'GET',
+    url: getProjectUrl(
+        rootUrl, jobReference.projectId, 'queries', jobReference.jobId),
+    params: {
+      location: jobReference.location,
+      timeoutMs: POLL_TIMEOUT_MS,
+      maxResults: maxRows,
+      pageToken,
+    },
+  });
+
+  while (!response.jobComplete) {
+    if (Date.now() >= deadline) {
+      throw new GoogleApiError(504, 'DEADLINE_EXCEEDED',
+          `Query job ${jobReference.jobId} did not complete in time.`);
+    }
+    response = await getQueryResults();
+  }
+
+  const schema = response.schema || {fields: []};
+  const rows = decodeRows(schema, response.rows);
+  let pageToken = response.pageToken;
+  while (pageToken && rows.length < maxRows) {
+    const page = await getQueryResults(pageToken);
+    rows.push(...decodeRows(schema, page.rows));
+    pageToken = page.pageToken;
+  }
+  return {
+    schema,
+    rows: rows.slice(0, maxRows),
+    totalRows: Number(response.totalRows || 0),
+    truncated: !!pageToken || rows.length > maxRows,
+    jobReference,
+    cacheHit: !!response.cacheHit,
+    totalBytesProcessed: response.totalBytesProcessed,
+  };
+}
+
+/**
+ * Returns the metadata of a dataset.
+ *
+ * @param {string} accessToken The GCP access token.
+ * @param {string} projectId The project ID of the dataset.
+ * @param {string} datasetId The dataset ID.
+ * @return {Promise<*>} A promise that resolves with the Dataset resource.
+ */
+function getDataset(accessToken, projectId, datasetId) {
+  return callGoogleApi(accessToken, {
+    method: 'GET',
+    url: getProjectUrl(BIGQUERY_URL, projectId, 'datasets', datasetId),
+  });
+}
+
+/**
+ * Returns the metadata of a table, including its schema.
+ *
+ * @param {string} accessToken The GCP access token.
+ * @param {string} projectId The project ID of the table.
+ * @param {string} datasetId The dataset ID of the table.
+ * @param {string} tableId The table ID.
+ * @return {Promise<*>} A promise that resolves with the Table resource.
+ */
+function getTable(accessToken, projectId, datasetId, tableId) {
+  return callGoogleApi(accessToken, {
+    method: 'GET',
+    url: getProjectUrl(
+        BIGQUERY_URL, projectId, 'datasets', datasetId, 'tables', tableId),
+  });
+}
+
+exports.decodeRows = decodeRows;
+exports.getDataset = getDataset;
+exports.getTable = getTable;
+exports.runQuery = runQuery;
+exports.toQueryParameters = toQueryParameters;
@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Authenticates the local callers of the metadata server, so
+ * other local users and browser pages cannot get the tokens of the signed in
+ * identity, and writes an audit line for each token issued.
+ *
+ * Usage:
+ * const callerAuth = new CallerAuth({
+ *   // Optional, true by default. Only disable it on single user machines.
+ *   enabled: true,
+ *   // Optional, the allowed callers by operationId or route group.
+ *   allow: {rawTokens: ['socket']},
+ * });
+ * // The per-run secret, sent as Authorization: Bearer SECRET.
+ * callerAuth.writeSecret('/home/me/.workforce-pool/caller-secret');
+ * // The connections of a Unix domain socket listener are trusted.
+ * callerAuth.trustServer(socketServer);
+ * app.get('/token', callerAuth.authorize('token'), (req, res) => {
+ *   ...
+ *   auditTokenIssued(req, {route: 'token', profile: 'okta', type: 'id_token'});
+ * });
+ *
+ * The callers are:
+ * - socket: requests over the Unix domain socket listener, only accessible to
+ *   the user by the socket file permissions.
+ * - bearer: requests with the per-run secret, only readable by the user.
+ * - anonymous: any other request, e.g. from other local users or pages.
+ * Callers are authenticated unless explicitly disabled. The public routes
+ * (ping, status, profiles and openapi) and the login and logout routes,
+ * visited with the browser, are allowed to any caller, the other routes to
+ * socket and bearer callers, unless set otherwise by the allowlist.
+ *
+ * Requests over TCP must be sent to localhost, 127.0.0.1 or [::1]: other Host
+ * headers are rejected, even when the callers are not authenticated, so pages
+ * of domains rebound to the loopback address cannot read the tokens.
+ *
+ * The login and logout routes only accept POST requests, and browser requests
+ * from other origins are always rejected, based on the Sec-Fetch-Site header
+ * or, for the browsers without it, the Origin header sent with every POST
+ * request. Pages can therefore neither sign the user out nor start a login
+ * flow, whether the callers are authenticated or not.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {logger} = require('./logger');
+
+// The caller types.
+const CALLERS = ['socket', 'bearer', 'anonymous'];
+// The default per-run secret file.
+const DEFAULT_SECRET_FILE =
+    path.join(os.homedir(), '.workforce-pool', 'caller-secret');
+// The number of random bytes in the per-run secret.
+const SECRET_BYTES = 32;
+// The routes allowed to any caller: they return no token and change nothing.
+const PUBLIC_ROUTES = ['ping', 'status', 'profiles', 'openapi'];
+// The allowed callers of the other routes by default.
+const DEFAULT_CALLERS = ['socket', 'bearer'];
+// The route groups the allowlist can refer to.
+const ROUTE_GROUPS = {
+  // The routes returning the raw IdP or GCP tokens.
+  rawTokens: [
+    'token', 'profileToken', 'idptoken', 'profileIdptoken', 'metadata',
+  ],
+  // The routes returning or using the opaque access token handles.
+  handles: [
+    'gcpaccesstoken', 'listHandles', 'revokeHandleById', 'revokeHandle',
+    'gcpprojects', 'bigquery', 'mcp',
+  ],
+  // The routes signing in and out.
+  session: ['login', 'profileLogin', 'logout', 'profileLogout'],
+};
+// The Host header names of the loopback addresses.
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+// The Sec-Fetch-Site values of requests initiated by the server pages or by
+// the user, e.g. typing the URL.
+const SAME_ORIGIN_VALUES = ['same-origin', 'none'];
+
+/**
+ * Returns the SHA-256 digest of a secret, compared in constant time.
+ *
+ * @param {string} secret The secret.
+ * @return {!Buffer} The digest.
+ */
+function digest(secret) {
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Returns whether a request was sent by a page of another origin: from the
+ * Sec-Fetch-Site header, or the Origin header for the browsers without it.
+ * Requests without either header are not sent by pages, e.g. curl.
+ *
+ * @param {!Object} req The Express request object.
+ * @return {boolean} True if sent by another origin.
+ */
+function isCrossOrigin(req) {
+  const site = req.get('Sec-Fetch-Site');
+  if (site) {
+    return !SAME_ORIGIN_VALUES.includes(site);
+  }
+  const origin = req.get('Origin');
+  return !!origin && origin !== `${req.protocol}://${req.get('Host')}`;
+}
+
+/**
+ * Defines the caller authentication of the metadata server routes.
+ */
+class CallerAuth {
+  /**
+   * Initializes a CallerAuth instance.
+   * @param {{enabled: (boolean|undefined),
+   *     allow: (!Object<string, !Array<string>>|undefined)}=} options Whether
+   *     the callers are authenticated (true unless set to false), and the
+   *     allowed callers keyed by operationId (or metadata and mcp for the GCE
+   *     metadata emulation and the MCP endpoint) or route group: rawTokens,
+   *     handles or session.
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.allow = options.allow || {};
+    for (const [route, callers] of Object.entries(this.allow)) {
+      const unknown = [].concat(callers)
+          .filter((caller) => !CALLERS.includes(caller));
+      if (!Array.isArray(callers) || unknown.length) {
+        throw new Error(`Invalid callers for ${route}: expected a list of ` +
+            `${CALLERS.join(', ')}`);
+      }
+    }
+    // The digest of the per-run secret.
+    this.secretDigest = null;
+    // The connections of the trusted Unix domain socket listeners.
+    this.trustedSockets = new WeakSet();
+  }
+
+  /**
+   * Generates the per-run secret and writes it to a file only readable by
+   * the user, replacing the secret of the previous run.
+   * @param {string=} file The secret file, ~/.workforce-pool/caller-secret
+   *     by default.
+   * @return {string} The secret file.
+   */
+  writeSecret(file = DEFAULT_SECRET_FILE) {
+    const secret = crypto.randomBytes(SECRET_BYTES).toString('base64url');
+    fs.mkdirSync(path.dirname(file), {recursive: true, mode: 0o700});
+    fs.writeFileSync(file, `${secret}\n`, {mode: 0o600});
+    // The mode only applies to new files.
+    fs.chmodSync(file, 0o600);
+    this.secretDigest = digest(secret);
+    return file;
+  }
+
+  /**
+   * Trusts the connections of a Unix domain socket listener as socket
+   * callers.
+   * @param {!net.Server} server The listener.
+   */
+  trustServer(server) {
+    server.on('connection', (socket) => this.trustedSockets.add(socket));
+  }
+
+  /**
+   * Returns the caller of a request.
+   * @param {!Object} req The Express request object.
+   * @return {string} The caller: socket, bearer or anonymous.
+   */
+  getCaller(req) {
+    if (this.trustedSockets.has(req.socket)) {
+      return 'socket';
+    }
+    const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    if (match && this.secretDigest &&
+        crypto.timingSafeEqual(digest(match[1]), this.secretDigest)) {
+      return 'bearer';
+    }
+    return 'anonymous';
+  }
+
+  /**
+   * Returns the callers allowed to call a route.
+   * @param {string} route The operationId, metadata or mcp.
+   * @return {!Array<string>} The allowed callers.
+   */
+  getAllowedCallers(route) {
+    if (this.allow[route]) {
+      return this.allow[route];
+    }
+    for (const [group, routes] of Object.entries(ROUTE_GROUPS)) {
+      if (routes.includes(route) && this.allow[group]) {
+        return this.allow[group];
+      }
+    }
+    // The session routes are visited with browsers, which cannot send the
+    // secret. They return no token and reject the requests from other pages.
+    return PUBLIC_ROUTES.includes(route) ||
+        ROUTE_GROUPS.session.includes(route) ? CALLERS : DEFAULT_CALLERS;
+  }
+
+  /**
+   * Returns the Express middleware identifying the caller as req.caller and
+   * rejecting the callers not allowed to call the route: 401 for anonymous
+   * callers, 403 for the others. TCP requests to other hosts than the
+   * loopback ones, and requests to the session routes from other origins, are
+   * rejected with 403 even when the callers are not authenticated.
+   * @param {string} route The operationId, metadata or mcp.
+   * @return {function(!Object, !Object, function())} The middleware.
+   */
+  authorize(route) {
+    return (req, res, next) => {
+      req.caller = this.getCaller(req);
+      if (req.caller !== 'socket' && req.hostname &&
+          !LOOPBACK_HOSTS.includes(req.hostname.toLowerCase())) {
+        logger.warn('Host rejected', {route, host: req.hostname});
+        res.status(403)
+            .json({error: `Requests to ${req.hostname} are not allowed.`});
+        return;
+      }
+      if (ROUTE_GROUPS.session.includes(route) && isCrossOrigin(req)) {
+        res.status(403)
+            .json({error: 'Cross-origin requests are not allowed.'});
+        return;
+      }
+      if (!this.enabled || this.getAllowedCallers(route).includes(req.caller)) {
+        next();
+        return;
+      }
+      logger.warn('Caller rejected', {route, caller: req.caller});
+      if (req.caller === 'anonymous') {
+        res.set('WWW-Authenticate', 'Bearer')
+            .status(401)
+            .json({error: 'Missing or invalid caller secret.'});
+        return;
+      }
+      res.status(403)
+          .json({error: `The ${req.caller} caller cannot call ${route}.`});
+    };
+  }
+}
+
+/**
+ * Writes the audit line of a token issued to a caller.
+ *
+ * @param {!Object} req The request the token is issued for, with the caller
+ *     set by CallerAuth.authorize(), or by the in-process MCP tool calls.
+ * @param {{route: string, profile: (string|undefined), type: string,
+ *     handleId: (string|undefined)}} details The route, the profile whose
+ *     session is used, the token type (id_token, saml_response,
+ *     access_token or handle) and the handle ID.
+ */
+function auditTokenIssued(req, details) {
+  logger.info('Token issued', {
+    audit: true,
+    ...details,
+    caller: req.caller || 'anonymous',
+    ...(req.via ? {via: req.via} : {}),
+  });
+}
+
+exports.CALLERS = CALLERS;
+exports.CallerAuth = CallerAuth;
+exports.DEFAULT_SECRET_FILE = DEFAULT_SECRET_FILE;
+exports.auditTokenIssued = auditTokenIssued;
@@ -0,0 +1,827 @@
+/**
+ * @fileoverview Evaluates the subset of the Common Expression Language (CEL)
+ * used by workforce and workload identity pool attribute mappings and
+ * attribute conditions: https://github.com/google/cel-spec
+ *
+ * Supported:
+ * - literals: strings, numbers, booleans, null, lists and maps.
+ * - field selection, indexing, the ternary operator and the arithmetic,
+ *   comparison, logical and `in` operators.
+ * - the has(), exists(), exists_one(), all(), map() and filter() macros.
+ * - size(), int(), double(), string(), contains(), startsWith(),
+ *   endsWith(), matches(), lowerAscii(), upperAscii(), split(), join() and
+ *   the IAM extract() function.
+ *
+ * Numbers are JavaScript numbers: integer division applies when both
+ * operands are integral.
+ *
+ * Usage:
+ * const subject = evaluate('assertion.email.lowerAscii()', {
+ *   assertion: {email: 'User@Example.com'},
+ * });
+ */
+
+// The punctuation tokens, longest first.
+const PUNCTUATION = [
+  '&&', '||', '==', '!=', '<=', '>=',
+  '(', ')', '[', ']', '{', '}', '.', ',', ':', '?',
+  '!', '-', '+', '*', '/', '%', '<', '>',
+];
+// The binary operator precedences, from the loosest to the tightest.
+const PRECEDENCES = {
+  '||': 1,
+  '&&': 2,
+  '==': 3, '!=': 3, '<': 3, '<=': 3, '>': 3, '>=': 3, 'in': 3,
+  '+': 4, '-': 4,
+  '*': 5, '/': 5, '%': 5,
+};
+// The int, uint and double literals.
+const NUMBER_PATTERN = /^(?:0x[0-9a-f]+|\d+(?:\.\d+)?(?:e[+-]?\d+)?)u?/i;
+// The string escape sequences.
+const ESCAPES = {
+  'n': '\n', 'r': '\r', 't': '\t', '\\': '\\', '\'': '\'', '"': '"',
+  '`': '`', '?': '?',
+};
+// The literal keywords. A Map, so object prototype names are identifiers.
+const KEYWORDS = new Map([['true', true], ['false', false], ['null', null]]);
+// The macros taking a loop variable and a predicate or transform.
+const COMPREHENSIONS = ['all', 'exists', 'exists_one', 'map', 'filter'];
+
+/**
+ * Thrown when an expression cannot be parsed or evaluated.
+ */
+class CelError extends Error {
+  /**
+   * Initializes a CelError instance.
+   * @param {string} message The error message.
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'CelError';
+  }
+}
+
+/**
+ * Splits an expression into tokens.
+ *
+ * @param {string} expression The CEL expression.
+ * @return {!Array<{type: string, value: *, position: number}>} The tokens,
+ *     ending with an eof token.
+ */
+function tokenize(expression) {
+  const tokens = [];
+  let position = 0;
+  while (position < expression.length) {
+    const rest = expression.slice(position);
+    const whitespace = rest.match(/^\s+/);
+    if (whitespace) {
+      position += whitespace[0].length;
+      continue;
+    }
+    const number = rest.match(NUMBER_PATTERN);
+    const identifier = rest.match(/^[a-z_][a-z0-9_]*/i);
+    const quote = rest.match(/^[rR]?('''|"""|'|")/);
+    if (number) {
+      tokens.push({type: 'literal', value: Number(number[0].replace(/u$/i, '')),
+        position});
+      position += number[0].length;
+    } else if (quote) {
+      const raw = /^[rR]/.test(rest);
+      const delimiter = quote[1];
+      let value = '';
+      let index = quote[0].length;
+      while (!rest.startsWith(delimiter, index)) {
+        if (index >= rest.length || (delimiter.length === 1 &&
+            rest[index] === '\n')) {
+          throw new CelError(`Syntax error at ${position}: ` +
+              'unterminated string');
+        }
+        if (rest[index] === '\\' && !raw) {
+          const escaped = ESCAPES[rest[index + 1]];
+          const unicode =
+              rest.slice(index + 1).match(/^(?:u[0-9a-f]{4}|x[0-9a-f]{2})/i);
+          if (escaped !== undefined) {
+            value += escaped;
+            index += 2;
+          } else if (unicode) {
+            value += String.fromCharCode(parseInt(unicode[0].slice(1), 16));
+            index += 1 + unicode[0].length;
+          } else {
+            throw new CelError(`Syntax error at ${position + index}: ` +
+                'invalid escape sequence');
+          }
+        } else {
+          value += rest[index++];
+        }
+      }
+      tokens.push({type: 'literal', value, position});
+      position += index + delimiter.length;
+    } else if (identifier) {
+      if (KEYWORDS.has(identifier[0])) {
+        tokens.push({type: 'literal', value: KEYWORDS.get(identifier[0]),
+          position});
+      } else if (identifier[0] === 'in') {
+        tokens.push({type: 'operator', value: 'in', position});
+      } else {
+        tokens.push({type: 'identifier', value: identifier[0], position});
+      }
+      position += identifier[0].length;
+    } else {
+      const punctuation = PUNCTUATION.find((value) => rest.startsWith(value));
+      if (!punctuation) {
+        throw new CelError(`Syntax error at ${position}: ` +
+            `unexpected character ${JSON.stringify(rest[0])}`);
+      }
+      tokens.push({type: 'operator', value: punctuation, position});
+      position += punctuation.length;
+    }
+  }
+  tokens.push({type: 'eof', value: null, position});
+  return tokens;
+}
+
+/**
+ * Parses CEL expressions into syntax trees, by recursive descent.
+ */
+class Parser {
+  /**
+   * Initializes a Parser instance.
+   * @param {string} expression The CEL expression.
+   */
+  constructor(expression) {
+    this.tokens = tokenize(expression);
+    this.index = 0;
+  }
+
+  /**
+   * Returns the current token.
+   * @return {{type: string, value: *, position: number}} The token.
+   */
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  /**
+   * Consumes the current token if it is the provided operator.
+   * @param {string} value The operator.
+   * @return {boolean} Whether the token was consumed.
+   */
+  accept(value) {
+    const token = this.peek();
+    if (token.type === 'operator' && token.value === value) {
+      this.index++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Consumes the provided operator, failing if it is not the current token.
+   * @param {string} value The operator.
+   */
+  expect(value) {
+    if (!this.accept(value)) {
+      this.fail(`expected '${value}'`);
+    }
+  }
+
+  /**
+   * Throws a syntax error at the current token.
+   * @param {string} message The error message.
+   */
+  fail(message) {
+    const token = this.peek();
+    const found = token.type === 'eof' ?
+      'end of expression' : JSON.stringify(token.value);
+    throw new CelError(
+        `Syntax error at ${token.position}: ${message}, found ${found}`);
+  }
+
+  /**
+   * Parses the whole expression.
+   * @return {*} The syntax tree.
+   */
+  parse() {
+    const node = this.parseExpression();
+    if (this.peek().type !== 'eof') {
+      this.fail('expected end of expression');
+    }
+    return node;
+  }
+
+  /**
+   * Parses a conditional expression.
+   * @return {*} The syntax tree.
+   */
+  parseExpression() {
+    const condition = this.parseBinary(1);
+    if (!this.accept('?')) {
+      return condition;
+    }
+    const whenTrue = this.parseBinary(1);
+    this.expect(':');
+    const whenFalse = this.parseExpression();
+    return {type: 'conditional', condition, whenTrue, whenFalse};
+  }
+
+  /**
+   * Parses the binary operators of at least the provided precedence.
+   * @param {number} precedence The minimum precedence.
+   * @return {*} The syntax tree.
+   */
+  parseBinary(precedence) {
+    let left = this.parseUnary();
+    for (;;) {
+      const token = this.peek();
+      const operatorPrecedence = token.type === 'operator' &&
+          PRECEDENCES[token.value];
+      if (!operatorPrecedence || operatorPrecedence < precedence) {
+        return left;
+      }
+      this.index++;
+      const right = this.parseBinary(operatorPrecedence + 1);
+      left = {type: 'binary', operator: token.value, left, right};
+    }
+  }
+
+  /**
+   * Parses the unary operators.
+   * @return {*} The syntax tree.
+   */
+  parseUnary() {
+    for (const operator of ['!', '-']) {
+      if (this.accept(operator)) {
+        return {type: 'unary', operator, operand: this.parseUnary()};
+      }
+    }
+    return this.parseMember();
+  }
+
+  /**
+   * Parses the field selections, method calls and indexes.
+   * @return {*} The syntax tree.
+   */
+  parseMember() {
+    let node = this.parsePrimary();
+    for (;;) {
+      if (this.accept('.')) {
+        const token = this.peek();
+        if (token.type !== 'identifier') {
+          this.fail('expected field name');
+        }
+        this.index++;
+        node = this.accept('(') ?
+          {type: 'call', target: node, name: token.value,
+            args: this.parseList(')')} :
+          {type: 'select', operand: node, field: token.value};
+      } else if (this.accept('[')) {
+        const index = this.parseExpression();
+        this.expect(']');
+        node = {type: 'index', operand: node, index};
+      } else {
+        return node;
+      }
+    }
+  }
+
+  /**
+   * Parses the literals, identifiers, global calls, parenthesized
+   * expressions, lists and maps.
+   * @return {*} The syntax tree.
+   */
+  parsePrimary() {
+    const token = this.peek();
+    if (token.type === 'literal') {
+      this.index++;
+      return {type: 'literal', value: token.value};
+    }
+    if (token.type === 'identifier') {
+      this.index++;
+      if (this.accept('(')) {
+        return {type: 'call', target: null, name: token.value,
+          args: this.parseList(')')};
+      }
+      return {type: 'identifier', name: token.value};
+    }
+    if (this.accept('(')) {
+      const node = this.parseExpression();
+      this.expect(')');
+      return node;
+    }
+    if (this.accept('[')) {
+      return {type: 'list', elements: this.parseList(']')};
+    }
+    if (this.accept('{')) {
+      const entries = [];
+      while (!this.accept('}')) {
+        if (entries.length) {
+          this.expect(',');
+          if (this.accept('}')) {
+            break;
+          }
+        }
+        const key = this.parseExpression();
+        this.expect(':');
+        entries.push({key, value: this.parseExpression()});
+      }
+      return {type: 'map', entries};
+    }
+    this.fail('expected expression');
+  }
+
+  /**
+   * Parses a comma delimited list of expressions up to the closing operator.
+   * @param {string} closing The closing operator.
+   * @return {!Array<*>} The syntax trees.
+   */
+  parseList(closing) {
+    const elements = [];
+    while (!this.accept(closing)) {
+      if (elements.length) {
+        this.expect(',');
+        if (this.accept(closing)) {
+          break;
+        }
+      }
+      elements.push(this.parseExpression());
+    }
+    return elements;
+  }
+}
+
+/**
+ * Returns the CEL type name of a value, for error messages.
+ *
+ * @param {*} value The value.
+ * @return {string} The type name.
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null_type';
+  }
+  if (Array.isArray(value)) {
+    return 'list';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'int' : 'double';
+  }
+  return {boolean: 'bool', string: 'string', object: 'map'}[typeof value] ||
+      typeof value;
+}
+
+/**
+ * Returns whether the value is a CEL map.
+ *
+ * @param {*} value The value.
+ * @return {boolean} Whether it is a map.
+ */
+function isMap(value) {
+  return typeOf(value) === 'map';
+}
+
+/**
+ * Returns whether two values are equal: lists and maps are compared
+ * deeply, values of different types are not equal.
+ *
+ * @param {*} left The left value.
+ * @param {*} right The right value.
+ * @return {boolean} Whether the values are equal.
+ */
+function equals(left, right) {
+  if (Array.isArray(left) && Array.isArray(right)) {
+    return left.length === right.length &&
+        left.every((value, index) => equals(value, right[index]));
+  }
+  if (isMap(left) && isMap(right)) {
+    const keys = Object.keys(left);
+    return keys.length === Object.keys(right).length &&
+        keys.every((key) => Object.prototype.hasOwnProperty.call(right, key) &&
+            equals(left[key], right[key]));
+  }
+  return left === right;
+}
+
+/**
+ * Throws the error of an operator or function applied to unsupported
+ * argument types.
+ *
+ * @param {string} name The operator or function name.
+ * @param {...*} values The arguments.
+ */
+function noSuchOverload(name, ...values) {
+  throw new CelError(`No such overload: ${name}(` +
+      `${values.map(typeOf).join(', ')})`);
+}
+
+/**
+ * Returns the map value with the provided key or fails.
+ *
+ * @param {*} value The map.
+ * @param {*} key The key.
+ * @return {*} The map value.
+ */
+function getKey(value, key) {
+  if (!isMap(value)) {
+    noSuchOverload('_[_]', value, key);
+  }
+  if (!Object.prototype.hasOwnProperty.call(value, key)) {
+    throw new CelError(`No such key: ${key}`);
+  }
+  return value[key];
+}
+
+/**
+ * Returns the portion of the value matching the single {variable} of an
+ * IAM extract() template, or an empty string when the template does not
+ * match.
+ *
+ * @param {string} value The value, e.g. user@example.com.
+ * @param {string} template The template, e.g. {username}@example.com.
+ * @return {string} The extracted value, e.g. user.
+ */
+function extract(value, template) {
+  const match = template.match(/^([^{}]*)\{[^{}]*\}([^{}]*)$/);
+  if (!match) {
+    throw new CelError(`Invalid extract template: ${template}`);
+  }
+  const [, prefix, suffix] = match;
+  const start = value.indexOf(prefix);
+  if (start < 0) {
+    return '';
+  }
+  const rest = value.slice(start + prefix.length);
+  if (!suffix) {
+    return rest;
+  }
+  const end = rest.indexOf(suffix);
+  return end < 0 ? '' : rest.slice(0, end);
+}
+
+// The functions keyed by name, called with the target (method calls) or the
+// first argument (global calls) as first argument.
+const FUNCTIONS = {
+  size(value) {
+    if (typeof value === 'string') {
+      return [...value].length;
+    }
+    if (Array.isArray(value)) {
+      return value.length;
+    }
+    if (isMap(value)) {
+      return Object.keys(value).length;
+    }
+    noSuchOverload('size', value);
+  },
+  int(value) {
+    const number = Number(value);
+    if (!['number', 'string'].includes(typeof value) ||
+        !Number.isFinite(number) ||
+        (typeof value === 'string' && !/^\s*-?\d+\s*$/.test(value))) {
+      throw new CelError(`Cannot convert ${JSON.stringify(value)} to int`);
+    }
+    return Math.trunc(number);
+  },
+  double(value) {
+    const number = Number(value);
+    if (!['number', 'string'].includes(typeof value) || Number.isNaN(number)) {
+      throw new CelError(`Cannot convert ${JSON.stringify(value)} to double`);
+    }
+    return number;
+  },
+  string(value) {
+    if (!['number', 'string', 'boolean'].includes(typeof value)) {
+      noSuchOverload('string', value);
+    }
+    return String(value);
+  },
+  contains: stringFunction('contains', (value, part) => value.includes(part)),
+  startsWith: stringFunction('startsWith',
+      (value, prefix) => value.startsWith(prefix)),
+  endsWith: stringFunction('endsWith',
+      (value, suffix) => value.endsWith(suffix)),
+  matches: stringFunction('matches', (value, pattern) => {
+    try {
+      return new RegExp(pattern, 'u').test(value);
+    } catch (error) {
+      throw new CelError(`Invalid regular expression: ${pattern}`);
+    }
+  }),
+  lowerAscii: stringFunction('lowerAscii',
+      (value) => value.replace(/[A-Z]+/g, (part) => part.toLowerCase())),
+  upperAscii: stringFunction('upperAscii',
+      (value) => value.replace(/[a-z]+/g, (part) => part.toUpperCase())),
+  split: stringFunction('split', (value, separator) => value.split(separator)),
+  extract: stringFunction('extract', extract),
+  join(list, separator = '') {
+    if (!Array.isArray(list) || typeof separator !== 'string' ||
+        !list.every((value) => typeof value === 'string')) {
+      noSuchOverload('join', list, separator);
+    }
+    return list.join(separator);
+  },
+};
+
+/**
+ * Wraps a function whose arguments must all be strings.
+ *
+ * @param {string} name The function name.
+ * @param {function(...string): *} fn The function.
+ * @return {function(...*): *} The wrapped function.
+ */
+function stringFunction(name, fn) {
+  return (...values) => {
+    if (!values.every((value) => typeof value === 'string')) {
+      noSuchOverload(name, ...values);
+    }
+    return fn(...values);
+  };
+}
+
+/**
+ * Evaluates the syntax trees against a set of variables.
+ */
+class Evaluator {
+  /**
+   * Initializes an Evaluator instance.
+   * @param {!Object<string, *>} variables The variables keyed by name.
+   */
+  constructor(variables) {
+    this.variables = variables;
+  }
+
+  /**
+   * Evaluates a syntax tree.
+   * @param {*} node The syntax tree.
+   * @return {*} The value.
+   */
+  evaluate(node) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'identifier':
+        if (!Object.prototype.hasOwnProperty.call(this.variables, node.name)) {
+          throw new CelError(`Undeclared reference to '${node.name}'`);
+        }
+        return this.variables[node.name];
+      case 'select':
+        return getKey(this.evaluate(node.operand), node.field);
+      case 'index':
+        return this.evaluateIndex(
+            this.evaluate(node.operand), this.evaluate(node.index));
+      case 'list':
+        return node.elements.map((element) => this.evaluate(element));
+      case 'map':
+        // Own properties even for keys such as __proto__.
+        return Object.fromEntries(node.entries.map(({key, value}) =>
+          [this.evaluate(key), this.evaluate(value)]));
+      case 'unary':
+        return this.evaluateUnary(node.operator, this.evaluate(node.operand));
+      case 'binary':
+        return this.evaluateBinary(node);
+      case 'conditional': {
+        const condition = this.evaluate(node.condition);
+        if (typeof condition !== 'boolean') {
+          noSuchOverload('_?_:_', condition);
+        }
+        return this.evaluate(condition ? node.whenTrue : node.whenFalse);
+      }
+      case 'call':
+        return this.evaluateCall(node);
+    }
+  }
+
+  /**
+   * Evaluates an index expression on a list or map.
+   * @param {*} operand The list or map.
+   * @param {*} index The list index or map key.
+   * @return {*} The element.
+   */
+  evaluateIndex(operand, index) {
+    if (!Array.isArray(operand)) {
+      return getKey(operand, index);
+    }
+    if (!Number.isInteger(index)) {
+      noSuchOverload('_[_]', operand, index);
+    }
+    if (index < 0 || index >= operand.length) {
+      throw new CelError(`Index out of range: ${index}`);
+    }
+    return operand[index];
+  }
+
+  /**
+   * Evaluates a unary operator.
+   * @param {string} operator The operator.
+   * @param {*} value The operand.
+   * @return {*} The value.
+   */
+  evaluateUnary(operator, value) {
+    if (operator === '!' && typeof value === 'boolean') {
+      return !value;
+    }
+    if (operator === '-' && typeof value === 'number') {
+      return -value;
+    }
+    noSuchOverload(`${operator}_`, value);
+  }
+
+  /**
+   * Evaluates a binary operator. && and || ignore the error of one operand
+   * when the other one decides the result, as CEL does.
+   * @param {*} node The binary syntax tree.
+   * @return {*} The value.
+   */
+  evaluateBinary(node) {
+    const {operator} = node;
+    if (operator === '&&' || operator === '||') {
+      const decisive = operator === '||';
+      let error = null;
+      for (const operand of [node.left, node.right]) {
+        try {
+          const value = this.evaluate(operand);
+          if (typeof value !== 'boolean') {
+            noSuchOverload(`_${operator}_`, value);
+          }
+          if (value === decisive) {
+            return decisive;
+          }
+        } catch (caught) {
+          error = error || caught;
+        }
+      }
+      if (error) {
+        throw error;
+      }
+      return !decisive;
+    }
+
+    const left = this.evaluate(node.left);
+    const right = this.evaluate(node.right);
+    switch (operator) {
+      case '==':
+        return equals(left, right);
+      case '!=':
+        return !equals(left, right);
+      case 'in':
+        if (Array.isArray(right)) {
+          return right.some((value) => equals(value, left));
+        }
+        if (isMap(right)) {
+          return Object.prototype.hasOwnProperty.call(right, left);
+        }
+        break;
+      case '<':
+      case '<=':
+      case '>':
+      case '>=':
+        if (typeof left === typeof right &&
+            ['number', 'string'].includes(typeof left)) {
+          return {
+            '<': left < right,
+            '<=': left <= right,
+            '>': left > right,
+            '>=': left >= right,
+          }[operator];
+        }
+        break;
+      case '+':
+        if (typeof left === 'number' && typeof right === 'number') {
+          return left + right;
+        }
+        if (typeof left === 'string' && typeof right === 'string') {
+          return left + right;
+        }
+        if (Array.isArray(left) && Array.isArray(right)) {
+          return left.concat(right);
+        }
+        break;
+      default:
+        if (typeof left === 'number' && typeof right === 'number') {
+          return this.evaluateArithmetic(operator, left, right);
+        }
+    }
+    noSuchOverload(`_${operator}_`, left, right);
+  }
+
+  /**
+   * Evaluates the -, *, / and % operators.
+   * @param {string} operator The operator.
+   * @param {number} left The left operand.
+   * @param {number} right The right operand.
+   * @return {number} The value.
+   */
+  evaluateArithmetic(operator, left, right) {
+    const integral = Number.isInteger(left) && Number.isInteger(right);
+    if ((operator === '/' || operator === '%') && integral && right === 0) {
+      throw new CelError(operator === '/' ?
+        'Division by zero' : 'Modulus by zero');
+    }
+    switch (operator) {
+      case '-':
+        return left - right;
+      case '*':
+        return left * right;
+      case '/':
+        return integral ? Math.trunc(left / right) : left / right;
+      case '%':
+        return left % right;
+    }
+  }
+
+  /**
+   * Evaluates a function call, method call or macro.
+   * @param {*} node The call syntax tree.
+   * @return {*} The value.
+   */
+  evaluateCall(node) {
+    const {target, name, args} = node;
+    if (name === 'has' && !target) {
+      const [field] = args;
+      if (args.length !== 1 || field.type !== 'select') {
+        throw new CelError('has() requires a field selection argument');
+      }
+      const operand = this.evaluate(field.operand);
+      if (!isMap(operand)) {
+        noSuchOverload('has', operand);
+      }
+      return Object.prototype.hasOwnProperty.call(operand, field.field);
+    }
+    if (target && COMPREHENSIONS.includes(name)) {
+      return this.evaluateComprehension(this.evaluate(target), name, args);
+    }
+    const fn = Object.prototype.hasOwnProperty.call(FUNCTIONS, name) &&
+        FUNCTIONS[name];
+    if (!fn) {
+      throw new CelError(`Unknown function: ${name}`);
+    }
+    const values = args.map((arg) => this.evaluate(arg));
+    return target ? fn(this.evaluate(target), ...values) : fn(...values);
+  }
+
+  /**
+   * Evaluates the all(), exists(), exists_one(), map() and filter() macros
+   * over the elements of a list or the keys of a map.
+   * @param {*} range The list or map.
+   * @param {string} name The macro name.
+   * @param {!Array<*>} args The loop variable and the predicate or
+   *     transform syntax trees.
+   * @return {*} The value.
+   */
+  evaluateComprehension(range, name, args) {
+    const [variable, body] = args;
+    if (args.length !== 2 || variable.type !== 'identifier') {
+      throw new CelError(`${name}() requires a variable and an expression`);
+    }
+    if (!Array.isArray(range) && !isMap(range)) {
+      noSuchOverload(name, range);
+    }
+    const elements = Array.isArray(range) ? range : Object.keys(range);
+    const evaluateBody = (element) => new Evaluator(
+        {...this.variables, [variable.name]: element}).evaluate(body);
+    const predicate = (element) => {
+      const value = evaluateBody(element);
+      if (typeof value !== 'boolean') {
+        noSuchOverload(name, value);
+      }
+      return value;
+    };
+    switch (name) {
+      case 'all':
+        return elements.every(predicate);
+      case 'exists':
+        return elements.some(predicate);
+      case 'exists_one':
+        return elements.filter(predicate).length === 1;
+      case 'map':
+        return elements.map(evaluateBody);
+      case 'filter':
+        return elements.filter(predicate);
+    }
+  }
+}
+
+/**
+ * Parses a CEL expression, failing on syntax errors.
+ *
+ * @param {string} expression The CEL expression.
+ * @return {*} The syntax tree.
+ */
+function parse(expression) {
+  return new Parser(expression).parse();
+}
+
+/**
+ * Evaluates a CEL expression.
+ *
+ * @param {string} expression The CEL expression.
+ * @param {!Object<string, *>} variables The variables keyed by name, e.g.
+ *     assertion.
+ * @return {*} The value.
+ */
+function evaluate(expression, variables) {
+  return new Evaluator(variables).evaluate(parse(expression));
+}
+
+exports.CelError = CelError;
+exports.evaluate = evaluate;
+exports.parse = parse;
@@ -0,0 +1,378 @@
+/**
+ * @fileoverview Generates and validates the external_account credential
+ * configs used by the SDKs, in place of
+ * `gcloud iam workforce-pools create-cred-config`:
+ * https://google.aip.dev/auth/4117
+ *
+ * Usage:
+ * const credentialConfig = buildCredentialConfig({
+ *   pool: 'my-pool',
+ *   provider: 'my-provider',
+ *   // Optional, global by default.
+ *   location: 'global',
+ *   // The workforce pool user project number.
+ *   billingProject: '123456789',
+ *   // oidc (default) or saml2, or the subject token type URN.
+ *   tokenType: 'oidc',
+ *   // url (default), file or executable. URL sources take optional headers.
+ *   source: {type: 'url', url: 'http://localhost:5000/token'},
+ *   // Optional service account impersonation.
+ *   serviceAccount: 'sa@project.iam.gserviceaccount.com',
+ *   tokenLifetimeSeconds: 3600,
+ * });
+ * // Throws with all the problems found.
+ * assertValidCredentialConfig(credentialConfig);
+ * // Checks that the local credential source serves a subject token.
+ * const {live, message} = await checkCredentialSource(credentialConfig);
+ */
+
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+
+// The default STS token endpoint.
+const DEFAULT_TOKEN_URL = 'https://sts.googleapis.com/v1/token';
+// The default workforce pool location.
+const DEFAULT_LOCATION = 'global';
+// The subject token types keyed by alias.
+const SUBJECT_TOKEN_TYPES = {
+  oidc: 'urn:ietf:params:oauth:token-type:id_token',
+  id_token: 'urn:ietf:params:oauth:token-type:id_token',
+  jwt: 'urn:ietf:params:oauth:token-type:jwt',
+  saml2: 'urn:ietf:params:oauth:token-type:saml2',
+  saml: 'urn:ietf:params:oauth:token-type:saml2',
+};
+// The credential source types.
+const SOURCE_TYPES = ['url', 'file', 'executable'];
+// The executable timeout bounds in milliseconds (AIP 4117).
+const MIN_EXECUTABLE_TIMEOUT_MILLIS = 5000;
+const MAX_EXECUTABLE_TIMEOUT_MILLIS = 120000;
+// The default executable timeout in milliseconds.
+const DEFAULT_EXECUTABLE_TIMEOUT_MILLIS = 30000;
+// The impersonated token lifetime bounds in seconds.
+const MIN_TOKEN_LIFETIME_SECONDS = 600;
+const MAX_TOKEN_LIFETIME_SECONDS = 43200;
+// The workforce and workload identity pool provider audiences.
+const WORKFORCE_AUDIENCE_PATTERN = new RegExp(
+    '^//iam\\.googleapis\\.com/locations/[^/]+/workforcePools/[^/]+' +
+    '/providers/[^/]+$');
+const WORKLOAD_AUDIENCE_PATTERN = new RegExp(
+    '^//iam\\.googleapis\\.com/projects/\\d+/locations/[^/]+' +
+    '/workloadIdentityPools/[^/]+/providers/[^/]+$');
+// The service account impersonation URL.
+const IMPERSONATION_URL_PATTERN = new RegExp(
+    '^https://iamcredentials\\.googleapis\\.com/v1/projects/-/' +
+    'serviceAccounts/[^/:]+@[^/:]+:generateAccessToken$');
+// The resource IDs of pools and providers.
+const RESOURCE_ID_PATTERN = /^[a-z0-9-]+$/;
+// The time to wait for the credential source URL in milliseconds.
+const CHECK_TIMEOUT_MILLIS = 5000;
+// The hosts of the local credential source URLs.
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Returns the subject token type URN for the provided alias or URN.
+ *
+ * @param {string=} tokenType The alias (oidc, jwt or saml2) or the URN,
+ *     oidc when not provided.
+ * @return {string} The subject token type URN.
+ */
+function getSubjectTokenType(tokenType = 'oidc') {
+  if (SUBJECT_TOKEN_TYPES[tokenType]) {
+    return SUBJECT_TOKEN_TYPES[tokenType];
+  }
+  if (Object.values(SUBJECT_TOKEN_TYPES).includes(tokenType)) {
+    return tokenType;
+  }
+  throw new Error(`Unknown subject token type: ${tokenType} (expected ` +
+      'oidc, jwt or saml2)');
+}
+
+/**
+ * Builds the credential_source of the config.
+ *
+ * @param {{type: (string|undefined), url: (string|undefined),
+ *     headers: (!Object<string, string>|undefined), file: (string|undefined),
+ *     command: (string|undefined), timeoutMillis: (number|undefined),
+ *     outputFile: (string|undefined)}} source The credential source.
+ * @return {*} The credential_source field.
+ */
+function buildCredentialSource(source) {
+  const type = source.type || 'url';
+  switch (type) {
+    case 'url':
+      return {
+        url: source.url,
+        ...(source.headers ? {headers: source.headers} : {}),
+      };
+    case 'file':
+      return {file: source.file ? path.resolve(source.file) : ''};
+    case 'executable':
+      return {
+        executable: {
+          command: source.command,
+          timeout_millis:
+              source.timeoutMillis ?? DEFAULT_EXECUTABLE_TIMEOUT_MILLIS,
+          ...(source.outputFile ?
+              {output_file: path.resolve(source.outputFile)} : {}),
+        },
+      };
+    default:
+      throw new Error(`Unknown credential source type: ${type} (expected ` +
+          `${SOURCE_TYPES.join(', ')})`);
+  }
+}
+
+/**
+ * Builds an external_account credential config for a workforce pool
+ * provider.
+ *
+ * @param {*} options The pool, provider, optional location, billingProject
+ *     (the workforce pool user project number), tokenType, source,
+ *     tokenUrl, serviceAccount and tokenLifetimeSeconds.
+ * @return {*} The external_account credential config.
+ */
+function buildCredentialConfig(options) {
+  if (!options.pool || !options.provider) {
+    throw new Error('The pool and provider are required');
+  }
+  if (options.tokenLifetimeSeconds && !options.serviceAccount) {
+    throw new Error('The token lifetime is only supported with a service ' +
+        'account to impersonate');
+  }
+  const location = options.location || DEFAULT_LOCATION;
+  const credentialConfig = {
+    type: 'external_account',
+    audience: `//iam.googleapis.com/locations/${location}/workforcePools/` +
+        `${options.pool}/providers/${options.provider}`,
+    subject_token_type: getSubjectTokenType(options.tokenType),
+    token_url: options.tokenUrl || DEFAULT_TOKEN_URL,
+    credential_source: buildCredentialSource(options.source || {}),
+  };
+  if (options.billingProject) {
+    credentialConfig.workforce_pool_user_project =
+        String(options.billingProject);
+  }
+  if (options.serviceAccount) {
+    credentialConfig.service_account_impersonation_url =
+        'https://iamcredentials.googleapis.com/v1/projects/-/' +
+        `serviceAccounts/${options.serviceAccount}:generateAccessToken`;
+    if (options.tokenLifetimeSeconds) {
+      credentialConfig.service_account_impersonation = {
+        token_lifetime_seconds: Number(options.tokenLifetimeSeconds),
+      };
+    }
+  }
+  return credentialConfig;
+}
+
+/**
+ * Returns whether the value is an http(s) URL.
+ *
+ * @param {*} value The value.
+ * @param {boolean=} httpsOnly Whether only https URLs are valid.
+ * @return {boolean} True if valid.
+ */
+function isUrl(value, httpsOnly = false) {
+  try {
+    const {protocol} = new URL(value);
+    return protocol === 'https:' || (!httpsOnly && protocol === 'http:');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validates the credential_source of a credential config.
+ *
+ * @param {*} source The credential_source field.
+ * @param {!Array<string>} problems The problems found, appended to.
+ */
+function validateCredentialSource(source, problems) {
+  if (!source || typeof source !== 'object') {
+    problems.push('credential_source is required');
+    return;
+  }
+  const types = SOURCE_TYPES.filter((type) => source[type] !== undefined);
+  if (types.length !== 1) {
+    problems.push('credential_source must set exactly one of ' +
+        `${SOURCE_TYPES.join(', ')}`);
+    return;
+  }
+  if (types[0] === 'url' && !isUrl(source.url)) {
+    problems.push(`credential_source.url is not a URL: ${source.url}`);
+  }
+  if (types[0] === 'file' && !source.file) {
+    problems.push('credential_source.file is empty');
+  }
+  if (types[0] === 'executable') {
+    const executable = source.executable || {};
+    if (!executable.command) {
+      problems.push('credential_source.executable.command is required');
+    }
+    const timeout = executable.timeout_millis;
+    if (timeout !== undefined &&
+        !(Number.isInteger(timeout) &&
+          timeout >= MIN_EXECUTABLE_TIMEOUT_MILLIS &&
+          timeout <= MAX_EXECUTABLE_TIMEOUT_MILLIS)) {
+      problems.push('credential_source.executable.timeout_millis must be ' +
+          `between ${MIN_EXECUTABLE_TIMEOUT_MILLIS} and ` +
+          `${MAX_EXECUTABLE_TIMEOUT_MILLIS}`);
+    }
+  }
+  const format = source.format;
+  if (format) {
+    if (!['text', 'json'].includes(format.type)) {
+      problems.push('credential_source.format.type must be text or json');
+    } else if (format.type === 'json' && !format.subject_token_field_name) {
+      problems.push('credential_source.format.subject_token_field_name is ' +
+          'required for the json format');
+    }
+  }
+}
+
+/**
+ * Validates an external_account credential config against the fields
+ * expected by the SDKs.
+ *
+ * @param {*} credentialConfig The credential config.
+ * @return {!Array<string>} The problems found, empty if valid.
+ */
+function validateCredentialConfig(credentialConfig) {
+  const problems = [];
+  if (credentialConfig.type !== 'external_account') {
+    problems.push('type must be external_account');
+  }
+  const audience = credentialConfig.audience;
+  const workforce = WORKFORCE_AUDIENCE_PATTERN.test(audience);
+  if (!workforce && !WORKLOAD_AUDIENCE_PATTERN.test(audience)) {
+    problems.push(`audience is not a workforce or workload identity pool ` +
+        `provider: ${audience}`);
+  } else {
+    const [, pool, provider] =
+        audience.match(/Pools\/([^/]+)\/providers\/([^/]+)$/);
+    for (const [name, id] of [['pool', pool], ['provider', provider]]) {
+      if (!RESOURCE_ID_PATTERN.test(id)) {
+        problems.push(`The ${name} ID ${id} must only contain lowercase ` +
+            'letters, digits and hyphens');
+      }
+    }
+  }
+  if (!Object.values(SUBJECT_TOKEN_TYPES)
+      .includes(credentialConfig.subject_token_type)) {
+    problems.push('subject_token_type is not a supported token type: ' +
+        `${credentialConfig.subject_token_type}`);
+  }
+  if (!isUrl(credentialConfig.token_url, true)) {
+    problems.push(
+        `token_url is not an https URL: ${credentialConfig.token_url}`);
+  }
+  const userProject = credentialConfig.workforce_pool_user_project;
+  if (userProject !== undefined) {
+    if (!workforce) {
+      problems.push('workforce_pool_user_project is only supported for ' +
+          'workforce pool audiences');
+    } else if (!/^\d+$/.test(userProject)) {
+      problems.push('workforce_pool_user_project must be a project number: ' +
+          `${userProject}`);
+    }
+  }
+  validateCredentialSource(credentialConfig.credential_source, problems);
+  const impersonationUrl = credentialConfig.service_account_impersonation_url;
+  if (impersonationUrl !== undefined &&
+      !IMPERSONATION_URL_PATTERN.test(impersonationUrl)) {
+    problems.push('service_account_impersonation_url is not a ' +
+        `generateAccessToken URL: ${impersonationUrl}`);
+  }
+  const impersonation = credentialConfig.service_account_impersonation;
+  if (impersonation !== undefined) {
+    const lifetime = impersonation.token_lifetime_seconds;
+    if (impersonationUrl === undefined) {
+      problems.push('service_account_impersonation requires ' +
+          'service_account_impersonation_url');
+    }
+    if (!(Number.isInteger(lifetime) &&
+          lifetime >= MIN_TOKEN_LIFETIME_SECONDS &&
+          lifetime <= MAX_TOKEN_LIFETIME_SECONDS)) {
+      problems.push('service_account_impersonation.token_lifetime_seconds ' +
+          `must be between ${MIN_TOKEN_LIFETIME_SECONDS} and ` +
+          `${MAX_TOKEN_LIFETIME_SECONDS}`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Throws when the credential config is not valid.
+ *
+ * @param {*} credentialConfig The credential config.
+ */
+function assertValidCredentialConfig(credentialConfig) {
+  const problems = validateCredentialConfig(credentialConfig);
+  if (problems.length) {
+    throw new Error(`Invalid credential config:\n- ${problems.join('\n- ')}`);
+  }
+}
+
+/**
+ * Checks that the credential source of the config can serve a subject token:
+ * local URLs must be live and return a token, and files must exist.
+ * Executables are not run.
+ *
+ * @param {*} credentialConfig The credential config.
+ * @return {Promise<{live: boolean, message: string}>} A promise that resolves
+ *     with whether the source is usable and a description.
+ */
+async function checkCredentialSource(credentialConfig) {
+  const source = credentialConfig.credential_source;
+  if (source.file) {
+    return fs.existsSync(source.file) ?
+        {live: true, message: `${source.file} exists`} :
+        {live: false, message: `${source.file} does not exist yet`};
+  }
+  if (source.executable) {
+    return {
+      live: true,
+      message: 'Set GOOGLE_EXTERNAL_ALLOW_EXECUTABLES=1 for the SDKs to run ' +
+          source.executable.command,
+    };
+  }
+  if (!LOCAL_HOSTS.includes(new URL(source.url).hostname)) {
+    return {live: true, message: `${source.url} is not a local endpoint`};
+  }
+  try {
+    const response = await axios.get(source.url, {
+      headers: source.headers,
+      timeout: CHECK_TIMEOUT_MILLIS,
+      responseType: 'text',
+      validateStatus: () => true,
+    });
+    if (response.status === 200 && response.data) {
+      return {live: true, message: `${source.url} returned a subject token`};
+    }
+    let error = response.data;
+    try {
+      error = JSON.parse(response.data).error || error;
+    } catch (e) {
+      // Not a JSON error.
+    }
+    return {
+      live: false,
+      message: `${source.url} responded with ${response.status}: ${error}`,
+    };
+  } catch (error) {
+    return {
+      live: false,
+      message: `${source.url} is not reachable (${error.code ||
+          error.message}), start the metadata server with npm run start-login`,
+    };
+  }
+}
+
+exports.DEFAULT_TOKEN_URL = DEFAULT_TOKEN_URL;
+exports.assertValidCredentialConfig = assertValidCredentialConfig;
+exports.buildCredentialConfig = buildCredentialConfig;
+exports.buildCredentialSource = buildCredentialSource;
+exports.checkCredentialSource = checkCredentialSource;
+exports.getSubjectTokenType = getSubjectTokenType;
+exports.validateCredentialConfig = validateCredentialConfig;
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Provides OpenID Connect discovery document retrieval:
+ * https://openid.net/specs/openid-connect-discovery-1_0.html
+ *
+ * Usage:
+ * const discoveryDocument = await fetchDiscoveryDocument(issuer);
+ * const jwksUri = discoveryDocument.jwks_uri;
+ */
+
+const fetch = require('node-fetch');
+// The discovery document path relative to the issuer.
+const DISCOVERY_PATH = '/.well-known/openid-configuration';
+
+// Discovery documents keyed by issuer. Pending fetches are shared.
+const discoveryCache = new Map();
+
+/**
+ * Fetches the OIDC discovery document of the provided issuer. The result is
+ * cached for the lifetime of the process.
+ *
+ * @param {string} issuer The OIDC issuer URL.
+ * @return {Promise<*>} A promise that resolves with the discovery document.
+ */
+function fetchDiscoveryDocument(issuer) {
+  if (!discoveryCache.has(issuer)) {
+    const pending = (async () => {
+      const res = await fetch(issuer.replace(/\/$/, '') + DISCOVERY_PATH);
+      if (res.status !== 200) {
+        throw new Error(
+            `Unable to fetch OIDC discovery document for ${issuer}: ` +
+            `HTTP ${res.status}`);
+      }
+      const json = await res.json();
+      // The issuer in the document must match the one used to retrieve it.
+      if (json.issuer !== issuer) {
+        throw new Error(
+            `OIDC discovery issuer mismatch: expected ${issuer}, ` +
+            `got ${json.issuer}`);
+      }
+      return json;
+    })();
+    // Do not cache failures so the next call retries.
+    pending.catch(() => discoveryCache.delete(issuer));
+    discoveryCache.set(issuer, pending);
+  }
+  return discoveryCache.get(issuer);
+}
+
+exports.fetchDiscoveryDocument = fetchDiscoveryDocument;
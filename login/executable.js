@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Provides the entry point for executable-sourced credentials:
+ * https://google.aip.dev/auth/4117#determining-the-subject-token-in-executable-sourced-credentials
+ *
+ * The external_account credential config should reference this script:
+ * {
+ *   "type": "external_account",
+ *   ...
+ *   "credential_source": {
+ *     "executable": {
+ *       "command": "node /path/to/login/executable.js [PROFILE]",
+ *       "timeout_millis": 30000,
+ *       "output_file": "/path/to/cache.json"
+ *     }
+ *   }
+ * }
+ * GOOGLE_EXTERNAL_ALLOW_EXECUTABLES=1 must be set for the SDKs to run it.
+ *
+ * The stored session of the profile (the default profile if not provided) is
+ * used to print the pluggable auth response on stdout:
+ * {
+ *   "version": 1,
+ *   "success": true,
+ *   "token_type": "urn:ietf:params:oauth:token-type:id_token",
+ *   "id_token": "...",
+ *   "expiration_time": 1620499962
+ * }
+ * or for failures, with a non-zero exit code:
+ * {"version": 1, "success": false, "code": "401", "message": "..."}
+ *
+ * The following environment variables set by the SDKs are honored:
+ * - GOOGLE_EXTERNAL_ACCOUNT_TOKEN_TYPE: the expected subject token type.
+ * - GOOGLE_EXTERNAL_ACCOUNT_INTERACTIVE: whether the user can sign in, in
+ *   which case the login flow runs when there is no usable session.
+ * - GOOGLE_EXTERNAL_ACCOUNT_OUTPUT_FILE: the response cache file. Unexpired
+ *   cached responses are returned as is, new responses are written to it.
+ * - GOOGLE_EXTERNAL_ACCOUNT_REVOKE: signs out the session (gcloud
+ *   interactive mode).
+ */
+
+const fs = require('fs');
+const {loadProfiles} = require('./profiles');
+const {parseSamlResponse} = require('./saml');
+const {decodeJwt} = require('./verifier');
+
+// The pluggable auth response version.
+const RESPONSE_VERSION = 1;
+// The subject token types.
+const ID_TOKEN_TYPE = 'urn:ietf:params:oauth:token-type:id_token';
+const JWT_TOKEN_TYPE = 'urn:ietf:params:oauth:token-type:jwt';
+const SAML2_TOKEN_TYPE = 'urn:ietf:params:oauth:token-type:saml2';
+// The lifetime of SAML responses without NotOnOrAfter. The SDKs require an
+// expiration_time when an output file is used.
+const DEFAULT_SAML_LIFETIME_SECONDS = 300;
+
+/**
+ * Builds the pluggable auth success response for the provided login
+ * response.
+ *
+ * @param {*} resp The refreshed OAuth (or SAML) response.
+ * @param {string=} tokenType The expected subject token type, if any.
+ * @return {*} The pluggable auth response.
+ */
+function buildSuccessResponse(resp, tokenType) {
+  if (resp.saml_response) {
+    if (tokenType && tokenType !== SAML2_TOKEN_TYPE) {
+      throw new Error(
+          `Profile returns saml2 subject tokens, ${tokenType} expected`);
+    }
+    const {notOnOrAfter} = parseSamlResponse(resp.saml_response);
+    return {
+      version: RESPONSE_VERSION,
+      success: true,
+      token_type: SAML2_TOKEN_TYPE,
+      saml_response: resp.saml_response,
+      expiration_time: notOnOrAfter ?
+          Math.floor(notOnOrAfter.getTime() / 1000) :
+          Math.floor(Date.now() / 1000) + DEFAULT_SAML_LIFETIME_SECONDS,
+    };
+  }
+  if (tokenType && tokenType !== ID_TOKEN_TYPE &&
+      tokenType !== JWT_TOKEN_TYPE) {
+    throw new Error(
+        `Profile returns id_token subject tokens, ${tokenType} expected`);
+  }
+  const {payload} = decodeJwt(resp.id_token);
+  return {
+    version: RESPONSE_VERSION,
+    success: true,
+    token_type: tokenType || ID_TOKEN_TYPE,
+    id_token: resp.id_token,
+    expiration_time: payload.exp,
+  };
+}
+
+/**
+ * Returns the cached response in the output file if still valid.
+ *
+ * @param {string} outputFile The output file path.
+ * @param {string=} tokenType The expected subject token type, if any.
+ * @return {?*} The cached response or null.
+ */
+function readCachedResponse(outputFile, tokenType) {
+  try {
+    const cached = JSON.parse(fs.readFileSync(outputFile, 'utf8'));
+    if (cached.version === RESPONSE_VERSION &&
+        cached.success &&
+        (!tokenType || cached.token_type === tokenType) &&
+        cached.expiration_time > Math.floor(Date.now() / 1000)) {
+      return cached;
+    }
+  } catch (error) {
+    // Missing or invalid cache, ignore.
+  }
+  return null;
+}
+
+/**
+ * Builds the pluggable auth error response for the provided error.
+ *
+ * @param {!Error} error The error.
+ * @return {*} The pluggable auth response.
+ */
+function buildErrorResponse(error) {
+  return {
+    version: RESPONSE_VERSION,
+    success: false,
+    code: '401',
+    message: error.message,
+  };
+}
+
+/**
+ * Returns the pluggable auth success response for the profile: the cached
+ * one in the output file if still valid, or a new one written to it. The
+ * session is signed out instead when revoke is set.
+ *
+ * @param {!Profile} profile The profile whose session is used.
+ * @param {{tokenType: (string|undefined), interactive: (boolean|undefined),
+ *     outputFile: (string|undefined), revoke: (boolean|undefined)}=} options
+ *     The expected subject token type, whether the user can sign in, the
+ *     response cache file and whether to sign out.
+ * @return {Promise<*>} A promise that resolves with the pluggable auth
+ *     response, or rejects when no token can be returned.
+ */
+async function getResponse(profile, options = {}) {
+  const {tokenType, interactive, outputFile} = options;
+  if (options.revoke) {
+    await profile.logout();
+    if (outputFile && fs.existsSync(outputFile)) {
+      fs.unlinkSync(outputFile);
+    }
+    return {version: RESPONSE_VERSION, success: true};
+  }
+  const cached = outputFile && readCachedResponse(outputFile, tokenType);
+  if (cached) {
+    return cached;
+  }
+  let resp = null;
+  try {
+    resp = await profile.refresh();
+  } catch (error) {
+    // Expired or revoked sessions can be renewed interactively.
+    if (!interactive) {
+      throw error;
+    }
+  }
+  if (!resp && interactive) {
+    await profile.login();
+    resp = await profile.refresh();
+  }
+  if (!resp) {
+    throw new Error('No session detected. Please login first.');
+  }
+  const response = buildSuccessResponse(resp, tokenType);
+  if (outputFile) {
+    fs.writeFileSync(outputFile, JSON.stringify(response), {mode: 0o600});
+  }
+  return response;
+}
+
+/**
+ * Prints the pluggable auth response for the requested profile and writes it
+ * to the output file when configured.
+ */
+async function main() {
+  const env = process.env;
+  const name = process.argv.slice(2).find((arg) => !arg.startsWith('--'));
+  let response;
+  try {
+    const {profiles, defaultProfile} =
+        loadProfiles({saml: process.argv.includes('--saml')});
+    const profile = name ? profiles.get(name) : defaultProfile;
+    if (!profile) {
+      throw new Error(`Unknown profile: ${name}`);
+    }
+    response = await getResponse(profile, {
+      tokenType: env.GOOGLE_EXTERNAL_ACCOUNT_TOKEN_TYPE,
+      interactive: env.GOOGLE_EXTERNAL_ACCOUNT_INTERACTIVE === '1',
+      outputFile: env.GOOGLE_EXTERNAL_ACCOUNT_OUTPUT_FILE,
+      revoke: env.GOOGLE_EXTERNAL_ACCOUNT_REVOKE === '1',
+    });
+  } catch (error) {
+    response = buildErrorResponse(error);
+    process.exitCode = 1;
+  }
+  process.stdout.write(JSON.stringify(response));
+}
+
+if (require.main === module) {
+  main();
+}
+
+exports.buildErrorResponse = buildErrorResponse;
+exports.buildSuccessResponse = buildSuccessResponse;
+exports.getResponse = getResponse;
+exports.readCachedResponse = readCachedResponse;
@@ -0,0 +1,791 @@
+/**
+ * @fileoverview Provides a local stand-in for the OIDC IdP, Google STS and
+ * the Google APIs called with the STS tokens, so the login, token exchange and
+ * API flows can run offline.
+ *
+ * Usage:
+ * const server = new FakeServer({
+ *   // All optional, the defaults are listed in DEFAULT_OPTIONS.
+ *   clientId: 'fake-client-id',
+ *   clientSecret: 'fake-client-secret',
+ *   audience: '//iam.googleapis.com/locations/global/workforcePools/...',
+ *   subjectTokenType: 'urn:ietf:params:oauth:token-type:id_token',
+ *   // The public key verifying the private_key_jwt client assertions.
+ *   clientPublicKey: publicKey,
+ * });
+ * // Port 0 picks a free port.
+ * const issuer = await server.listen(5050);
+ * ...
+ * server.close();
+ *
+ * Or from the command line: node login/fake-server.js [--port=5050]
+ *
+ * The IdP endpoints are:
+ * - /.well-known/openid-configuration: the OIDC discovery document.
+ * - /authorize: the authorization endpoint. Consent is given automatically
+ *   and the user is redirected back with the code.
+ * - /token: the token endpoint, checking the PKCE code verifier and rotating
+ *   refresh tokens on every refresh. The client authenticates with any of
+ *   the tokenEndpointAuthMethods option, advertised in discovery.
+ *   private_key_jwt assertions must be signed by clientPublicKey, target the
+ *   called endpoint and have a jti that was not used before.
+ * - /revoke: the revocation endpoint.
+ * - /device/authorize: the RFC 8628 device authorization endpoint. The token
+ *   endpoint answers authorization_pending, or slow_down when polled faster
+ *   than the interval, until the user code is approved.
+ * - /device: the verification page. Opening it with the user_code approves
+ *   the device code, or denies it with action=deny.
+ * - /logout: the end session endpoint.
+ * - /jwks: the JWKS of the RS256 key signing the ID tokens, generated on
+ *   startup.
+ *
+ * The STS endpoint is /v1/token. It checks the audience and subject token
+ * type against the configured ones, and the signature, issuer and expiry of
+ * ID token subject tokens, before returning a fake access token.
+ *
+ * The Google API endpoints only accept the fake access tokens and answer with
+ * the Google API error payload otherwise:
+ * - /bigquery/v2/projects/:projectId/queries: BigQuery jobs.query and, with
+ *   the job ID, jobs.getQueryResults. Any query returns the bigQueryResult
+ *   option rows, bigQueryPageSize rows per page, once the job was reported
+ *   incomplete bigQueryPolls times. The jobs.query requests are recorded in
+ *   bigQueryRequests.
+ * - /v1/projects: Resource Manager projects.list, returning the projects
+ *   option, projectsPageSize projects per page. The query parameters are
+ *   recorded in projectsRequests.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const {ALGORITHMS} = require('./verifier');
+
+// The host for the local server.
+const HOST = 'localhost';
+// The default port for the local server.
+const PORT = 5050;
+// The RFC 8693 token exchange grant type.
+const TOKEN_EXCHANGE_GRANT_TYPE =
+    'urn:ietf:params:oauth:grant-type:token-exchange';
+// The access token type returned by STS.
+const ACCESS_TOKEN_TYPE = 'urn:ietf:params:oauth:token-type:access_token';
+// The prefix of the fake STS access tokens.
+const ACCESS_TOKEN_PREFIX = 'fake-sts-token.';
+// The RFC 8628 device code grant type.
+const DEVICE_CODE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+// The RFC 7523 client assertion type.
+const JWT_BEARER_ASSERTION_TYPE =
+    'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+// The JWT subject token types.
+const JWT_TOKEN_TYPES = [
+  'urn:ietf:params:oauth:token-type:id_token',
+  'urn:ietf:params:oauth:token-type:jwt',
+];
+// The default server options.
+const DEFAULT_OPTIONS = {
+  clientId: 'fake-client-id',
+  clientSecret: 'fake-client-secret',
+  subject: 'fake-user',
+  email: 'fake-user@example.com',
+  audience: '//iam.googleapis.com/locations/global/workforcePools/' +
+      'fake-pool/providers/fake-provider',
+  subjectTokenType: 'urn:ietf:params:oauth:token-type:id_token',
+  // The lifetime in seconds of the ID, access and STS tokens.
+  tokenLifetimeSeconds: 3600,
+  // The lifetime in seconds of the device codes.
+  deviceCodeLifetimeSeconds: 600,
+  // The minimum device flow polling interval in seconds.
+  deviceIntervalSeconds: 5,
+  // The accepted client authentication methods.
+  tokenEndpointAuthMethods: [
+    'client_secret_post', 'client_secret_basic', 'private_key_jwt', 'none',
+  ],
+  // The public key verifying the private_key_jwt client assertions.
+  clientPublicKey: null,
+  // The BigQuery result of any query: the schema and the f/v encoded rows.
+  bigQueryResult: {
+    schema: {
+      fields: [
+        {name: 'name', type: 'STRING', mode: 'NULLABLE'},
+        {name: 'age', type: 'INTEGER', mode: 'NULLABLE'},
+      ],
+    },
+    rows: [
+      {f: [{v: 'Alice'}, {v: '35'}]},
+      {f: [{v: 'Bob'}, {v: '42'}]},
+      {f: [{v: 'Carol'}, {v: null}]},
+    ],
+  },
+  // The maximum number of BigQuery rows per page.
+  bigQueryPageSize: 2,
+  // The number of times a query job is reported incomplete.
+  bigQueryPolls: 0,
+  // The projects returned by projects.list.
+  projects: [
+    {
+      projectId: 'fake-project',
+      projectNumber: '123456789',
+      name: 'Fake Project',
+      labels: {env: 'test'},
+      lifecycleState: 'ACTIVE',
+      parent: {type: 'organization', id: '1234'},
+    },
+    {
+      projectId: 'other-project',
+      projectNumber: '987654321',
+      name: 'Other Project',
+      lifecycleState: 'ACTIVE',
+    },
+  ],
+  // The maximum number of projects per page.
+  projectsPageSize: 500,
+};
+
+/**
+ * Returns a random base64url string.
+ *
+ * @param {number=} bytes The number of random bytes.
+ * @return {string} The random string.
+ */
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * Sends an OAuth error response.
+ *
+ * @param {Object} res The Express response object.
+ * @param {number} status The HTTP status code.
+ * @param {string} error The OAuth error code.
+ * @param {string} description The error description.
+ */
+function sendOAuthError(res, status, error, description) {
+  res.status(status).json({error, error_description: description});
+}
+
+/**
+ * Sends a Google API error response:
+ * https://cloud.google.com/apis/design/errors
+ *
+ * @param {Object} res The Express response object.
+ * @param {number} status The HTTP status code.
+ * @param {string} code The canonical error code, e.g. NOT_FOUND.
+ * @param {string} message The error message.
+ */
+function sendGoogleApiError(res, status, code, message) {
+  res.status(status).json({error: {code: status, status: code, message}});
+}
+
+/**
+ * Defines a local fake OIDC IdP, STS and Google APIs server.
+ */
+class FakeServer {
+  /**
+   * Initializes a FakeServer instance.
+   * @param {*=} options The server options overriding DEFAULT_OPTIONS.
+   */
+  constructor(options = {}) {
+    this.options = {...DEFAULT_OPTIONS, ...options};
+    const {privateKey, publicKey} =
+        crypto.generateKeyPairSync('rsa', {modulusLength: 2048});
+    this.privateKey = privateKey;
+    this.publicKey = publicKey;
+    this.kid = randomToken(8);
+
+    this.issuer = null;
+    this.server = null;
+    // Authorization codes keyed by code.
+    this.codes = new Map();
+    // Live refresh tokens keyed by token.
+    this.refreshTokens = new Map();
+    // Pending device authorizations keyed by device code.
+    this.deviceCodes = new Map();
+    // The jti of the client assertions already used.
+    this.clientAssertionIds = new Set();
+    // The BigQuery query jobs keyed by job ID.
+    this.bigQueryJobs = new Map();
+    // The bodies of the BigQuery jobs.query requests.
+    this.bigQueryRequests = [];
+    // The query parameters of the projects.list requests.
+    this.projectsRequests = [];
+
+    this.app = express();
+    this.app.use(express.urlencoded({extended: false}));
+    this.init();
+  }
+
+  /**
+   * Signs an ID token for the configured user.
+   * @param {{nonce: (string|undefined)}} claims The additional claims.
+   * @return {string} The signed ID token.
+   */
+  signIdToken(claims) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = {alg: 'RS256', typ: 'JWT', kid: this.kid};
+    const payload = {
+      iss: this.issuer,
+      aud: this.options.clientId,
+      sub: this.options.subject,
+      email: this.options.email,
+      iat: now,
+      exp: now + this.options.tokenLifetimeSeconds,
+      ...claims,
+    };
+    const signedContent = [header, payload]
+        .map((part) => Buffer.from(JSON.stringify(part)).toString('base64url'))
+        .join('.');
+    const signature = crypto.sign(
+        'sha256', Buffer.from(signedContent), this.privateKey);
+    return `${signedContent}.${signature.toString('base64url')}`;
+  }
+
+  /**
+   * Verifies an ID token signed by this server.
+   * @param {string} idToken The ID token.
+   * @return {?string} The error description or null if valid.
+   */
+  checkIdToken(idToken) {
+    const parts = (idToken || '').split('.');
+    if (parts.length !== 3) {
+      return 'The subject token is not a JWT.';
+    }
+    const valid = crypto.verify('sha256',
+        Buffer.from(`${parts[0]}.${parts[1]}`),
+        this.publicKey,
+        Buffer.from(parts[2], 'base64url'));
+    if (!valid) {
+      return 'The subject token signature is invalid.';
+    }
+    // The signature is valid so the payload is the JSON this server signed.
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+    if (payload.iss !== this.issuer) {
+      return `The subject token issuer ${payload.iss} is not trusted.`;
+    }
+    if (payload.exp <= Math.floor(Date.now() / 1000)) {
+      return 'The subject token has expired.';
+    }
+    return null;
+  }
+
+  /**
+   * Returns the client ID and secret of the token request, from the Basic
+   * authorization header or the form body.
+   * @param {Object} req The Express request object.
+   * @return {{clientId: string, clientSecret: string}} The credentials.
+   */
+  getClientCredentials(req) {
+    const authorization = req.get('Authorization') || '';
+    if (authorization.startsWith('Basic ')) {
+      const decoded =
+          Buffer.from(authorization.slice(6), 'base64').toString('utf8');
+      const separator = decoded.indexOf(':');
+      return {
+        clientId: decodeURIComponent(decoded.slice(0, separator)),
+        clientSecret: decodeURIComponent(decoded.slice(separator + 1)),
+      };
+    }
+    return {clientId: req.body.client_id, clientSecret: req.body.client_secret};
+  }
+
+  /**
+   * Returns the client authentication method of the token request.
+   * @param {Object} req The Express request object.
+   * @return {string} The client authentication method.
+   */
+  getClientAuthMethod(req) {
+    if ((req.get('Authorization') || '').startsWith('Basic ')) {
+      return 'client_secret_basic';
+    }
+    if (req.body.client_assertion_type) {
+      return 'private_key_jwt';
+    }
+    return req.body.client_secret ? 'client_secret_post' : 'none';
+  }
+
+  /**
+   * Returns whether the private_key_jwt client assertion of the request is
+   * signed by the configured client key, for the called endpoint, and was
+   * not used before.
+   * @param {Object} req The Express request object.
+   * @return {boolean} True if the client assertion is valid.
+   */
+  checkClientAssertion(req) {
+    const {clientId, clientPublicKey} = this.options;
+    const parts = (req.body.client_assertion || '').split('.');
+    if (!clientPublicKey ||
+        req.body.client_assertion_type !== JWT_BEARER_ASSERTION_TYPE ||
+        parts.length !== 3) {
+      return false;
+    }
+    let header;
+    let payload;
+    try {
+      [header, payload] = parts.slice(0, 2).map((part) =>
+        JSON.parse(Buffer.from(part, 'base64url').toString('utf8')));
+    } catch (error) {
+      return false;
+    }
+    const algorithm = ALGORITHMS[header.alg];
+    const valid = algorithm && crypto.verify(algorithm.hash,
+        Buffer.from(`${parts[0]}.${parts[1]}`), {
+          key: clientPublicKey,
+          padding: algorithm.padding,
+          dsaEncoding: algorithm.dsaEncoding,
+        }, Buffer.from(parts[2], 'base64url'));
+    const audiences = [].concat(payload.aud);
+    if (!valid ||
+        payload.iss !== clientId ||
+        payload.sub !== clientId ||
+        (req.body.client_id && req.body.client_id !== clientId) ||
+        !audiences.includes(`${this.issuer}${req.path}`) ||
+        !(payload.exp > Math.floor(Date.now() / 1000)) ||
+        !payload.jti ||
+        this.clientAssertionIds.has(payload.jti)) {
+      return false;
+    }
+    this.clientAssertionIds.add(payload.jti);
+    return true;
+  }
+
+  /**
+   * Returns whether the token request is sent by the configured client, with
+   * one of the accepted client authentication methods.
+   * @param {Object} req The Express request object.
+   * @return {boolean} True if the client is authenticated.
+   */
+  authenticateClient(req) {
+    const method = this.getClientAuthMethod(req);
+    if (!this.options.tokenEndpointAuthMethods.includes(method)) {
+      return false;
+    }
+    if (method === 'private_key_jwt') {
+      return this.checkClientAssertion(req);
+    }
+    const {clientId, clientSecret} = this.getClientCredentials(req);
+    return clientId === this.options.clientId &&
+        (!this.options.clientSecret ||
+         clientSecret === this.options.clientSecret);
+  }
+
+  /**
+   * Issues the token response for an authorized grant, with a new refresh
+   * token when offline_access was granted.
+   * @param {{scope: string, nonce: (string|undefined)}} grant The grant.
+   * @return {*} The OAuth token response.
+   */
+  issueTokens(grant) {
+    const response = {
+      access_token: randomToken(),
+      token_type: 'Bearer',
+      expires_in: this.options.tokenLifetimeSeconds,
+      scope: grant.scope,
+      id_token: this.signIdToken(grant.nonce ? {nonce: grant.nonce} : {}),
+    };
+    if (grant.scope.split(' ').includes('offline_access')) {
+      response.refresh_token = randomToken();
+      this.refreshTokens.set(response.refresh_token, {scope: grant.scope});
+    }
+    return response;
+  }
+
+  /**
+   * Answers a device code token request per RFC 8628 section 3.5.
+   * @param {Object} req The Express request object.
+   * @param {Object} res The Express response object.
+   */
+  pollDeviceCode(req, res) {
+    const grant = this.deviceCodes.get(req.body.device_code);
+    if (!grant || grant.expiresAt <= Date.now()) {
+      this.deviceCodes.delete(req.body.device_code);
+      sendOAuthError(res, 400, 'expired_token',
+          'The device code is invalid or expired');
+      return;
+    }
+    const now = Date.now();
+    const tooFast =
+        now - grant.lastPollAt < this.options.deviceIntervalSeconds * 1000;
+    grant.lastPollAt = now;
+    if (grant.status === 'denied') {
+      this.deviceCodes.delete(req.body.device_code);
+      sendOAuthError(res, 400, 'access_denied', 'The user denied the request');
+    } else if (tooFast) {
+      sendOAuthError(res, 400, 'slow_down', 'Polling too frequently');
+    } else if (grant.status === 'pending') {
+      sendOAuthError(res, 400, 'authorization_pending',
+          'The user has not yet approved the request');
+    } else {
+      // Device codes can only be used once.
+      this.deviceCodes.delete(req.body.device_code);
+      res.json(this.issueTokens(grant));
+    }
+  }
+
+  /**
+   * Checks that a Google API request is authorized with a fake STS access
+   * token, answering with 401 otherwise.
+   * @param {Object} req The Express request object.
+   * @param {Object} res The Express response object.
+   * @return {boolean} Whether the request is authorized.
+   */
+  checkAccessToken(req, res) {
+    const match = (req.get('Authorization') || '').match(/^Bearer (\S+)$/);
+    if (!match || !match[1].startsWith(ACCESS_TOKEN_PREFIX)) {
+      sendGoogleApiError(res, 401, 'UNAUTHENTICATED',
+          'Request had invalid authentication credentials.');
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Returns the jobs.query or jobs.getQueryResults response of a query job:
+   * incomplete until polled bigQueryPolls times, then a page of the
+   * bigQueryResult rows.
+   * @param {*} job The query job: its jobReference and remaining polls.
+   * @param {string=} pageToken The offset of the first row, 0 by default.
+   * @param {string=} maxResults The maximum number of rows requested.
+   * @return {*} The query response.
+   */
+  getQueryResponse(job, pageToken, maxResults) {
+    if (job.polls > 0) {
+      job.polls--;
+      return {jobReference: job.jobReference, jobComplete: false};
+    }
+    const {schema, rows} = this.options.bigQueryResult;
+    const start = Number(pageToken || 0);
+    const pageSize = Math.min(
+        Number(maxResults) || rows.length, this.options.bigQueryPageSize);
+    const end = start + pageSize;
+    return {
+      jobReference: job.jobReference,
+      jobComplete: true,
+      schema,
+      rows: rows.slice(start, end),
+      totalRows: String(rows.length),
+      ...(end < rows.length ? {pageToken: String(end)} : {}),
+      cacheHit: false,
+      totalBytesProcessed: '0',
+    };
+  }
+
+  /**
+   * Initializes all the server endpoints and their logic.
+   */
+  init() {
+    this.app.get('/.well-known/openid-configuration', (req, res) => {
+      res.json({
+        issuer: this.issuer,
+        authorization_endpoint: `${this.issuer}/authorize`,
+        token_endpoint: `${this.issuer}/token`,
+        revocation_endpoint: `${this.issuer}/revoke`,
+        end_session_endpoint: `${this.issuer}/logout`,
+        jwks_uri: `${this.issuer}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported:
+            this.options.tokenEndpointAuthMethods,
+        device_authorization_endpoint: `${this.issuer}/device/authorize`,
+        grant_types_supported:
+            ['authorization_code', 'refresh_token', DEVICE_CODE_GRANT_TYPE],
+      });
+    });
+
+    this.app.get('/jwks', (req, res) => {
+      const jwk = this.publicKey.export({format: 'jwk'});
+      res.json({keys: [{...jwk, kid: this.kid, alg: 'RS256', use: 'sig'}]});
+    });
+
+    this.app.get('/authorize', (req, res) => {
+      const query = req.query;
+      if (query.client_id !== this.options.clientId) {
+        res.status(400).send('Unknown client_id');
+        return;
+      }
+      if (!query.redirect_uri) {
+        res.status(400).send('Missing redirect_uri');
+        return;
+      }
+      const redirectUri = new URL(query.redirect_uri);
+      if (query.state) {
+        redirectUri.searchParams.set('state', query.state);
+      }
+      if (query.response_type !== 'code') {
+        redirectUri.searchParams.set('error', 'unsupported_response_type');
+      } else if (!query.code_challenge ||
+          query.code_challenge_method !== 'S256') {
+        redirectUri.searchParams.set('error', 'invalid_request');
+        redirectUri.searchParams.set('error_description',
+            'An S256 code_challenge is required');
+      } else {
+        // Consent is given automatically.
+        const code = randomToken();
+        this.codes.set(code, {
+          redirectUri: query.redirect_uri,
+          codeChallenge: query.code_challenge,
+          scope: query.scope || 'openid',
+          nonce: query.nonce,
+        });
+        redirectUri.searchParams.set('code', code);
+      }
+      res.redirect(302, redirectUri.toString());
+    });
+
+    this.app.post('/token', (req, res) => {
+      if (!this.authenticateClient(req)) {
+        sendOAuthError(res, 401, 'invalid_client',
+            'Client authentication failed');
+        return;
+      }
+      if (req.body.grant_type === 'authorization_code') {
+        const grant = this.codes.get(req.body.code);
+        // Codes can only be used once.
+        this.codes.delete(req.body.code);
+        if (!grant || grant.redirectUri !== req.body.redirect_uri) {
+          sendOAuthError(res, 400, 'invalid_grant',
+              'The authorization code is invalid or was already used');
+          return;
+        }
+        const codeChallenge = crypto.createHash('sha256')
+            .update(req.body.code_verifier || '')
+            .digest('base64url');
+        if (codeChallenge !== grant.codeChallenge) {
+          sendOAuthError(res, 400, 'invalid_grant',
+              'PKCE verification failed');
+          return;
+        }
+        res.json(this.issueTokens(grant));
+      } else if (req.body.grant_type === 'refresh_token') {
+        const grant = this.refreshTokens.get(req.body.refresh_token);
+        if (!grant) {
+          sendOAuthError(res, 400, 'invalid_grant',
+              'The refresh token is invalid or expired');
+          return;
+        }
+        // Refresh tokens are rotated on every use.
+        this.refreshTokens.delete(req.body.refresh_token);
+        res.json(this.issueTokens(grant));
+      } else if (req.body.grant_type === DEVICE_CODE_GRANT_TYPE) {
+        this.pollDeviceCode(req, res);
+      } else {
+        sendOAuthError(res, 400, 'unsupported_grant_type',
+            `Unsupported grant_type: ${req.body.grant_type}`);
+      }
+    });
+
+    this.app.post('/device/authorize', (req, res) => {
+      if (!this.authenticateClient(req)) {
+        sendOAuthError(res, 401, 'invalid_client',
+            'Client authentication failed');
+        return;
+      }
+      const deviceCode = randomToken();
+      const userCode = randomToken(4).toUpperCase();
+      this.deviceCodes.set(deviceCode, {
+        userCode,
+        scope: req.body.scope || 'openid',
+        status: 'pending',
+        expiresAt: Date.now() + this.options.deviceCodeLifetimeSeconds * 1000,
+        lastPollAt: 0,
+      });
+      res.json({
+        device_code: deviceCode,
+        user_code: userCode,
+        verification_uri: `${this.issuer}/device`,
+        verification_uri_complete:
+            `${this.issuer}/device?user_code=${encodeURIComponent(userCode)}`,
+        expires_in: this.options.deviceCodeLifetimeSeconds,
+        interval: this.options.deviceIntervalSeconds,
+      });
+    });
+
+    this.app.get('/device', (req, res) => {
+      const grant = [...this.deviceCodes.values()]
+          .find((entry) => entry.userCode === req.query.user_code);
+      if (!grant || grant.status !== 'pending') {
+        res.status(400).send('Unknown or used user code');
+        return;
+      }
+      // Consent is given automatically unless explicitly denied.
+      grant.status = req.query.action === 'deny' ? 'denied' : 'approved';
+      res.send(grant.status === 'approved' ?
+          'Device approved. You can close this window.' :
+          'Device denied.');
+    });
+
+    this.app.post('/revoke', (req, res) => {
+      if (!this.authenticateClient(req)) {
+        sendOAuthError(res, 401, 'invalid_client',
+            'Client authentication failed');
+        return;
+      }
+      // Unknown tokens are not an error: RFC 7009 section 2.2.
+      this.refreshTokens.delete(req.body.token);
+      res.status(200).end();
+    });
+
+    this.app.get('/logout', (req, res) => {
+      if (req.query.post_logout_redirect_uri) {
+        res.redirect(302, req.query.post_logout_redirect_uri);
+        return;
+      }
+      res.send('Signed out.');
+    });
+
+    this.app.get('/success', (req, res) => {
+      res.send('Signed in. You can close this window.');
+    });
+
+    this.app.post('/v1/token', (req, res) => {
+      const body = req.body;
+      if (body.grant_type !== TOKEN_EXCHANGE_GRANT_TYPE) {
+        sendOAuthError(res, 400, 'unsupported_grant_type',
+            `Unsupported grant_type: ${body.grant_type}`);
+        return;
+      }
+      if (body.audience !== this.options.audience) {
+        sendOAuthError(res, 400, 'invalid_target',
+            `The audience ${body.audience} is not a valid provider`);
+        return;
+      }
+      if (body.subject_token_type !== this.options.subjectTokenType) {
+        sendOAuthError(res, 400, 'invalid_request',
+            `Expected subject_token_type ${this.options.subjectTokenType}`);
+        return;
+      }
+      if (body.requested_token_type &&
+          body.requested_token_type !== ACCESS_TOKEN_TYPE) {
+        sendOAuthError(res, 400, 'invalid_request',
+            `Unsupported requested_token_type: ${body.requested_token_type}`);
+        return;
+      }
+      if (!body.subject_token) {
+        sendOAuthError(res, 400, 'invalid_request', 'Missing subject_token');
+        return;
+      }
+      if (JWT_TOKEN_TYPES.includes(body.subject_token_type)) {
+        const error = this.checkIdToken(body.subject_token);
+        if (error) {
+          sendOAuthError(res, 400, 'invalid_grant', error);
+          return;
+        }
+      }
+      res.json({
+        access_token: `${ACCESS_TOKEN_PREFIX}${randomToken()}`,
+        issued_token_type: ACCESS_TOKEN_TYPE,
+        token_type: 'Bearer',
+        expires_in: this.options.tokenLifetimeSeconds,
+      });
+    });
+
+    this.app.post('/bigquery/v2/projects/:projectId/queries', express.json(),
+        (req, res) => {
+          if (!this.checkAccessToken(req, res)) {
+            return;
+          }
+          if (!req.body.query) {
+            sendGoogleApiError(res, 400, 'INVALID_ARGUMENT',
+                'Query text is required.');
+            return;
+          }
+          this.bigQueryRequests.push(req.body);
+          const job = {
+            jobReference: {
+              projectId: req.params.projectId,
+              jobId: `job_${randomToken(8)}`,
+              location: req.body.location || 'US',
+            },
+            polls: this.options.bigQueryPolls,
+          };
+          this.bigQueryJobs.set(job.jobReference.jobId, job);
+          res.json(this.getQueryResponse(job, undefined, req.body.maxResults));
+        });
+
+    this.app.get('/bigquery/v2/projects/:projectId/queries/:jobId',
+        (req, res) => {
+          if (!this.checkAccessToken(req, res)) {
+            return;
+          }
+          const job = this.bigQueryJobs.get(req.params.jobId);
+          if (!job || job.jobReference.projectId !== req.params.projectId) {
+            sendGoogleApiError(res, 404, 'NOT_FOUND',
+                `Not found: Job ${req.params.projectId}:${req.params.jobId}`);
+            return;
+          }
+          res.json(this.getQueryResponse(
+              job, req.query.pageToken, req.query.maxResults));
+        });
+
+    this.app.get('/v1/projects', (req, res) => {
+      if (!this.checkAccessToken(req, res)) {
+        return;
+      }
+      this.projectsRequests.push(req.query);
+      const projects = this.options.projects;
+      const start = Number(req.query.pageToken || 0);
+      const end = start + Math.min(
+          Number(req.query.pageSize) || projects.length,
+          this.options.projectsPageSize);
+      res.json({
+        projects: projects.slice(start, end),
+        ...(end < projects.length ? {nextPageToken: String(end)} : {}),
+      });
+    });
+  }
+
+  /**
+   * Starts the server.
+   * @param {number=} port The port number to use, 0 for a free port.
+   * @return {Promise<string>} A promise that resolves with the issuer URL.
+   */
+  listen(port = PORT) {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, HOST, () => {
+        this.issuer = `http://${HOST}:${this.server.address().port}`;
+        resolve(this.issuer);
+      });
+      this.server.on('error', reject);
+    });
+  }
+
+  /**
+   * Closes the server.
+   */
+  close() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+}
+
+/**
+ * Starts the fake server and prints the configs pointing at it.
+ */
+async function main() {
+  const portArg = process.argv.find((arg) => arg.startsWith('--port='));
+  const server = new FakeServer();
+  const issuer = await server.listen(
+      portArg ? Number(portArg.slice('--port='.length)) : PORT);
+  const {clientId, clientSecret, audience, subjectTokenType} = server.options;
+  console.log(`Fake IdP and STS listening on ${issuer}`);
+  console.log('oauth-config.json:');
+  console.log(JSON.stringify(
+      {clientId, clientSecret, issuer, successUri: `${issuer}/success`},
+      null, 2));
+  console.log('workforce-config.json:');
+  console.log(JSON.stringify({
+    type: 'external_account',
+    audience,
+    subject_token_type: subjectTokenType,
+    token_url: `${issuer}/v1/token`,
+    workforce_pool_user_project: '123456789',
+  }, null, 2));
+}
+
+if (require.main === module) {
+  main();
+}
+
+exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+exports.FakeServer = FakeServer;
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Provides helpers to call Google REST APIs with a GCP access
+ * token and surface their errors.
+ *
+ * Usage:
+ * try {
+ *   const data = await callGoogleApi(accessToken, {
+ *     method: 'GET',
+ *     url: 'https://cloudresourcemanager.googleapis.com/v1/projects',
+ *     params: {pageSize: 100},
+ *   });
+ * } catch (error) {
+ *   // GoogleApiError, e.g. error.status = 403,
+ *   // error.code = 'PERMISSION_DENIED'.
+ * }
+ */
+
+const axios = require('axios');
+
+/**
+ * Defines the error returned by a Google API call.
+ */
+class GoogleApiError extends Error {
+  /**
+   * @param {number} status The HTTP status code, 502 when the API could not
+   *     be reached.
+   * @param {string} code The canonical error code, e.g. PERMISSION_DENIED.
+   * @param {string} message The error message.
+   * @param {!Array<*>=} details The optional error details.
+   */
+  constructor(status, code, message, details = []) {
+    super(message);
+    this.name = 'GoogleApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  /**
+   * Returns the JSON error response sent to callers.
+   * @return {{error: string, code: string, details: !Array<*>}} The error.
+   */
+  toJSON() {
+    return {error: this.message, code: this.code, details: this.details};
+  }
+}
+
+/**
+ * Converts an axios error into a GoogleApiError, using the Google API error
+ * payload when available: https://cloud.google.com/apis/design/errors
+ *
+ * @param {*} error The axios error.
+ * @return {!GoogleApiError} The converted error.
+ */
+function toGoogleApiError(error) {
+  if (!error.response) {
+    return new GoogleApiError(502, 'UNAVAILABLE', error.message);
+  }
+  const data = error.response.data;
+  const apiError = data && data.error;
+  if (apiError && typeof apiError === 'object') {
+    return new GoogleApiError(
+        error.response.status,
+        apiError.status || String(apiError.code || error.response.status),
+        apiError.message || error.message,
+        apiError.details || []);
+  }
+  return new GoogleApiError(
+      error.response.status, String(error.response.status), error.message);
+}
+
+/**
+ * Calls a Google REST API with the provided access token.
+ *
+ * @param {string} accessToken The GCP access token.
+ * @param {*} request The axios request config: method, url, params, data.
+ * @return {Promise<*>} A promise that resolves with the response payload, or
+ *     rejects with a GoogleApiError.
+ */
+async function callGoogleApi(accessToken, request) {
+  try {
+    const response = await axios({
+      ...request,
+      headers: {
+        ...request.headers,
+        Authorization: `Bearer ${accessToken}`,
+      },
+    });
+    return response.data;
+  } catch (error) {
+    throw toGoogleApiError(error);
+  }
+}
+
+exports.GoogleApiError = GoogleApiError;
+exports.callGoogleApi = callGoogleApi;
+exports.toGoogleApiError = toGoogleApiError;
@@ -4,254 +4,785 @@
  */
 
 const express = require('express');
-const keytar = require('keytar');
-const {OAuthClientServer} = require('./pkce');
-const oauthConfigJson = require('../oauth-config.json');
-const app = express();
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const {loadProfiles, migrateSessions} = require('./profiles');
+const {createStore} = require('./storage');
+const {
+  assertValidCredentialConfig,
+  buildCredentialConfig,
+  buildCredentialSource,
+  checkCredentialSource,
+} = require('./cred-config');
+const {getAccessToken, normalizeScopes} = require('./sts');
+const {
+  DOWNSTREAM_APIS,
+  TokenBroker,
+  TokenBrokerError,
+} = require('./token-broker');
+const {GoogleApiError} = require('./google-api');
+const {RouteRegistry} = require('./route-registry');
+const {McpServer} = require('./mcp');
+const {CallerAuth, auditTokenIssued} = require('./caller-auth');
+const {
+  getAssertion,
+  getPoolResource,
+  parseAttributeMapping,
+  simulateMapping,
+} = require('./attribute-mapping');
+const {SCHEMAS} = require('./api-schemas');
+const {listProjects} = require('./projects');
+const {getDataset, getTable, runQuery} = require('./bigquery');
+const {logger} = require('./logger');
+const {
+  METADATA_ROOT,
+  createMetadataRouter,
+  setMetadataHeaders,
+} = require('./metadata');
 const cors = require('cors');
 const axios = require('axios');
-const crypto = require('crypto');
 
 // The host for the local server.
 const HOST = 'localhost';
 // The port for the local server.
 const PORT = 5000;
-// The identifier used to key the keytar-stored refresh token.
-const APP_ID = 'WorkforcePoolTesting';
+// The time in milliseconds in-flight requests get to complete on shutdown.
+const SHUTDOWN_GRACE_MS = 5000;
+// The info of the generated OpenAPI document.
+const OPENAPI_INFO = {
+  title: "Google Cloud User Access Token Retrieval and GCP API",
+  version: "1.1.0",
+};
+// The schema of the handles returned by /gcpaccesstoken.
+const HANDLE_PARAM = {
+  type: "string",
+  minLength: 1,
+  description: "The access token handle returned by /gcpaccesstoken.",
+};
+// The schema of the error responses.
+const ERROR = { $ref: "Error" };
+// The schema of the GCP API error responses.
+const GOOGLE_API_ERROR = { $ref: "GoogleApiError" };
 
-// In-memory storage for hashed access tokens and their corresponding real access tokens.
-const tokenMap = new Map();
+/**
+ * Creates the metadata server app serving all the provided login profiles.
+ * @param {!Map<string, !Profile>} profiles The login profiles keyed by name.
+ * @param {!Profile} defaultProfile The profile served by the /token, /idptoken
+ *     and /logout routes.
+ * @param {{onLogout: (function()|undefined),
+ *     corsOrigins: (!Array<string>|undefined),
+ *     callerAuth: (!CallerAuth|undefined)}=} options The optional callback
+ *     called once the default profile is signed out via /logout, e.g. to
+ *     notify the operator, the origins allowed to call the server from a
+ *     browser, '*' for any (none by default), and the caller authentication
+ *     of the routes (enabled by default).
+ * @returns {!express.Application} The Express app. Its MCP server is
+ *     app.locals.mcp, also served at /mcp.
+ */
+function createMetadataApp(profiles, defaultProfile, options = {}) {
+  const app = express();
 
-// cors is needed for chatgpt to find the manifest file hosted by this server.
-const corsOptions = {
-  origin: 'https://chat.openai.com',
-}
-app.use(cors(corsOptions));
+  // Opaque handles for the GCP access tokens returned by /gcpaccesstoken.
+  const tokenBroker = new TokenBroker();
 
-// Serve static files from the public directory. /.well-known/ai-plugin.json & /openapi.yaml
-app.use(express.static('public'));
+  // Identifies the callers as req.caller and rejects the callers not allowed
+  // to call each route, see caller-auth.js.
+  const callerAuth = options.callerAuth || new CallerAuth();
 
-// Middleware to parse JSON in the request body.
-app.use(express.json());
+  // CORS is needed for browser based agents, e.g. ChatGPT to find the plugin
+  // manifest hosted by this server with --cors-origin=https://chat.openai.com.
+  const corsOrigins = options.corsOrigins || [];
+  if (corsOrigins.length) {
+    app.use(cors({ origin: corsOrigins.includes("*") ? "*" : corsOrigins }));
+  }
 
-// Middleware to log requests.
-app.use((req, res, next) => {
-  console.log(`Received ${req.method} request to ${req.url} with body ${JSON.stringify(req.body)}`);
-  next();
-});
+  // Serve static files from the public directory: /.well-known/ai-plugin.json and the logo.
+  // /openapi.yaml and /openapi.json are generated from the route registry below.
+  app.use(express.static('public'));
 
+  // Middleware to parse JSON in the request body.
+  app.use(express.json());
 
-/**
- * Starts the metadata server using the provide OAuth client.
- * @param {OAuthClientServer} client The client instance used for token
- *     retrieval and revocation.
- */
-function startMetadataServer(client) {
-  // Start the server and log all the available endpoints.
-  const server = app.listen(PORT, HOST, () => {
-    const serverAddress = `http://${HOST}:${server.address().port}`;
-    console.log(`Starting metadata server ${serverAddress}`);
-    console.log(
-      `Get token endpoint: http://${HOST}:${server.address().port}/token`
-    );
-    console.log(
-      `Signout endpoint: http://${HOST}:${server.address().port}/logout`
-    );
+  // The documented and validated routes, see route-registry.js.
+  const routes = new RouteRegistry(app, OPENAPI_INFO, {
+    guard: (operationId) => callerAuth.authorize(operationId),
+  });
+  for (const [name, schema] of Object.entries(SCHEMAS)) {
+    routes.addSchema(name, schema);
+  }
+
+  // Middleware to log requests. Bodies are only logged in debug mode, and the
+  // logger redacts the credentials in the URLs and bodies.
+  app.use((req, res, next) => {
+    const start = Date.now();
+    logger.debug("Received request", { method: req.method, url: req.originalUrl, body: req.body });
+    res.on("finish", () => {
+      logger.info("Request handled", {
+        method: req.method,
+        url: req.originalUrl,
+        status: res.statusCode,
+        durationMs: Date.now() - start,
+      });
+    });
+    next();
+  });
+
+  /**
+   * Returns the profile addressed by the request: the :name route parameter,
+   * the profile query parameter or the default profile. Responds with 404 if
+   * the profile is unknown.
+   *
+   * @param {Object} req The Express request object.
+   * @param {Object} res The Express response object.
+   * @returns {?Profile} The profile or null if a response was already sent.
+   */
+  function getProfile(req, res) {
+    const name = req.params.name || req.query.profile;
+    const profile = name ? profiles.get(name) : defaultProfile;
+    if (!profile) {
+      res.status(404).json({ error: `Unknown profile: ${name}` });
+      return null;
+    }
+    return profile;
+  }
+
+  // Emulate the GCE metadata server for the default profile so the SDKs
+  // can use the metadata credential path with GCE_METADATA_HOST.
+  app.use(
+    METADATA_ROOT,
+    callerAuth.authorize("metadata"),
+    createMetadataRouter(defaultProfile, { projectId: defaultProfile.projectId })
+  );
+
+  /**
+   * GET /
+   * Responds to the metadata server ping used by the Auth libraries to detect GCE.
+   *
+   * @param {Object} res The Express response object.
+   */
+  routes.get("/", {
+    operationId: "ping",
+    summary: "Responds to the GCE metadata server ping.",
+    tags: ["Metadata"],
+    responses: {
+      200: { description: "OK", contentType: "application/text", schema: { type: "string" } },
+    },
+  }, (_, res) => {
+    setMetadataHeaders(res);
+    res.type("application/text").send("computeMetadata/\n");
+  });
+
+  /**
+   * GET /status
+   * Returns the token cache hits and misses and the remaining lifetime of the
+   * cached tokens of each profile. Tokens are never included.
+   *
+   * @param {Object} res The Express response object.
+   * @returns {Object} The response object containing the cache status per profile.
+   */
+  routes.get("/status", {
+    operationId: "status",
+    summary: "Returns the token cache status of each profile. Tokens are never included.",
+    tags: ["Authentication"],
+    responses: {
+      200: {
+        description: "OK",
+        schema: {
+          type: "object",
+          properties: { profiles: { type: "object", additionalProperties: { $ref: "CacheStatus" } } },
+        },
+      },
+    },
+  }, (_, res) => {
+    const status = {};
+    for (const profile of profiles.values()) {
+      status[profile.name] = profile.getCacheStatus();
+    }
+    res.status(200).json({ profiles: status });
+  });
+
+  /**
+   * GET /profiles
+   * Lists the login profiles, their token routes and whether a session is stored.
+   *
+   * @param {Object} res The Express response object.
+   * @returns {Object} The response object containing the profiles.
+   */
+  routes.get("/profiles", {
+    operationId: "profiles",
+    summary: "Lists the login profiles, their token routes and whether a session is stored.",
+    tags: ["Authentication"],
+    responses: {
+      200: {
+        description: "OK",
+        schema: { type: "object", properties: { profiles: { type: "array", items: { $ref: "Profile" } } } },
+      },
+      500: { description: "Internal Server Error", schema: ERROR },
+    },
+  }, async (_, res) => {
+    try {
+      const result = [];
+      for (const profile of profiles.values()) {
+        result.push({
+          name: profile.name,
+          type: profile.type,
+          token_path: profile.getTokenPath(),
+          default: profile === defaultProfile,
+          session: await profile.hasSession(),
+        });
+      }
+      res.status(200).json({ profiles: result });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
   });
 
   /**
    * GET /token
-   * Returns a new OIDC ID token using the stored refresh token.
+   * GET /profiles/:name/token
+   * Returns a new OIDC ID token using the stored refresh token, or the stored
+   * base64 encoded SAMLResponse for SAML sessions, of the default or named
+   * profile.
    *
    * @param {Object} res The Express response object.
-   * @returns {Object} The response object containing the new ID token or an error message.
-   * @throws {Error} If there is no stored refresh token or if the refresh token is invalid.
+   * @returns {Object} The response object containing the new subject token or an error message.
+   * @throws {Error} If there is no stored session or if the session is invalid or expired.
    */
-  app.get("/token", async (_, res) => {
-    const refreshToken = await keytar.getPassword(APP_ID, "RefreshToken");
-    if (refreshToken) {
-      try {
-        const resp = await client.refresh(refreshToken);
-        // Save refresh token if returned.
-        if (resp.refresh_token) {
-          await keytar.setPassword(APP_ID, "RefreshToken", resp.refresh_token);
-        }
-        res.status(200);
-        res.send(resp.id_token);
-      } catch (error) {
-        res.status(400).json({ error: error.message });
+  routes.get(["/token", "/profiles/:name/token"], {
+    operationId: ["token", "profileToken"],
+    summary: "Returns the ID token, or base64 encoded SAMLResponse, of the default or named profile.",
+    tags: ["Authentication"],
+    params: { name: { description: "The profile name." } },
+    responses: {
+      200: { description: "The subject token.", contentType: "text/plain", schema: { type: "string" } },
+      400: { description: "No session, or the session is invalid or expired.", schema: ERROR },
+      404: { description: "Unknown profile.", schema: ERROR },
+    },
+  }, async (req, res) => {
+    const profile = getProfile(req, res);
+    if (!profile) {
+      return;
+    }
+    try {
+      const resp = await profile.getSessionToken();
+      if (!resp) {
+        res
+          .status(400)
+          .json({ error: "No session detected. Please login first." });
+        return;
       }
-    } else {
-      res
-        .status(400)
-        .json({ error: "No session detected. Please login first." });
+      auditTokenIssued(req, {
+        route: "token",
+        profile: profile.name,
+        type: resp.id_token ? "id_token" : "saml_response",
+      });
+      res.status(200);
+      res.send(resp.id_token || resp.saml_response);
+    } catch (error) {
+      res.status(400).json({ error: error.message, claim: error.claim });
     }
   });
 
   /**
    * GET /idptoken
-   * Returns a new OIDC ID token using the stored refresh token.
+   * GET /profiles/:name/idptoken
+   * Returns a new OIDC ID token using the stored refresh token, or the stored
+   * base64 encoded SAMLResponse for SAML sessions, of the default or named
+   * profile.
    *
    * @param {Object} res The Express response object.
-   * @returns {Object} The response object containing the new ID token or an error message.
-   * @throws {Error} If there is no stored refresh token or if the refresh token is invalid.
+   * @returns {Object} The response object containing the new subject token or an error message.
+   * @throws {Error} If there is no stored session or if the session is invalid or expired.
    */
-  app.get("/idptoken", async (_, res) => {
-    const refreshToken = await keytar.getPassword(APP_ID, "RefreshToken");
-    if (refreshToken) {
-      try {
-        const resp = await client.refresh(refreshToken);
-        // Save refresh token if returned.
-        if (resp.refresh_token) {
-          await keytar.setPassword(APP_ID, "RefreshToken", resp.refresh_token);
-        }
+  routes.get(["/idptoken", "/profiles/:name/idptoken"], {
+    operationId: ["idptoken", "profileIdptoken"],
+    summary: "Returns a new ID token from the IdP, or the SAMLResponse, for the logged-in user.",
+    tags: ["Authentication"],
+    params: { name: { description: "The profile name." } },
+    responses: {
+      200: {
+        description: "OK",
+        schema: {
+          type: "object",
+          properties: { id_token: { type: "string" }, saml_response: { type: "string" } },
+        },
+      },
+      400: { description: "No session, or the session is invalid or expired.", schema: ERROR },
+      404: { description: "Unknown profile.", schema: ERROR },
+    },
+  }, async (req, res) => {
+    const profile = getProfile(req, res);
+    if (!profile) {
+      return;
+    }
+    try {
+      const resp = await profile.getSessionToken();
+      if (!resp) {
+        res
+          .status(400)
+          .json({ error: "No session detected. Please login first." });
+        return;
+      }
+      auditTokenIssued(req, {
+        route: "idptoken",
+        profile: profile.name,
+        type: resp.id_token ? "id_token" : "saml_response",
+      });
+      if (resp.saml_response) {
+        res.status(200).json({ saml_response: resp.saml_response });
+      } else {
         res.status(200).json({ id_token: resp.id_token });
-      } catch (error) {
-        res.status(400).json({ error: error.message });
       }
-    } else {
-      res
-        .status(400)
-        .json({ error: "No session detected. Please login first." });
+    } catch (error) {
+      res.status(400).json({ error: error.message, claim: error.claim });
     }
   });
 
-  // Add an interceptor to log the request details.
-  axios.interceptors.request.use((config) => {
-    console.log(`Making request to ${config.url}:`);
-    console.log(`Method: ${config.method}`);
-    console.log(`Headers: ${JSON.stringify(config.headers, null, 2)}`);
-    console.log(`Body: ${JSON.stringify(config.data, null, 2)}`);
-    return config;
-  });
+  /**
+   * Returns the access token of the handle in the request body for a downstream API. Responds
+   * with 400 if no handle is provided, 401 if it is unknown, expired or revoked, and 403 if it
+   * is not allowed to call the API.
+   *
+   * @param {Object} req The Express request object.
+   * @param {Object} res The Express response object.
+   * @param {string} api The downstream API called with the token.
+   * @returns {?string} The access token or null if a response was already sent.
+   */
+  function resolveHandle(req, res, api) {
+    const handle = req.body?.access_token;
+    if (!handle) {
+      res.status(400).json({ error: "Missing access token." });
+      return null;
+    }
+    try {
+      return tokenBroker.resolve(handle, api);
+    } catch (error) {
+      if (!(error instanceof TokenBrokerError)) {
+        throw error;
+      }
+      res.status(error.status).json({ error: error.message });
+      return null;
+    }
+  }
 
   /**
-   * Exchanges an input token for a hashed GCP access token and stores the hashed token locally.
+   * Exchanges an input token for a GCP access token and returns an opaque handle for it.
+   * The handle expires with the token and can only be used with the requested downstream APIs.
+   * The STS audience, subject token type, token URL and workforce pool user project are read
+   * from the external_account credential config of the default or requested profile.
+   * When the credential config sets service_account_impersonation_url, the STS token is then
+   * used to impersonate the service account and the impersonated token is returned instead.
    *
    * @param {Object} req - The request object.
    * @param {Object} req.query - The query object containing the `input_token` parameter.
    * @param {string} req.query.input_token - The input token to exchange for a GCP access token.
+   * @param {string=} req.query.profile - The optional profile whose credential config is used.
+   * @param {string=} req.query.scope - The optional space or comma delimited scopes to request.
+   * @param {string=} req.query.requested_token_type - The optional requested token type.
+   * @param {string=} req.query.delegates - The optional comma delimited impersonation delegate chain.
+   * @param {string=} req.query.impersonate - Set to false to skip service account impersonation.
+   * @param {string=} req.query.apis - The optional comma delimited downstream APIs the handle
+   *     can call: projects, bigquery. Defaults to all.
    * @param {Object} res - The response object.
    * @returns {Promise<void>} - A Promise that resolves when the response is sent.
    */
-  app.get("/gcpaccesstoken", async (req, res) => {
+  routes.get("/gcpaccesstoken", {
+    operationId: "gcpaccesstoken",
+    summary: "Exchanges an input token for a GCP access token and returns an opaque handle for it.",
+    tags: ["GCP Access Token"],
+    query: {
+      input_token: {
+        required: true,
+        description: "The input token to exchange for a GCP access token.",
+        schema: { type: "string" },
+      },
+      profile: { description: "The login profile whose credential config is used for the exchange." },
+      scope: { description: "Space or comma delimited OAuth scopes to request. Defaults to cloud-platform." },
+      requested_token_type: {
+        description: "The requested token type. Defaults to urn:ietf:params:oauth:token-type:access_token.",
+      },
+      delegates: {
+        description:
+          "Comma delimited service account delegate chain used when the credential config impersonates a service account.",
+      },
+      impersonate: {
+        description: "Set to false to return the STS token instead of the impersonated service account token.",
+        schema: { type: "boolean" },
+      },
+      apis: {
+        description:
+          `Comma delimited downstream APIs the returned handle can call (${DOWNSTREAM_APIS.join(", ")}). Defaults to all.`,
+      },
+    },
+    responses: {
+      200: {
+        description: "OK",
+        schema: {
+          type: "object",
+          properties: {
+            access_token: {
+              type: "string",
+              description: "An opaque handle for the GCP access token, expiring with the token.",
+            },
+            id: { type: "string", description: "The handle ID used to list and revoke the handle." },
+            expires_in: { type: "integer" },
+            apis: { type: "array", items: { type: "string", enum: DOWNSTREAM_APIS } },
+          },
+        },
+      },
+      400: { description: "The token exchange failed.", schema: ERROR },
+      404: { description: "Unknown profile.", schema: ERROR },
+    },
+  }, async (req, res) => {
     const inputToken = req.query.input_token;
-    if (!inputToken) {
-      res.status(400).json({ error: "Missing input_token parameter." });
+    const profile = getProfile(req, res);
+    if (!profile) {
       return;
     }
 
-    const audience =
-      "//iam.googleapis.com/locations/global/workforcePools/wf-pools-testing-sdk14/providers/okta-oidc-provider";
-    const grantType = "urn:ietf:params:oauth:grant-type:token-exchange";
-    const requestedTokenType = "urn:ietf:params:oauth:token-type:access_token";
-    const scope = "https://www.googleapis.com/auth/cloud-platform";
-    // const scope = "https://www.googleapis.com/auth/bigquery.readonly";
-    const subjectTokenType = "urn:ietf:params:oauth:token-type:id_token";
-    const subjectToken = inputToken;
-    const options = { userProject: "307586025878" };
-
     try {
-      const response = await axios.post(
-        "https://sts.googleapis.com/v1/token",
+      const delegates = normalizeScopes(req.query.delegates);
+      const scopes = normalizeScopes(req.query.scope);
+      // Fail before the exchange when unknown APIs are requested.
+      const apis = TokenBroker.normalizeApis(normalizeScopes(req.query.apis));
+      const tokenResponse = await getAccessToken(
+        profile.getCredentialConfig(),
+        inputToken,
         {
-          audience,
-          grant_type: grantType,
-          requested_token_type: requestedTokenType,
-          scope,
-          subject_token_type: subjectTokenType,
-          subject_token: subjectToken,
-          options: JSON.stringify(options),
-        },
+          scopes,
+          requestedTokenType: req.query.requested_token_type,
+          delegates: delegates.length ? delegates : undefined,
+          impersonate: req.query.impersonate !== "false",
+        }
+      );
+      const { handle, id, expires_in } = tokenBroker.issue(
+        tokenResponse.access_token,
         {
-          headers: {
-            "Content-Type": "application/x-www-form-urlencoded",
-          },
+          expiresIn: tokenResponse.expires_in,
+          apis,
+          profile: profile.name,
+          scopes,
+          serviceAccount: tokenResponse.service_account,
         }
       );
-      const accessToken = response.data.access_token;
-      // Hash the access token.
-      const hashedToken = crypto
-        .createHash("sha256")
-        .update(accessToken)
-        .digest("hex");
-      // Store the hashed token and its corresponding real access token in local storage.
-      tokenMap.set(hashedToken, accessToken);
-      res.status(200).json({ access_token: hashedToken });
+      auditTokenIssued(req, { route: "gcpaccesstoken", profile: profile.name, type: "handle", handleId: id });
+      res.status(200).json({ access_token: handle, id, expires_in, apis });
     } catch (error) {
-      res.status(400).json({ error: error.message });
+      res.status(error.status || 400).json({ error: error.message });
     }
   });
 
   /**
-   * Retrieves a list of GCP projects using the `resourcemanager.googleapis.com/projects` API.
+   * Lists the live access token handles. Only the handle IDs are returned, not the handles.
+   *
+   * @param {Object} res - The response object.
+   */
+  routes.get("/handles", {
+    operationId: "listHandles",
+    summary: "Lists the live access token handles. Only the handle IDs are returned, not the handles.",
+    tags: ["GCP Access Token"],
+    responses: {
+      200: {
+        description: "OK",
+        schema: { type: "object", properties: { handles: { type: "array", items: { $ref: "Handle" } } } },
+      },
+    },
+  }, (_, res) => {
+    res.status(200).json({ handles: tokenBroker.list() });
+  });
+
+  /**
+   * Revokes the access token handle with the provided ID.
    *
    * @param {Object} req - The request object.
-   * @param {string} req.body.access_token - The input access token.
+   * @param {string} req.params.id - The handle ID returned by /gcpaccesstoken and /handles.
    * @param {Object} res - The response object.
-   * @returns {Promise<void>} - A Promise that resolves when the response is sent.
    */
-  app.post("/gcpprojects", async (req, res) => {
-    const hashedToken = req.body?.access_token;
-    if (!hashedToken) {
-      res.status(400).json({ error: "Missing access token." });
+  routes.delete("/handles/:id", {
+    operationId: "revokeHandleById",
+    summary: "Revokes the access token handle with the provided ID.",
+    tags: ["GCP Access Token"],
+    params: { id: { description: "The handle ID returned by /gcpaccesstoken and /handles." } },
+    responses: {
+      200: { description: "OK", schema: { type: "object", properties: { revoked: { type: "boolean" } } } },
+      404: { description: "Unknown handle.", schema: ERROR },
+    },
+  }, (req, res) => {
+    if (!tokenBroker.revokeById(req.params.id)) {
+      res.status(404).json({ error: "Unknown handle." });
       return;
     }
+    res.status(200).json({ revoked: true });
+  });
+
+  /**
+   * Revokes the access token handle in the request body.
+   *
+   * @param {Object} req - The request object.
+   * @param {string} req.body.access_token - The handle returned by /gcpaccesstoken.
+   * @param {Object} res - The response object.
+   */
+  routes.post("/handles/revoke", {
+    operationId: "revokeHandle",
+    summary: "Revokes the access token handle in the request body.",
+    tags: ["GCP Access Token"],
+    body: {
+      schema: { type: "object", required: ["access_token"], properties: { access_token: HANDLE_PARAM } },
+    },
+    responses: {
+      200: {
+        description: "Whether a live handle was revoked.",
+        schema: { type: "object", properties: { revoked: { type: "boolean" } } },
+      },
+    },
+  }, (req, res) => {
+    res.status(200).json({ revoked: tokenBroker.revoke(req.body.access_token) });
+  });
 
-    // Retrieve the real access token from local storage using the hashed token.
-    const realToken = tokenMap.get(hashedToken);
+  /**
+   * Lists the GCP projects visible to the access token using the
+   * `cloudresourcemanager.googleapis.com/v1/projects` API, following all the result pages.
+   * GCP errors are returned with their HTTP status and canonical code, e.g. 403 and
+   * PERMISSION_DENIED.
+   *
+   * @param {Object} req - The request object.
+   * @param {string} req.body.access_token - The access token handle returned by /gcpaccesstoken.
+   * @param {string=} req.body.filter - The optional projects.list filter, e.g. labels.env:prod.
+   * @param {string=} req.body.parent - The optional parent, folders/ID or organizations/ID.
+   * @param {string=} req.body.lifecycle_state - The optional lifecycle state, e.g. ACTIVE.
+   * @param {Object} res - The response object.
+   * @returns {Promise<void>} - A Promise that resolves when the response is sent.
+   */
+  routes.post("/gcpprojects", {
+    operationId: "gcpprojects",
+    summary:
+      "Retrieves all the GCP projects visible to the access token using the `cloudresourcemanager.googleapis.com/projects` API.",
+    tags: ["GCP Projects"],
+    body: {
+      schema: {
+        type: "object",
+        required: ["access_token"],
+        properties: {
+          access_token: HANDLE_PARAM,
+          filter: { type: "string", description: "The projects.list filter, e.g. labels.env:prod or name:sales*." },
+          parent: {
+            type: "string",
+            pattern: "^(folders|organizations)/\\d+$",
+            description: "The parent folder or organization, folders/FOLDER_ID or organizations/ORG_ID.",
+          },
+          lifecycle_state: {
+            type: "string",
+            enum: ["ACTIVE", "DELETE_REQUESTED", "DELETE_IN_PROGRESS"],
+            description: "The project lifecycle state.",
+          },
+        },
+      },
+    },
+    responses: {
+      200: {
+        description: "OK",
+        schema: { type: "object", properties: { projects: { type: "array", items: { $ref: "Project" } } } },
+      },
+      400: { description: "Bad Request", schema: GOOGLE_API_ERROR },
+      401: { description: "Unknown, expired or revoked handle.", schema: ERROR },
+      403: { description: "The handle can't call this API, or permission denied.", schema: GOOGLE_API_ERROR },
+    },
+  }, async (req, res) => {
+    const realToken = resolveHandle(req, res, "projects");
     if (!realToken) {
-      res.status(400).json({ error: "Invalid access token." });
       return;
     }
     try {
-      const response = await axios.get(
-        "https://cloudresourcemanager.googleapis.com/v1/projects",
-        {
-          headers: {
-            Authorization: `Bearer ${realToken}`,
-          },
-        }
-      );
-      // const projects = response.data.projects.map(
-      //   (project) => project.projectId
-      // );
-      const projects = [
-    "sales-analysis-app",
-    "human-resource-management"]
+      const projects = await listProjects(realToken, {
+        filter: req.body.filter,
+        parent: req.body.parent,
+        lifecycleState: req.body.lifecycle_state,
+      });
       res.status(200).json({ projects });
     } catch (error) {
-      res.status(400).json({ error: error.message });
+      if (error instanceof GoogleApiError) {
+        res.status(error.status).json(error.toJSON());
+        return;
+      }
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * Runs the login flow of the profile unless its stored session can be
+   * reused (or force=true is set), and responds once signed in.
+   *
+   * @param {!Profile} profile The profile to sign in.
+   * @param {Object} req The Express request object.
+   * @param {Object} res The Express response object.
+   * @returns {Promise<void>} A Promise that resolves when the response is sent.
+   */
+  async function login(profile, req, res) {
+    try {
+      if (req.query.force === "true") {
+        await profile.login();
+      } else {
+        await profile.resume();
+      }
+      res.send(`Profile ${profile.name} signed in.`);
+    } catch (error) {
+      // JSON, since the message may carry the IdP error_description.
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Sends the page of a session route: a form submitting it. The session
+   * routes only accept POST requests from the same origin, so other pages
+   * cannot sign the user in or out.
+   *
+   * @param {Object} req The Express request object.
+   * @param {Object} res The Express response object.
+   * @param {string} route The session route, URL encoded.
+   * @param {string} label The button label.
+   */
+  function sendSessionPage(req, res, route, label) {
+    const action = req.query.force === "true" ? `${route}?force=true` : route;
+    res.type("html").send(`<form method="post" action="${action}"><button type="submit">${label}</button></form>`);
+  }
+
+  // The pages of the session routes, so they can still be visited.
+  app.get("/login", (req, res) => sendSessionPage(req, res, "/login", "Sign in"));
+  app.get("/logout", (req, res) => sendSessionPage(req, res, "/logout", "Sign out"));
+  app.get("/profiles/:name/:action(login|logout)", (req, res) => {
+    const profile = getProfile(req, res);
+    if (profile) {
+      const { action } = req.params;
+      const route = `/profiles/${encodeURIComponent(profile.name)}/${action}`;
+      sendSessionPage(req, res, route, action === "login" ? "Sign in" : "Sign out");
+    }
+  });
+
+  // Expose an endpoint to login again, e.g. after /logout, without
+  // restarting the server. The stored session is reused when still valid.
+  routes.post("/login", {
+    operationId: "login",
+    summary:
+      "Signs in the default profile, reusing its stored session when still valid. Responds once the login flow completes.",
+    tags: ["Authentication"],
+    query: {
+      force: {
+        description: "Set to true to run the login flow even when the stored session is still valid.",
+        schema: { type: "boolean" },
+      },
+    },
+    responses: {
+      200: { description: "Signed in.", contentType: "text/html", schema: { type: "string" } },
+      500: { description: "The sign in failed.", schema: ERROR },
+    },
+  }, (req, res) => login(defaultProfile, req, res));
+
+  routes.post("/profiles/:name/login", {
+    operationId: "profileLogin",
+    summary:
+      "Signs in the named profile, reusing its stored session when still valid. Responds once the login flow completes.",
+    tags: ["Authentication"],
+    params: { name: { description: "The profile name." } },
+    query: {
+      force: {
+        description: "Set to true to run the login flow even when the stored session is still valid.",
+        schema: { type: "boolean" },
+      },
+    },
+    responses: {
+      200: { description: "Signed in.", contentType: "text/html", schema: { type: "string" } },
+      404: { description: "Unknown profile.", schema: ERROR },
+      500: { description: "The sign in failed.", schema: ERROR },
+    },
+  }, async (req, res) => {
+    const profile = getProfile(req, res);
+    if (profile) {
+      await login(profile, req, res);
     }
   });
+
   // Expose an endpoint to logout the current session.
   // This will revoke and clear the stored refresh token and also
   // redirect the browser to the logout URL logging the user out
-  // from the browser too.
-  // On success, the server is also shutdown.
-  app.get("/logout", async (req, res) => {
+  // from the browser too. The server keeps running so /login can sign in
+  // again.
+  routes.post("/logout", {
+    operationId: "logout",
+    summary:
+      "Signs out of the default profile, revokes its access token handles and redirects to the IdP logout URL. The server keeps running.",
+    tags: ["Authentication"],
+    responses: {
+      200: { description: "Signed out.", contentType: "text/html", schema: { type: "string" } },
+      303: { description: "Redirect to the IdP logout URL." },
+      500: { description: "The sign out failed.", schema: ERROR },
+    },
+  }, async (req, res) => {
     try {
-      const refreshToken = await keytar.getPassword(APP_ID, "RefreshToken");
-      await keytar.deletePassword(APP_ID, "RefreshToken");
-      res.redirect(await client.revokeAndGetLogoutUrl(refreshToken));
-      server.close();
-      process.exit(0);
+      // The handles issued for the session would otherwise outlive it.
+      tokenBroker.revokeByProfile(defaultProfile.name);
+      const logoutUrl = await defaultProfile.logout();
+      if (logoutUrl) {
+        res.redirect(303, logoutUrl);
+      } else {
+        res.send("Signed out.");
+      }
+      if (options.onLogout) {
+        options.onLogout();
+      }
     } catch (error) {
-      res.status(500);
-      res.send(error.message);
+      res.status(500).json({ error: error.message });
     }
   });
 
-  /**
-   * Returns the dataset specified by datasetID.
-   *
-   * @param {Object} req - The request object.
-   * @param {Object} res - The response object.
-   * @returns {Promise<void>} - A Promise that resolves when the response is sent.
-   */
-  // app.get("/bigquery/:projectId/datasets/:datasetId", async (req, res) => {
-  app.post("/securityconsult", async (req, res) => {
-    console.log("!!!!! securityconsult");
+  // Expose an endpoint to logout the session of a named profile.
+  routes.post("/profiles/:name/logout", {
+    operationId: "profileLogout",
+    summary:
+      "Signs out of the named profile, revokes its access token handles and redirects to the IdP logout URL. The server keeps running.",
+    tags: ["Authentication"],
+    params: { name: { description: "The profile name." } },
+    responses: {
+      200: { description: "Signed out.", contentType: "text/html", schema: { type: "string" } },
+      303: { description: "Redirect to the IdP logout URL." },
+      404: { description: "Unknown profile.", schema: ERROR },
+      500: { description: "The sign out failed.", schema: ERROR },
+    },
+  }, async (req, res) => {
+    const profile = getProfile(req, res);
+    if (!profile) {
+      return;
+    }
+    try {
+      tokenBroker.revokeByProfile(profile.name);
+      const logoutUrl = await profile.logout();
+      if (logoutUrl) {
+        res.redirect(303, logoutUrl);
+      } else {
+        res.send(`Profile ${profile.name} signed out.`);
+      }
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  routes.post("/securityconsult", {
+    operationId: "securityconsult",
+    summary: "Consult if a given request/query is secure and provide security expert advice.",
+    tags: ["Security"],
+    body: {
+      schema: { type: "object", required: ["query_content"], properties: { query_content: { type: "string" } } },
+    },
+    responses: {
+      200: {
+        description: "OK",
+        schema: {
+          type: "object",
+          properties: { response: { type: "object", properties: { advice: { type: "string" } } } },
+        },
+      },
+    },
+  }, async (req, res) => {
     const { query_content } = req.body;
 
     try {
@@ -260,7 +791,6 @@ function startMetadataServer(client) {
           "The BigQuery get data API is a RESTful API that allows you to retrieve data from BigQuery tables. The API is secure by design, and Google takes security very seriously. However, there are some security concerns that you should be aware of when using the API.One concern is that the API requires that you authenticate with a Google Cloud Platform project. This means that anyone who has access to your project's credentials can use the API to access your data. Therefore, it is important to keep your project's credentials secure.Another concern is that the API allows you to retrieve data from any table in your project. This means that if you have a table that contains sensitive data, anyone who has access to your project's credentials could use the API to retrieve that data. Therefore, it is important to make sure that you only store sensitive data in tables that are protected with access controls.Finally, the API allows you to download data in a variety of formats, including CSV, JSON, and Avro. This means that if you download data in a format that is not encrypted, anyone who intercepts the download could view your data. Therefore, it is important to only download data in formats that are encrypted.Overall, the BigQuery get data API is a secure API that allows you to retrieve data from BigQuery tables. However, there are some security concerns that you should be aware of when using the API. These concerns include the need to keep your project's credentials secure, the need to protect sensitive data with access controls, and the need to only download data in encrypted formats.",
       };
 
-      console.log("!!!!! response: ", response);
       res.status(200).json({ response });
     } catch (error) {
       res.status(400).json({ error: error.message });
@@ -268,200 +798,778 @@ function startMetadataServer(client) {
   });
 
   /**
-   * Returns the dataset specified by datasetID.
+   * Runs a BigQuery query, or returns the metadata of a dataset or table when no query is
+   * provided. Query rows are decoded into JSON objects typed according to the result schema.
+   * GCP errors are returned with their HTTP status and canonical code.
    *
    * @param {Object} req - The request object.
-   * @param {string} req.params.projectId - The Project ID of the requested dataset.
-   * @param {string} req.params.datasetId - The Dataset ID of the requested dataset.
+   * @param {string} req.body.access_token - The access token handle returned by /gcpaccesstoken.
+   * @param {string} req.body.projectId - The project the query runs in, or of the dataset.
+   * @param {string=} req.body.datasetId - The dataset to look up, or the default dataset of
+   *     the query.
+   * @param {string=} req.body.tableId - The table to look up.
+   * @param {string=} req.body.query - The standard SQL query to run.
+   * @param {Object=} req.body.params - The named query parameters, e.g. {"city": "Chicago"}.
+   * @param {string=} req.body.location - The location of the query job.
+   * @param {number=} req.body.maxRows - The maximum number of rows returned.
    * @param {Object} res - The response object.
    * @returns {Promise<void>} - A Promise that resolves when the response is sent.
    */
-  // app.get("/bigquery/:projectId/datasets/:datasetId", async (req, res) => {
-  app.post("/bigquery", async (req, res) => {
-    console.log("!!!!! bigquery");
-    const { access_token, projectId, datasetId } = req.body;
-
-    if (!access_token) {
-      res.status(400).json({ error: "Missing access token." });
-      return;
-    }
-
-    // // Retrieve the real access token from local storage using the hashed token.
-    // const realToken = tokenMap.get(access_token);
-    // // const realToken = tokenMap.get(tokenMap.keys().next().value);
-    // console.log(realToken);
-    // if (!realToken) {
-    //   res.status(400).json({ error: "Invalid access token." });
-    //   return;
-    // }
-
-    r = {
-      kind: "bigquery#queryResponse",
+  routes.post("/bigquery", {
+    operationId: "bigquery",
+    summary:
+      "Runs a BigQuery standard SQL query when query is provided, otherwise returns the metadata of the table (tableId) or dataset (datasetId).",
+    tags: ["BigQuery"],
+    body: {
       schema: {
-        fields: [
-          {
-            name: "name",
-            type: "STRING",
-            mode: "NULLABLE",
+        type: "object",
+        required: ["access_token", "projectId"],
+        properties: {
+          access_token: HANDLE_PARAM,
+          projectId: {
+            type: "string",
+            minLength: 1,
+            description: "The project the query runs in, or the project of the dataset.",
           },
-          {
-            name: "age",
-            type: "INTEGER",
-            mode: "NULLABLE",
+          datasetId: {
+            type: "string",
+            description:
+              "The dataset to look up, or the default dataset used for unqualified table names in the query.",
           },
-          {
-            name: "city",
-            type: "STRING",
-            mode: "NULLABLE",
+          tableId: { type: "string", description: "The table to look up in the dataset." },
+          query: {
+            type: "string",
+            description: "The standard SQL query to run. Named parameters are referenced as @name.",
           },
-          {
-            name: "email",
-            type: "STRING",
-            mode: "NULLABLE",
+          params: {
+            type: "object",
+            description:
+              'The named query parameter values keyed by name. Types are inferred from the values, or set explicitly with {"type", "value"}.',
+          },
+          location: { type: "string", description: "The location of the query job, e.g. US." },
+          maxRows: {
+            type: "integer",
+            minimum: 1,
+            description: "The maximum number of rows returned. Defaults to 10000.",
           },
-        ],
-      },
-      jobReference: {
-        projectId: "my_project",
-        jobId: "job_ABCD1234EFGH",
-      },
-      totalRows: "3",
-      rows: [
-        {
-          f: [
-            {
-              v: "John Doe",
-            },
-            {
-              v: "30",
-            },
-            {
-              v: "New York",
-            },
-            {
-              v: "john.doe@example.com",
-            },
-          ],
-        },
-        {
-          f: [
-            {
-              v: "Jane Smith",
-            },
-            {
-              v: "25",
-            },
-            {
-              v: "Los Angeles",
-            },
-            {
-              v: "jane.smith@example.com",
-            },
-          ],
         },
-        {
-          f: [
-            {
-              v: "Alice Johnson",
-            },
-            {
-              v: "35",
-            },
-            {
-              v: "Chicago",
-            },
-            {
-              v: "alice.johnson@example.com",
-            },
-          ],
+      },
+    },
+    responses: {
+      200: {
+        description: "OK",
+        schema: {
+          type: "object",
+          properties: {
+            response: { oneOf: [{ $ref: "QueryResult" }, { $ref: "Dataset" }, { $ref: "Table" }] },
+          },
         },
-      ],
-      totalBytesProcessed: "123456",
-      jobComplete: true,
-      cacheHit: false,
-    };
-
+      },
+      400: { description: "Bad Request", schema: GOOGLE_API_ERROR },
+      401: { description: "Unknown, expired or revoked handle.", schema: ERROR },
+      403: { description: "The handle can't call this API, or permission denied.", schema: GOOGLE_API_ERROR },
+      404: { description: "Not Found", schema: GOOGLE_API_ERROR },
+    },
+  }, async (req, res) => {
+    const { projectId, datasetId, tableId, query, params, location, maxRows } = req.body;
 
-    const token =
-      "ya29.a0AfB_byCNzWIyIhNKDyrLGfHORgFiEZsP7RExSxefVd09rAQewdAL3vIw1ZPCM8pfqrY3kMgau7EO2qhvmuuoYHwuqyaFaPJU3wrvHihOKuwttB0FjRvdo6WYSE187wEzye7uYXiLA_CJratHlMUvwR3evWRFWL56QlTx-Ng-nI9vl2QeaCgYKAZgSARISFQHsvYlsuaDbXuDRZetLnEUElHPk1A0183";
+    const realToken = resolveHandle(req, res, "bigquery");
+    if (!realToken) {
+      return;
+    }
 
     try {
-      // const url = `https://bigquery.googleapis.com/bigquery/v2/projects/${projectId}/datasets/${datasetId}`;
-      // const response = await axios.get(url, {
-      //   headers: {
-      //     // Authorization: `Bearer ${realToken}`,
-      //     Authorization: `Bearer ${token}`,
-      //   },
-      // });
-      // const dataset = response.data;
-      // const response = {
-      //   advice:
-      //     "The BigQuery get data API is a RESTful API that allows you to retrieve data from BigQuery tables. The API is secure by design, and Google takes security very seriously. However, there are some security concerns that you should be aware of when using the API.One concern is that the API requires that you authenticate with a Google Cloud Platform project. This means that anyone who has access to your project's credentials can use the API to access your data. Therefore, it is important to keep your project's credentials secure.Another concern is that the API allows you to retrieve data from any table in your project. This means that if you have a table that contains sensitive data, anyone who has access to your project's credentials could use the API to retrieve that data. Therefore, it is important to make sure that you only store sensitive data in tables that are protected with access controls.Finally, the API allows you to download data in a variety of formats, including CSV, JSON, and Avro. This means that if you download data in a format that is not encrypted, anyone who intercepts the download could view your data. Therefore, it is important to only download data in formats that are encrypted.Overall, the BigQuery get data API is a secure API that allows you to retrieve data from BigQuery tables. However, there are some security concerns that you should be aware of when using the API. These concerns include the need to keep your project's credentials secure, the need to protect sensitive data with access controls, and the need to only download data in encrypted formats.",
-      // };
-      const response = r;
-      console.log("!!!!! response: ", response);
+      let response;
+      if (query) {
+        response = await runQuery(realToken, projectId, {
+          query,
+          params,
+          datasetId,
+          location,
+          maxRows,
+        });
+      } else if (datasetId && tableId) {
+        response = await getTable(realToken, projectId, datasetId, tableId);
+      } else if (datasetId) {
+        response = await getDataset(realToken, projectId, datasetId);
+      } else {
+        res.status(400).json({ error: "Missing query or datasetId." });
+        return;
+      }
       res.status(200).json({ response });
     } catch (error) {
-      res.status(400).json({ error: error.message });
+      if (error instanceof GoogleApiError) {
+        res.status(error.status).json(error.toJSON());
+        return;
+      }
+      res.status(500).json({ error: error.message });
     }
   });
+
+  /**
+   * GET /openapi.yaml
+   * GET /openapi.json
+   * Returns the OpenAPI document generated from the route registry, used by
+   * the plugin manifest in /.well-known/ai-plugin.json.
+   */
+  app.get("/openapi.yaml", callerAuth.authorize("openapi"), (req, res) => {
+    res.type("text/yaml").send(routes.toOpenApiYaml(`${req.protocol}://${req.get("host")}`));
+  });
+  app.get("/openapi.json", callerAuth.authorize("openapi"), (req, res) => {
+    res.json(routes.toOpenApi(`${req.protocol}://${req.get("host")}`));
+  });
+
+  /**
+   * POST /mcp
+   * Serves the MCP Streamable HTTP transport. The tools call the routes above
+   * in-process, see mcp.js.
+   */
+  app.locals.mcp = new McpServer(routes, { name: "workforce-pool-metadata-server", version: OPENAPI_INFO.version });
+  app.all("/mcp", callerAuth.authorize("mcp"), app.locals.mcp.createHttpHandler({ allowedOrigins: corsOrigins }));
+
+  return app;
 }
 
 /**
- * Starts the metadata server for token retrieval and sign-out
- * after a session is established.
- * If a session is not available, triggers the authorization flow
- * first before starting the metadata server.
+ * Starts listening for the metadata server requests on a Unix domain socket
+ * only accessible to the user. A socket left over by a previous run is
+ * replaced.
+ * @param {!express.Application} app The metadata server app.
+ * @param {string} socketPath The socket file.
+ * @param {!CallerAuth} callerAuth The caller authentication trusting the
+ *     socket connections.
+ * @returns {!Promise<!http.Server>} A promise that resolves with the
+ *     listening server.
  */
-async function main() {
-  const client = new OAuthClientServer(oauthConfigJson);
+function listenOnSocket(app, socketPath, callerAuth) {
+  if (fs.existsSync(socketPath)) {
+    if (!fs.lstatSync(socketPath).isSocket()) {
+      throw new Error(`Not a socket: ${socketPath}`);
+    }
+    fs.unlinkSync(socketPath);
+  }
+  return new Promise((resolve, reject) => {
+    const server = http.createServer(app);
+    callerAuth.trustServer(server);
+    server.on("error", reject);
+    // Create the socket file without group and other permissions.
+    const umask = process.umask(0o177);
+    try {
+      server.listen(socketPath, () => {
+        fs.chmodSync(socketPath, 0o600);
+        logger.info(`Starting metadata server on socket ${socketPath}`);
+        resolve(server);
+      });
+    } finally {
+      process.umask(umask);
+    }
+  });
+}
 
-  // Login everytime the server is started.
+/**
+ * Starts the metadata server serving all the provided login profiles.
+ * @param {!Map<string, !Profile>} profiles The login profiles keyed by name.
+ * @param {!Profile} defaultProfile The profile served by the /token, /idptoken
+ *     and /logout routes.
+ * @param {{port: (number|undefined), corsOrigins: (!Array<string>|undefined),
+ *     callerAuth: (!CallerAuth|undefined), socketPath: (string|undefined)}=}
+ *     options The optional port to listen on, 0 for a free port, the origins
+ *     allowed to call the server from a browser, the caller authentication
+ *     and the Unix domain socket also listened on.
+ * @returns {!Promise<!Array<!http.Server>>} A promise that resolves with the
+ *     listening servers: TCP, then the Unix domain socket if any.
+ */
+async function startMetadataServer(profiles, defaultProfile, options = {}) {
+  const callerAuth = options.callerAuth || new CallerAuth();
+  const app = createMetadataApp(profiles, defaultProfile, {
+    onLogout: () => logger.info(
+        `Signed out, sign in again at http://${HOST}:${server.address().port}/login`),
+    corsOrigins: options.corsOrigins,
+    callerAuth,
+  });
+  const server = await new Promise((resolve, reject) => {
+    // Start the server and log all the available endpoints.
+    const listener = app.listen(options.port ?? PORT, HOST, () => {
+      const serverAddress = `http://${HOST}:${listener.address().port}`;
+      logger.info(`Starting metadata server ${serverAddress}`, {
+        tokenEndpoint: `${serverAddress}/token`,
+        signinEndpoint: `${serverAddress}/login`,
+        signoutEndpoint: `${serverAddress}/logout`,
+        gceMetadataHost: `${HOST}:${listener.address().port}`,
+        statusEndpoint: `${serverAddress}/status`,
+        mcpEndpoint: `${serverAddress}/mcp`,
+      });
+      for (const profile of profiles.values()) {
+        logger.info(`Profile ${profile.name} token endpoint: ${serverAddress}${profile.getTokenPath()}`);
+      }
+      resolve(listener);
+    });
+    listener.on("error", reject);
+  });
+  if (!options.socketPath) {
+    return [server];
+  }
   try {
-    await keytar.deletePassword(APP_ID, 'RefreshToken');
-    // "offline_access" is needed since we need to get and store a refresh
-    // token.
-    // "email" is needed so the JWT will also contain a user friendly
-    // email identifier.
-    const jsonResponse = await client.authorize('offline_access email');
-    // Save new refresh token if returned.
-    if (jsonResponse.refresh_token) {
-      await keytar.setPassword(
-          APP_ID, 'RefreshToken', jsonResponse.refresh_token);
-    }
-    // Start metadata server.
-    startMetadataServer(client);
+    return [server, await listenOnSocket(app, options.socketPath, callerAuth)];
+  } catch (error) {
+    server.close();
+    throw error;
+  }
+}
+
+/**
+ * Tracks the open connections of a server and their requests in flight, so
+ * the idle ones can be closed on shutdown. Node 16 has no
+ * closeIdleConnections() and closeAllConnections().
+ * @param {!http.Server} server The listening server.
+ * @return {{closeIdle: function(), closeAll: function()}} The functions
+ *     closing the idle connections, and the busy ones once their response is
+ *     sent, or all the connections.
+ */
+function trackConnections(server) {
+  // The number of requests in flight keyed by open connection.
+  const connections = new Map();
+  let closing = false;
+  server.on('connection', (socket) => {
+    connections.set(socket, 0);
+    socket.once('close', () => connections.delete(socket));
+  });
+  server.on('request', (req, res) => {
+    const socket = req.socket;
+    connections.set(socket, (connections.get(socket) || 0) + 1);
+    res.once('close', () => {
+      if (!connections.has(socket)) {
+        return;
+      }
+      const pending = connections.get(socket) - 1;
+      connections.set(socket, pending);
+      if (closing && !pending) {
+        socket.end();
+      }
+    });
+  });
+  return {
+    closeIdle() {
+      closing = true;
+      for (const [socket, pending] of connections) {
+        if (!pending) {
+          socket.end();
+        }
+      }
+    },
+    closeAll() {
+      for (const socket of connections.keys()) {
+        socket.destroy();
+      }
+    },
+  };
+}
+
+/**
+ * Stops the metadata servers cleanly on SIGINT and SIGTERM: pending logins are
+ * cancelled, no new connections are accepted and in-flight requests get
+ * SHUTDOWN_GRACE_MS to complete. A second signal exits immediately.
+ * @param {!Array<!http.Server>} servers The metadata servers, just started.
+ * @param {!Map<string, !Profile>} profiles The login profiles keyed by name.
+ */
+function stopOnSignals(servers, profiles) {
+  const connections = servers.map((server) => trackConnections(server));
+  const shutdown = (signal) => {
+    logger.info(`Received ${signal}, shutting down`);
+    process.removeListener('SIGINT', shutdown);
+    process.removeListener('SIGTERM', shutdown);
+    for (const profile of profiles.values()) {
+      profile.close();
+    }
+    servers.forEach((server, index) => {
+      server.close(() => logger.info('Metadata server stopped'));
+      connections[index].closeIdle();
+      setTimeout(() => connections[index].closeAll(), SHUTDOWN_GRACE_MS)
+          .unref();
+    });
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
+
+/**
+ * Logs the details of the outgoing API requests in debug mode. Tokens in the
+ * headers and bodies are replaced with truncated fingerprints by the logger.
+ */
+function logOutgoingRequests() {
+  axios.interceptors.request.use((config) => {
+    logger.debug("Outgoing request", {
+      method: config.method,
+      url: config.url,
+      headers: config.headers,
+      body: config.data,
+    });
+    return config;
+  });
+}
+
+/**
+ * Returns the profile with the provided name, or the default profile when no
+ * name is provided.
+ * @param {!Map<string, !Profile>} profiles The login profiles keyed by name.
+ * @param {!Profile} defaultProfile The default profile.
+ * @param {string=} name The optional profile name.
+ * @return {!Profile} The matching profile.
+ */
+function findProfile(profiles, defaultProfile, name) {
+  const profile = name ? profiles.get(name) : defaultProfile;
+  if (!profile) {
+    throw new Error(`Unknown profile: ${name}`);
+  }
+  return profile;
+}
+
+/**
+ * Prints the login profiles and whether a session is stored for each.
+ * @param {!Map<string, !Profile>} profiles The login profiles keyed by name.
+ * @param {!Profile} defaultProfile The default profile.
+ */
+async function listProfiles(profiles, defaultProfile) {
+  for (const profile of profiles.values()) {
+    const session = await profile.hasSession() ? 'signed in' : 'signed out';
+    const marker = profile === defaultProfile ? ' (default)' : '';
+    console.log(`${profile.name}${marker}\t${profile.type}\t${session}`);
+  }
+}
+
+/**
+ * Prints the external_account credential_source to use for each profile: the
+ * profile token route of this server, or the executable source when the
+ * callers are authenticated.
+ * @param {!Map<string, !Profile>} profiles The login profiles keyed by name.
+ * @param {!Profile} defaultProfile The default profile.
+ * @param {*=} callerAuthConfig The callerAuth field of profiles.json.
+ */
+function printCredentialSources(profiles, defaultProfile, callerAuthConfig) {
+  const anonymousToken = allowsAnonymousTokens(callerAuthConfig);
+  for (const profile of profiles.values()) {
+    const credentialSource = buildCredentialSource(anonymousToken ? {
+      type: 'url',
+      url: `http://${HOST}:${PORT}${profile.getTokenPath()}`,
+    } : {
+      type: 'executable',
+      command: `node ${path.join(__dirname, 'executable.js')} ${profile.name}`,
+    });
+    const marker = profile === defaultProfile ? ' (default)' : '';
+    console.log(`# ${profile.name}${marker}`);
+    console.log(JSON.stringify(
+        {credential_source: credentialSource}, null, 2));
+  }
+}
+
+/**
+ * Returns the value of a --name=value command line flag.
+ * @param {string} name The flag name.
+ * @return {string|undefined} The flag value or undefined if not set.
+ */
+function getFlagValue(name) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find((arg) => arg.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : undefined;
+}
+
+/**
+ * Returns the values of a repeatable command line flag: --name=VALUE.
+ * @param {string} name The flag name.
+ * @return {!Array<string>} The flag values, in order.
+ */
+function getFlagValues(name) {
+  const prefix = `--${name}=`;
+  return process.argv.filter((arg) => arg.startsWith(prefix))
+      .map((arg) => arg.slice(prefix.length));
+}
+
+/**
+ * Returns the headers of the URL credential source, set with the repeatable
+ * --header="Name: value" flag.
+ * @return {!Object<string, string>|undefined} The headers keyed by name, or
+ *     undefined if none is set.
+ */
+function getSourceHeaders() {
+  const flags = getFlagValues('header');
+  if (!flags.length) {
+    return undefined;
+  }
+  const headers = {};
+  for (const flag of flags) {
+    const separator = flag.indexOf(':');
+    const name = flag.slice(0, separator).trim();
+    if (separator < 0 || !name) {
+      throw new Error(`Invalid --header: ${flag} (expected "Name: value")`);
+    }
+    headers[name] = flag.slice(separator + 1).trim();
+  }
+  return headers;
+}
+
+/**
+ * Returns the origins allowed to call the metadata server from a browser,
+ * set with the comma delimited --cors-origin flag.
+ * @return {!Array<string>} The origins, '*' for any, none by default.
+ */
+function getCorsOrigins() {
+  return (getFlagValue('cors-origin') || '').split(',')
+      .map((origin) => origin.trim())
+      .filter(Boolean);
+}
+
+/**
+ * Returns the caller authentication configured in profiles.json and on the
+ * command line. It is enabled unless the callerAuth field of profiles.json
+ * sets enabled to false, or --no-caller-auth is set.
+ * @param {{enabled: (boolean|undefined),
+ *     allow: (!Object<string, !Array<string>>|undefined)}|undefined}
+ *     callerAuthConfig The callerAuth field of profiles.json.
+ * @return {!CallerAuth} The caller authentication.
+ */
+function getCallerAuth(callerAuthConfig) {
+  const config = callerAuthConfig || {};
+  return new CallerAuth({
+    enabled: config.enabled !== false &&
+        !process.argv.includes('--no-caller-auth'),
+    allow: config.allow,
+  });
+}
+
+/**
+ * Returns whether the profile token routes are allowed to anonymous callers,
+ * e.g. the SDKs using URL sources.
+ * @param {*=} callerAuthConfig The callerAuth field of profiles.json.
+ * @return {boolean} True if anonymous callers can get the profile tokens.
+ */
+function allowsAnonymousTokens(callerAuthConfig) {
+  const callerAuth = getCallerAuth(callerAuthConfig);
+  return !callerAuth.enabled ||
+      callerAuth.getAllowedCallers('profileToken').includes('anonymous');
+}
+
+/**
+ * Returns the metadata server options set on the command line and in
+ * profiles.json: the CORS origins, the caller authentication and the Unix
+ * domain socket set with --socket=PATH. When the callers are authenticated, a
+ * new caller secret is written for this run.
+ * @param {{enabled: (boolean|undefined), secretFile: (string|undefined),
+ *     socket: (string|undefined),
+ *     allow: (!Object<string, !Array<string>>|undefined)}|undefined}
+ *     callerAuthConfig The callerAuth field of profiles.json. --socket and
+ *     --caller-secret-file override its socket and secretFile.
+ * @return {{corsOrigins: !Array<string>, callerAuth: !CallerAuth,
+ *     socketPath: (string|undefined)}} The metadata server options.
+ */
+function getServerOptions(callerAuthConfig) {
+  const config = callerAuthConfig || {};
+  const socketPath = getFlagValue('socket') || config.socket;
+  const callerAuth = getCallerAuth(callerAuthConfig);
+  if (callerAuth.enabled) {
+    const secretFile = callerAuth.writeSecret(
+        getFlagValue('caller-secret-file') || config.secretFile);
+    logger.info('Caller authentication enabled, the callers must send the ' +
+        'secret of secretFile in the Authorization header', {secretFile});
+  } else {
+    logger.warn('Caller authentication disabled, any local process can get ' +
+        'the tokens of the signed in identity');
+  }
+  return {corsOrigins: getCorsOrigins(), callerAuth, socketPath};
+}
+
+/**
+ * Serves the MCP tools of the metadata server on stdio, for agents starting
+ * the server as a subprocess, until stdin is closed. No login flow runs:
+ * the tools use the stored sessions, so stdout only carries the protocol.
+ * @param {!Map<string, !Profile>} profiles The login profiles keyed by name.
+ * @param {!Profile} defaultProfile The default profile.
+ */
+async function serveMcp(profiles, defaultProfile) {
+  const app = createMetadataApp(profiles, defaultProfile);
+  logger.info('Serving the MCP tools on stdio');
+  await app.locals.mcp.serveStdio(process.stdin, process.stdout);
+  for (const profile of profiles.values()) {
+    profile.close();
+  }
+}
+
+/**
+ * Returns the login mode selected on the command line: --device for the
+ * device authorization grant, --manual to paste the redirect URL.
+ * @return {string|undefined} The login mode or undefined to use the profile
+ *     one.
+ */
+function getLoginMode() {
+  if (process.argv.includes('--device')) {
+    return 'device';
+  }
+  if (process.argv.includes('--manual')) {
+    return 'manual';
+  }
+  return undefined;
+}
+
+/**
+ * Copies the stored sessions of all the profiles from one storage backend to
+ * another. The options of the configured backend are used when its type is
+ * selected, the default options otherwise.
+ * @param {!Map<string, !Profile>} profiles The login profiles keyed by name.
+ * @param {{type: string}} storageConfig The configured storage backend.
+ * @param {string|undefined} from The source backend type, defaults to the
+ *     configured backend.
+ * @param {string|undefined} to The destination backend type.
+ */
+async function migrate(profiles, storageConfig, from, to) {
+  if (!to) {
+    throw new Error('Usage: migrate [--from=TYPE] --to=TYPE');
+  }
+  const getConfig = (type) =>
+    !type || type === storageConfig.type ? storageConfig : {type};
+  const fromConfig = getConfig(from);
+  const toConfig = getConfig(to);
+  if (fromConfig.type === toConfig.type) {
+    throw new Error(`Sessions are already stored in ${toConfig.type}`);
+  }
+  const migrated = await migrateSessions(profiles.values(),
+      createStore(fromConfig), createStore(toConfig));
+  console.log(`Copied ${migrated.length} session(s) from ` +
+      `${fromConfig.type} to ${toConfig.type}: ${migrated.join(', ')}`);
+}
+
+/**
+ * Generates an external_account credential config for the profile from the
+ * command line flags, validates it and checks that its credential source is
+ * live. The config is written to --output-file, or printed. URL sources on
+ * this server are refused when the callers are authenticated, since the SDKs
+ * cannot send the caller secret of each run: the executable source is then
+ * the default.
+ * @param {!Profile} profile The profile whose session is the subject token
+ *     source.
+ * @param {*=} callerAuthConfig The callerAuth field of profiles.json.
+ */
+async function createCredConfig(profile, callerAuthConfig) {
+  const anonymousToken = allowsAnonymousTokens(callerAuthConfig);
+  const sourceType = getFlagValue('source') ||
+      (anonymousToken ? 'url' : 'executable');
+  const url = getFlagValue('url') ||
+      `http://${HOST}:${PORT}${profile.getTokenPath()}`;
+  const {hostname, port} = new URL(url);
+  if (sourceType === 'url' && !anonymousToken &&
+      ['localhost', '127.0.0.1', '[::1]'].includes(hostname) &&
+      port === String(PORT)) {
+    throw new Error('Caller authentication is configured, so the metadata ' +
+        'server rejects URL sources without the caller secret, which ' +
+        'changes on every run. Use --source=executable instead.');
+  }
+  const credentialConfig = buildCredentialConfig({
+    pool: getFlagValue('pool'),
+    provider: getFlagValue('provider'),
+    location: getFlagValue('location'),
+    billingProject: getFlagValue('billing-project'),
+    tokenType: getFlagValue('token-type') ||
+        (profile.type === 'saml' ? 'saml2' : 'oidc'),
+    tokenUrl: getFlagValue('token-url'),
+    source: {
+      type: sourceType,
+      url,
+      headers: getSourceHeaders(),
+      file: getFlagValue('file'),
+      command: getFlagValue('command') ||
+          `node ${path.join(__dirname, 'executable.js')} ${profile.name}`,
+      timeoutMillis: getFlagValue('timeout-millis') &&
+          Number(getFlagValue('timeout-millis')),
+      outputFile: getFlagValue('executable-output-file'),
+    },
+    serviceAccount: getFlagValue('service-account'),
+    tokenLifetimeSeconds: getFlagValue('token-lifetime'),
+  });
+  assertValidCredentialConfig(credentialConfig);
+  const json = `${JSON.stringify(credentialConfig, null, 2)}\n`;
+  const outputFile = getFlagValue('output-file');
+  if (outputFile) {
+    fs.writeFileSync(outputFile, json);
+    console.log(`Wrote ${outputFile}`);
+  } else {
+    process.stdout.write(json);
+  }
+  if (!process.argv.includes('--skip-check')) {
+    const {live, message} = await checkCredentialSource(credentialConfig);
+    if (live) {
+      logger.info(`Credential source check: ${message}`);
+    } else {
+      logger.warn(`Credential source check: ${message}`);
+    }
+  }
+}
+
+/**
+ * Evaluates the attribute mapping and attribute condition of the profile's
+ * provider against the stored session token, and prints the mapped
+ * attributes and the principal identifiers IAM bindings would match. The
+ * --mapping (gcloud --attribute-mapping syntax), --mapping-file (a JSON
+ * object) and --condition flags override the profile's attributeMapping and
+ * attributeCondition. The pool is read from --pool and --location, or from
+ * the profile's credential config audience.
+ * @param {!Profile} profile The profile whose session is evaluated.
+ */
+async function simulateAttributeMapping(profile) {
+  const mappingFile = getFlagValue('mapping-file');
+  const mapping = getFlagValue('mapping') || (mappingFile ?
+    JSON.parse(fs.readFileSync(mappingFile, 'utf8')) :
+    profile.attributeMapping);
+  if (!mapping) {
+    throw new Error('No attribute mapping: set the profile ' +
+        'attributeMapping or use --mapping=google.subject=assertion.sub');
+  }
+  const pool = getFlagValue('pool');
+  const location = getFlagValue('location') || 'global';
+  let poolResource = pool && `locations/${location}/workforcePools/${pool}`;
+  if (!poolResource) {
+    try {
+      poolResource = getPoolResource(profile.getCredentialConfig().audience);
+    } catch (error) {
+      logger.warn('No pool to list the principal identifiers, use --pool', {
+        error,
+      });
+    }
+  }
+  const session = await profile.getSessionToken();
+  if (!session) {
+    throw new Error('No session detected. Please login first.');
+  }
+
+  const result = simulateMapping({
+    mapping: parseAttributeMapping(mapping),
+    condition: getFlagValue('condition') || profile.attributeCondition,
+    assertion: getAssertion(session),
+    poolResource,
+  });
+  const attributes = {google: result.google, attribute: result.attribute};
+  for (const [prefix, values] of Object.entries(attributes)) {
+    for (const [name, value] of Object.entries(values)) {
+      console.log(`${prefix}.${name}: ${JSON.stringify(value)}`);
+    }
+  }
+  if (result.condition !== null) {
+    console.log(`Attribute condition: ${result.condition}`);
+  }
+  if (result.principals.length) {
+    console.log(`Principals:\n  ${result.principals.join('\n  ')}`);
+  }
+  if (result.problems.length) {
+    throw new Error('STS would reject the session token:\n- ' +
+        result.problems.join('\n- '));
+  }
+}
+
+/**
+ * Runs the login profile commands:
+ * - profiles: lists the profiles.
+ * - login [name]: signs in the profile and stores its session.
+ * - logout [name]: revokes and clears the profile session.
+ * - credential-source: prints the credential_source for each profile.
+ * - serve: starts the metadata server for all profiles without signing in.
+ * - mcp: serves the MCP tools on stdio with the stored sessions, without
+ *   signing in. The metadata server also serves them at /mcp.
+ * - migrate [--from=TYPE] --to=TYPE: copies the stored sessions from one
+ *   storage backend to another.
+ * - create-cred-config [name] --pool=POOL --provider=PROVIDER ...: generates
+ *   the external_account credential config of the profile.
+ * - simulate-mapping [name] [--mapping=MAPPING] [--condition=CEL]: evaluates
+ *   the provider attribute mapping and condition against the profile
+ *   session.
+ * When no command is provided, the default profile signs in and the metadata
+ * server is started. The stored session is reused while the IdP still
+ * accepts it, unless started with --force-login. The server keeps running
+ * after /logout, so /login can sign in again, and stops on SIGINT or SIGTERM.
+ * The SAML login flow is used for the implicit default profile when started
+ * with --saml. OIDC profiles sign in with the device authorization grant when
+ * started with --device, or by pasting the redirect URL with --manual, e.g.
+ * over SSH or in containers without a browser.
+ * Browsers can only call the metadata server from the origins set with
+ * --cors-origin, comma delimited, '*' for any. Unless started with
+ * --no-caller-auth, callers must send the per-run secret written to
+ * ~/.workforce-pool/caller-secret (or --caller-secret-file=PATH), or connect
+ * to the Unix domain socket set with --socket=PATH, see caller-auth.js.
+ * With --debug, request bodies and outgoing requests are logged, with the
+ * credentials replaced by truncated fingerprints.
+ */
+async function main() {
+  const args = process.argv.slice(2).filter((arg) => !arg.startsWith('--'));
+  const [command, name] = args;
+  try {
+    if (process.argv.includes('--debug')) {
+      logger.setLevel('debug');
+    }
+    const {profiles, defaultProfile, storageConfig, callerAuthConfig} =
+        loadProfiles({saml: process.argv.includes('--saml')});
+    switch (command) {
+      case 'profiles':
+        await listProfiles(profiles, defaultProfile);
+        break;
+      case 'login':
+        await findProfile(profiles, defaultProfile, name)
+            .login(getLoginMode());
+        console.log('Signed in.');
+        break;
+      case 'logout': {
+        const logoutUrl =
+            await findProfile(profiles, defaultProfile, name).logout();
+        console.log('Signed out.');
+        if (logoutUrl) {
+          console.log(`To sign out of the IdP browser session: ${logoutUrl}`);
+        }
+        break;
+      }
+      case 'credential-source':
+        printCredentialSources(profiles, defaultProfile, callerAuthConfig);
+        break;
+      case 'migrate':
+        await migrate(profiles, storageConfig,
+            getFlagValue('from'), getFlagValue('to'));
+        break;
+      case 'create-cred-config':
+        await createCredConfig(
+            findProfile(profiles, defaultProfile, name), callerAuthConfig);
+        break;
+      case 'simulate-mapping':
+        await simulateAttributeMapping(
+            findProfile(profiles, defaultProfile, name));
+        break;
+      case 'serve':
+        logOutgoingRequests();
+        stopOnSignals(await startMetadataServer(profiles, defaultProfile,
+            getServerOptions(callerAuthConfig)), profiles);
+        break;
+      case 'mcp':
+        await serveMcp(profiles, defaultProfile);
+        break;
+      case undefined:
+        // Reuse the stored session unless a new login is forced.
+        if (process.argv.includes('--force-login')) {
+          await defaultProfile.login(getLoginMode());
+        } else {
+          await defaultProfile.resume(getLoginMode());
+        }
+        // Start metadata server.
+        logOutgoingRequests();
+        stopOnSignals(await startMetadataServer(profiles, defaultProfile,
+            getServerOptions(callerAuthConfig)), profiles);
+        break;
+      default:
+        throw new Error(`Unknown command: ${command}`);
+    }
   } catch (error) {
     // On error print the expected output.
-    console.log(error);
+    logger.error(error.message, { error });
+    process.exitCode = 1;
   }
-  
-  // // Check if refresh token is already stored to avoid re-login everytime.
-  // const refreshToken = await keytar.getPassword(
-  //     APP_ID, 'RefreshToken');
-  // if (refreshToken) {
-  //   console.log('Existing session detected.');
-  //   startMetadataServer(client);
-  // } else {
-  //   console.log('No existing session detected.');
-  //   try {
-  //     // "offline_access" is needed since we need to get and store a refresh
-  //     // token.
-  //     // "email" is needed so the JWT will also contain a user friendly
-  //     // email identifier.
-  //     const jsonResponse = await client.authorize('offline_access email');
-  //     // Save new refresh token if returned.
-  //     if (jsonResponse.refresh_token) {
-  //       await keytar.setPassword(
-  //           APP_ID, 'RefreshToken', jsonResponse.refresh_token);
-  //     }
-  //     // Start metadata server.
-  //     startMetadataServer(client);
-  //   } catch (error) {
-  //     // On error print the expected output.
-  //     console.log(error);
-  //   }
-  // }
 }
 
-main();
+if (require.main === module) {
+  main();
+}
+
+exports.createMetadataApp = createMetadataApp;
+exports.main = main;
+exports.startMetadataServer = startMetadataServer;
@@ -0,0 +1,303 @@
+/**
+ * @fileoverview Provides the structured logger used by the metadata server,
+ * redacting credentials before anything is written.
+ *
+ * Usage:
+ * const {logger} = require('./logger');
+ * logger.info('Request handled', {method: 'GET', path: '/token'});
+ * logger.debug('Outgoing request', {headers, body});
+ *
+ * Log lines are written to stderr, so stdout is left to the command output,
+ * as one JSON object per line:
+ * {"time":"...","level":"info","msg":"Request handled","method":"GET",...}
+ *
+ * The shared logger is configured with environment variables:
+ * - WORKFORCE_POOL_LOG_LEVEL: error, warn, info (default) or debug.
+ * - WORKFORCE_POOL_LOG_FORMAT: json (default) or text.
+ *
+ * Every field and message is redacted:
+ * - by key: the values of token, secret, assertion, password, cookie and
+ *   authorization keys, in objects, query strings and form bodies. The OAuth
+ *   authorization code is only redacted in the request bodies and queries,
+ *   so the codes of errors are kept.
+ * - by pattern: JWTs, Google ya29. access tokens, Bearer credentials and
+ *   base64 encoded SAML messages.
+ * Redacted values are replaced with [REDACTED]. In debug mode they are
+ * replaced with a truncated SHA-256 fingerprint instead, e.g.
+ * [REDACTED sha256:1a2b3c4d], so the same credential can be followed across
+ * log lines without being revealed.
+ */
+
+const crypto = require('crypto');
+
+// The log levels, from the most to the least severe.
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+// The log output formats.
+const FORMATS = ['json', 'text'];
+// The environment variable setting the log level.
+const LEVEL_ENV = 'WORKFORCE_POOL_LOG_LEVEL';
+// The environment variable setting the log format.
+const FORMAT_ENV = 'WORKFORCE_POOL_LOG_FORMAT';
+// The replacement of redacted values.
+const REDACTED = '[REDACTED]';
+// The number of hex characters of the fingerprints shown in debug mode.
+const FINGERPRINT_LENGTH = 8;
+// The maximum depth of the redacted objects.
+const MAX_DEPTH = 10;
+// The keys whose values are always redacted, lowercase.
+const SENSITIVE_KEYS = new Set([
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'device_code',
+  'user_code',
+  'samlresponse',
+  'saml_response',
+  'private_key',
+  'privatekey',
+  'handle',
+]);
+// The keys whose values are redacted in the request bodies and queries only,
+// lowercase: code is also the field of errors and API responses.
+const REQUEST_PARAM_KEYS = new Set(['code']);
+// The keys of the logged request bodies and queries, lowercase.
+const REQUEST_KEYS = new Set(['body', 'query']);
+// The key suffixes whose values are redacted, e.g. access_token,
+// client_secret or client_assertion. *_type keys do not match.
+const SENSITIVE_KEY_PATTERN =
+    /(token|secret|password|passphrase|assertion|verifier|credential)$/i;
+// The query string and form body parameters whose values are redacted.
+const SENSITIVE_PARAM_PATTERN = new RegExp(
+    '([?&;]|^)([\\w.-]*(?:token|secret|password|assertion|verifier)|code|' +
+    'device_code|SAMLResponse|handle)=([^&\\s"\']+)', 'gi');
+// The credential patterns redacted wherever they appear.
+const SENSITIVE_PATTERNS = [
+  // JWTs: base64url JSON header starting with {".
+  /eyJ[\w-]+\.[\w-]+\.[\w-]*/g,
+  // Google OAuth access tokens.
+  /ya29\.[\w.-]+/g,
+  // Base64 encoded SAML messages: <?xml, <samlp:, <saml2p:, <saml:.
+  /(?:PD94bWwg|PHNhbWxwO|PHNhbWwycD|PHNhbWw6)[A-Za-z0-9+/]{16,}={0,2}/g,
+];
+// Bearer and Basic credentials in header values.
+const AUTHORIZATION_PATTERN = /\b(Bearer|Basic)\s+[\w.~+/=-]+/gi;
+
+/**
+ * Returns the replacement of a redacted value.
+ *
+ * @param {string} value The redacted value.
+ * @param {boolean} fingerprint Whether to show a truncated fingerprint.
+ * @return {string} The replacement.
+ */
+function mask(value, fingerprint) {
+  if (!fingerprint) {
+    return REDACTED;
+  }
+  const hash = crypto.createHash('sha256').update(String(value)).digest('hex');
+  return `[REDACTED sha256:${hash.slice(0, FINGERPRINT_LENGTH)}]`;
+}
+
+/**
+ * Returns whether the values of the key are credentials.
+ *
+ * @param {string} key The object key.
+ * @param {boolean} inRequest Whether the key is in a request body or query.
+ * @return {boolean} True if the values are redacted.
+ */
+function isSensitiveKey(key, inRequest) {
+  const lowerKey = key.toLowerCase();
+  return SENSITIVE_KEYS.has(lowerKey) ||
+      (inRequest && REQUEST_PARAM_KEYS.has(lowerKey)) ||
+      SENSITIVE_KEY_PATTERN.test(key);
+}
+
+/**
+ * Redacts the credentials found in a string.
+ *
+ * @param {string} value The string.
+ * @param {boolean} fingerprint Whether to show truncated fingerprints.
+ * @return {string} The redacted string.
+ */
+function redactString(value, fingerprint) {
+  let redacted = value
+      .replace(AUTHORIZATION_PATTERN,
+          (match, scheme) => `${scheme} ${mask(match, fingerprint)}`)
+      .replace(SENSITIVE_PARAM_PATTERN,
+          (match, separator, key, param) =>
+            `${separator}${key}=${mask(param, fingerprint)}`);
+  for (const pattern of SENSITIVE_PATTERNS) {
+    redacted = redacted.replace(pattern, (match) => mask(match, fingerprint));
+  }
+  return redacted;
+}
+
+/**
+ * Returns a copy of the value with the credentials redacted, by key and by
+ * pattern. Errors are reduced to their name, message, status and code.
+ *
+ * @param {*} value The value to redact.
+ * @param {{fingerprint: (boolean|undefined)}=} options Whether to replace the
+ *     credentials with truncated fingerprints instead of [REDACTED].
+ * @return {*} The redacted copy.
+ */
+function redact(value, options = {}) {
+  const fingerprint = !!options.fingerprint;
+  const visit = (current, depth, inRequest = false) => {
+    if (typeof current === 'string') {
+      return redactString(current, fingerprint);
+    }
+    if (current === null || typeof current !== 'object') {
+      return current;
+    }
+    if (depth > MAX_DEPTH) {
+      return '[Truncated]';
+    }
+    if (current instanceof Error) {
+      const error = {name: current.name, message: current.message};
+      for (const key of ['status', 'code', 'claim']) {
+        if (current[key] !== undefined) {
+          error[key] = current[key];
+        }
+      }
+      return visit(error, depth + 1);
+    }
+    if (Buffer.isBuffer(current)) {
+      return `[Buffer ${current.length} bytes]`;
+    }
+    // E.g. the AxiosHeaders of outgoing requests.
+    if (typeof current.toJSON === 'function' && !(current instanceof Date)) {
+      return visit(current.toJSON(), depth + 1, inRequest);
+    }
+    if (current instanceof Date) {
+      return current.toISOString();
+    }
+    if (Array.isArray(current)) {
+      return current.map((item) => visit(item, depth + 1, inRequest));
+    }
+    const copy = {};
+    for (const [key, item] of Object.entries(current)) {
+      copy[key] = isSensitiveKey(key, inRequest) &&
+          item !== null && item !== undefined ?
+          mask(typeof item === 'string' ? item : JSON.stringify(item),
+              fingerprint) :
+          visit(item, depth + 1,
+              inRequest || REQUEST_KEYS.has(key.toLowerCase()));
+    }
+    return copy;
+  };
+  return visit(value, 0);
+}
+
+/**
+ * Defines a leveled logger writing redacted JSON or text lines.
+ */
+class Logger {
+  /**
+   * Initializes a Logger instance.
+   * @param {{level: (string|undefined), format: (string|undefined),
+   *     stream: (*|undefined)}=} options The minimum level logged (info by
+   *     default), the output format (json by default) and the writable stream
+   *     (stderr by default).
+   */
+  constructor(options = {}) {
+    this.setLevel(options.level || 'info');
+    this.format = options.format || 'json';
+    if (!FORMATS.includes(this.format)) {
+      throw new Error(`Unknown log format: ${this.format}`);
+    }
+    this.stream = options.stream || process.stderr;
+  }
+
+  /**
+   * Sets the minimum level logged. Credentials are shown as truncated
+   * fingerprints at the debug level.
+   * @param {string} level The level: error, warn, info or debug.
+   */
+  setLevel(level) {
+    if (!LEVELS.includes(level)) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    this.level = level;
+  }
+
+  /**
+   * Returns whether messages of the level are logged.
+   * @param {string} level The level.
+   * @return {boolean} True if enabled.
+   */
+  isEnabled(level) {
+    return LEVELS.indexOf(level) <= LEVELS.indexOf(this.level);
+  }
+
+  /**
+   * Writes a log line if the level is enabled.
+   * @param {string} level The level.
+   * @param {string} msg The message.
+   * @param {!Object<string, *>=} fields The additional fields.
+   */
+  log(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+    const fingerprint = this.isEnabled('debug');
+    const entry = redact(
+        {time: new Date().toISOString(), level, msg, ...fields},
+        {fingerprint});
+    if (this.format === 'json') {
+      this.stream.write(`${JSON.stringify(entry)}\n`);
+      return;
+    }
+    const {time, level: entryLevel, msg: message, ...rest} = entry;
+    const details = Object.keys(rest).length ? ` ${JSON.stringify(rest)}` : '';
+    this.stream.write(
+        `${time} ${entryLevel.toUpperCase()} ${message}${details}\n`);
+  }
+
+  /**
+   * Logs an error.
+   * @param {string} msg The message.
+   * @param {!Object<string, *>=} fields The additional fields.
+   */
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+
+  /**
+   * Logs a warning.
+   * @param {string} msg The message.
+   * @param {!Object<string, *>=} fields The additional fields.
+   */
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  /**
+   * Logs an informational message.
+   * @param {string} msg The message.
+   * @param {!Object<string, *>=} fields The additional fields.
+   */
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  /**
+   * Logs a debug message.
+   * @param {string} msg The message.
+   * @param {!Object<string, *>=} fields The additional fields.
+   */
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+}
+
+// The shared logger, configured from the environment.
+const logger = new Logger({
+  level: process.env[LEVEL_ENV],
+  format: process.env[FORMAT_ENV],
+});
+
+exports.LEVELS = LEVELS;
+exports.Logger = Logger;
+exports.logger = logger;
+exports.redact = redact;
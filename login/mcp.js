@@ -0,0 +1,344 @@
+/**
+ * @fileoverview Provides the Model Context Protocol (MCP) server exposing
+ * the metadata server routes as typed tools to local agents, over stdio or
+ * HTTP: https://modelcontextprotocol.io/specification/2025-06-18
+ *
+ * Usage:
+ * const mcp = new McpServer(routes, {name: 'workforce-pool', version: '1.0'});
+ * // Newline delimited JSON-RPC messages on stdin and stdout.
+ * await mcp.serveStdio(process.stdin, process.stdout);
+ * // Or the Streamable HTTP transport, without server sent events.
+ * app.post('/mcp', mcp.createHttpHandler({allowedOrigins: []}));
+ *
+ * The tools call the route handlers in-process with routes.invoke(), so they
+ * share the profile sessions, validation and handles of the HTTP routes. The
+ * tokens issued are audited with the caller of the MCP endpoint, or stdio.
+ * Tool results never include raw tokens: idptoken only returns the claims of
+ * the session ID token (or the SAML subject and attributes), gcpaccesstoken
+ * exchanges the session token itself and returns an opaque handle, which
+ * gcpprojects and bigquery take as access_token.
+ */
+
+const readline = require('readline');
+const {getAssertion} = require('./attribute-mapping');
+const {logger} = require('./logger');
+
+// The MCP protocol versions supported, the latest first.
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+// The JSON-RPC error codes.
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+// The profile tool input, matching the profile query parameter.
+const PROFILE_PROPERTY = {
+  type: 'string',
+  description: 'The login profile. Defaults to the default profile.',
+};
+
+// The tools keyed by name: the route called, the description when the route
+// summary does not fit, the extra and optional input properties, and the
+// hooks replacing the route call and adapting its result.
+const TOOLS = {
+  idptoken: {
+    operationId: 'idptoken',
+    description: 'Checks that the profile is signed in to its IdP and ' +
+        'returns the claims of the session ID token, or the subject and ' +
+        'attributes of the SAML assertion. The token itself is never ' +
+        'returned: gcpaccesstoken exchanges it directly.',
+    properties: {profile: PROFILE_PROPERTY},
+    getResult: (body) => ({
+      token_type: body.id_token ? 'id_token' : 'saml_response',
+      assertion: getAssertion(body),
+    }),
+  },
+  gcpaccesstoken: {
+    operationId: 'gcpaccesstoken',
+    description: 'Exchanges the IdP token of the profile session for a GCP ' +
+        'access token and returns an opaque handle for it, passed as ' +
+        'access_token to gcpprojects and bigquery.',
+    optional: ['input_token'],
+    call: async (input, invoke) => {
+      if (!input.input_token) {
+        const session = await invoke('idptoken', {profile: input.profile});
+        if (session.status !== 200) {
+          return session;
+        }
+        input = {
+          ...input,
+          input_token: session.body.id_token || session.body.saml_response,
+        };
+      }
+      return invoke('gcpaccesstoken', input);
+    },
+  },
+  gcpprojects: {operationId: 'gcpprojects'},
+  bigquery: {operationId: 'bigquery'},
+  securityconsult: {operationId: 'securityconsult'},
+};
+
+/**
+ * Defines a JSON-RPC error returned to the MCP client.
+ */
+class JsonRpcError extends Error {
+  /**
+   * @param {number} code The JSON-RPC error code.
+   * @param {string} message The error message.
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+  }
+}
+
+/**
+ * Returns the text of a failed route response: the error message, followed
+ * by all the validation problems when there are several.
+ *
+ * @param {number} status The HTTP status.
+ * @param {*} body The response body.
+ * @return {string} The error text.
+ */
+function getErrorText(status, body) {
+  if (!body || typeof body !== 'object') {
+    return `${status}: ${body}`;
+  }
+  const lines = [body.error || `Request failed with status ${status}`];
+  const details = body.details || [];
+  if (details.length > 1) {
+    for (const detail of details) {
+      lines.push(`- ${detail.in} ${detail.name} ${detail.message}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Defines an MCP server calling the metadata server routes as tools.
+ */
+class McpServer {
+  /**
+   * Initializes an McpServer instance.
+   * @param {!RouteRegistry} routes The routes called by the tools.
+   * @param {{name: string, version: string}} serverInfo The server name and
+   *     version returned to the clients.
+   */
+  constructor(routes, serverInfo) {
+    this.routes = routes;
+    this.serverInfo = serverInfo;
+  }
+
+  /**
+   * Returns the tool definitions, typed with the input schema of their
+   * routes.
+   * @return {!Array<{name: string, description: string, inputSchema: *}>}
+   *     The tools.
+   */
+  listTools() {
+    return Object.entries(TOOLS).map(([name, tool]) => {
+      const {spec} = this.routes.getRoute(tool.operationId);
+      const inputSchema = this.routes.getInputSchema(tool.operationId);
+      Object.assign(inputSchema.properties, tool.properties);
+      inputSchema.required = inputSchema.required
+          .filter((property) => !(tool.optional || []).includes(property));
+      return {
+        name,
+        description: tool.description || spec.summary,
+        inputSchema,
+      };
+    });
+  }
+
+  /**
+   * Calls a tool, reporting the route errors as tool errors so the model
+   * can see and correct them.
+   * @param {string} name The tool name.
+   * @param {!Object<string, *>=} args The tool arguments.
+   * @param {{caller: string}=} context The caller of the MCP server.
+   * @return {!Promise<*>} A promise that resolves with the tool result.
+   */
+  async callTool(name, args = {}, context = {}) {
+    const tool =
+        Object.prototype.hasOwnProperty.call(TOOLS, name) && TOOLS[name];
+    if (!tool) {
+      throw new JsonRpcError(INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+    if (!args || typeof args !== 'object' || Array.isArray(args)) {
+      throw new JsonRpcError(
+          INVALID_PARAMS, 'The tool arguments must be an object');
+    }
+    const invoke = (operationId, input) =>
+      this.routes.invoke(operationId, input, {...context, via: 'mcp'});
+    const {status, body} = tool.call ?
+      await tool.call(args, invoke) :
+      await invoke(tool.operationId, args);
+    logger.info('Tool called', {tool: name, status});
+    if (status >= 400) {
+      return {
+        content: [{type: 'text', text: getErrorText(status, body)}],
+        isError: true,
+      };
+    }
+    const result = tool.getResult ? tool.getResult(body) : body;
+    return {
+      content: [{type: 'text', text: JSON.stringify(result)}],
+      structuredContent: result,
+    };
+  }
+
+  /**
+   * Handles a JSON-RPC request or notification.
+   * @param {*} message The parsed JSON-RPC message.
+   * @param {{caller: string}=} context The caller of the MCP server.
+   * @return {!Promise<?*>} A promise that resolves with the JSON-RPC
+   *     response, or null for notifications and client responses.
+   */
+  async handleMessage(message, context = {}) {
+    if (!message || typeof message !== 'object' || Array.isArray(message) ||
+        message.jsonrpc !== '2.0') {
+      return {
+        jsonrpc: '2.0',
+        id: null,
+        error: {code: INVALID_REQUEST, message: 'Invalid JSON-RPC message'},
+      };
+    }
+    // Notifications and responses to server requests are not answered.
+    if (message.id === undefined || message.method === undefined) {
+      return null;
+    }
+    try {
+      const result = await this.handleRequest(
+          message.method, message.params, context);
+      return {jsonrpc: '2.0', id: message.id, result};
+    } catch (error) {
+      if (!(error instanceof JsonRpcError)) {
+        logger.error('MCP request failed', {method: message.method, error});
+      }
+      return {
+        jsonrpc: '2.0',
+        id: message.id,
+        error: {
+          code: error instanceof JsonRpcError ? error.code : INTERNAL_ERROR,
+          message: error.message,
+        },
+      };
+    }
+  }
+
+  /**
+   * Handles a JSON-RPC request.
+   * @param {string} method The method.
+   * @param {*} params The method parameters.
+   * @param {{caller: string}} context The caller of the MCP server.
+   * @return {!Promise<*>} A promise that resolves with the method result.
+   */
+  async handleRequest(method, params, context) {
+    params = params || {};
+    switch (method) {
+      case 'initialize': {
+        const requested = params.protocolVersion;
+        return {
+          protocolVersion: PROTOCOL_VERSIONS.includes(requested) ?
+            requested : PROTOCOL_VERSIONS[0],
+          capabilities: {tools: {listChanged: false}},
+          serverInfo: this.serverInfo,
+        };
+      }
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return {tools: this.listTools()};
+      case 'tools/call':
+        return this.callTool(params.name, params.arguments, context);
+      default:
+        throw new JsonRpcError(METHOD_NOT_FOUND, `Unknown method: ${method}`);
+    }
+  }
+
+  /**
+   * Serves the stdio transport: one JSON-RPC message per line on the input,
+   * one response per line on the output. Requests are handled concurrently,
+   * so responses may be written out of order.
+   * @param {!stream.Readable} input The input stream, e.g. process.stdin.
+   * @param {!stream.Writable} output The output stream, e.g. process.stdout.
+   * @return {!Promise<void>} A promise that resolves once the input is
+   *     closed and the pending requests are answered.
+   */
+  async serveStdio(input, output) {
+    const pending = new Set();
+    const lines = readline.createInterface({input, crlfDelay: Infinity});
+    for await (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      const request = this.handleLine(line).then((response) => {
+        if (response) {
+          output.write(`${JSON.stringify(response)}\n`);
+        }
+      }).finally(() => pending.delete(request));
+      pending.add(request);
+    }
+    await Promise.all(pending);
+  }
+
+  /**
+   * Parses and handles a JSON-RPC message line.
+   * @param {string} line The message line.
+   * @return {!Promise<?*>} A promise that resolves with the JSON-RPC
+   *     response, if any.
+   */
+  async handleLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      return {
+        jsonrpc: '2.0',
+        id: null,
+        error: {code: PARSE_ERROR, message: 'Parse error'},
+      };
+    }
+    return this.handleMessage(message, {caller: 'stdio'});
+  }
+
+  /**
+   * Creates the Express handler of the Streamable HTTP transport: POST
+   * requests carry one JSON-RPC message, answered with a JSON response, or
+   * 202 for notifications. Server sent event streams are not offered. Since
+   * the tools act with the signed in identity, browser requests from origins
+   * not allowed are rejected to prevent DNS rebinding attacks.
+   * @param {{allowedOrigins: (!Array<string>|undefined)}=} options The
+   *     origins allowed to call the server, '*' for any. Requests without
+   *     Origin header, e.g. from local agents, are always allowed.
+   * @return {function(!Object, !Object)} The Express handler.
+   */
+  createHttpHandler(options = {}) {
+    const allowedOrigins = options.allowedOrigins || [];
+    return async (req, res) => {
+      const origin = req.get('Origin');
+      if (origin && !allowedOrigins.includes('*') &&
+          !allowedOrigins.includes(origin)) {
+        res.status(403).json({error: `Origin not allowed: ${origin}`});
+        return;
+      }
+      if (req.method !== 'POST') {
+        res.set('Allow', 'POST').status(405)
+            .json({error: 'Only POST is supported.'});
+        return;
+      }
+      const response =
+          await this.handleMessage(req.body, {caller: req.caller});
+      if (!response) {
+        res.status(202).end();
+        return;
+      }
+      res.status(200).json(response);
+    };
+  }
+}
+
+exports.McpServer = McpServer;
+exports.PROTOCOL_VERSIONS = PROTOCOL_VERSIONS;
+exports.TOOLS = TOOLS;
@@ -0,0 +1,252 @@
+/**
+ * @fileoverview Emulates the GCE metadata server paths probed by the Google
+ * Cloud client libraries and gcloud, backed by the workforce STS tokens of a
+ * login profile: https://cloud.google.com/compute/docs/metadata/overview
+ *
+ * Usage:
+ * app.use(METADATA_ROOT, createMetadataRouter(profile));
+ * // Then point the SDKs at this server:
+ * // export GCE_METADATA_HOST=localhost:5000
+ * // export GCE_METADATA_IP=localhost:5000
+ *
+ * Supported paths, relative to /computeMetadata/v1:
+ * - instance/service-accounts/default/token?scopes=
+ * - instance/service-accounts/default/email
+ * - instance/service-accounts/default/scopes
+ * - instance/service-accounts/default/identity?audience=&format=
+ * - instance/service-accounts/default/?recursive=true
+ * - project/project-id
+ * - project/numeric-project-id
+ *
+ * As on GCE, requests must set the "Metadata-Flavor: Google" header and must
+ * not be forwarded by a proxy. The tokens issued are audited, see
+ * caller-auth.js.
+ */
+
+const express = require('express');
+const {auditTokenIssued} = require('./caller-auth');
+const {
+  getIdentityToken,
+  getServiceAccountEmail,
+  normalizeScopes,
+} = require('./sts');
+const {decodeJwt} = require('./verifier');
+
+// The root path of the metadata server API.
+const METADATA_ROOT = '/computeMetadata/v1';
+// The metadata flavor header name and value.
+const METADATA_FLAVOR_HEADER = 'Metadata-Flavor';
+const METADATA_FLAVOR = 'Google';
+// The server header returned by the GCE metadata server.
+const METADATA_SERVER = 'Metadata Server for VM';
+// The scopes reported when none are requested.
+const DEFAULT_SCOPES = ['https://www.googleapis.com/auth/cloud-platform'];
+
+/**
+ * Sets the response headers returned by the GCE metadata server.
+ *
+ * @param {Object} res The Express response object.
+ */
+function setMetadataHeaders(res) {
+  res.set(METADATA_FLAVOR_HEADER, METADATA_FLAVOR);
+  res.set('Server', METADATA_SERVER);
+}
+
+/**
+ * Express middleware rejecting requests without the metadata flavor header,
+ * or forwarded by a proxy, the same way the GCE metadata server does.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ * @param {function()} next The next middleware.
+ */
+function requireMetadataFlavor(req, res, next) {
+  setMetadataHeaders(res);
+  if (req.get(METADATA_FLAVOR_HEADER) !== METADATA_FLAVOR) {
+    res.status(403).type('text/html').send(
+        `Missing ${METADATA_FLAVOR_HEADER}:${METADATA_FLAVOR} header.`);
+    return;
+  }
+  if (req.get('X-Forwarded-For')) {
+    res.status(403).type('text/html').send(
+        'Request had an X-Forwarded-For header and was rejected.');
+    return;
+  }
+  next();
+}
+
+/**
+ * Creates the router emulating the GCE metadata server for the provided
+ * profile. Mount it on METADATA_ROOT.
+ *
+ * @param {!Profile} profile The login profile used to get subject tokens and
+ *     the external_account credential config used for the STS exchange.
+ * @param {{projectId: (string|undefined)}=} options The optional project ID
+ *     returned by project/project-id, which responds with 404 otherwise like
+ *     GCE does. project/numeric-project-id returns the workforce pool user
+ *     project of the credential config.
+ * @return {!express.Router} The metadata server router.
+ */
+function createMetadataRouter(profile, options = {}) {
+  const router = express.Router();
+  router.use(requireMetadataFlavor);
+
+  /**
+   * Returns the subject token of the profile's stored session.
+   * @return {Promise<string>} A promise that resolves with the subject token.
+   */
+  async function getSubjectToken() {
+    const resp = await profile.getSessionToken();
+    if (!resp) {
+      throw new Error('No session detected. Please login first.');
+    }
+    return resp.id_token || resp.saml_response;
+  }
+
+  /**
+   * Returns the email reported for the default service account: the
+   * impersonated service account, or the email claim of the OIDC session.
+   * @return {Promise<string>} A promise that resolves with the email.
+   */
+  async function getEmail() {
+    const credentialConfig = profile.getCredentialConfig();
+    if (credentialConfig.service_account_impersonation_url) {
+      return getServiceAccountEmail(
+          credentialConfig.service_account_impersonation_url);
+    }
+    const resp = await profile.getSessionToken();
+    if (resp && resp.id_token) {
+      const {payload} = decodeJwt(resp.id_token);
+      return payload.email || payload.sub;
+    }
+    return 'default';
+  }
+
+  /**
+   * Returns the project ID, or the project number when numeric is set. The
+   * workforce pool user project is a project number, so it is not reported
+   * as the project ID.
+   * @param {boolean} numeric Whether the numeric project ID is requested.
+   * @return {?string} The project ID or null if not known.
+   */
+  function getProjectId(numeric) {
+    if (!numeric) {
+      return options.projectId || null;
+    }
+    return profile.getCredentialConfig().workforce_pool_user_project || null;
+  }
+
+  /**
+   * Sends the result of the provided handler as text, or the error as a 500
+   * (or 404 for unknown values) the way the GCE metadata server does.
+   * @param {function(Object): Promise<?string>} handler The value getter.
+   * @return {function(Object, Object)} The Express route handler.
+   */
+  const sendText = (handler) => async (req, res) => {
+    try {
+      const value = await handler(req);
+      if (value === null || typeof value === 'undefined') {
+        res.status(404).type('text/html').send('Not Found');
+        return;
+      }
+      res.status(200).type('application/text').send(value);
+    } catch (error) {
+      res.status(500).type('text/html').send(error.message);
+    }
+  };
+
+  router.get('/', (req, res) => {
+    res.type('application/text').send('instance/\nproject/\n');
+  });
+
+  router.get('/instance/service-accounts/', (req, res) => {
+    res.type('application/text').send('default/\n');
+  });
+
+  router.get('/instance/service-accounts/default/', async (req, res) => {
+    if (req.query.recursive !== 'true') {
+      res.type('application/text')
+          .send('aliases\nemail\nidentity\nscopes\ntoken\n');
+      return;
+    }
+    try {
+      res.status(200).json({
+        aliases: ['default'],
+        email: await getEmail(),
+        scopes: DEFAULT_SCOPES,
+      });
+    } catch (error) {
+      res.status(500).type('text/html').send(error.message);
+    }
+  });
+
+  router.get('/instance/service-accounts/default/token', async (req, res) => {
+    try {
+      const tokenResponse =
+          await profile.getAccessToken(normalizeScopes(req.query.scopes));
+      auditTokenIssued(req, {
+        route: 'metadata/token',
+        profile: profile.name,
+        type: 'access_token',
+      });
+      res.status(200).json({
+        access_token: tokenResponse.access_token,
+        // The remaining lifetime of the cached token.
+        expires_in: Math.max(0, Math.floor(
+            (tokenResponse.expires_at - Date.now()) / 1000)),
+        token_type: 'Bearer',
+      });
+    } catch (error) {
+      res.status(500).type('text/html').send(error.message);
+    }
+  });
+
+  router.get('/instance/service-accounts/default/email',
+      sendText(() => getEmail()));
+
+  router.get('/instance/service-accounts/default/aliases',
+      sendText(async () => 'default'));
+
+  router.get('/instance/service-accounts/default/scopes',
+      sendText(async () => DEFAULT_SCOPES.join('\n') + '\n'));
+
+  router.get('/instance/service-accounts/default/identity',
+      async (req, res) => {
+        if (!req.query.audience) {
+          res.status(400).type('text/html')
+              .send('non-empty audience parameter required');
+          return;
+        }
+        try {
+          const idToken = await getIdentityToken(
+              profile.getCredentialConfig(),
+              await getSubjectToken(),
+              req.query.audience,
+              {includeEmail: req.query.format === 'full'});
+          auditTokenIssued(req, {
+            route: 'metadata/identity',
+            profile: profile.name,
+            type: 'id_token',
+          });
+          res.status(200).type('application/text').send(idToken);
+        } catch (error) {
+          res.status(500).type('text/html').send(error.message);
+        }
+      });
+
+  router.get('/project/project-id', sendText(async () => getProjectId(false)));
+
+  router.get('/project/numeric-project-id',
+      sendText(async () => getProjectId(true)));
+
+  // Unknown metadata paths.
+  router.use((req, res) => {
+    res.status(404).type('text/html').send('Not Found');
+  });
+
+  return router;
+}
+
+exports.METADATA_ROOT = METADATA_ROOT;
+exports.createMetadataRouter = createMetadataRouter;
+exports.setMetadataHeaders = setMetadataHeaders;
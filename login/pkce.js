@@ -7,17 +7,40 @@
  *     {
  *       clientId: 'CLIENT_ID',
  *       clientSecret: 'CLIENT_SECRET',
+ *       // Optional, picked from the discovery document and the configured
+ *       // credentials when not provided: client_secret_post,
+ *       // client_secret_basic, private_key_jwt or none.
+ *       tokenEndpointAuthMethod: 'client_secret_basic',
+ *       // The PEM private key (or key file) signing the private_key_jwt
+ *       // client assertions, and its optional key ID and algorithm.
+ *       privateKeyFile: 'PRIVATE_KEY_PEM_FILE',
+ *       privateKeyId: 'KEY_ID',
+ *       // Optional when the endpoints below are provided.
+ *       issuer: 'OIDC_ISSUER_URL',
+ *       // Optional when issuer is provided, resolved via OIDC discovery.
  *       authUri: 'AUTHORIZATION_URL',
  *       tokenUri: 'TOKEN_EXCHANGE_URL',
  *       revokeUri: 'TOKEN_REVOCATION_URL',
  *       logoutUri: 'LOGOUT_URL',
- *       successUri: 'REDIRECT_URL_AFTER_SIGN_IN'
+ *       successUri: 'REDIRECT_URL_AFTER_SIGN_IN',
+ *       // Optional, 300 by default, 0 to wait forever.
+ *       loginTimeoutSeconds: 300,
+ *       // Optional, whether to listen on a free port when the requested one
+ *       // is taken. The IdP must allow any loopback redirect URI port.
+ *       ephemeralPortFallback: false
  *     });
  * // Optional space delimited scopes string. If not provided, openid is used.
  * const oauthResponse = await client.authorize(scopes);
- * // To end early:
+ * // To end early, rejecting the pending authorize() call:
  * // client.close();
  *
+ * // Device authorization grant (RFC 8628), for SSH and container sessions.
+ * const oauthResponse = await client.authorizeDevice(scopes);
+ *
+ * // Manual flow for IdPs without device flow: the user opens the printed
+ * // authorization URL and pastes the URL they were redirected to.
+ * const oauthResponse = await client.authorizeManual(scopes);
+ *
  * // Refresh token functionality.
  * const oauthResponse = await client.refresh(refreshToken);
  *
@@ -30,8 +53,8 @@
  * The authorize() API works as follows:
  * - A local server is started with 2 endpoints /auth and /callback.
  * - A browser is opened and redirected to /auth endpoint.
- * - On /auth, state and codeVerifier are provisioned and stored locally,
- *   keyed by state.
+ * - On /auth, state, nonce and codeVerifier are provisioned from a CSPRNG and
+ *   stored locally, keyed by state, for 10 minutes.
  * - Session cookie session_state (httpOnly) set with the state value.
  * - 302 Redirect to authorization URL with query string populated for PKCE
  *   flow (using hashed code verifier). The redirect_uri is set to /callback.
@@ -39,19 +62,50 @@
  *   query string.
  * - /callback will match state in session cookie and lookup unhashed code
  *   verifier. It will then send request to exchange code + code_verifier for
- *   the token response.
- * - On successful exchange, a redirect to successUri is performed.
- * - The server is closed.
+ *   the token response. Callbacks not matching a pending request (e.g. stale
+ *   browser tabs) are answered with a 400 and the flow keeps waiting.
+ * - IdP error redirects (error and error_description) for a pending request
+ *   are shown to the user and end the flow with a readable error.
+ * - On successful exchange, the nonce claim of the ID token is checked
+ *   against the one sent and a redirect to successUri is performed. The nonce
+ *   is exposed as client.nonce so the ID token signature can be verified
+ *   along with it.
+ * - The server is closed. It is also closed, rejecting the flow, when
+ *   loginTimeoutSeconds elapse or client.close() is called.
  *
  * The utility also provides functionality to exchange refresh tokens for
  * ID tokens, revoke OAuth tokens and generate logout URLs.
+ *
+ * When an issuer is configured, endpoints that are not explicitly provided are
+ * resolved from the OIDC discovery document before the first call:
+ * authorization_endpoint, token_endpoint, revocation_endpoint,
+ * end_session_endpoint and device_authorization_endpoint.
+ *
+ * The token, revocation and device authorization requests authenticate the
+ * client with the same tokenEndpointAuthMethod. When it is not configured,
+ * private_key_jwt is used with a private key, none without a client secret,
+ * and otherwise client_secret_post, or client_secret_basic when the issuer's
+ * token_endpoint_auth_methods_supported only lists that one. The
+ * private_key_jwt client assertions are signed per request with a new jti
+ * and the called endpoint as audience:
+ * https://openid.net/specs/openid-connect-core-1_0.html#ClientAuthentication
+ *
+ * The authorizeDevice() API prints the verification URI, user code and a QR
+ * code of the complete verification URI, then polls the token endpoint until
+ * the user approves, honoring authorization_pending and slow_down.
  */
 
 const cookieParser = require('cookie-parser');
 const crypto = require('crypto');
 const express = require('express');
 const fetch = require('node-fetch');
+const fs = require('fs');
 const open = require('open');
+const qrcode = require('qrcode-terminal');
+const readline = require('readline');
+const {fetchDiscoveryDocument} = require('./discovery');
+const {logger} = require('./logger');
+const {ALGORITHMS, decodeJwt} = require('./verifier');
 // The host for the local server.
 const HOST = 'localhost';
 // The default port for the local server.
@@ -60,15 +114,46 @@ const PORT = 5555;
 const DEFAULT_SCOPE = 'openid';
 // Length of characters in the state field.
 const STATE_LENGTH = 20;
+// Length of characters in the OIDC nonce.
+const NONCE_LENGTH = 32;
 // Length of characters in the code verifier.
 // Recommended to be between 43 and 128 chars.
 const CODE_VERIFIER_LENGTH = 80;
 // OAuth scope separator.
 const SCOPE_SEPARATOR = ' ';
+// The default time in seconds to wait for the browser login.
+const DEFAULT_LOGIN_TIMEOUT_SECONDS = 300;
+// The time in seconds the authorization requests can be completed in.
+const AUTHORIZATION_REQUEST_TTL_SECONDS = 600;
+// The RFC 8628 device code grant type.
+const DEVICE_CODE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+// The default device flow polling interval in seconds.
+const DEFAULT_DEVICE_INTERVAL_SECONDS = 5;
+// The device code lifetime in seconds when the provider omits expires_in.
+const DEFAULT_DEVICE_CODE_LIFETIME_SECONDS = 600;
+// The number of seconds added to the polling interval on slow_down.
+const SLOW_DOWN_SECONDS = 5;
+// The supported client authentication methods.
+const TOKEN_ENDPOINT_AUTH_METHODS = [
+  'client_secret_post', 'client_secret_basic', 'private_key_jwt', 'none',
+];
+// The RFC 7523 client assertion type.
+const JWT_BEARER_ASSERTION_TYPE =
+    'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+// The lifetime in seconds of the private_key_jwt client assertions.
+const CLIENT_ASSERTION_LIFETIME_SECONDS = 300;
+// The client assertion algorithms keyed by key type, or EC curve.
+const DEFAULT_KEY_ALGORITHMS = {
+  'rsa': 'RS256',
+  'rsa-pss': 'PS256',
+  'prime256v1': 'ES256',
+  'secp384r1': 'ES384',
+  'secp521r1': 'ES512',
+};
 
 /**
- * Generates a random string of the specified length, optionally using the
- * specified alphabet.
+ * Generates a random string of the specified length from a CSPRNG,
+ * optionally using the specified alphabet.
  *
  * @param {number} length The length of the string to generate.
  * @param {string} charSet The optional char set to use.
@@ -78,13 +163,59 @@ function generateRandomString(length, charSet) {
   const chars = [];
   const allowedChars = charSet || 'abcdefghijklmnopqrstuvwxyz0123456789';
   for (let i = 0; i < length; i++) {
-    chars.push(
-        allowedChars.charAt(Math.floor(Math.random() * allowedChars.length))
-    );
+    chars.push(allowedChars.charAt(crypto.randomInt(allowedChars.length)));
   }
   return chars.join('');
 }
 
+/**
+ * Escapes the provided string so it can be embedded in HTML.
+ *
+ * @param {string} value The value to escape.
+ * @return {string} The escaped value.
+ */
+function escapeHtml(value) {
+  return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+}
+
+/**
+ * Returns the readable error of an IdP error redirect:
+ * https://datatracker.ietf.org/doc/html/rfc6749#section-4.1.2.1
+ *
+ * @param {function(string): ?string} get Returns the redirect parameter
+ *     with the provided name.
+ * @return {!Error} The error, with the OAuth error code as code.
+ */
+function getRedirectError(get) {
+  const description = get('error_description');
+  const errorUri = get('error_uri');
+  const error = new Error(`The IdP returned ${get('error')}` +
+      (description ? `: ${description}` : '') +
+      (errorUri ? ` (${errorUri})` : ''));
+  error.code = get('error');
+  return error;
+}
+
+/**
+ * Encodes the provided parameters as an x-www-form-urlencoded body, skipping
+ * the undefined ones.
+ *
+ * @param {!Object<string, (string|undefined)>} params The parameters.
+ * @return {string} The form body.
+ */
+function encodeForm(params) {
+  return Object.entries(params)
+      .filter(([, value]) => value !== undefined)
+      .map(([name, value]) =>
+        `${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+      .join('&');
+}
+
 /**
  * Defines a utility to launch a local server to handle OAuth handshake
  * via PKCE. The client ID/secret and OAuth endpoints are configurable.
@@ -99,20 +230,216 @@ class OAuthClientServer {
   constructor(config) {
     this.clientId = config.clientId;
     this.clientSecret = config.clientSecret;
+    this.issuer = config.issuer;
     this.authUri = config.authUri;
     this.tokenUri = config.tokenUri;
     this.revokeUri = config.revokeUri;
     this.logoutUri = config.logoutUri;
+    this.deviceAuthorizationUri = config.deviceAuthorizationUri;
     this.successUri = config.successUri;
+    this.loginTimeoutSeconds =
+        config.loginTimeoutSeconds ?? DEFAULT_LOGIN_TIMEOUT_SECONDS;
+    this.ephemeralPortFallback = !!config.ephemeralPortFallback;
+    this.tokenEndpointAuthMethod = config.tokenEndpointAuthMethod;
+    this.privateKey = null;
+    if (config.privateKey || config.privateKeyFile) {
+      this.privateKey = crypto.createPrivateKey(config.privateKey ||
+          fs.readFileSync(config.privateKeyFile, 'utf8'));
+    }
+    this.privateKeyId = config.privateKeyId;
+    this.clientAssertionAlg = config.clientAssertionAlg || (this.privateKey &&
+        DEFAULT_KEY_ALGORITHMS[
+            this.privateKey.asymmetricKeyDetails.namedCurve ||
+            this.privateKey.asymmetricKeyType]);
+    this.checkClientAuthentication();
+    if (!this.issuer && !this.tokenEndpointAuthMethod) {
+      this.tokenEndpointAuthMethod = this.getDefaultAuthMethod();
+    }
 
     // Initialize with default scope.
     this.scopes = DEFAULT_SCOPE;
+    // The nonce of the last successful authorization.
+    this.nonce = null;
 
     this.server = null;
     this.serverAddress = null;
+    // The pending browser flow: its resolve and reject callbacks and timer.
+    this.pending = null;
     this.sessionStore = {};
+    this.discovered = null;
     this.app = express();
     this.app.use(cookieParser());
+    this.init();
+  }
+
+  /**
+   * Resolves the OAuth endpoints that were not explicitly configured from the
+   * issuer's OIDC discovery document. This is a no-op when no issuer is
+   * configured. Discovery only happens once per instance.
+   * @return {Promise<void>} A promise that resolves when the endpoints are
+   *     resolved.
+   */
+  discover() {
+    if (!this.issuer) {
+      return Promise.resolve();
+    }
+    if (!this.discovered) {
+      this.discovered = fetchDiscoveryDocument(this.issuer).then((doc) => {
+        this.authUri = this.authUri || doc.authorization_endpoint;
+        this.tokenUri = this.tokenUri || doc.token_endpoint;
+        this.revokeUri = this.revokeUri || doc.revocation_endpoint;
+        this.logoutUri = this.logoutUri || doc.end_session_endpoint;
+        this.deviceAuthorizationUri = this.deviceAuthorizationUri ||
+            doc.device_authorization_endpoint;
+        const authMethods = doc.token_endpoint_auth_methods_supported;
+        if (!this.tokenEndpointAuthMethod) {
+          this.tokenEndpointAuthMethod = this.getDefaultAuthMethod(authMethods);
+        } else if (Array.isArray(authMethods) &&
+            !authMethods.includes(this.tokenEndpointAuthMethod)) {
+          logger.warn(`${this.issuer} does not advertise the ` +
+              `${this.tokenEndpointAuthMethod} client authentication method ` +
+              `(supported: ${authMethods.join(', ')})`);
+        }
+        const methods = doc.code_challenge_methods_supported;
+        if (Array.isArray(methods) && !methods.includes('S256')) {
+          throw new Error(
+              `${this.issuer} does not support the S256 code challenge ` +
+              `method (supported: ${methods.join(', ')})`);
+        }
+        if (!methods) {
+          logger.warn(`${this.issuer} does not advertise ` +
+              'code_challenge_methods_supported, assuming S256 is supported.');
+        }
+        if (!this.revokeUri) {
+          logger.warn(`${this.issuer} has no revocation_endpoint, ` +
+              'refresh tokens will not be revoked on logout.');
+        }
+        if (!this.logoutUri) {
+          logger.warn(`${this.issuer} has no end_session_endpoint, ` +
+              'logout will not sign out of the IdP browser session.');
+        }
+      }, (error) => {
+        // Allow discovery to be retried on the next call.
+        this.discovered = null;
+        throw error;
+      });
+    }
+    return this.discovered;
+  }
+
+  /**
+   * Checks the client authentication settings are consistent.
+   */
+  checkClientAuthentication() {
+    const method = this.tokenEndpointAuthMethod;
+    if (method && !TOKEN_ENDPOINT_AUTH_METHODS.includes(method)) {
+      throw new Error(`Unsupported tokenEndpointAuthMethod: ${method} ` +
+          `(supported: ${TOKEN_ENDPOINT_AUTH_METHODS.join(', ')})`);
+    }
+    if (method && method.startsWith('client_secret_') && !this.clientSecret) {
+      throw new Error(`${method} requires a clientSecret`);
+    }
+    if (method === 'private_key_jwt' && !this.privateKey) {
+      throw new Error('private_key_jwt requires a privateKey or ' +
+          'privateKeyFile');
+    }
+    if (this.privateKey && !ALGORITHMS[this.clientAssertionAlg]) {
+      throw new Error('Unsupported client assertion algorithm: ' +
+          `${this.clientAssertionAlg}`);
+    }
+  }
+
+  /**
+   * Returns the client authentication method to use when none is configured,
+   * based on the configured credentials and the methods advertised by the
+   * issuer.
+   * @param {?Array<string>=} supported The issuer's
+   *     token_endpoint_auth_methods_supported, if any.
+   * @return {string} The client authentication method.
+   */
+  getDefaultAuthMethod(supported) {
+    if (this.privateKey) {
+      return 'private_key_jwt';
+    }
+    if (!this.clientSecret) {
+      return 'none';
+    }
+    // client_secret_post is kept unless the issuer only accepts Basic.
+    if (Array.isArray(supported) &&
+        !supported.includes('client_secret_post') &&
+        supported.includes('client_secret_basic')) {
+      return 'client_secret_basic';
+    }
+    return 'client_secret_post';
+  }
+
+  /**
+   * Signs a private_key_jwt client assertion for the provided endpoint, with
+   * a new jti so that assertions are never replayed.
+   * https://datatracker.ietf.org/doc/html/rfc7523#section-3
+   * @param {string} audience The endpoint the assertion is sent to.
+   * @return {string} The signed client assertion.
+   */
+  createClientAssertion(audience) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = {alg: this.clientAssertionAlg, typ: 'JWT'};
+    if (this.privateKeyId) {
+      header.kid = this.privateKeyId;
+    }
+    const payload = {
+      iss: this.clientId,
+      sub: this.clientId,
+      aud: audience,
+      jti: crypto.randomUUID(),
+      iat: now,
+      exp: now + CLIENT_ASSERTION_LIFETIME_SECONDS,
+    };
+    const signedContent = [header, payload]
+        .map((part) => Buffer.from(JSON.stringify(part)).toString('base64url'))
+        .join('.');
+    const algorithm = ALGORITHMS[this.clientAssertionAlg];
+    const signature = crypto.sign(algorithm.hash, Buffer.from(signedContent), {
+      key: this.privateKey,
+      padding: algorithm.padding,
+      dsaEncoding: algorithm.dsaEncoding,
+    });
+    return `${signedContent}.${signature.toString('base64url')}`;
+  }
+
+  /**
+   * Posts a form to one of the provider endpoints, authenticating the client
+   * with the configured tokenEndpointAuthMethod.
+   * @param {string} uri The token, revocation or device authorization
+   *     endpoint.
+   * @param {!Object<string, (string|undefined)>} params The form parameters.
+   * @return {Promise<*>} A promise that resolves with the fetch response.
+   */
+  postForm(uri, params) {
+    const headers = {'Content-Type': 'application/x-www-form-urlencoded'};
+    const clientAuth = {client_id: this.clientId};
+    switch (this.tokenEndpointAuthMethod || this.getDefaultAuthMethod()) {
+      case 'client_secret_basic': {
+        // RFC 6749 section 2.3.1: the credentials are form encoded first.
+        const credentials = `${encodeURIComponent(this.clientId)}:` +
+            encodeURIComponent(this.clientSecret);
+        headers['Authorization'] =
+            `Basic ${Buffer.from(credentials).toString('base64')}`;
+        delete clientAuth.client_id;
+        break;
+      }
+      case 'private_key_jwt':
+        clientAuth.client_assertion_type = JWT_BEARER_ASSERTION_TYPE;
+        clientAuth.client_assertion = this.createClientAssertion(uri);
+        break;
+      case 'client_secret_post':
+        clientAuth.client_secret = this.clientSecret;
+        break;
+    }
+    return fetch(uri, {
+      method: 'POST',
+      headers,
+      body: encodeForm({...params, ...clientAuth}),
+    });
   }
 
   /**
@@ -120,51 +447,38 @@ class OAuthClientServer {
    * session.
    * https://openid.net/specs/openid-connect-rpinitiated-1_0.html#RPLogout
    * @param {string} refreshToken The OAuth refresh token.
-   * @return {Promise<string>} A promise that resolves with the signout URL.
+   * @return {Promise<?string>} A promise that resolves with the signout URL,
+   *     or null if the provider has no logout endpoint.
    */
   async revokeAndGetLogoutUrl(refreshToken) {
     // An ID token is needed for signout.
     const resp = await this.refresh(refreshToken);
-    await this.revoke(refreshToken, 'refresh_token');
-    return `${this.logoutUri}?id_token_hint=${resp.id_token}`;
+    // Providers without revocation or logout support are reported on
+    // discovery, skip those steps here.
+    if (this.revokeUri) {
+      await this.revoke(refreshToken, 'refresh_token');
+    }
+    if (!this.logoutUri) {
+      return null;
+    }
+    const logoutUrl = new URL(this.logoutUri);
+    logoutUrl.searchParams.set('id_token_hint', resp.id_token);
+    return logoutUrl.toString();
   }
 
   /**
    * Initializes all the server endpoints and their logic.
-   * This includes the /auth and /callback endpoints.
-   * @param {function(*)} resolve The success callback to call with the OAuth
-   *     response on success.
-   * @param {function(*)} reject The error callback to call when the
-   *     authorization fails.
+   * This includes the /auth and /callback endpoints, serving the pending
+   * browser flow.
    */
-  init(resolve, reject) {
+  init() {
     this.app.get('/auth', (req, res) => {
-      // Between 43 and 128 chars.
-      const alphabet = 'abcdefghijklmnopqrstuvwxyz';
-      const charSet = alphabet.toLowerCase() +
-          alphabet.toUpperCase() + '0123456789' + '-._~';
-      const codeVerifier = generateRandomString(CODE_VERIFIER_LENGTH, charSet);
-      // BASE64URL-ENCODE(SHA256(ASCII(code_verifier))).
-      const codeChallenge = crypto.createHash('sha256')
-          .update(codeVerifier)
-          .digest('base64')
-          // web-safe-base64.
-          .replace(/\//g, '_').replace(/\+/g, '-')
-          // Remove trailing equals.
-          .replace(/=*$/, '');
-      const state = generateRandomString(STATE_LENGTH);
-      // Save code verifier keyed by state in session store.
-      this.sessionStore[state] = codeVerifier;
-      const authUri = this.authUri +
-          `?client_id=${encodeURIComponent(this.clientId)}` +
-          `&redirect_uri=` +
-          `${encodeURIComponent(`${this.serverAddress}/callback`)}` +
-          `&response_type=code` +
-          `&scope=${encodeURIComponent(this.scopes)}` +
-          `&code_challenge=${encodeURIComponent(codeChallenge)}` +
-          `&code_challenge_method=S256` +
-          '&prompt=login' +
-          `&state=${encodeURIComponent(state)}`;
+      if (!this.pending) {
+        res.status(400).send('No pending login');
+        return;
+      }
+      const {authUri, state} =
+          this.createAuthorizationRequest(`${this.serverAddress}/callback`);
       // Redirect to the authorization URL after setting sesssions state cookie.
       res.cookie('session_state', state, {httpOnly: true});
       res.redirect(302, authUri);
@@ -174,48 +488,162 @@ class OAuthClientServer {
       const state = req.cookies['session_state'];
       const code = req.query.code;
       const actualState = req.query.state;
-      if (actualState &&
-          code &&
-          state === actualState &&
-          (typeof this.sessionStore[actualState] !== 'undefined')) {
-        const codeVerifier = this.sessionStore[actualState];
-        delete this.sessionStore[actualState];
-        try {
-          const response = await fetch(this.tokenUri, {
-            method: 'POST',
-            headers: {'Content-Type': 'application/x-www-form-urlencoded'},
-            body: `grant_type=authorization_code` +
-              `&client_id=${encodeURIComponent(this.clientId)}` +
-              (this.clientSecret ?
-               `&client_secret=${encodeURIComponent(this.clientSecret)}` :
-               '') +
-              `&code=${encodeURIComponent(code)}` +
-              `&code_verifier=${encodeURIComponent(codeVerifier)}` +
-              `&redirect_uri=` +
-              `${encodeURIComponent(this.serverAddress + '/callback')}`,
-          });
-          const json = await response.json();
-          if (response.status === 200) {
-            res.redirect(this.successUri);
-            resolve(json);
-          } else {
-            res.status(response.status);
-            res.send(json.error);
-            reject(new Error(json.error));
-          }
-        } catch (error) {
-          res.status(500);
-          res.send(error.message);
-          reject(error);
-        }
-      } else {
+      const error = req.query.error;
+      // Stray callbacks, e.g. from stale tabs, do not end the pending flow.
+      if (!this.pending ||
+          !actualState ||
+          state !== actualState ||
+          !this.sessionStore[actualState] ||
+          (!code && !error)) {
+        logger.warn('Ignoring callback without a pending authorization ' +
+            'request');
         res.status(400);
         res.send('Invalid IdP response');
-        reject(new Error('Invalid IdP response'));
+        return;
+      }
+      if (error) {
+        delete this.sessionStore[actualState];
+        const failure = getRedirectError((name) => req.query[name]);
+        res.status(400);
+        res.send(`<h1>Sign-in failed</h1><p>${escapeHtml(failure.message)}` +
+            '</p><p>You can close this window.</p>');
+        this.finish(failure);
+        return;
+      }
+      try {
+        const json = await this.exchangeCode(
+            code, actualState, `${this.serverAddress}/callback`);
+        res.redirect(this.successUri);
+        this.finish(null, json);
+      } catch (error) {
+        res.status(error.status || 500);
+        res.send(escapeHtml(error.message));
+        this.finish(error);
+      }
+    });
+  }
+
+  /**
+   * Ends the pending browser flow: closes the local server and settles the
+   * authorize() promise.
+   * @param {?Error} error The error to reject with, if any.
+   * @param {*=} response The OAuth response to resolve with.
+   */
+  finish(error, response) {
+    const pending = this.pending;
+    this.pending = null;
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+    if (!pending) {
+      return;
+    }
+    clearTimeout(pending.timer);
+    if (error) {
+      pending.reject(error);
+    } else {
+      pending.resolve(response);
+    }
+  }
+
+  /**
+   * Removes the authorization request of the provided state from the
+   * session store and returns it, failing when it has expired.
+   * @param {string} state The state of the authorization request.
+   * @return {{codeVerifier: string, nonce: string}} The code verifier and
+   *     nonce of the authorization request.
+   */
+  takeAuthorizationRequest(state) {
+    const request = this.sessionStore[state];
+    delete this.sessionStore[state];
+    if (!request || request.expiresAt <= Date.now()) {
+      throw new Error('The authorization request expired, please login again');
+    }
+    return request;
+  }
+
+  /**
+   * Provisions the state, nonce and code verifier of a new authorization
+   * request, stored locally keyed by state, and returns the authorization URL.
+   * @param {string} redirectUri The redirect URI.
+   * @return {{authUri: string, state: string}} The authorization URL and the
+   *     state.
+   */
+  createAuthorizationRequest(redirectUri) {
+    // Between 43 and 128 chars.
+    const alphabet = 'abcdefghijklmnopqrstuvwxyz';
+    const charSet = alphabet.toLowerCase() +
+        alphabet.toUpperCase() + '0123456789' + '-._~';
+    const codeVerifier = generateRandomString(CODE_VERIFIER_LENGTH, charSet);
+    // BASE64URL-ENCODE(SHA256(ASCII(code_verifier))).
+    const codeChallenge = crypto.createHash('sha256')
+        .update(codeVerifier)
+        .digest('base64')
+        // web-safe-base64.
+        .replace(/\//g, '_').replace(/\+/g, '-')
+        // Remove trailing equals.
+        .replace(/=*$/, '');
+    const state = generateRandomString(STATE_LENGTH);
+    const nonce = generateRandomString(NONCE_LENGTH);
+    // Drop the expired requests, e.g. from abandoned browser tabs.
+    for (const [key, request] of Object.entries(this.sessionStore)) {
+      if (request.expiresAt <= Date.now()) {
+        delete this.sessionStore[key];
       }
-      // Close the local server used for authorization.
-      this.close();
+    }
+    // Save code verifier and nonce keyed by state in session store.
+    this.sessionStore[state] = {
+      codeVerifier,
+      nonce,
+      expiresAt: Date.now() + AUTHORIZATION_REQUEST_TTL_SECONDS * 1000,
+    };
+    const authUri = this.authUri +
+        `?client_id=${encodeURIComponent(this.clientId)}` +
+        `&redirect_uri=${encodeURIComponent(redirectUri)}` +
+        `&response_type=code` +
+        `&scope=${encodeURIComponent(this.scopes)}` +
+        `&code_challenge=${encodeURIComponent(codeChallenge)}` +
+        `&code_challenge_method=S256` +
+        '&prompt=login' +
+        `&state=${encodeURIComponent(state)}` +
+        `&nonce=${encodeURIComponent(nonce)}`;
+    return {authUri, state};
+  }
+
+  /**
+   * Exchanges the authorization code with the code verifier stored for the
+   * state. On success, the nonce sent for the state is checked against the
+   * ID token one and exposed as client.nonce.
+   * @param {string} code The authorization code.
+   * @param {string} state The state of the authorization request.
+   * @param {string} redirectUri The redirect URI of the authorization request.
+   * @return {Promise<*>} A promise that resolves with the OAuth response, or
+   *     rejects with an error with the HTTP status of the token endpoint.
+   */
+  async exchangeCode(code, state, redirectUri) {
+    const {codeVerifier, nonce} = this.takeAuthorizationRequest(state);
+    const response = await this.postForm(this.tokenUri, {
+      grant_type: 'authorization_code',
+      code,
+      code_verifier: codeVerifier,
+      redirect_uri: redirectUri,
     });
+    const json = await response.json();
+    if (response.status !== 200) {
+      const error = new Error(json.error);
+      error.status = response.status;
+      throw error;
+    }
+    // The ID token signature is verified by the caller, along with the nonce.
+    if (json.id_token && decodeJwt(json.id_token).payload.nonce !== nonce) {
+      const error = new Error('The ID token nonce does not match the ' +
+          'authorization request');
+      error.status = 400;
+      throw error;
+    }
+    this.nonce = nonce;
+    return json;
   }
 
   /**
@@ -225,16 +653,14 @@ class OAuthClientServer {
    * @return {Promise<void>} A promise that resolves on revocation completion.
    */
   async revoke(token, tokenType) {
-    const fetchOptions = {
-      method: 'POST',
-      body: `token=${encodeURIComponent(token)}` +
-          `&token_type_hint=${encodeURIComponent(tokenType)}` +
-          `&client_id=${encodeURIComponent(this.clientId)}` +
-          (this.clientSecret ?
-           `&client_secret=${encodeURIComponent(this.clientSecret)}` : ''),
-      headers: {'Content-Type': 'application/x-www-form-urlencoded'},
-    };
-    const res = await fetch(this.revokeUri, fetchOptions);
+    await this.discover();
+    if (!this.revokeUri) {
+      throw new Error('Token revocation is not supported by the provider');
+    }
+    const res = await this.postForm(this.revokeUri, {
+      token,
+      token_type_hint: tokenType,
+    });
     if (res.status !== 200) {
       const json = await res.json();
       throw new Error(json.error_description || json.error || 'Unknown Error');
@@ -245,21 +671,23 @@ class OAuthClientServer {
    * Refreshes the provided refresh token and resolves with the refreshed
    * tokens.
    * @param {string} refreshToken The OAuth refresh token.
-   * @return {Promise<*>} A promise that resolves with the OAuth response.
+   * @return {Promise<*>} A promise that resolves with the OAuth response, or
+   *     rejects with an error with the OAuth error code as code, e.g.
+   *     invalid_grant when the refresh token was revoked or expired.
    */
   async refresh(refreshToken) {
-    const res = await fetch(this.tokenUri, {
-        method: 'POST',
-        body: `grant_type=refresh_token` +
-            `&refresh_token=${encodeURIComponent(refreshToken)}` +
-            `&client_id=${encodeURIComponent(this.clientId)}` +
-            (this.clientSecret ?
-             `&client_secret=${encodeURIComponent(this.clientSecret)}` : ''),
-        headers: {'Content-Type': 'application/x-www-form-urlencoded'},
-      });
+    await this.discover();
+    const res = await this.postForm(this.tokenUri, {
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+    });
     const json = await res.json();
     if (res.status !== 200) {
-      throw new Error(json.error_description || json.error || 'Unknown Error');
+      const error = new Error(
+          json.error_description || json.error || 'Unknown Error');
+      error.code = json.error;
+      error.status = res.status;
+      throw error;
     }
     return json;
   }
@@ -269,38 +697,233 @@ class OAuthClientServer {
    * @param {string=} scopes The optional space-delimited list of scopes.
    * @param {number=} port The port number to use. A default one is used when
    *     unspecified.
-   * @return {Promise<*>} A promise that resolves with the OAuth response.
+   * @return {Promise<*>} A promise that resolves with the OAuth response, or
+   *     rejects when the login fails, times out or is cancelled.
    */
   authorize(scopes, port=PORT) {
     // Only allow one authorization flow at a time.
-    if (this.server) {
+    if (this.pending) {
       return Promise.reject(new Error(
-          'Pending authorization flow. Close existing session to rerun.'))
+          'Pending authorization flow. Close existing session to rerun.'));
     }
+    this.setScopes(scopes);
+    return new Promise((resolve, reject) => {
+      this.pending = {resolve, reject, timer: null};
+      const pending = this.pending;
+      this.discover()
+          .then(() => this.listen(port))
+          .then((server) => {
+            if (this.pending !== pending) {
+              // Cancelled while starting.
+              server.close();
+              this.server = this.server === server ? null : this.server;
+              return;
+            }
+            if (this.loginTimeoutSeconds > 0) {
+              pending.timer = setTimeout(() => this.finish(new Error(
+                  `Login timed out after ${this.loginTimeoutSeconds} ` +
+                  'seconds')), this.loginTimeoutSeconds * 1000);
+            }
+            logger.info('Redirecting to authorization URL');
+            // Open the start url in the default browser.
+            return this.openBrowser(`${this.serverAddress}/auth`);
+          })
+          .catch((error) => {
+            if (this.pending === pending) {
+              this.finish(error);
+            }
+          });
+    });
+  }
+
+  /**
+   * Starts the local server on the provided port, or on a free one when it is
+   * taken and ephemeralPortFallback is set.
+   * @param {number} port The port number to use.
+   * @return {Promise<!http.Server>} A promise that resolves with the
+   *     listening server.
+   */
+  listen(port) {
+    return new Promise((resolve, reject) => {
+      const server = this.app.listen(port, HOST);
+      server.once('listening', () => {
+        this.server = server;
+        this.serverAddress = `http://${HOST}:${server.address().port}`;
+        resolve(server);
+      });
+      server.once('error', (error) => {
+        if (error.code === 'EADDRINUSE' && this.ephemeralPortFallback &&
+            port !== 0) {
+          logger.warn(`Port ${port} is in use, listening on a free port. ` +
+              'The IdP must allow any loopback redirect URI port.');
+          resolve(this.listen(0));
+          return;
+        }
+        reject(new Error(`Unable to start the login server on port ${port}: ` +
+            error.message));
+      });
+    });
+  }
+
+  /**
+   * Sets the requested scopes.
+   * @param {string=} scopes The optional space-delimited list of scopes.
+   */
+  setScopes(scopes) {
     // openid is required for the ID token to be returned.
     this.scopes = scopes ?
         `${scopes}${SCOPE_SEPARATOR}${DEFAULT_SCOPE}` :
         DEFAULT_SCOPE;
-    return new Promise((resolve, reject) => {
-      this.init(resolve, reject);
-      this.server = this.app.listen(port, HOST, () => {
-        this.serverAddress = `http://${HOST}:${this.server.address().port}`;
-        console.log('Redirecting to authorization URL');
-        // Open the start url in the default browser.
-        open(`${this.serverAddress}/auth`);
+  }
+
+  /**
+   * Runs the device authorization grant: prints the verification URI and
+   * user code, then polls the token endpoint until the user approves.
+   * https://datatracker.ietf.org/doc/html/rfc8628
+   * @param {string=} scopes The optional space-delimited list of scopes.
+   * @return {Promise<*>} A promise that resolves with the OAuth response.
+   */
+  async authorizeDevice(scopes) {
+    this.setScopes(scopes);
+    await this.discover();
+    if (!this.deviceAuthorizationUri) {
+      throw new Error('Device authorization is not supported by the ' +
+          'provider, use the manual login flow instead');
+    }
+    const res = await this.postForm(
+        this.deviceAuthorizationUri, {scope: this.scopes});
+    const device = await res.json();
+    if (res.status !== 200) {
+      throw new Error(
+          device.error_description || device.error || 'Unknown Error');
+    }
+    this.showDeviceCode(device);
+
+    // The nonce is not part of the device flow.
+    this.nonce = null;
+    let interval = device.interval ?? DEFAULT_DEVICE_INTERVAL_SECONDS;
+    const lifetime =
+        Number(device.expires_in) || DEFAULT_DEVICE_CODE_LIFETIME_SECONDS;
+    const deadline = Date.now() + lifetime * 1000;
+    while (Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, interval * 1000));
+      const tokenRes = await this.postForm(this.tokenUri, {
+        grant_type: DEVICE_CODE_GRANT_TYPE,
+        device_code: device.device_code,
+      });
+      const json = await tokenRes.json();
+      if (tokenRes.status === 200) {
+        return json;
+      }
+      if (json.error === 'slow_down') {
+        interval += SLOW_DOWN_SECONDS;
+      } else if (json.error !== 'authorization_pending') {
+        throw new Error(json.error_description || json.error ||
+            'Unknown Error');
+      }
+    }
+    throw new Error('The device code expired before the user signed in');
+  }
+
+  /**
+   * Prints the device flow verification URI, user code and the QR code of the
+   * complete verification URI when provided. Like the prompts, they are
+   * printed on stderr so stdout is left to the command output.
+   * @param {*} device The device authorization response.
+   */
+  showDeviceCode(device) {
+    const completeUri = device.verification_uri_complete;
+    process.stderr.write(`To sign in, open ${device.verification_uri} ` +
+        `and enter the code ${device.user_code}\n`);
+    if (completeUri) {
+      process.stderr.write(`Or scan the QR code to open ${completeUri}\n`);
+      qrcode.generate(completeUri, {small: true},
+          (qrCode) => process.stderr.write(`${qrCode}\n`));
+    }
+  }
+
+  /**
+   * Runs the PKCE flow without the local server, for IdPs without device
+   * flow support: prints the authorization URL and asks the user to paste the
+   * URL they were redirected to after signing in.
+   * @param {string=} scopes The optional space-delimited list of scopes.
+   * @param {number=} port The port of the registered redirect URI,
+   *     http://localhost:PORT/callback. A default one is used when
+   *     unspecified.
+   * @return {Promise<*>} A promise that resolves with the OAuth response.
+   */
+  async authorizeManual(scopes, port=PORT) {
+    this.setScopes(scopes);
+    await this.discover();
+    const redirectUri = `http://${HOST}:${port}/callback`;
+    const {authUri, state} = this.createAuthorizationRequest(redirectUri);
+    this.showAuthorizationUrl(authUri);
+    const pastedUrl = await this.promptRedirectUrl(
+        'Paste the URL you were redirected to (the page may fail to load): ');
+    let params;
+    try {
+      params = new URL(pastedUrl.trim()).searchParams;
+    } catch (error) {
+      delete this.sessionStore[state];
+      throw new Error('Invalid redirect URL');
+    }
+    if (params.get('state') !== state) {
+      delete this.sessionStore[state];
+      throw new Error('Invalid IdP response');
+    }
+    if (params.get('error') || !params.get('code')) {
+      delete this.sessionStore[state];
+      throw params.get('error') ?
+        getRedirectError((name) => params.get(name)) :
+        new Error('Invalid IdP response');
+    }
+    return this.exchangeCode(params.get('code'), state, redirectUri);
+  }
+
+  /**
+   * Prints the authorization URL of the manual flow on stderr.
+   * @param {string} authUri The authorization URL.
+   */
+  showAuthorizationUrl(authUri) {
+    process.stderr.write(
+        `Open the following URL in a browser and sign in:\n${authUri}\n`);
+  }
+
+  /**
+   * Asks the user for the redirect URL on the terminal. Override to provide
+   * it some other way, e.g. in tests.
+   * @param {string} question The prompt.
+   * @return {Promise<string>} A promise that resolves with the answer.
+   */
+  promptRedirectUrl(question) {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stderr,
+    });
+    return new Promise((resolve) => {
+      rl.question(question, (answer) => {
+        rl.close();
+        resolve(answer);
       });
     });
   }
 
   /**
-   * Closes the local server used for PKCE flow.
+   * Opens the provided URL in the default browser. Override to drive the
+   * authorization flow some other way, e.g. in tests.
+   * @param {string} url The URL to open.
+   * @return {Promise<*>} A promise that resolves once the browser is opened.
+   */
+  openBrowser(url) {
+    return open(url);
+  }
+
+  /**
+   * Closes the local server used for PKCE flow, cancelling the pending
+   * authorize() call.
    */
   close() {
-    // Close server if open.
-    if (this.server) {
-      this.server.close();
-      this.server = null;
-    }
+    this.finish(this.pending && new Error('Login cancelled'));
   }
 }
 
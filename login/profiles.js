@@ -0,0 +1,483 @@
+/**
+ * @fileoverview Provides named login profiles so several IdPs and workforce
+ * pools can be served side by side from one metadata server.
+ *
+ * Profiles are defined in profiles.json at the repo root:
+ * {
+ *   "defaultProfile": "okta",
+ *   "profiles": {
+ *     "okta": {
+ *       "type": "oidc",
+ *       "configFile": "oauth-config.json",
+ *       "credentialConfigFile": "workforce-config.json"
+ *     },
+ *     "azure": {
+ *       "type": "oidc",
+ *       "configFile": "azure-oauth-config.json",
+ *       "port": 5556
+ *     },
+ *     "okta-saml": {"type": "saml", "configFile": "saml-config.json"}
+ *   }
+ * }
+ *
+ * When profiles.json does not exist, a single "default" profile is created
+ * from oauth-config.json (or saml-config.json for SAML), using the keytar
+ * accounts of the single session setup.
+ *
+ * Each profile has its own login client, its own keytar account and its own
+ * token route: /profiles/<name>/token.
+ *
+ * The session credentials are stored in keytar unless another backend is set
+ * in the optional storage field (see storage.js), e.g.
+ * "storage": {"type": "encrypted-file", "file": "sessions.enc.json"}
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {OAuthClientServer} = require('./pkce');
+const {SamlServiceProvider, parseSamlResponse} = require('./saml');
+const {logger} = require('./logger');
+const {KeytarStore, createStore} = require('./storage');
+const {getAccessToken, loadCredentialConfig} = require('./sts');
+const {TokenCache} = require('./token-cache');
+const {IdTokenVerifier, decodeJwt} = require('./verifier');
+
+// The identifier used to key the keytar-stored session credentials.
+const APP_ID = 'WorkforcePoolTesting';
+// The keytar account used to store the OIDC refresh token.
+const REFRESH_TOKEN_ACCOUNT = 'RefreshToken';
+// The keytar account used to store the base64 encoded SAMLResponse.
+const SAML_RESPONSE_ACCOUNT = 'SamlResponse';
+// The name of the implicit profile used when profiles.json does not exist.
+const DEFAULT_PROFILE = 'default';
+// The profiles file, relative to the repo root.
+const PROFILES_FILE = 'profiles.json';
+// The default config file per profile type, relative to the repo root.
+const DEFAULT_CONFIG_FILES = {
+  oidc: 'oauth-config.json',
+  saml: 'saml-config.json',
+};
+// The default external_account credential config, relative to the repo root.
+const DEFAULT_CREDENTIAL_CONFIG_FILE = 'workforce-config.json';
+// "offline_access" is needed since we need to get and store a refresh token.
+// "email" is needed so the JWT will also contain a user friendly email
+// identifier.
+const DEFAULT_SCOPES = 'offline_access email';
+// The environment variable overriding the session storage backend type.
+const STORAGE_ENV = 'WORKFORCE_POOL_STORAGE';
+// The OIDC login modes: the local browser redirect, the RFC 8628 device
+// authorization grant and the pasted redirect URL fallback.
+const LOGIN_MODES = ['browser', 'device', 'manual'];
+
+/**
+ * Reads a JSON file relative to the repo root.
+ *
+ * @param {string} file The file path, absolute or relative to the repo root.
+ * @return {*} The parsed JSON.
+ */
+function readJsonFile(file) {
+  return JSON.parse(
+      fs.readFileSync(path.resolve(__dirname, '..', file), 'utf8'));
+}
+
+/**
+ * Defines a named login profile: one IdP client configuration and the stored
+ * session credential for it.
+ */
+class Profile {
+  /**
+   * Initializes a Profile instance.
+   * @param {string} name The profile name.
+   * @param {*} options The profile options: type (oidc or saml), configFile,
+   *     credentialConfigFile (the external_account config used for STS token
+   *     exchange), the optional callback (or default SAML ACS URL) port,
+   *     scopes, projectId (the project ID reported by the GCE metadata server
+   *     emulation) and refreshSkewSeconds (how long before expiry cached
+   *     tokens are refreshed), loginMode (browser, device or manual, defaults to
+   *     browser) and the provider attributeMapping and attributeCondition
+   *     checked by the simulate-mapping command.
+   * @param {*=} store The session credential store, with the keytar
+   *     getPassword, setPassword and deletePassword API. Defaults to keytar.
+   */
+  constructor(name, options, store = new KeytarStore()) {
+    this.name = name;
+    this.type = options.type || 'oidc';
+    if (!DEFAULT_CONFIG_FILES[this.type]) {
+      throw new Error(`Profile ${name} has unknown type: ${this.type}`);
+    }
+    this.configFile = options.configFile || DEFAULT_CONFIG_FILES[this.type];
+    this.credentialConfigFile =
+        options.credentialConfigFile || DEFAULT_CREDENTIAL_CONFIG_FILE;
+    this.port = options.port;
+    this.scopes = options.scopes || DEFAULT_SCOPES;
+    this.projectId = options.projectId;
+    this.loginMode = options.loginMode || 'browser';
+    if (!LOGIN_MODES.includes(this.loginMode)) {
+      throw new Error(
+          `Profile ${name} has unknown loginMode: ${this.loginMode}`);
+    }
+    this.attributeMapping = options.attributeMapping;
+    this.attributeCondition = options.attributeCondition;
+
+    const baseAccount = this.type === 'saml' ?
+        SAML_RESPONSE_ACCOUNT : REFRESH_TOKEN_ACCOUNT;
+    // The implicit default profile keeps the single session keytar account.
+    this.account = name === DEFAULT_PROFILE ?
+        baseAccount : `${baseAccount}:${name}`;
+
+    this.store = store;
+    this.client = null;
+    this.verifier = null;
+    this.credentialConfig = null;
+    this.tokenCache = new TokenCache(
+        {refreshSkewSeconds: options.refreshSkewSeconds});
+  }
+
+  /**
+   * Returns the external_account credential config of the profile, loading
+   * it on first use.
+   * @return {*} The credential configuration.
+   */
+  getCredentialConfig() {
+    if (!this.credentialConfig) {
+      this.credentialConfig = loadCredentialConfig(this.credentialConfigFile);
+    }
+    return this.credentialConfig;
+  }
+
+  /**
+   * Creates the login client (and ID token verifier) on first use so
+   * profiles can be listed without all config files being present.
+   * @return {OAuthClientServer|SamlServiceProvider} The login client.
+   */
+  getClient() {
+    if (!this.client) {
+      const config = readJsonFile(this.configFile);
+      if (this.type === 'saml') {
+        // The profile port sets the port of the default ACS URL.
+        this.client = new SamlServiceProvider({port: this.port, ...config});
+      } else {
+        this.client = new OAuthClientServer(config);
+        // ID tokens are verified when the issuer is configured.
+        if (config.issuer) {
+          this.verifier = new IdTokenVerifier({
+            issuer: config.issuer,
+            audience: config.clientId,
+          });
+        } else {
+          logger.warn(`No issuer configured for profile ${this.name}, ` +
+              'ID tokens will not be verified.');
+        }
+      }
+    }
+    return this.client;
+  }
+
+  /**
+   * Returns the token route of the profile on the metadata server.
+   * @return {string} The route path.
+   */
+  getTokenPath() {
+    return `/profiles/${encodeURIComponent(this.name)}/token`;
+  }
+
+  /**
+   * Returns whether a session credential is stored for the profile.
+   * @return {Promise<boolean>} A promise that resolves with true if stored.
+   */
+  async hasSession() {
+    return !!(await this.store.getPassword(APP_ID, this.account));
+  }
+
+  /**
+   * Runs the interactive login flow and stores the resulting session
+   * credential, replacing any existing one. The existing credential is kept
+   * until the login succeeds, so a failed, timed out or cancelled login does
+   * not sign the profile out.
+   * @param {string=} mode The OIDC login mode overriding the profile one:
+   *     browser, device or manual. Ignored for SAML profiles.
+   * @return {Promise<*>} A promise that resolves with the login response.
+   */
+  async login(mode = this.loginMode) {
+    if (!LOGIN_MODES.includes(mode)) {
+      throw new Error(`Unknown login mode: ${mode}`);
+    }
+    const client = this.getClient();
+    if (this.type === 'saml') {
+      const jsonResponse = await client.authorize();
+      await this.replaceSession(jsonResponse.saml_response);
+      logger.info(`Signed in as ${jsonResponse.name_id}, assertion valid ` +
+          `until ${jsonResponse.expires_at}`);
+      return jsonResponse;
+    }
+    let jsonResponse;
+    if (mode === 'device') {
+      jsonResponse = await client.authorizeDevice(this.scopes);
+    } else if (mode === 'manual') {
+      jsonResponse = await client.authorizeManual(this.scopes, this.port);
+    } else {
+      jsonResponse = await client.authorize(this.scopes, this.port);
+    }
+    // The initial ID token must carry the nonce sent in the auth request.
+    // There is no nonce in the device flow.
+    if (this.verifier) {
+      await this.verifier.verify(
+          jsonResponse.id_token, {nonce: client.nonce, requireNonce: true});
+    }
+    // Without a new refresh token, the previous one is cleared since it may
+    // belong to another user.
+    await this.replaceSession(jsonResponse.refresh_token);
+    return jsonResponse;
+  }
+
+  /**
+   * Replaces the stored session credential and clears the tokens cached for
+   * the previous one.
+   * @param {?string|undefined} sessionCredential The new session credential,
+   *     none to clear it.
+   * @return {Promise<void>} A promise that resolves once stored.
+   */
+  async replaceSession(sessionCredential) {
+    if (sessionCredential) {
+      await this.store.setPassword(APP_ID, this.account, sessionCredential);
+    } else {
+      await this.store.deletePassword(APP_ID, this.account);
+    }
+    this.tokenCache.clear();
+  }
+
+  /**
+   * Reuses the stored session when it can still be refreshed, and only runs
+   * the interactive login flow when there is no stored session or the IdP
+   * rejects it with invalid_grant (revoked or expired). Other refresh
+   * failures, e.g. network errors, are not fixed by a new login and are
+   * thrown.
+   * @param {string=} mode The OIDC login mode overriding the profile one.
+   * @return {Promise<*>} A promise that resolves with the refreshed or login
+   *     response.
+   */
+  async resume(mode = this.loginMode) {
+    if (await this.hasSession()) {
+      try {
+        const resp = await this.getSessionToken();
+        logger.info(`Reusing the stored session of profile ${this.name}`);
+        return resp;
+      } catch (error) {
+        if (error.code !== 'invalid_grant') {
+          throw error;
+        }
+        logger.warn(`The stored session of profile ${this.name} is no ` +
+            'longer valid, signing in again', {error});
+      }
+    }
+    return this.login(mode);
+  }
+
+  /**
+   * Refreshes the stored session and verifies the returned ID token when a
+   * verifier is configured. A session rejected with invalid_grant is cleared
+   * since only a new login can replace it.
+   * @return {Promise<?*>} A promise that resolves with the refreshed OAuth
+   *     (or SAML) response, or null if there is no stored session.
+   */
+  async refresh() {
+    const client = this.getClient();
+    const sessionCredential =
+        await this.store.getPassword(APP_ID, this.account);
+    if (!sessionCredential) {
+      return null;
+    }
+    let resp;
+    try {
+      resp = await client.refresh(sessionCredential);
+    } catch (error) {
+      if (error.code === 'invalid_grant') {
+        await this.store.deletePassword(APP_ID, this.account);
+      }
+      throw error;
+    }
+    // Save refresh token if returned.
+    if (resp.refresh_token) {
+      await this.store.setPassword(APP_ID, this.account, resp.refresh_token);
+    }
+    if (this.verifier && resp.id_token) {
+      await this.verifier.verify(resp.id_token, {nonce: client.nonce});
+    }
+    return resp;
+  }
+
+  /**
+   * Returns the subject token response of the stored session: the OIDC
+   * response with the ID token, or the SAML response. The response is cached
+   * until shortly before the ID token (or SAML assertion) expires, so the IdP
+   * is only called when needed.
+   * @return {Promise<?*>} A promise that resolves with the OAuth (or SAML)
+   *     response, or null if there is no stored session.
+   */
+  getSessionToken() {
+    return this.tokenCache.get('subject_token', async () => {
+      const resp = await this.refresh();
+      if (!resp) {
+        return null;
+      }
+      let expiresAt = null;
+      if (resp.id_token) {
+        const {payload} = decodeJwt(resp.id_token);
+        expiresAt = typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+      } else if (resp.saml_response) {
+        const {notOnOrAfter} = parseSamlResponse(resp.saml_response);
+        expiresAt = notOnOrAfter ? notOnOrAfter.getTime() : null;
+      }
+      return {value: resp, expiresAt};
+    });
+  }
+
+  /**
+   * Returns a Google access token for the stored session, exchanged with the
+   * profile's credential config. Tokens are cached by audience and scopes
+   * until shortly before they expire.
+   * @param {!Array<string>=} scopes The optional scopes to request.
+   * @return {Promise<*>} A promise that resolves with the token response,
+   *     with expires_at set to the expiry time in milliseconds since epoch.
+   */
+  getAccessToken(scopes = []) {
+    const credentialConfig = this.getCredentialConfig();
+    const key = `access_token:${credentialConfig.audience}:` +
+        [...scopes].sort().join(' ');
+    return this.tokenCache.get(key, async () => {
+      const resp = await this.getSessionToken();
+      if (!resp) {
+        throw new Error('No session detected. Please login first.');
+      }
+      const tokenResponse = await getAccessToken(
+          credentialConfig, resp.id_token || resp.saml_response, {scopes});
+      // expires_in is only valid when issued, keep the absolute expiry time.
+      tokenResponse.expires_at = Date.now() + tokenResponse.expires_in * 1000;
+      return {value: tokenResponse, expiresAt: tokenResponse.expires_at};
+    });
+  }
+
+  /**
+   * Returns the token cache statistics and remaining token lifetimes.
+   * @return {*} The cache status.
+   */
+  getCacheStatus() {
+    return this.tokenCache.getStatus();
+  }
+
+  /**
+   * Cancels the pending login flow of the profile, if any.
+   */
+  close() {
+    if (this.client) {
+      this.client.close();
+    }
+  }
+
+  /**
+   * Revokes and clears the stored session credential.
+   * @return {Promise<?string>} A promise that resolves with the IdP logout
+   *     URL, or null if there was no stored session or logout URL.
+   */
+  async logout() {
+    const client = this.getClient();
+    const sessionCredential =
+        await this.store.getPassword(APP_ID, this.account);
+    await this.store.deletePassword(APP_ID, this.account);
+    this.tokenCache.clear();
+    if (!sessionCredential) {
+      return null;
+    }
+    return client.revokeAndGetLogoutUrl(sessionCredential);
+  }
+}
+
+/**
+ * Returns the session storage backend config: the storage field of
+ * profiles.json, or keytar by default. The WORKFORCE_POOL_STORAGE environment
+ * variable overrides the backend type.
+ *
+ * @param {string|*|undefined} configured The configured storage backend type,
+ *     or type and options.
+ * @return {{type: string}} The storage backend type and options.
+ */
+function getStorageConfig(configured) {
+  const config = typeof configured === 'string' ?
+      {type: configured} : (configured || {type: 'keytar'});
+  const type = process.env[STORAGE_ENV];
+  return type && type !== config.type ? {type} : config;
+}
+
+/**
+ * Loads the profiles from profiles.json, or the implicit default profile when
+ * the file does not exist.
+ *
+ * @param {{saml: (boolean|undefined), store: (*|undefined)}=} options Whether
+ *     the implicit default profile is a SAML profile, and the optional
+ *     session credential store shared by the profiles, overriding the
+ *     configured storage backend.
+ * @return {{profiles: !Map<string, !Profile>, defaultProfile: !Profile,
+ *     storageConfig: {type: string}, callerAuthConfig: (*|undefined)}} The
+ *     profiles keyed by name, the profile served by the /token route, the
+ *     configured storage backend and the configured caller authentication of
+ *     the metadata server, if any.
+ */
+function loadProfiles(options = {}) {
+  const profiles = new Map();
+  if (!fs.existsSync(path.resolve(__dirname, '..', PROFILES_FILE))) {
+    const storageConfig = getStorageConfig();
+    const profile = new Profile(
+        DEFAULT_PROFILE,
+        {type: options.saml ? 'saml' : 'oidc'},
+        options.store || createStore(storageConfig));
+    profiles.set(profile.name, profile);
+    return {profiles, defaultProfile: profile, storageConfig};
+  }
+  const json = readJsonFile(PROFILES_FILE);
+  const storageConfig = getStorageConfig(json.storage);
+  const store = options.store || createStore(storageConfig);
+  for (const [name, profileOptions] of Object.entries(json.profiles || {})) {
+    profiles.set(name, new Profile(name, profileOptions, store));
+  }
+  if (!profiles.size) {
+    throw new Error(`No profiles defined in ${PROFILES_FILE}`);
+  }
+  const defaultName = json.defaultProfile || profiles.keys().next().value;
+  const defaultProfile = profiles.get(defaultName);
+  if (!defaultProfile) {
+    throw new Error(`Unknown default profile: ${defaultName}`);
+  }
+  return {
+    profiles,
+    defaultProfile,
+    storageConfig,
+    callerAuthConfig: json.callerAuth,
+  };
+}
+
+/**
+ * Copies the stored session credentials of the provided profiles from one
+ * storage backend to another.
+ *
+ * @param {!Iterable<!Profile>} profiles The profiles to migrate.
+ * @param {*} fromStore The source storage backend.
+ * @param {*} toStore The destination storage backend.
+ * @return {Promise<!Array<string>>} A promise that resolves with the names of
+ *     the profiles with a session that was copied.
+ */
+async function migrateSessions(profiles, fromStore, toStore) {
+  const migrated = [];
+  for (const profile of profiles) {
+    const sessionCredential =
+        await fromStore.getPassword(APP_ID, profile.account);
+    if (sessionCredential) {
+      await toStore.setPassword(APP_ID, profile.account, sessionCredential);
+      migrated.push(profile.name);
+    }
+  }
+  return migrated;
+}
+
+exports.Profile = Profile;
+exports.loadProfiles = loadProfiles;
+exports.migrateSessions = migrateSessions;
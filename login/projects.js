@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Lists the GCP projects visible to an access token using the
+ * Resource Manager API:
+ * https://cloud.google.com/resource-manager/reference/rest/v1/projects/list
+ *
+ * Usage:
+ * const projects = await listProjects(accessToken, {
+ *   // All optional.
+ *   filter: 'labels.env:prod',
+ *   parent: 'folders/123456789',
+ *   lifecycleState: 'ACTIVE',
+ * });
+ * // [{projectId, projectNumber, name, labels, lifecycleState, parent}]
+ */
+
+const {GoogleApiError, callGoogleApi} = require('./google-api');
+
+// The Resource Manager projects.list endpoint.
+const PROJECTS_URL = 'https://cloudresourcemanager.googleapis.com/v1/projects';
+// The maximum number of projects requested per page.
+const PAGE_SIZE = 500;
+// The project lifecycle states.
+const LIFECYCLE_STATES = ['ACTIVE', 'DELETE_REQUESTED', 'DELETE_IN_PROGRESS'];
+
+/**
+ * Builds the projects.list filter from the provided options.
+ *
+ * @param {{filter: (string|undefined), parent: (string|undefined),
+ *     lifecycleState: (string|undefined)}} options The raw filter, the parent
+ *     folder or organization resource name and the lifecycle state.
+ * @return {string|undefined} The filter or undefined if none.
+ */
+function buildFilter(options) {
+  const terms = [];
+  if (options.filter) {
+    terms.push(options.filter);
+  }
+  if (options.parent) {
+    const match = options.parent.match(/^(folders|organizations)\/(\d+)$/);
+    if (!match) {
+      throw new GoogleApiError(400, 'INVALID_ARGUMENT',
+          'parent must be folders/FOLDER_ID or organizations/ORG_ID');
+    }
+    const type = match[1] === 'folders' ? 'folder' : 'organization';
+    terms.push(`parent.type:${type} parent.id:${match[2]}`);
+  }
+  if (options.lifecycleState) {
+    const state = options.lifecycleState.toUpperCase();
+    if (!LIFECYCLE_STATES.includes(state)) {
+      throw new GoogleApiError(400, 'INVALID_ARGUMENT',
+          `lifecycle_state must be one of: ${LIFECYCLE_STATES.join(', ')}`);
+    }
+    terms.push(`lifecycleState:${state}`);
+  }
+  return terms.length ? terms.join(' ') : undefined;
+}
+
+/**
+ * Lists all the projects visible to the access token, following
+ * nextPageToken.
+ *
+ * @param {string} accessToken The GCP access token.
+ * @param {{filter: (string|undefined), parent: (string|undefined),
+ *     lifecycleState: (string|undefined), url: (string|undefined)}=}
+ *     options The optional filters, and the projects.list URL, e.g. the fake
+ *     server one.
+ * @return {Promise<!Array<*>>} A promise that resolves with the projects:
+ *     projectId, projectNumber, name, labels, lifecycleState and parent.
+ *     Rejects with a GoogleApiError.
+ */
+async function listProjects(accessToken, options = {}) {
+  const filter = buildFilter(options);
+  const projects = [];
+  let pageToken;
+  do {
+    const data = await callGoogleApi(accessToken, {
+      method: 'GET',
+      url: options.url || PROJECTS_URL,
+      params: {filter, pageSize: PAGE_SIZE, pageToken},
+    });
+    for (const project of data.projects || []) {
+      projects.push({
+        projectId: project.projectId,
+        projectNumber: project.projectNumber,
+        name: project.name,
+        labels: project.labels || {},
+        lifecycleState: project.lifecycleState,
+        parent: project.parent,
+      });
+    }
+    pageToken = data.nextPageToken;
+  } while (pageToken);
+  return projects;
+}
+
+exports.listProjects = listProjects;
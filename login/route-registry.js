@@ -0,0 +1,741 @@
+/**
+ * @fileoverview Provides the route registry of the metadata server: each
+ * route declares its parameters, body and responses, which are used to
+ * validate the requests and to generate the OpenAPI document.
+ *
+ * Usage:
+ * const routes = new RouteRegistry(app, {
+ *   title: 'Workforce pool metadata server',
+ *   version: '1.0.0',
+ * });
+ * routes.addSchema('Error', {
+ *   type: 'object',
+ *   properties: {error: {type: 'string'}},
+ * });
+ * routes.get('/handles/:id', {
+ *   operationId: 'getHandle',
+ *   summary: 'Returns a handle.',
+ *   params: {id: {description: 'The handle ID.'}},
+ *   query: {verbose: {schema: {type: 'boolean'}}},
+ *   responses: {
+ *     200: {description: 'OK', schema: {type: 'object'}},
+ *     404: {description: 'Not Found', schema: {$ref: 'Error'}},
+ *   },
+ * }, (req, res) => {...});
+ * routes.post('/handles', {
+ *   operationId: 'createHandle',
+ *   body: {schema: {type: 'object', required: ['name'], properties: {...}}},
+ *   responses: {...},
+ * }, handler);
+ * app.get('/openapi.json', (req, res) => res.json(routes.toOpenApi(url)));
+ *
+ * Routes registered with several paths, e.g. ['/token',
+ * '/profiles/:name/token'], take one operationId per path. Express path
+ * parameters are documented as string path parameters unless described in
+ * params. Schema references ({$ref: 'Name'}) point at the schemas added with
+ * addSchema().
+ *
+ * Requests not matching the declared query parameters, path parameters or
+ * JSON body are rejected before the handler runs with a uniform 400 error:
+ * {
+ *   "error": "Invalid request: query parameter input_token is required",
+ *   "details": [
+ *     {"in": "query", "name": "input_token", "message": "is required"}
+ *   ]
+ * }
+ * Undeclared query parameters and body properties are allowed. The 400
+ * responses of the routes with parameters or a body are documented with the
+ * ValidationError schema.
+ *
+ * The routes can also be called in-process, e.g. by the MCP tools, with a
+ * flat input object split into path parameters, query parameters and body
+ * according to the route spec, and validated like HTTP requests:
+ * const {status, body} = await routes.invoke('getHandle', {id: 'abc'});
+ * const inputSchema = routes.getInputSchema('getHandle');
+ */
+
+const yaml = require('js-yaml');
+
+// The OpenAPI version of the generated document.
+const OPENAPI_VERSION = '3.0.3';
+// The schema reference prefix in the generated document.
+const SCHEMA_REF_PREFIX = '#/components/schemas/';
+// The maximum number of problems reported per request.
+const MAX_PROBLEMS = 20;
+// The name of the request validation error schema.
+const VALIDATION_ERROR = 'ValidationError';
+// The request validation error schema.
+const VALIDATION_ERROR_SCHEMA = {
+  type: 'object',
+  properties: {
+    error: {
+      type: 'string',
+      description: 'The first problem found in the request.',
+    },
+    details: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          in: {type: 'string', enum: ['path', 'query', 'body']},
+          name: {type: 'string'},
+          message: {type: 'string'},
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Converts an Express path to an OpenAPI path: /handles/:id to
+ * /handles/{id}.
+ *
+ * @param {string} path The Express path.
+ * @return {string} The OpenAPI path.
+ */
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+/**
+ * Returns the names of the path parameters of an Express path.
+ *
+ * @param {string} path The Express path.
+ * @return {!Array<string>} The parameter names.
+ */
+function getPathParamNames(path) {
+  return [...path.matchAll(/:(\w+)/g)].map((match) => match[1]);
+}
+
+/**
+ * Returns the JSON type of a value, distinguishing integers, arrays and null.
+ *
+ * @param {*} value The value.
+ * @return {string} The type name.
+ */
+function getJsonType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+/**
+ * Converts a query or path parameter string to the type of its schema, for
+ * validation.
+ *
+ * @param {*} value The parameter value, a string or an array of strings.
+ * @param {*} schema The parameter schema.
+ * @return {*} The converted value, or the original value when it does not
+ *     convert.
+ */
+function coerceParam(value, schema) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  switch (schema.type) {
+    case 'integer':
+      return /^-?\d+$/.test(value) ? Number(value) : value;
+    case 'number':
+      return value.trim() !== '' && !isNaN(Number(value)) ?
+          Number(value) : value;
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Defines the response of a route called in-process with invoke(), holding
+ * the status and body sent by the handlers.
+ */
+class InvocationResponse {
+  /**
+   * Initializes an InvocationResponse instance.
+   * @param {function({status: number, body: *})} onSend Called once the
+   *     handlers send the response.
+   */
+  constructor(onSend) {
+    this.onSend = onSend;
+    this.statusCode = 200;
+    this.headers = {};
+  }
+
+  /**
+   * Sets the response status.
+   * @param {number} status The HTTP status code.
+   * @return {!InvocationResponse} The response, for chaining.
+   */
+  status(status) {
+    this.statusCode = status;
+    return this;
+  }
+
+  /**
+   * Sets a response header.
+   * @param {string} name The header name.
+   * @param {string} value The header value.
+   * @return {!InvocationResponse} The response, for chaining.
+   */
+  set(name, value) {
+    this.headers[name.toLowerCase()] = value;
+    return this;
+  }
+
+  /**
+   * Sets the response content type.
+   * @param {string} type The content type.
+   * @return {!InvocationResponse} The response, for chaining.
+   */
+  type(type) {
+    return this.set('Content-Type', type);
+  }
+
+  /**
+   * Sends a JSON response.
+   * @param {*} body The response body.
+   * @return {!InvocationResponse} The response, for chaining.
+   */
+  json(body) {
+    return this.send(body);
+  }
+
+  /**
+   * Sends the response.
+   * @param {*} body The response body.
+   * @return {!InvocationResponse} The response, for chaining.
+   */
+  send(body) {
+    this.onSend({status: this.statusCode, body});
+    return this;
+  }
+}
+
+/**
+ * Defines a registry of documented and validated Express routes.
+ */
+class RouteRegistry {
+  /**
+   * Initializes a RouteRegistry instance.
+   * @param {!express.Application|!express.Router} app The app or router the
+   *     routes are registered on.
+   * @param {{title: string, version: string, description: (string|undefined)}}
+   *     info The OpenAPI info of the generated document.
+   * @param {{guard: (function(string): function(!Object, !Object,
+   *     function())|undefined)}=} options The optional factory of the
+   *     middleware run before the validation of the HTTP requests of each
+   *     route, called with the operationId, e.g. to authorize the callers.
+   *     Routes called with invoke() are not guarded.
+   */
+  constructor(app, info, options = {}) {
+    this.app = app;
+    this.info = info;
+    this.guard = options.guard;
+    // The registered routes: {method, path, operationId, spec, handlers}.
+    this.routes = [];
+    // The shared schemas keyed by name.
+    this.schemas = new Map([[VALIDATION_ERROR, VALIDATION_ERROR_SCHEMA]]);
+  }
+
+  /**
+   * Registers a GET route, see route().
+   * @param {string|!Array<string>} path The Express path or paths.
+   * @param {*} spec The route spec.
+   * @param {...function(!Object, !Object, function())} handlers The Express
+   *     handlers.
+   */
+  get(path, spec, ...handlers) {
+    this.route('get', path, spec, ...handlers);
+  }
+
+  /**
+   * Registers a POST route, see route().
+   * @param {string|!Array<string>} path The Express path or paths.
+   * @param {*} spec The route spec.
+   * @param {...function(!Object, !Object, function())} handlers The Express
+   *     handlers.
+   */
+  post(path, spec, ...handlers) {
+    this.route('post', path, spec, ...handlers);
+  }
+
+  /**
+   * Registers a DELETE route, see route().
+   * @param {string|!Array<string>} path The Express path or paths.
+   * @param {*} spec The route spec.
+   * @param {...function(!Object, !Object, function())} handlers The Express
+   *     handlers.
+   */
+  delete(path, spec, ...handlers) {
+    this.route('delete', path, spec, ...handlers);
+  }
+
+  /**
+   * Adds a shared schema, referenced as {$ref: name}.
+   * @param {string} name The schema name.
+   * @param {*} schema The JSON schema.
+   */
+  addSchema(name, schema) {
+    this.schemas.set(name, schema);
+  }
+
+  /**
+   * Registers a route and its validation middleware.
+   * @param {string} method The HTTP method, lowercase.
+   * @param {string|!Array<string>} path The Express path or paths.
+   * @param {*} spec The route spec: operationId (one per path), summary,
+   *     description, tags, params, query, body and responses.
+   * @param {...function(!Object, !Object, function())} handlers The Express
+   *     handlers.
+   */
+  route(method, path, spec, ...handlers) {
+    const paths = [].concat(path);
+    const operationIds = [].concat(spec.operationId);
+    if (operationIds.length !== paths.length ||
+        operationIds.some((operationId) => !operationId)) {
+      throw new Error(`${method.toUpperCase()} ${paths.join(', ')} needs ` +
+          'one operationId per path');
+    }
+    for (const operationId of operationIds) {
+      if (this.routes.some((route) => route.operationId === operationId)) {
+        throw new Error(`Duplicate operationId: ${operationId}`);
+      }
+    }
+    paths.forEach((routePath, index) => {
+      const operationId = operationIds[index];
+      this.routes.push({method, path: routePath, operationId, spec, handlers});
+      this.app[method](
+          routePath,
+          ...(this.guard ? [this.guard(operationId)] : []),
+          (req, res, next) => this.validateRequest(spec, req, res, next),
+          ...handlers);
+    });
+  }
+
+  /**
+   * Resolves a schema reference.
+   * @param {*} schema The schema, possibly a {$ref: name} reference.
+   * @return {*} The referenced schema, or the schema itself.
+   */
+  resolveSchema(schema) {
+    if (schema && schema.$ref) {
+      const resolved = this.schemas.get(schema.$ref);
+      if (!resolved) {
+        throw new Error(`Unknown schema: ${schema.$ref}`);
+      }
+      return resolved;
+    }
+    return schema;
+  }
+
+  /**
+   * Validates a value against the subset of JSON schema used by the routes:
+   * type, enum, pattern, minimum, maximum, minLength, required, properties,
+   * items and oneOf.
+   * @param {*} schema The schema.
+   * @param {*} value The value.
+   * @param {string} name The name of the value reported in the problems.
+   * @param {!Array<{name: string, message: string}>} problems The problems
+   *     found, appended to.
+   */
+  validateValue(schema, value, name, problems) {
+    schema = this.resolveSchema(schema);
+    if (!schema || problems.length >= MAX_PROBLEMS) {
+      return;
+    }
+    if (schema.oneOf) {
+      const matches = schema.oneOf.filter((option) => {
+        const optionProblems = [];
+        this.validateValue(option, value, name, optionProblems);
+        return !optionProblems.length;
+      });
+      if (matches.length !== 1) {
+        problems.push({name, message: 'does not match exactly one schema'});
+      }
+      return;
+    }
+    const type = getJsonType(value);
+    if (schema.type &&
+        type !== schema.type &&
+        !(schema.type === 'number' && type === 'integer')) {
+      const article = /^[aeiou]/.test(schema.type) ? 'an' : 'a';
+      problems.push({name, message: `must be ${article} ${schema.type}`});
+      return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      problems.push(
+          {name, message: `must be one of ${schema.enum.join(', ')}`});
+    }
+    if (type === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        problems.push({name, message: schema.minLength === 1 ?
+            'must not be empty' :
+            `must be at least ${schema.minLength} characters`});
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        problems.push({name, message: `must match ${schema.pattern}`});
+      }
+    }
+    if (type === 'integer' || type === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        problems.push({name, message: `must be >= ${schema.minimum}`});
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        problems.push({name, message: `must be <= ${schema.maximum}`});
+      }
+    }
+    if (type === 'array' && schema.items) {
+      value.forEach((item, index) =>
+        this.validateValue(schema.items, item, `${name}[${index}]`, problems));
+    }
+    if (type === 'object') {
+      for (const property of schema.required || []) {
+        if (value[property] === undefined) {
+          problems.push({
+            name: name ? `${name}.${property}` : property,
+            message: 'is required',
+          });
+        }
+      }
+      for (const [property, propertySchema] of
+        Object.entries(schema.properties || {})) {
+        if (value[property] !== undefined) {
+          this.validateValue(propertySchema, value[property],
+              name ? `${name}.${property}` : property, problems);
+        }
+      }
+    }
+  }
+
+  /**
+   * Validates the path parameters, query parameters and JSON body of the
+   * request against the route spec, responding with 400 on mismatch.
+   * @param {*} spec The route spec.
+   * @param {!Object} req The Express request object.
+   * @param {!Object} res The Express response object.
+   * @param {function()} next Calls the route handlers.
+   */
+  validateRequest(spec, req, res, next) {
+    const details = [];
+    const validateParams = (location, declared = {}, values = {}) => {
+      for (const [name, param] of Object.entries(declared)) {
+        const problems = [];
+        // Path parameters are only set for the paths declaring them, and are
+        // never empty.
+        if (location === 'path' && values[name] === undefined) {
+          continue;
+        }
+        if (values[name] === undefined || values[name] === '') {
+          if (param.required) {
+            problems.push({name, message: 'is required'});
+          }
+        } else {
+          const schema = param.schema || {type: 'string'};
+          this.validateValue(
+              schema, coerceParam(values[name], schema), name, problems);
+        }
+        details.push(...problems.map((problem) =>
+          ({in: location, ...problem})));
+      }
+    };
+    validateParams('path', spec.params, req.params);
+    validateParams('query', spec.query, req.query);
+    if (spec.body) {
+      const problems = [];
+      if (req.body === undefined || !req.is('application/json')) {
+        if (spec.body.required !== false) {
+          problems.push({name: '', message: 'must be a JSON object'});
+        }
+      } else {
+        this.validateValue(spec.body.schema, req.body, '', problems);
+      }
+      details.push(...problems.map((problem) =>
+        ({in: 'body', ...problem})));
+    }
+    if (!details.length) {
+      next();
+      return;
+    }
+    const [first] = details;
+    const subject = first.in === 'body' ?
+        (first.name ? `body field ${first.name}` : 'body') :
+        `${first.in} parameter ${first.name}`;
+    res.status(400).json({
+      error: `Invalid request: ${subject} ${first.message}`,
+      details,
+    });
+  }
+
+  /**
+   * Returns the registered route with the provided operationId.
+   * @param {string} operationId The operationId.
+   * @return {{method: string, path: string, operationId: string, spec: *,
+   *     handlers: !Array<function(!Object, !Object, function())>}} The route.
+   */
+  getRoute(operationId) {
+    const route =
+        this.routes.find((route) => route.operationId === operationId);
+    if (!route) {
+      throw new Error(`Unknown operationId: ${operationId}`);
+    }
+    return route;
+  }
+
+  /**
+   * Returns a copy of a schema with the references replaced by the
+   * referenced schemas.
+   * @param {*} schema The schema.
+   * @return {*} The self-contained schema.
+   */
+  inlineSchema(schema) {
+    if (Array.isArray(schema)) {
+      return schema.map((item) => this.inlineSchema(item));
+    }
+    if (!schema || typeof schema !== 'object') {
+      return schema;
+    }
+    if (schema.$ref) {
+      return this.inlineSchema(this.resolveSchema(schema));
+    }
+    const result = {};
+    for (const [key, value] of Object.entries(schema)) {
+      result[key] = key === 'properties' ?
+          Object.fromEntries(Object.entries(value).map(
+              ([name, property]) => [name, this.inlineSchema(property)])) :
+          this.inlineSchema(value);
+    }
+    return result;
+  }
+
+  /**
+   * Returns the JSON schema of the flat input accepted by invoke() for a
+   * route: its path parameters, query parameters and body properties.
+   * @param {string} operationId The operationId of the route.
+   * @return {*} The self-contained object schema.
+   */
+  getInputSchema(operationId) {
+    const {path, spec} = this.getRoute(operationId);
+    const properties = {};
+    const required = [];
+    const addParam = (name, param = {}) => {
+      properties[name] = this.inlineSchema({
+        ...(param.schema || {type: 'string'}),
+        ...(param.description ? {description: param.description} : {}),
+      });
+    };
+    for (const name of getPathParamNames(path)) {
+      addParam(name, spec.params?.[name]);
+      required.push(name);
+    }
+    for (const [name, param] of Object.entries(spec.query || {})) {
+      addParam(name, param);
+      if (param.required) {
+        required.push(name);
+      }
+    }
+    if (spec.body) {
+      const body = this.inlineSchema(spec.body.schema);
+      Object.assign(properties, body.properties);
+      required.push(...(body.required || []));
+    }
+    return {type: 'object', properties, required};
+  }
+
+  /**
+   * Calls a route in-process with a flat input: the path parameters and the
+   * declared query parameters are taken from the input as strings, like in
+   * an URL, and the other values are sent as the JSON body of the routes
+   * with a body, or as query parameters otherwise. The request is validated
+   * like HTTP requests before the handlers run.
+   * @param {string} operationId The operationId of the route.
+   * @param {!Object<string, *>=} input The input values keyed by name.
+   * @param {!Object<string, *>=} context The extra request fields, e.g. the
+   *     caller.
+   * @return {!Promise<{status: number, body: *}>} A promise that resolves
+   *     with the status and body sent by the handlers.
+   */
+  async invoke(operationId, input = {}, context = {}) {
+    const {path, spec, handlers} = this.getRoute(operationId);
+    const pathParamNames = getPathParamNames(path);
+    const params = {};
+    const query = {};
+    const body = spec.body ? {} : undefined;
+    for (const [name, value] of Object.entries(input)) {
+      if (value === undefined) {
+        continue;
+      }
+      const queryValue = [].concat(value).join(',');
+      if (pathParamNames.includes(name)) {
+        params[name] = queryValue;
+      } else if (body && !spec.query?.[name]) {
+        body[name] = value;
+      } else {
+        query[name] = queryValue;
+      }
+    }
+    const req = {
+      ...context,
+      params,
+      query,
+      body,
+      headers: {},
+      is: (type) => body !== undefined && type === 'application/json' && type,
+    };
+    return new Promise((resolve, reject) => {
+      const res = new InvocationResponse(resolve);
+      const stack = [
+        (req, res, next) => this.validateRequest(spec, req, res, next),
+        ...handlers,
+      ];
+      const dispatch = (index) => (error) => {
+        if (error || index === stack.length) {
+          reject(error || new Error(`${operationId} sent no response`));
+          return;
+        }
+        Promise.resolve()
+            .then(() => stack[index](req, res, dispatch(index + 1)))
+            .catch(reject);
+      };
+      dispatch(0)();
+    });
+  }
+
+  /**
+   * Converts a route schema to an OpenAPI schema, rewriting the references.
+   * @param {*} schema The schema.
+   * @return {*} The OpenAPI schema.
+   */
+  toOpenApiSchema(schema) {
+    if (Array.isArray(schema)) {
+      return schema.map((item) => this.toOpenApiSchema(item));
+    }
+    if (!schema || typeof schema !== 'object') {
+      return schema;
+    }
+    if (schema.$ref) {
+      return {$ref: `${SCHEMA_REF_PREFIX}${schema.$ref}`};
+    }
+    const result = {};
+    for (const [key, value] of Object.entries(schema)) {
+      // Property maps are keyed by name, not by schema keyword.
+      result[key] = key === 'properties' ?
+          Object.fromEntries(Object.entries(value).map(
+              ([name, property]) => [name, this.toOpenApiSchema(property)])) :
+          this.toOpenApiSchema(value);
+    }
+    return result;
+  }
+
+  /**
+   * Builds the OpenAPI operation of a registered route.
+   * @param {{method: string, path: string, operationId: string, spec: *}}
+   *     route The registered route.
+   * @return {*} The OpenAPI operation.
+   */
+  toOperation(route) {
+    const {spec} = route;
+    const params = spec.params || {};
+    const parameters = [
+      ...getPathParamNames(route.path).map((name) => ({
+        name,
+        in: 'path',
+        required: true,
+        ...(params[name]?.description ?
+            {description: params[name].description} : {}),
+        schema: this.toOpenApiSchema(params[name]?.schema || {type: 'string'}),
+      })),
+      ...Object.entries(spec.query || {}).map(([name, param]) => ({
+        name,
+        in: 'query',
+        required: !!param.required,
+        ...(param.description ? {description: param.description} : {}),
+        schema: this.toOpenApiSchema(param.schema || {type: 'string'}),
+      })),
+    ];
+    const operation = {operationId: route.operationId};
+    for (const field of ['summary', 'description', 'tags']) {
+      if (spec[field]) {
+        operation[field] = spec[field];
+      }
+    }
+    if (parameters.length) {
+      operation.parameters = parameters;
+    }
+    if (spec.body) {
+      operation.requestBody = {
+        required: spec.body.required !== false,
+        content: {
+          'application/json': {
+            schema: this.toOpenApiSchema(spec.body.schema),
+          },
+        },
+      };
+    }
+    const responses = {...spec.responses};
+    if (parameters.length || spec.body) {
+      const declared = responses[400];
+      const validationError = {$ref: VALIDATION_ERROR};
+      responses[400] = {
+        description: declared?.description || 'Bad Request',
+        schema: declared?.schema ?
+            {oneOf: [declared.schema, validationError]} :
+            validationError,
+      };
+    }
+    operation.responses = {};
+    for (const [status, response] of Object.entries(responses)) {
+      operation.responses[status] = {description: response.description};
+      if (response.schema) {
+        operation.responses[status].content = {
+          [response.contentType || 'application/json']: {
+            schema: this.toOpenApiSchema(response.schema),
+          },
+        };
+      }
+    }
+    return operation;
+  }
+
+  /**
+   * Generates the OpenAPI document of the registered routes.
+   * @param {string} serverUrl The URL of the server.
+   * @return {*} The OpenAPI document.
+   */
+  toOpenApi(serverUrl) {
+    const paths = {};
+    for (const route of this.routes) {
+      const path = toOpenApiPath(route.path);
+      paths[path] = paths[path] || {};
+      paths[path][route.method] = this.toOperation(route);
+    }
+    const schemas = {};
+    for (const [name, schema] of this.schemas) {
+      schemas[name] = this.toOpenApiSchema(schema);
+    }
+    return {
+      openapi: OPENAPI_VERSION,
+      info: this.info,
+      servers: [{url: serverUrl}],
+      paths,
+      components: {schemas},
+    };
+  }
+
+  /**
+   * Generates the OpenAPI document of the registered routes as YAML.
+   * @param {string} serverUrl The URL of the server.
+   * @return {string} The OpenAPI document.
+   */
+  toOpenApiYaml(serverUrl) {
+    return yaml.dump(this.toOpenApi(serverUrl), {noRefs: true});
+  }
+}
+
+exports.RouteRegistry = RouteRegistry;
@@ -0,0 +1,515 @@
+/**
+ * @fileoverview Implements a minimal SAML 2.0 service provider (SP) for CLI
+ * Node.js desktop app: https://docs.oasis-open.org/security/saml/v2.0/
+ *
+ * Usage:
+ * const client = new SamlServiceProvider(
+ *     {
+ *       idpMetadataFile: 'PATH_TO_IDP_METADATA_XML',
+ *       entityId: 'SP_ENTITY_ID',
+ *       // Or the port of the default http://localhost:5557/login/callback.
+ *       acsUri: 'ASSERTION_CONSUMER_SERVICE_URL',
+ *       binding: 'redirect',
+ *       logoutUri: 'LOGOUT_URL',
+ *       successUri: 'REDIRECT_URL_AFTER_SIGN_IN',
+ *       // Optional, 300 by default, 0 to wait forever.
+ *       loginTimeoutSeconds: 300,
+ *     });
+ * const samlResponse = await client.authorize();
+ * // To end early, rejecting the pending authorize() call:
+ * // client.close();
+ *
+ * // Validate a previously stored SAMLResponse is still usable.
+ * const samlResponse = await client.refresh(storedSamlResponse);
+ *
+ * The authorize() API works as follows:
+ * - A local server is started, listening on the ACS URL host and port, with
+ *   2 endpoints /auth and the ACS path (e.g. /login/callback).
+ * - A browser is opened and redirected to /auth endpoint.
+ * - On /auth, an AuthnRequest and a RelayState are provisioned. The request ID
+ *   is stored locally, keyed by RelayState.
+ * - The AuthnRequest is sent to the IdP SSO endpoint using the configured
+ *   binding: HTTP-Redirect (302 with deflated request in the query string) or
+ *   HTTP-POST (auto-submitted HTML form).
+ * - On IdP sign-in, IdP will POST the SAMLResponse and RelayState back to the
+ *   ACS endpoint.
+ * - The ACS endpoint will match RelayState and InResponseTo against the
+ *   stored request and check the response status. Responses not matching a
+ *   pending request (e.g. stale browser tabs) are answered with a 400 and the
+ *   flow keeps waiting.
+ * - On success, a redirect to successUri is performed and the base64 encoded
+ *   SAMLResponse is returned so it can be used as an STS subject token of type
+ *   urn:ietf:params:oauth:token-type:saml2.
+ * - The server is closed. It is also closed, rejecting the flow, when
+ *   loginTimeoutSeconds elapse or client.close() is called.
+ *
+ * Note that signature validation of the assertion is left to STS.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const fs = require('fs');
+const open = require('open');
+const zlib = require('zlib');
+const {logger} = require('./logger');
+// The host for the local server.
+const HOST = 'localhost';
+// The default ACS port. It must differ from the metadata server one (5000) so
+// the SP can sign in while the metadata server is running.
+const DEFAULT_ACS_PORT = 5557;
+// The path of the default ACS URL.
+const DEFAULT_ACS_PATH = '/login/callback';
+// The default time in seconds to wait for the browser login.
+const DEFAULT_LOGIN_TIMEOUT_SECONDS = 300;
+// Length of bytes used to generate the RelayState.
+const RELAY_STATE_BYTES = 16;
+// SAML 2.0 binding URNs.
+const BINDINGS = {
+  redirect: 'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect',
+  post: 'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST',
+};
+// The status code returned by the IdP on successful authentication.
+const STATUS_SUCCESS = 'urn:oasis:names:tc:SAML:2.0:status:Success';
+
+/**
+ * Escapes the provided string so it can be embedded in XML or HTML attribute
+ * values and text nodes.
+ *
+ * @param {string} value The value to escape.
+ * @return {string} The escaped value.
+ */
+function escapeXml(value) {
+  return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+}
+
+/**
+ * Returns the opening tags of all the elements with the provided local name,
+ * ignoring any namespace prefix.
+ *
+ * @param {string} xml The XML document.
+ * @param {string} localName The element local name, e.g. SingleSignOnService.
+ * @return {Array<string>} The list of matching opening tags.
+ */
+function findStartTags(xml, localName) {
+  const regex = new RegExp(`<(?:[\\w-]+:)?${localName}(?=[\\s/>])[^>]*>`, 'g');
+  return xml.match(regex) || [];
+}
+
+/**
+ * Returns the value of the provided attribute in an opening tag.
+ *
+ * @param {string} tag The opening tag.
+ * @param {string} name The attribute name.
+ * @return {?string} The attribute value or null if not found.
+ */
+function getAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*"([^"]*)"`));
+  return match ? match[1] : null;
+}
+
+/**
+ * Unescapes the XML predefined and numeric character references of a text
+ * node.
+ *
+ * @param {string} value The escaped value.
+ * @return {string} The unescaped value.
+ */
+function unescapeXml(value) {
+  const entities = {amp: '&', lt: '<', gt: '>', quot: '"', apos: '\''};
+  return value.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(\w+));/gi,
+      (entity, hex, decimal, name) => {
+        if (hex || decimal) {
+          return String.fromCodePoint(parseInt(hex || decimal, hex ? 16 : 10));
+        }
+        return entities[name] || entity;
+      });
+}
+
+/**
+ * Returns the opening tag and the inner XML of all the non empty elements
+ * with the provided local name, ignoring any namespace prefix.
+ *
+ * @param {string} xml The XML document.
+ * @param {string} localName The element local name.
+ * @return {Array<{tag: string, content: string}>} The matching elements.
+ */
+function findElements(xml, localName) {
+  const regex = new RegExp(`(<((?:[\\w-]+:)?${localName})(?=[\\s>])` +
+      `[^>]*?(?<!/)>)([\\s\\S]*?)</\\2>`, 'g');
+  const elements = [];
+  let match;
+  while ((match = regex.exec(xml)) !== null) {
+    elements.push({tag: match[1], content: match[3]});
+  }
+  return elements;
+}
+
+/**
+ * Returns the text content of all the elements with the provided local name,
+ * ignoring any namespace prefix.
+ *
+ * @param {string} xml The XML document.
+ * @param {string} localName The element local name.
+ * @return {Array<string>} The list of trimmed text contents.
+ */
+function findTextContents(xml, localName) {
+  return findElements(xml, localName).map(({content}) => content.trim());
+}
+
+/**
+ * Parses the IdP SAML metadata document.
+ *
+ * @param {string} xml The IdP EntityDescriptor XML.
+ * @return {{entityId: ?string, ssoServices: !Object<string, string>,
+ *     certificates: !Array<string>}} The parsed IdP metadata. ssoServices is
+ *     keyed by binding name (redirect or post).
+ */
+function parseIdpMetadata(xml) {
+  const entityDescriptor = findStartTags(xml, 'EntityDescriptor')[0];
+  if (!entityDescriptor || !findStartTags(xml, 'IDPSSODescriptor').length) {
+    throw new Error('Invalid IdP metadata: missing IDPSSODescriptor');
+  }
+  const ssoServices = {};
+  for (const tag of findStartTags(xml, 'SingleSignOnService')) {
+    const binding = getAttribute(tag, 'Binding');
+    const location = getAttribute(tag, 'Location');
+    for (const name of Object.keys(BINDINGS)) {
+      if (BINDINGS[name] === binding && location) {
+        ssoServices[name] = location;
+      }
+    }
+  }
+  return {
+    entityId: getAttribute(entityDescriptor, 'entityID'),
+    ssoServices,
+    certificates: findTextContents(xml, 'X509Certificate')
+        .map((cert) => cert.replace(/\s+/g, '')),
+  };
+}
+
+/**
+ * Returns the assertion attributes of a SAMLResponse, as the workforce pool
+ * attribute mapping sees them: a list of values keyed by attribute name.
+ *
+ * @param {string} xml The SAMLResponse XML.
+ * @return {!Object<string, !Array<string>>} The attribute values keyed by
+ *     name.
+ */
+function parseAttributes(xml) {
+  const attributes = {};
+  for (const {tag, content} of findElements(xml, 'Attribute')) {
+    const name = getAttribute(tag, 'Name');
+    if (name) {
+      attributes[name] = (attributes[name] || []).concat(
+          findTextContents(content, 'AttributeValue').map(unescapeXml));
+    }
+  }
+  return attributes;
+}
+
+/**
+ * Parses the fields of a base64 encoded SAMLResponse needed by the SP.
+ *
+ * @param {string} samlResponse The base64 encoded SAMLResponse.
+ * @return {{inResponseTo: ?string, destination: ?string, status: ?string,
+ *     issuer: ?string, nameId: ?string, notOnOrAfter: ?Date,
+ *     attributes: !Object<string, !Array<string>>}} The parsed response
+ *     fields.
+ */
+function parseSamlResponse(samlResponse) {
+  const xml = Buffer.from(samlResponse, 'base64').toString('utf8');
+  const response = findStartTags(xml, 'Response')[0];
+  if (!response) {
+    throw new Error('Invalid SAMLResponse: missing Response element');
+  }
+  const statusCode = findStartTags(xml, 'StatusCode')[0];
+  const conditions = findStartTags(xml, 'Conditions')[0];
+  const notOnOrAfter = conditions && getAttribute(conditions, 'NotOnOrAfter');
+  return {
+    inResponseTo: getAttribute(response, 'InResponseTo'),
+    destination: getAttribute(response, 'Destination'),
+    status: statusCode ? getAttribute(statusCode, 'Value') : null,
+    issuer: findTextContents(xml, 'Issuer')[0] || null,
+    nameId: findTextContents(xml, 'NameID')[0] || null,
+    notOnOrAfter: notOnOrAfter ? new Date(notOnOrAfter) : null,
+    attributes: parseAttributes(xml),
+  };
+}
+
+/**
+ * Defines a utility to launch a local server to handle the SAML 2.0 web
+ * browser SSO profile. The SP entity ID, ACS URL and IdP metadata are
+ * configurable. The resulting SAMLResponse is returned base64 encoded as
+ * expected by STS for saml2 subject tokens.
+ */
+class SamlServiceProvider {
+  /**
+   * Initializes a SamlServiceProvider instance.
+   * @param {*} config The SAML SP configuration.
+   */
+  constructor(config) {
+    const idpMetadata = config.idpMetadata ||
+        fs.readFileSync(config.idpMetadataFile, 'utf8');
+    this.idp = parseIdpMetadata(idpMetadata);
+    this.entityId = config.entityId;
+    this.acsUri = config.acsUri ||
+        `http://${HOST}:${config.port || DEFAULT_ACS_PORT}${DEFAULT_ACS_PATH}`;
+    this.binding = config.binding || 'redirect';
+    this.logoutUri = config.logoutUri;
+    this.successUri = config.successUri;
+    if (!this.entityId) {
+      throw new Error('Missing SP entityId');
+    }
+    if (!this.idp.ssoServices[this.binding]) {
+      throw new Error('IdP metadata has no SingleSignOnService for ' +
+          `${this.binding} binding`);
+    }
+
+    this.loginTimeoutSeconds =
+        config.loginTimeoutSeconds ?? DEFAULT_LOGIN_TIMEOUT_SECONDS;
+
+    this.server = null;
+    this.serverAddress = null;
+    // The pending browser flow: its resolve and reject callbacks and timer.
+    this.pending = null;
+    // The AuthnRequest IDs keyed by RelayState.
+    this.sessionStore = new Map();
+    this.app = express();
+    this.app.use(express.urlencoded({extended: false}));
+    this.init();
+  }
+
+  /**
+   * Builds an AuthnRequest for the configured IdP.
+   * @param {string} id The request ID.
+   * @return {string} The AuthnRequest XML.
+   */
+  buildAuthnRequest(id) {
+    const destination = this.idp.ssoServices[this.binding];
+    return '<samlp:AuthnRequest' +
+        ' xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol"' +
+        ' xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion"' +
+        ` ID="${escapeXml(id)}"` +
+        ' Version="2.0"' +
+        ` IssueInstant="${new Date().toISOString()}"` +
+        ` Destination="${escapeXml(destination)}"` +
+        ` ProtocolBinding="${BINDINGS.post}"` +
+        ` AssertionConsumerServiceURL="${escapeXml(this.acsUri)}">` +
+        `<saml:Issuer>${escapeXml(this.entityId)}</saml:Issuer>` +
+        '<samlp:NameIDPolicy AllowCreate="true"/>' +
+        '</samlp:AuthnRequest>';
+  }
+
+  /**
+   * Validates the stored SAMLResponse is still usable and resolves with it.
+   * SAML assertions cannot be refreshed silently, a new sign-in is needed
+   * once the assertion expires.
+   * @param {string} samlResponse The base64 encoded SAMLResponse.
+   * @return {Promise<*>} A promise that resolves with the SAML response.
+   */
+  async refresh(samlResponse) {
+    const {notOnOrAfter} = parseSamlResponse(samlResponse);
+    if (notOnOrAfter && notOnOrAfter.getTime() <= Date.now()) {
+      const error = new Error('SAML assertion expired. Please login again.');
+      // Like an expired refresh token, only a new sign-in can fix it.
+      error.code = 'invalid_grant';
+      throw error;
+    }
+    return {saml_response: samlResponse};
+  }
+
+  /**
+   * Returns the sign out link for the current session. SAML single logout is
+   * not supported so this is the configured logout URL.
+   * @return {Promise<?string>} A promise that resolves with the signout URL,
+   *     or null if none is configured.
+   */
+  async revokeAndGetLogoutUrl() {
+    return this.logoutUri || null;
+  }
+
+  /**
+   * Initializes all the server endpoints and their logic.
+   * This includes the /auth and ACS endpoints, serving the pending browser
+   * flow.
+   */
+  init() {
+    this.app.get('/auth', (req, res) => {
+      if (!this.pending) {
+        res.status(400).send('No pending login');
+        return;
+      }
+      const id = `_${crypto.randomBytes(20).toString('hex')}`;
+      const relayState = crypto.randomBytes(RELAY_STATE_BYTES).toString('hex');
+      // Save request ID keyed by RelayState in session store.
+      this.sessionStore.set(relayState, id);
+      const authnRequest = this.buildAuthnRequest(id);
+      const ssoUri = this.idp.ssoServices[this.binding];
+      if (this.binding === 'redirect') {
+        const samlRequest =
+            zlib.deflateRawSync(Buffer.from(authnRequest)).toString('base64');
+        const separator = ssoUri.includes('?') ? '&' : '?';
+        res.redirect(302, ssoUri + separator +
+            `SAMLRequest=${encodeURIComponent(samlRequest)}` +
+            `&RelayState=${encodeURIComponent(relayState)}`);
+      } else {
+        const samlRequest = Buffer.from(authnRequest).toString('base64');
+        res.type('html');
+        res.send('<!DOCTYPE html><html>' +
+            '<body onload="document.forms[0].submit()">' +
+            `<form method="POST" action="${escapeXml(ssoUri)}">` +
+            `<input type="hidden" name="SAMLRequest" value="${samlRequest}"/>` +
+            '<input type="hidden" name="RelayState" ' +
+            `value="${escapeXml(relayState)}"/>` +
+            '<noscript><input type="submit" value="Continue"/></noscript>' +
+            '</form></body></html>');
+      }
+    });
+
+    // Cookies are not used to bind the response to the browser session since
+    // the IdP POST is a cross-site request. RelayState and InResponseTo are
+    // matched instead.
+    this.app.post(new URL(this.acsUri).pathname, (req, res) => {
+      const samlResponse = req.body.SAMLResponse;
+      const relayState = req.body.RelayState;
+      const requestId = this.sessionStore.get(relayState);
+      let parsed = null;
+      try {
+        parsed = samlResponse && parseSamlResponse(samlResponse);
+      } catch (error) {
+        // Handled as a stray response below.
+      }
+      // Stray responses, e.g. replayed or from stale tabs, do not end the
+      // pending flow.
+      if (!this.pending ||
+          typeof requestId === 'undefined' ||
+          !parsed ||
+          (parsed.inResponseTo && parsed.inResponseTo !== requestId)) {
+        logger.warn('Ignoring SAML response without a pending ' +
+            'authentication request');
+        res.status(400);
+        res.send('Invalid IdP response');
+        return;
+      }
+      this.sessionStore.delete(relayState);
+      if (parsed.status !== STATUS_SUCCESS) {
+        const error =
+            new Error(`SAML authentication failed: ${parsed.status}`);
+        res.status(400);
+        res.send(escapeXml(error.message));
+        this.finish(error);
+        return;
+      }
+      if (this.successUri) {
+        res.redirect(this.successUri);
+      } else {
+        res.send('Signed in. You can close this window.');
+      }
+      this.finish(null, {
+        saml_response: samlResponse,
+        name_id: parsed.nameId,
+        expires_at: parsed.notOnOrAfter,
+      });
+    });
+  }
+
+  /**
+   * Ends the pending browser flow: closes the local server and settles the
+   * authorize() promise.
+   * @param {?Error} error The error to reject with, if any.
+   * @param {*=} response The SAML response to resolve with.
+   */
+  finish(error, response) {
+    const pending = this.pending;
+    this.pending = null;
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+    if (!pending) {
+      return;
+    }
+    clearTimeout(pending.timer);
+    if (error) {
+      pending.reject(error);
+    } else {
+      pending.resolve(response);
+    }
+  }
+
+  /**
+   * Starts the local server and the SAML web browser SSO handshake.
+   * @return {Promise<*>} A promise that resolves with the SAML response, or
+   *     rejects when the login fails, times out or is cancelled.
+   */
+  authorize() {
+    // Only allow one authentication flow at a time.
+    if (this.pending) {
+      return Promise.reject(new Error(
+          'Pending authorization flow. Close existing session to rerun.'));
+    }
+    const acsUrl = new URL(this.acsUri);
+    const port = acsUrl.port ? Number(acsUrl.port) : 80;
+    return new Promise((resolve, reject) => {
+      this.pending = {resolve, reject, timer: null};
+      const pending = this.pending;
+      const server = this.app.listen(port, HOST);
+      server.once('listening', () => {
+        if (this.pending !== pending) {
+          // Cancelled while starting.
+          server.close();
+          return;
+        }
+        this.server = server;
+        this.serverAddress = `http://${HOST}:${server.address().port}`;
+        if (this.loginTimeoutSeconds > 0) {
+          pending.timer = setTimeout(() => this.finish(new Error(
+              `Login timed out after ${this.loginTimeoutSeconds} seconds`)),
+          this.loginTimeoutSeconds * 1000);
+        }
+        logger.info('Redirecting to IdP sign-in URL');
+        // Open the start url in the default browser.
+        Promise.resolve(this.openBrowser(`${this.serverAddress}/auth`))
+            .catch((error) => {
+              if (this.pending === pending) {
+                this.finish(error);
+              }
+            });
+      });
+      server.once('error', (error) => {
+        if (this.pending === pending) {
+          this.finish(new Error(
+              `Unable to start the ACS server on port ${port}: ` +
+              error.message));
+        }
+      });
+    });
+  }
+
+  /**
+   * Opens the provided URL in the default browser. Override to drive the
+   * SAML flow some other way, e.g. in tests.
+   * @param {string} url The URL to open.
+   * @return {Promise<*>} A promise that resolves once the browser is opened.
+   */
+  openBrowser(url) {
+    return open(url);
+  }
+
+  /**
+   * Closes the local server used for the SAML flow, cancelling the pending
+   * authorize() call.
+   */
+  close() {
+    this.finish(this.pending && new Error('Login cancelled'));
+  }
+}
+
+exports.SamlServiceProvider = SamlServiceProvider;
+exports.parseIdpMetadata = parseIdpMetadata;
+exports.parseSamlResponse = parseSamlResponse;
@@ -0,0 +1,418 @@
+/**
+ * @fileoverview Provides the session credential storage backends. All the
+ * backends implement the keytar API used by the login profiles:
+ * getPassword(service, account), setPassword(service, account, password) and
+ * deletePassword(service, account), all returning promises.
+ *
+ * Usage:
+ * const store = createStore({type: 'encrypted-file', file: 'sessions.enc'});
+ * await store.setPassword('WorkforcePoolTesting', 'RefreshToken', token);
+ *
+ * The following backends are available:
+ * - keytar: the OS keychain (default). Needs libsecret and a D-Bus session on
+ *   Linux.
+ * - encrypted-file: an AES-256-GCM encrypted JSON file. The key is read from
+ *   the keyEnv environment variable (base64 encoded 32 bytes), or derived
+ *   with scrypt from the passphrase in the passphraseEnv environment variable.
+ * - memory: in-memory only, for ephemeral runs.
+ * - env: imports the credentials from environment variables or a JSON file,
+ *   e.g. for CI. Updates, such as rotated refresh tokens, are kept in memory.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// The supported storage backend types.
+const STORAGE_TYPES = ['keytar', 'encrypted-file', 'memory', 'env'];
+// The default encrypted file, relative to the repo root.
+const DEFAULT_ENCRYPTED_FILE = 'sessions.enc.json';
+// The default environment variables holding the encrypted file key or
+// passphrase.
+const DEFAULT_KEY_ENV = 'WORKFORCE_POOL_STORAGE_KEY';
+const DEFAULT_PASSPHRASE_ENV = 'WORKFORCE_POOL_STORAGE_PASSPHRASE';
+// The default prefix of the environment variables read by the env backend.
+const DEFAULT_ENV_PREFIX = 'WORKFORCE_POOL_SESSION_';
+// The encrypted file format version.
+const ENCRYPTED_FILE_VERSION = 1;
+// The AES-256-GCM key, IV and scrypt salt lengths in bytes.
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SALT_LENGTH = 16;
+
+/**
+ * Returns the key of a credential in the backends keyed by a single string.
+ *
+ * @param {string} service The service name.
+ * @param {string} account The account name.
+ * @return {string} The credential key.
+ */
+function getCredentialKey(service, account) {
+  return `${service}/${account}`;
+}
+
+/**
+ * Defines the keytar backend. keytar is only loaded on first use so the
+ * other backends work without the native module.
+ */
+class KeytarStore {
+  /**
+   * Returns the keytar module. keytar is an optional dependency, its
+   * install or native build may have failed.
+   * @return {*} The keytar module.
+   */
+  getKeytar() {
+    try {
+      return require('keytar');
+    } catch (error) {
+      throw new Error('keytar is unavailable (' +
+          `${error.message.split('\n')[0]}), select another session ` +
+          'storage backend, e.g. WORKFORCE_POOL_STORAGE=encrypted-file');
+    }
+  }
+
+  /**
+   * @param {string} service The service name.
+   * @param {string} account The account name.
+   * @return {Promise<?string>} A promise that resolves with the credential.
+   */
+  getPassword(service, account) {
+    return this.getKeytar().getPassword(service, account);
+  }
+
+  /**
+   * @param {string} service The service name.
+   * @param {string} account The account name.
+   * @param {string} password The credential.
+   * @return {Promise<void>} A promise that resolves once stored.
+   */
+  setPassword(service, account, password) {
+    return this.getKeytar().setPassword(service, account, password);
+  }
+
+  /**
+   * @param {string} service The service name.
+   * @param {string} account The account name.
+   * @return {Promise<boolean>} A promise that resolves with true if deleted.
+   */
+  deletePassword(service, account) {
+    return this.getKeytar().deletePassword(service, account);
+  }
+}
+
+/**
+ * Defines the in-memory backend.
+ */
+class MemoryStore {
+  /**
+   * Initializes a MemoryStore instance.
+   * @param {!Map<string, string>=} entries The initial credentials keyed by
+   *     service/account.
+   */
+  constructor(entries = new Map()) {
+    this.entries = entries;
+  }
+
+  /**
+   * @param {string} service The service name.
+   * @param {string} account The account name.
+   * @return {Promise<?string>} A promise that resolves with the credential.
+   */
+  async getPassword(service, account) {
+    return this.entries.get(getCredentialKey(service, account)) ?? null;
+  }
+
+  /**
+   * @param {string} service The service name.
+   * @param {string} account The account name.
+   * @param {string} password The credential.
+   * @return {Promise<void>} A promise that resolves once stored.
+   */
+  async setPassword(service, account, password) {
+    this.entries.set(getCredentialKey(service, account), password);
+  }
+
+  /**
+   * @param {string} service The service name.
+   * @param {string} account The account name.
+   * @return {Promise<boolean>} A promise that resolves with true if deleted.
+   */
+  async deletePassword(service, account) {
+    return this.entries.delete(getCredentialKey(service, account));
+  }
+}
+
+/**
+ * Defines the encrypted file backend. The file is read on every access so
+ * sessions updated by other processes, e.g. the executable entry point, are
+ * picked up.
+ */
+class EncryptedFileStore {
+  /**
+   * Initializes an EncryptedFileStore instance.
+   * @param {{file: (string|undefined), keyEnv: (string|undefined),
+   *     passphraseEnv: (string|undefined)}=} options The file path, absolute
+   *     or relative to the repo root, and the environment variables holding
+   *     the key or passphrase.
+   */
+  constructor(options = {}) {
+    this.file = path.resolve(
+        __dirname, '..', options.file || DEFAULT_ENCRYPTED_FILE);
+    this.keyEnv = options.keyEnv || DEFAULT_KEY_ENV;
+    this.passphraseEnv = options.passphraseEnv || DEFAULT_PASSPHRASE_ENV;
+    // The keys derived from the passphrase keyed by base64 salt.
+    this.derivedKeys = new Map();
+    // Serializes the read-modify-write updates.
+    this.pendingWrite = Promise.resolve();
+  }
+
+  /**
+   * Returns the encryption key and the scrypt salt used to derive it.
+   * @param {?Buffer} salt The salt of the existing file, if any.
+   * @return {{key: !Buffer, salt: ?Buffer}} The key and salt, null when the
+   *     key is read from keyEnv.
+   */
+  getKey(salt) {
+    const rawKey = process.env[this.keyEnv];
+    if (rawKey) {
+      const key = Buffer.from(rawKey, 'base64');
+      if (key.length !== KEY_LENGTH) {
+        throw new Error(
+            `${this.keyEnv} must be a base64 encoded ${KEY_LENGTH} byte key`);
+      }
+      return {key, salt: null};
+    }
+    const passphrase = process.env[this.passphraseEnv];
+    if (!passphrase) {
+      throw new Error(`Set ${this.keyEnv} or ${this.passphraseEnv} to use ` +
+          'the encrypted-file session storage');
+    }
+    salt = salt || crypto.randomBytes(SALT_LENGTH);
+    const cacheKey = salt.toString('base64');
+    if (!this.derivedKeys.has(cacheKey)) {
+      this.derivedKeys.set(
+          cacheKey, crypto.scryptSync(passphrase, salt, KEY_LENGTH));
+    }
+    return {key: this.derivedKeys.get(cacheKey), salt};
+  }
+
+  /**
+   * Reads and decrypts the credentials file.
+   * @return {!Object<string, string>} The credentials keyed by
+   *     service/account, empty if the file does not exist.
+   */
+  read() {
+    if (!fs.existsSync(this.file)) {
+      return {};
+    }
+    const json = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    if (json.version !== ENCRYPTED_FILE_VERSION) {
+      throw new Error(`Unsupported ${this.file} version: ${json.version}`);
+    }
+    const {key} = this.getKey(
+        json.salt ? Buffer.from(json.salt, 'base64') : null);
+    try {
+      const decipher = crypto.createDecipheriv(
+          'aes-256-gcm', key, Buffer.from(json.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(json.tag, 'base64'));
+      return JSON.parse(Buffer.concat([
+        decipher.update(Buffer.from(json.data, 'base64')),
+        decipher.final(),
+      ]).toString('utf8'));
+    } catch (error) {
+      throw new Error(`Unable to decrypt ${this.file}, ` +
+          'check the session storage key or passphrase');
+    }
+  }
+
+  /**
+   * Encrypts and writes the credentials file, readable by the owner only.
+   * @param {!Object<string, string>} entries The credentials keyed by
+   *     service/account.
+   */
+  write(entries) {
+    let salt = null;
+    if (fs.existsSync(this.file)) {
+      const json = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      salt = json.salt ? Buffer.from(json.salt, 'base64') : null;
+    }
+    const {key, salt: keySalt} = this.getKey(salt);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([
+      cipher.update(JSON.stringify(entries), 'utf8'),
+      cipher.final(),
+    ]);
+    const json = {
+      version: ENCRYPTED_FILE_VERSION,
+      salt: keySalt ? keySalt.toString('base64') : undefined,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    };
+    // Write to a temporary file first so the file is never left truncated.
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(json), {mode: 0o600});
+    fs.renameSync(tempFile, this.file);
+  }
+
+  /**
+   * Applies an update to the credentials file.
+   * @param {function(!Object<string, string>): *} update The function
+   *     updating the credentials in place.
+   * @return {Promise<*>} A promise that resolves with the update result.
+   */
+  update(update) {
+    const result = this.pendingWrite.then(() => {
+      const entries = this.read();
+      const updateResult = update(entries);
+      this.write(entries);
+      return updateResult;
+    });
+    // Keep serializing updates after failures.
+    this.pendingWrite = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * @param {string} service The service name.
+   * @param {string} account The account name.
+   * @return {Promise<?string>} A promise that resolves with the credential.
+   */
+  async getPassword(service, account) {
+    await this.pendingWrite;
+    return this.read()[getCredentialKey(service, account)] ?? null;
+  }
+
+  /**
+   * @param {string} service The service name.
+   * @param {string} account The account name.
+   * @param {string} password The credential.
+   * @return {Promise<void>} A promise that resolves once stored.
+   */
+  async setPassword(service, account, password) {
+    await this.update((entries) => {
+      entries[getCredentialKey(service, account)] = password;
+    });
+  }
+
+  /**
+   * @param {string} service The service name.
+   * @param {string} account The account name.
+   * @return {Promise<boolean>} A promise that resolves with true if deleted.
+   */
+  deletePassword(service, account) {
+    return this.update((entries) => {
+      const key = getCredentialKey(service, account);
+      const existed = key in entries;
+      delete entries[key];
+      return existed;
+    });
+  }
+}
+
+/**
+ * Defines the import backend for CI. Credentials are read from the
+ * environment variable named after the account, e.g.
+ * WORKFORCE_POOL_SESSION_REFRESHTOKEN_OKTA for the RefreshToken:okta account,
+ * or from a JSON file mapping account names to credentials. Updates are kept
+ * in memory for the lifetime of the process.
+ */
+class EnvStore {
+  /**
+   * Initializes an EnvStore instance.
+   * @param {{prefix: (string|undefined), file: (string|undefined)}=} options
+   *     The environment variable prefix and the optional JSON file, absolute
+   *     or relative to the repo root.
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix || DEFAULT_ENV_PREFIX;
+    this.file = options.file ?
+        path.resolve(__dirname, '..', options.file) : null;
+    // The in-memory updates keyed by service/account, null when deleted.
+    this.overrides = new Map();
+  }
+
+  /**
+   * Returns the environment variable name of an account.
+   * @param {string} account The account name.
+   * @return {string} The environment variable name.
+   */
+  getEnvName(account) {
+    return this.prefix + account.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  }
+
+  /**
+   * @param {string} service The service name.
+   * @param {string} account The account name.
+   * @return {Promise<?string>} A promise that resolves with the credential.
+   */
+  async getPassword(service, account) {
+    const key = getCredentialKey(service, account);
+    if (this.overrides.has(key)) {
+      return this.overrides.get(key);
+    }
+    const value = process.env[this.getEnvName(account)];
+    if (value) {
+      return value;
+    }
+    if (this.file && fs.existsSync(this.file)) {
+      const json = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      return json[account] ?? null;
+    }
+    return null;
+  }
+
+  /**
+   * @param {string} service The service name.
+   * @param {string} account The account name.
+   * @param {string} password The credential.
+   * @return {Promise<void>} A promise that resolves once stored.
+   */
+  async setPassword(service, account, password) {
+    this.overrides.set(getCredentialKey(service, account), password);
+  }
+
+  /**
+   * @param {string} service The service name.
+   * @param {string} account The account name.
+   * @return {Promise<boolean>} A promise that resolves with true if deleted.
+   */
+  async deletePassword(service, account) {
+    const existed = (await this.getPassword(service, account)) !== null;
+    this.overrides.set(getCredentialKey(service, account), null);
+    return existed;
+  }
+}
+
+/**
+ * Creates the storage backend described by the provided config.
+ *
+ * @param {string|{type: string}|undefined} config The backend type, or the
+ *     backend type and its options. Defaults to keytar.
+ * @return {*} The storage backend.
+ */
+function createStore(config) {
+  const options = typeof config === 'string' ?
+      {type: config} : (config || {type: 'keytar'});
+  switch (options.type) {
+    case 'keytar':
+      return new KeytarStore();
+    case 'encrypted-file':
+      return new EncryptedFileStore(options);
+    case 'memory':
+      return new MemoryStore();
+    case 'env':
+      return new EnvStore(options);
+    default:
+      throw new Error(`Unknown session storage type: ${options.type}. ` +
+          `Expected one of: ${STORAGE_TYPES.join(', ')}`);
+  }
+}
+
+exports.EncryptedFileStore = EncryptedFileStore;
+exports.EnvStore = EnvStore;
+exports.KeytarStore = KeytarStore;
+exports.MemoryStore = MemoryStore;
+exports.STORAGE_TYPES = STORAGE_TYPES;
+exports.createStore = createStore;
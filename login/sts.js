@@ -0,0 +1,290 @@
+/**
+ * @fileoverview Implements the OAuth 2.0 token exchange (RFC 8693) against
+ * Google STS, driven by an external_account credential configuration:
+ * https://datatracker.ietf.org/doc/html/rfc8693
+ *
+ * Usage:
+ * const credentialConfig = loadCredentialConfig('workforce-config.json');
+ * const stsResponse = await exchangeToken(credentialConfig, subjectToken, {
+ *   // Optional, cloud-platform is used when not provided.
+ *   scopes: ['https://www.googleapis.com/auth/bigquery.readonly'],
+ *   // Optional, access_token is used when not provided.
+ *   requestedTokenType: 'urn:ietf:params:oauth:token-type:access_token',
+ * });
+ *
+ * // STS exchange followed by service account impersonation when the
+ * // credential config sets service_account_impersonation_url.
+ * const tokenResponse = await getAccessToken(credentialConfig, subjectToken, {
+ *   scopes,
+ *   // Optional delegate chain, service account emails or resource names.
+ *   delegates: ['sa-1@project.iam.gserviceaccount.com'],
+ * });
+ */
+
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+// The RFC 8693 token exchange grant type.
+const GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:token-exchange';
+// The default requested token type.
+const DEFAULT_REQUESTED_TOKEN_TYPE =
+    'urn:ietf:params:oauth:token-type:access_token';
+// The default OAuth scope requested for the STS access token.
+const DEFAULT_SCOPES = ['https://www.googleapis.com/auth/cloud-platform'];
+// The default STS token endpoint.
+const DEFAULT_TOKEN_URL = 'https://sts.googleapis.com/v1/token';
+// The default impersonated token lifetime in seconds.
+const DEFAULT_TOKEN_LIFETIME_SECONDS = 3600;
+// The IAM credentials resource name prefix for service accounts.
+const SERVICE_ACCOUNT_RESOURCE_PREFIX = 'projects/-/serviceAccounts/';
+
+/**
+ * Loads and validates an external_account credential configuration file.
+ *
+ * @param {string} file The file path, absolute or relative to the repo root.
+ * @return {*} The parsed credential configuration.
+ */
+function loadCredentialConfig(file) {
+  const credentialConfig = JSON.parse(
+      fs.readFileSync(path.resolve(__dirname, '..', file), 'utf8'));
+  if (credentialConfig.type !== 'external_account') {
+    throw new Error(`${file} is not an external_account credential config`);
+  }
+  for (const field of ['audience', 'subject_token_type']) {
+    if (!credentialConfig[field]) {
+      throw new Error(`${file} is missing the ${field} field`);
+    }
+  }
+  return credentialConfig;
+}
+
+/**
+ * Normalizes the provided scopes into a list. Accepts space or comma
+ * delimited strings and arrays of those.
+ *
+ * @param {string|Array<string>|undefined} scopes The scopes to normalize.
+ * @return {!Array<string>} The list of scopes, empty if none provided.
+ */
+function normalizeScopes(scopes) {
+  return [].concat(scopes || [])
+      .join(' ')
+      .split(/[\s,]+/)
+      .filter((scope) => !!scope);
+}
+
+/**
+ * Exchanges the subject token for a Google access token using the audience,
+ * subject token type, token URL and workforce pool user project of the
+ * provided credential configuration.
+ *
+ * @param {*} credentialConfig The external_account credential configuration.
+ * @param {string} subjectToken The subject token, e.g. an OIDC ID token or a
+ *     base64 encoded SAMLResponse, matching subject_token_type.
+ * @param {{scopes: (Array<string>|undefined),
+ *     requestedTokenType: (string|undefined)}=} options The optional scopes
+ *     and requested token type overrides.
+ * @return {Promise<*>} A promise that resolves with the STS response:
+ *     access_token, issued_token_type, token_type and expires_in.
+ */
+async function exchangeToken(credentialConfig, subjectToken, options = {}) {
+  const scopes = options.scopes && options.scopes.length ?
+      options.scopes : DEFAULT_SCOPES;
+  const body = {
+    audience: credentialConfig.audience,
+    grant_type: GRANT_TYPE,
+    requested_token_type:
+        options.requestedTokenType || DEFAULT_REQUESTED_TOKEN_TYPE,
+    scope: scopes.join(' '),
+    subject_token_type: credentialConfig.subject_token_type,
+    subject_token: subjectToken,
+  };
+  // The user project is only applicable to workforce pools.
+  if (credentialConfig.workforce_pool_user_project) {
+    body.options = JSON.stringify(
+        {userProject: credentialConfig.workforce_pool_user_project});
+  }
+  try {
+    const response = await axios.post(
+        credentialConfig.token_url || DEFAULT_TOKEN_URL, body, {
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+          },
+        });
+    return response.data;
+  } catch (error) {
+    // Surface the OAuth error returned by STS when available.
+    const data = error.response && error.response.data;
+    if (data && data.error) {
+      throw new Error(`STS token exchange failed: ${data.error}` +
+          (data.error_description ? `: ${data.error_description}` : ''));
+    }
+    throw error;
+  }
+}
+
+/**
+ * Returns the service account email of the provided impersonation URL, e.g.
+ * https://iamcredentials.googleapis.com/v1/projects/-/serviceAccounts/SA_EMAIL:generateAccessToken
+ *
+ * @param {string} impersonationUrl The service account impersonation URL.
+ * @return {?string} The service account email or null if not matched.
+ */
+function getServiceAccountEmail(impersonationUrl) {
+  const match = impersonationUrl.match(/serviceAccounts\/([^/:]+):/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Returns the impersonation delegate chain as IAM credentials resource names:
+ * the provided delegates or the default ones from the credential config.
+ *
+ * @param {*} credentialConfig The external_account credential configuration.
+ * @param {{delegates: (Array<string>|undefined)}} options The optional
+ *     delegate chain override.
+ * @return {!Array<string>} The delegate resource names.
+ */
+function getDelegates(credentialConfig, options) {
+  const impersonation = credentialConfig.service_account_impersonation || {};
+  return (options.delegates || impersonation.delegates || [])
+      .map((delegate) => delegate.startsWith(SERVICE_ACCOUNT_RESOURCE_PREFIX) ?
+          delegate : `${SERVICE_ACCOUNT_RESOURCE_PREFIX}${delegate}`);
+}
+
+/**
+ * Throws an error with the Google API error returned by IAM credentials when
+ * available, or rethrows the provided error.
+ *
+ * @param {string} operation The failed operation, used in the error message.
+ * @param {*} error The axios error.
+ */
+function throwIamCredentialsError(operation, error) {
+  const data = error.response && error.response.data;
+  if (data && data.error && data.error.message) {
+    throw new Error(`${operation} failed: ` +
+        `${data.error.status || data.error.code}: ${data.error.message}`);
+  }
+  throw error;
+}
+
+/**
+ * Impersonates the service account of the credential config by calling the
+ * IAM credentials generateAccessToken API with the provided source token.
+ *
+ * @param {*} credentialConfig The external_account credential configuration
+ *     with service_account_impersonation_url set. The lifetime is read from
+ *     service_account_impersonation.token_lifetime_seconds and the optional
+ *     default delegate chain from service_account_impersonation.delegates.
+ * @param {string} sourceToken The STS access token.
+ * @param {{scopes: (Array<string>|undefined),
+ *     delegates: (Array<string>|undefined)}=} options The optional scopes and
+ *     delegate chain overrides. Delegates are ordered from the first service
+ *     account called by the source principal to the one before the target.
+ * @return {Promise<*>} A promise that resolves with the impersonated token
+ *     response: access_token, token_type and expires_in.
+ */
+async function impersonateServiceAccount(
+    credentialConfig, sourceToken, options = {}) {
+  const impersonation = credentialConfig.service_account_impersonation || {};
+  const lifetime =
+      impersonation.token_lifetime_seconds || DEFAULT_TOKEN_LIFETIME_SECONDS;
+  const scopes = options.scopes && options.scopes.length ?
+      options.scopes : DEFAULT_SCOPES;
+  try {
+    const response = await axios.post(
+        credentialConfig.service_account_impersonation_url, {
+          scope: scopes,
+          delegates: getDelegates(credentialConfig, options),
+          lifetime: `${lifetime}s`,
+        }, {
+          headers: {
+            Authorization: `Bearer ${sourceToken}`,
+          },
+        });
+    const expireTime = new Date(response.data.expireTime).getTime();
+    return {
+      access_token: response.data.accessToken,
+      token_type: 'Bearer',
+      expires_in: Math.max(0, Math.round((expireTime - Date.now()) / 1000)),
+    };
+  } catch (error) {
+    throwIamCredentialsError('Service account impersonation', error);
+  }
+}
+
+/**
+ * Returns a Google access token for the provided subject token: the STS
+ * access token, or the impersonated service account access token when the
+ * credential config sets service_account_impersonation_url.
+ *
+ * @param {*} credentialConfig The external_account credential configuration.
+ * @param {string} subjectToken The subject token matching subject_token_type.
+ * @param {{scopes: (Array<string>|undefined),
+ *     requestedTokenType: (string|undefined),
+ *     delegates: (Array<string>|undefined),
+ *     impersonate: (boolean|undefined)}=} options The optional overrides.
+ *     Set impersonate to false to skip impersonation.
+ * @return {Promise<*>} A promise that resolves with the token response:
+ *     access_token, expires_in and service_account when impersonated.
+ */
+async function getAccessToken(credentialConfig, subjectToken, options = {}) {
+  const impersonationUrl = credentialConfig.service_account_impersonation_url;
+  if (!impersonationUrl || options.impersonate === false) {
+    return exchangeToken(credentialConfig, subjectToken, options);
+  }
+  // The STS token only needs the cloud-platform scope to call the IAM
+  // credentials API. The requested scopes apply to the impersonated token.
+  const stsResponse = await exchangeToken(credentialConfig, subjectToken, {
+    requestedTokenType: options.requestedTokenType,
+  });
+  const response = await impersonateServiceAccount(
+      credentialConfig, stsResponse.access_token, options);
+  response.service_account = getServiceAccountEmail(impersonationUrl);
+  return response;
+}
+
+/**
+ * Returns a Google-signed ID token for the impersonated service account of the
+ * credential config, using the IAM credentials generateIdToken API.
+ * Workforce identities cannot get Google ID tokens directly, so the
+ * credential config must set service_account_impersonation_url.
+ *
+ * @param {*} credentialConfig The external_account credential configuration.
+ * @param {string} subjectToken The subject token matching subject_token_type.
+ * @param {string} audience The audience of the ID token.
+ * @param {{includeEmail: (boolean|undefined),
+ *     delegates: (Array<string>|undefined)}=} options Whether to include the
+ *     email claims and the optional delegate chain override.
+ * @return {Promise<string>} A promise that resolves with the ID token.
+ */
+async function getIdentityToken(
+    credentialConfig, subjectToken, audience, options = {}) {
+  const impersonationUrl = credentialConfig.service_account_impersonation_url;
+  if (!impersonationUrl) {
+    throw new Error('ID tokens require service_account_impersonation_url ' +
+        'in the credential config');
+  }
+  const stsResponse = await exchangeToken(credentialConfig, subjectToken);
+  try {
+    const response = await axios.post(
+        impersonationUrl.replace(/:generateAccessToken$/, ':generateIdToken'), {
+          audience,
+          delegates: getDelegates(credentialConfig, options),
+          includeEmail: !!options.includeEmail,
+        }, {
+          headers: {
+            Authorization: `Bearer ${stsResponse.access_token}`,
+          },
+        });
+    return response.data.token;
+  } catch (error) {
+    throwIamCredentialsError('ID token generation', error);
+  }
+}
+
+exports.exchangeToken = exchangeToken;
+exports.getAccessToken = getAccessToken;
+exports.getIdentityToken = getIdentityToken;
+exports.getServiceAccountEmail = getServiceAccountEmail;
+exports.impersonateServiceAccount = impersonateServiceAccount;
+exports.loadCredentialConfig = loadCredentialConfig;
+exports.normalizeScopes = normalizeScopes;
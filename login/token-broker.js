@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Provides a token broker handing out opaque handles for GCP
+ * access tokens, so callers never see the real tokens.
+ *
+ * Usage:
+ * const broker = new TokenBroker();
+ * const {handle} = broker.issue(accessToken, {
+ *   expiresIn: 3600,
+ *   // Optional, all the downstream APIs are allowed when not provided.
+ *   apis: ['projects'],
+ * });
+ * // Throws a TokenBrokerError if the handle is unknown, expired, revoked or
+ * // not allowed to call the API.
+ * const accessToken = broker.resolve(handle, 'projects');
+ * broker.revoke(handle);
+ * // On sign-out, the handles issued for the profile.
+ * broker.revokeByProfile('okta');
+ *
+ * Handles are random and unrelated to the token they stand for. Each handle
+ * also has a public ID used to list and revoke it without exposing it.
+ */
+
+const crypto = require('crypto');
+
+// The downstream APIs handles can be scoped to.
+const DOWNSTREAM_APIS = ['projects', 'bigquery'];
+// The number of random bytes in a handle.
+const HANDLE_BYTES = 32;
+// The number of random bytes in a handle ID.
+const HANDLE_ID_BYTES = 8;
+
+/**
+ * Defines the error thrown when a handle cannot be used.
+ */
+class TokenBrokerError extends Error {
+  /**
+   * @param {number} status The HTTP status code to respond with.
+   * @param {string} message The error message.
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'TokenBrokerError';
+    this.status = status;
+  }
+}
+
+/**
+ * Defines an in-memory broker mapping opaque handles to access tokens, with
+ * expiry, per-handle downstream API scoping and revocation.
+ */
+class TokenBroker {
+  /**
+   * Initializes a TokenBroker instance.
+   */
+  constructor() {
+    // Entries keyed by handle.
+    this.entries = new Map();
+    // Handles keyed by handle ID.
+    this.handlesById = new Map();
+  }
+
+  /**
+   * Normalizes and validates the provided downstream APIs.
+   * @param {!Array<string>=} apis The requested APIs, all when empty.
+   * @return {!Array<string>} The allowed APIs.
+   */
+  static normalizeApis(apis) {
+    if (!apis || !apis.length) {
+      return [...DOWNSTREAM_APIS];
+    }
+    for (const api of apis) {
+      if (!DOWNSTREAM_APIS.includes(api)) {
+        throw new TokenBrokerError(400, `Unknown downstream API: ${api}. ` +
+            `Expected one of: ${DOWNSTREAM_APIS.join(', ')}`);
+      }
+    }
+    return [...new Set(apis)];
+  }
+
+  /**
+   * Removes the expired entries.
+   */
+  evictExpired() {
+    const now = Date.now();
+    for (const [handle, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.delete(handle);
+      }
+    }
+  }
+
+  /**
+   * Removes the entry of the provided handle.
+   * @param {string} handle The handle.
+   * @return {boolean} True if the handle existed.
+   */
+  delete(handle) {
+    const entry = this.entries.get(handle);
+    if (!entry) {
+      return false;
+    }
+    this.entries.delete(handle);
+    this.handlesById.delete(entry.id);
+    return true;
+  }
+
+  /**
+   * Issues a new handle for the provided access token.
+   * @param {string} accessToken The access token.
+   * @param {{expiresIn: number, apis: (Array<string>|undefined),
+   *     profile: (string|undefined), scopes: (Array<string>|undefined),
+   *     serviceAccount: (string|undefined)}} options The token lifetime in
+   *     seconds, the downstream APIs the handle can call (all when not
+   *     provided) and the informational token metadata returned when listing.
+   * @return {{handle: string, id: string, expires_in: number,
+   *     apis: !Array<string>}} The handle, its ID, lifetime and allowed APIs.
+   */
+  issue(accessToken, options) {
+    const apis = TokenBroker.normalizeApis(options.apis);
+    if (!(options.expiresIn > 0)) {
+      throw new TokenBrokerError(400, 'The access token has no lifetime.');
+    }
+    this.evictExpired();
+    const handle = crypto.randomBytes(HANDLE_BYTES).toString('base64url');
+    const id = crypto.randomBytes(HANDLE_ID_BYTES).toString('hex');
+    const now = Date.now();
+    this.entries.set(handle, {
+      id,
+      accessToken,
+      apis,
+      profile: options.profile,
+      scopes: options.scopes || [],
+      serviceAccount: options.serviceAccount,
+      createdAt: now,
+      expiresAt: now + options.expiresIn * 1000,
+    });
+    this.handlesById.set(id, handle);
+    return {handle, id, expires_in: options.expiresIn, apis};
+  }
+
+  /**
+   * Returns the access token of the provided handle for a downstream API.
+   * @param {string} handle The handle.
+   * @param {string} api The downstream API called with the token.
+   * @return {string} The access token.
+   */
+  resolve(handle, api) {
+    const entry = handle && this.entries.get(handle);
+    if (!entry) {
+      throw new TokenBrokerError(401, 'Invalid access token.');
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.delete(handle);
+      throw new TokenBrokerError(401, 'Expired access token.');
+    }
+    if (!entry.apis.includes(api)) {
+      throw new TokenBrokerError(
+          403, `The access token is not allowed to call the ${api} API.`);
+    }
+    return entry.accessToken;
+  }
+
+  /**
+   * Revokes the provided handle.
+   * @param {string} handle The handle.
+   * @return {boolean} True if the handle was live.
+   */
+  revoke(handle) {
+    return this.delete(handle);
+  }
+
+  /**
+   * Revokes the handle with the provided ID.
+   * @param {string} id The handle ID.
+   * @return {boolean} True if the handle was live.
+   */
+  revokeById(id) {
+    const handle = this.handlesById.get(id);
+    return handle ? this.delete(handle) : false;
+  }
+
+  /**
+   * Revokes all the handles issued for a profile, e.g. when it signs out.
+   * @param {string} profile The profile name.
+   * @return {number} The number of handles revoked.
+   */
+  revokeByProfile(profile) {
+    let revoked = 0;
+    for (const [handle, entry] of this.entries) {
+      if (entry.profile === profile && this.delete(handle)) {
+        revoked++;
+      }
+    }
+    return revoked;
+  }
+
+  /**
+   * Returns the live handles, without the handles and tokens themselves.
+   * @return {!Array<*>} The handle IDs, allowed APIs, scopes and lifetimes.
+   */
+  list() {
+    this.evictExpired();
+    const now = Date.now();
+    return [...this.entries.values()].map((entry) => ({
+      id: entry.id,
+      profile: entry.profile,
+      apis: entry.apis,
+      scopes: entry.scopes,
+      service_account: entry.serviceAccount,
+      created_at: new Date(entry.createdAt).toISOString(),
+      expires_in: Math.floor((entry.expiresAt - now) / 1000),
+    }));
+  }
+}
+
+exports.DOWNSTREAM_APIS = DOWNSTREAM_APIS;
+exports.TokenBroker = TokenBroker;
+exports.TokenBrokerError = TokenBrokerError;
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Provides an expiry-aware token cache so repeated token
+ * requests do not hit the IdP or STS every time.
+ *
+ * Usage:
+ * const cache = new TokenCache({refreshSkewSeconds: 300});
+ * const token = await cache.get('key', async () => {
+ *   const token = await fetchToken();
+ *   // Return null to skip caching.
+ *   return {value: token, expiresAt: expiryTimeInMs};
+ * });
+ *
+ * Cached values are returned until refreshSkewSeconds before they expire,
+ * after which the next call fetches a new value. Concurrent calls for the same
+ * key share a single fetch. Fetches pending when the cache is cleared, e.g. on
+ * sign-out, are neither cached nor shared with later calls.
+ */
+
+// The default number of seconds before expiry when a cached token is
+// refreshed.
+const DEFAULT_REFRESH_SKEW_SECONDS = 300;
+
+/**
+ * Defines an in-memory token cache with expiry awareness, request merging and
+ * hit/miss statistics.
+ */
+class TokenCache {
+  /**
+   * Initializes a TokenCache instance.
+   * @param {{refreshSkewSeconds: (number|undefined)}=} options The number of
+   *     seconds before expiry when cached tokens are refreshed.
+   */
+  constructor(options = {}) {
+    this.refreshSkewSeconds =
+        options.refreshSkewSeconds ?? DEFAULT_REFRESH_SKEW_SECONDS;
+    // Cached entries ({value, expiresAt}) keyed by cache key.
+    this.entries = new Map();
+    // Pending fetches keyed by cache key.
+    this.pending = new Map();
+    // Bumped by clear(), so older fetches do not cache their value.
+    this.generation = 0;
+    this.stats = {hits: 0, misses: 0, merged: 0};
+  }
+
+  /**
+   * Returns whether the provided entry can still be served.
+   * @param {{value: *, expiresAt: number}} entry The cache entry.
+   * @return {boolean} True if the entry is fresh.
+   */
+  isFresh(entry) {
+    return entry.expiresAt - this.refreshSkewSeconds * 1000 > Date.now();
+  }
+
+  /**
+   * Returns the cached value for the key, or fetches a new one when missing
+   * or about to expire.
+   * @param {string} key The cache key.
+   * @param {function(): Promise<?{value: *, expiresAt: number}>} fetcher The
+   *     function fetching a new value and its expiry time in milliseconds
+   *     since epoch. Resolving with null skips caching.
+   * @return {Promise<?*>} A promise that resolves with the value.
+   */
+  async get(key, fetcher) {
+    const entry = this.entries.get(key);
+    if (entry && this.isFresh(entry)) {
+      this.stats.hits++;
+      return entry.value;
+    }
+    // Merge concurrent fetches for the same key.
+    if (this.pending.has(key)) {
+      this.stats.merged++;
+      return this.pending.get(key);
+    }
+    this.stats.misses++;
+    const generation = this.generation;
+    const pending = (async () => {
+      try {
+        const result = await fetcher();
+        // Values fetched before the cache was cleared are not cached.
+        if (generation === this.generation) {
+          if (result && result.expiresAt) {
+            this.entries.set(key, result);
+          } else {
+            this.entries.delete(key);
+          }
+        }
+        return result ? result.value : null;
+      } finally {
+        if (this.pending.get(key) === pending) {
+          this.pending.delete(key);
+        }
+      }
+    })();
+    this.pending.set(key, pending);
+    return pending;
+  }
+
+  /**
+   * Removes all the cached values and detaches the pending fetches.
+   */
+  clear() {
+    this.generation++;
+    this.entries.clear();
+    this.pending.clear();
+  }
+
+  /**
+   * Returns the cache statistics and the remaining lifetime of each entry.
+   * Cached values are not included.
+   * @return {*} The cache status.
+   */
+  getStatus() {
+    const now = Date.now();
+    const entries = [];
+    for (const [key, entry] of this.entries) {
+      entries.push({
+        key,
+        expires_in: Math.max(0, Math.floor((entry.expiresAt - now) / 1000)),
+        fresh: this.isFresh(entry),
+      });
+    }
+    return {
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      merged: this.stats.merged,
+      refresh_skew_seconds: this.refreshSkewSeconds,
+      entries,
+    };
+  }
+}
+
+exports.TokenCache = TokenCache;
@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Verifies OIDC ID tokens against the issuer's published keys:
+ * https://openid.net/specs/openid-connect-core-1_0.html#IDTokenValidation
+ *
+ * Usage:
+ * const verifier = new IdTokenVerifier(
+ *     {
+ *       issuer: 'ISSUER_URL',
+ *       audience: 'CLIENT_ID'
+ *     });
+ * // Resolves with the ID token claims or throws an IdTokenVerificationError.
+ * const claims = await verifier.verify(idToken, {nonce});
+ *
+ * The issuer's JWKS URI is resolved via OIDC discovery. The JWKS is cached and
+ * only fetched again when a token signed with an unknown key ID is seen.
+ */
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const {fetchDiscoveryDocument} = require('./discovery');
+// The allowed clock skew in seconds when checking exp/nbf.
+const DEFAULT_CLOCK_SKEW_SECONDS = 60;
+// The minimum interval between 2 JWKS fetches triggered by unknown key IDs.
+const JWKS_MIN_REFRESH_INTERVAL_MS = 30 * 1000;
+// The supported JWS algorithms and their verification parameters.
+const ALGORITHMS = {
+  RS256: {hash: 'sha256'},
+  RS384: {hash: 'sha384'},
+  RS512: {hash: 'sha512'},
+  PS256: {hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING},
+  PS384: {hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING},
+  PS512: {hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING},
+  ES256: {hash: 'sha256', dsaEncoding: 'ieee-p1363'},
+  ES384: {hash: 'sha384', dsaEncoding: 'ieee-p1363'},
+  ES512: {hash: 'sha512', dsaEncoding: 'ieee-p1363'},
+};
+
+/**
+ * Error thrown when an ID token fails verification. The claim field names
+ * the part of the token that failed, e.g. "aud", "exp" or "signature".
+ */
+class IdTokenVerificationError extends Error {
+  /**
+   * @param {string} claim The claim (or token part) that failed verification.
+   * @param {string} message The error message.
+   */
+  constructor(claim, message) {
+    super(message);
+    this.name = 'IdTokenVerificationError';
+    this.claim = claim;
+  }
+}
+
+/**
+ * Decodes the provided JWT without verifying it.
+ *
+ * @param {string} jwt The JWT to decode.
+ * @return {{header: *, payload: *, signedContent: string,
+ *     signature: !Buffer}} The decoded JWT.
+ */
+function decodeJwt(jwt) {
+  const parts = typeof jwt === 'string' ? jwt.split('.') : [];
+  if (parts.length !== 3) {
+    throw new IdTokenVerificationError('format', 'Malformed ID token');
+  }
+  try {
+    return {
+      header: JSON.parse(Buffer.from(parts[0], 'base64url').toString()),
+      payload: JSON.parse(Buffer.from(parts[1], 'base64url').toString()),
+      signedContent: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], 'base64url'),
+    };
+  } catch (error) {
+    throw new IdTokenVerificationError('format', 'Malformed ID token');
+  }
+}
+
+/**
+ * Defines a utility to verify ID tokens issued by the configured issuer for
+ * the configured audience (OAuth client ID).
+ */
+class IdTokenVerifier {
+  /**
+   * Initializes an IdTokenVerifier instance.
+   * @param {*} config The verifier configuration: issuer, audience and the
+   *     optional clockSkewSeconds.
+   */
+  constructor(config) {
+    this.issuer = config.issuer;
+    this.audience = config.audience;
+    this.clockSkewSeconds =
+        config.clockSkewSeconds ?? DEFAULT_CLOCK_SKEW_SECONDS;
+
+    // Public keys keyed by key ID.
+    this.keys = new Map();
+    this.lastJwksFetch = 0;
+    this.pendingJwksFetch = null;
+  }
+
+  /**
+   * Fetches the issuer JWKS and replaces the cached keys. Concurrent calls
+   * share the same request.
+   * @return {Promise<void>} A promise that resolves when the keys are cached.
+   */
+  refreshKeys() {
+    if (!this.pendingJwksFetch) {
+      this.pendingJwksFetch = (async () => {
+        const {jwks_uri: jwksUri} = await fetchDiscoveryDocument(this.issuer);
+        const res = await fetch(jwksUri);
+        if (res.status !== 200) {
+          throw new Error(`Unable to fetch JWKS: HTTP ${res.status}`);
+        }
+        const {keys = []} = await res.json();
+        this.keys = new Map();
+        for (const jwk of keys) {
+          if (jwk.use && jwk.use !== 'sig') {
+            continue;
+          }
+          try {
+            this.keys.set(
+                jwk.kid, crypto.createPublicKey({key: jwk, format: 'jwk'}));
+          } catch (error) {
+            // Skip keys with unsupported key types.
+          }
+        }
+        this.lastJwksFetch = Date.now();
+      })().finally(() => {
+        this.pendingJwksFetch = null;
+      });
+    }
+    return this.pendingJwksFetch;
+  }
+
+  /**
+   * Returns the public key for the provided key ID, fetching the JWKS again
+   * when the key ID is not known yet.
+   * @param {string=} kid The key ID from the JWT header.
+   * @return {Promise<?crypto.KeyObject>} A promise that resolves with the key
+   *     or null when not found.
+   */
+  async getKey(kid) {
+    const findKey = () => {
+      if (typeof kid === 'undefined' && this.keys.size === 1) {
+        return this.keys.values().next().value;
+      }
+      return this.keys.get(kid) || null;
+    };
+    if (!findKey() &&
+        Date.now() - this.lastJwksFetch >= JWKS_MIN_REFRESH_INTERVAL_MS) {
+      await this.refreshKeys();
+    }
+    return findKey();
+  }
+
+  /**
+   * Verifies the provided ID token signature and claims.
+   * @param {string} idToken The ID token to verify.
+   * @param {{nonce: (string|undefined), requireNonce: (boolean|undefined)}=}
+   *     options The optional expected nonce. Refreshed ID tokens are not
+   *     required to carry the nonce, but it must match when present, unless
+   *     requireNonce is set.
+   * @return {Promise<*>} A promise that resolves with the verified claims.
+   */
+  async verify(idToken, options = {}) {
+    const {header, payload, signedContent, signature} = decodeJwt(idToken);
+
+    const algorithm = ALGORITHMS[header.alg];
+    if (!algorithm) {
+      throw new IdTokenVerificationError(
+          'alg', `Unsupported ID token algorithm: ${header.alg}`);
+    }
+    const key = await this.getKey(header.kid);
+    if (!key) {
+      throw new IdTokenVerificationError(
+          'kid', `No matching key found in issuer JWKS for kid ${header.kid}`);
+    }
+    const verified = crypto.verify(
+        algorithm.hash, Buffer.from(signedContent), {
+          key,
+          padding: algorithm.padding,
+          dsaEncoding: algorithm.dsaEncoding,
+        },
+        signature);
+    if (!verified) {
+      throw new IdTokenVerificationError(
+          'signature', 'Invalid ID token signature');
+    }
+
+    if (payload.iss !== this.issuer) {
+      throw new IdTokenVerificationError(
+          'iss', `Invalid ID token issuer: expected ${this.issuer}, ` +
+          `got ${payload.iss}`);
+    }
+    const audiences = [].concat(payload.aud);
+    if (!audiences.includes(this.audience)) {
+      throw new IdTokenVerificationError(
+          'aud', `Invalid ID token audience: expected ${this.audience}, ` +
+          `got ${audiences.join(', ')}`);
+    }
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof payload.exp !== 'number' ||
+        payload.exp + this.clockSkewSeconds <= now) {
+      throw new IdTokenVerificationError(
+          'exp', `ID token expired at ${payload.exp}`);
+    }
+    if (typeof payload.nbf === 'number' &&
+        payload.nbf - this.clockSkewSeconds > now) {
+      throw new IdTokenVerificationError(
+          'nbf', `ID token not valid before ${payload.nbf}`);
+    }
+    if (options.nonce &&
+        (options.requireNonce || typeof payload.nonce !== 'undefined') &&
+        payload.nonce !== options.nonce) {
+      throw new IdTokenVerificationError('nonce', 'ID token nonce mismatch');
+    }
+    return payload;
+  }
+}
+
+exports.ALGORITHMS = ALGORITHMS;
+exports.IdTokenVerificationError = IdTokenVerificationError;
+exports.IdTokenVerifier = IdTokenVerifier;
+exports.decodeJwt = decodeJwt;
@@ -0,0 +1,208 @@
+const assert = require('assert');
+const {
+  MAX_SUBJECT_BYTES,
+  getAssertion,
+  getPoolResource,
+  parseAttributeMapping,
+  simulateMapping,
+} = require('../login/attribute-mapping');
+const {CelError, evaluate} = require('../login/cel');
+
+// The workforce pool of the simulated provider.
+const POOL_RESOURCE = 'locations/global/workforcePools/my-pool';
+// The ID token claims of the simulated session.
+const CLAIMS = {
+  sub: '00u1abcd',
+  email: 'Alice@Example.com',
+  groups: ['eng', 'admins'],
+  department: 'R&D',
+};
+
+describe('attribute-mapping', () => {
+  describe('cel evaluate()', () => {
+    it('evaluates the mapping expressions', () => {
+      const variables = {assertion: CLAIMS};
+
+      assert.strictEqual(
+          evaluate('assertion.email.lowerAscii()', variables),
+          'alice@example.com');
+      assert.strictEqual(
+          evaluate('assertion.email.extract("{user}@Example.com")', variables),
+          'Alice');
+      assert.deepStrictEqual(
+          evaluate('assertion.groups.map(g, "gcp-" + g)', variables),
+          ['gcp-eng', 'gcp-admins']);
+      assert.strictEqual(evaluate(
+          'has(assertion.email) ? assertion.email.split("@")[1] : ""',
+          variables), 'Example.com');
+      assert.strictEqual(evaluate(
+          '"admins" in assertion.groups && size(assertion.groups) >= 2',
+          variables), true);
+    });
+
+    it('selects the fields named like object properties', () => {
+      const variables = {assertion: {constructor: 'eng', toString: 'x'}};
+
+      assert.strictEqual(evaluate('assertion.constructor', variables), 'eng');
+      assert.strictEqual(evaluate('has(assertion.toString)', variables), true);
+      assert.strictEqual(evaluate('has(assertion.valueOf)', variables), false);
+      assert.strictEqual(evaluate('{"valueOf": 1}.valueOf', {}), 1);
+      assert.deepStrictEqual(
+          Object.keys(evaluate('{"__proto__": 1}', {})), ['__proto__']);
+      assert.throws(() => evaluate('assertion.constructor.constructor()',
+          variables), /Unknown function: constructor/);
+    });
+
+    it('ignores the error of an operand not deciding the result', () => {
+      const variables = {assertion: CLAIMS};
+
+      assert.strictEqual(
+          evaluate('assertion.missing == "x" || true', variables), true);
+      assert.throws(() => evaluate('assertion.missing == "x"', variables),
+          /No such key: missing/);
+    });
+
+    it('reports syntax and type errors', () => {
+      assert.throws(() => evaluate('assertion.email ==', {assertion: {}}),
+          (error) => error instanceof CelError &&
+              /Syntax error at 18: expected expression/.test(error.message));
+      assert.throws(() => evaluate('"a" + 1', {}),
+          /No such overload: _\+_\(string, int\)/);
+      assert.throws(() => evaluate('token.sub', {assertion: {}}),
+          /Undeclared reference to 'token'/);
+    });
+  });
+
+  describe('parseAttributeMapping()', () => {
+    it('parses the gcloud flag syntax', () => {
+      assert.deepStrictEqual(parseAttributeMapping(
+          'google.subject=assertion.sub, google.groups=assertion.groups'), {
+        'google.subject': 'assertion.sub',
+        'google.groups': 'assertion.groups',
+      });
+      assert.deepStrictEqual(parseAttributeMapping(
+          '^;^google.subject=assertion.sub;attribute.domain=' +
+          'assertion.email.extract("{x},{y}")'), {
+        'google.subject': 'assertion.sub',
+        'attribute.domain': 'assertion.email.extract("{x},{y}")',
+      });
+    });
+  });
+
+  describe('simulateMapping()', () => {
+    it('maps the attributes and lists the principal identifiers', () => {
+      const result = simulateMapping({
+        mapping: {
+          'google.subject': 'assertion.email.lowerAscii()',
+          'google.groups': 'assertion.groups',
+          'attribute.department': 'assertion.department',
+        },
+        condition: '"admins" in google.groups && ' +
+            'attribute.department == "R&D"',
+        assertion: CLAIMS,
+        poolResource: POOL_RESOURCE,
+      });
+
+      const pool = `iam.googleapis.com/${POOL_RESOURCE}`;
+      assert.deepStrictEqual(result, {
+        google: {subject: 'alice@example.com', groups: ['eng', 'admins']},
+        attribute: {department: 'R&D'},
+        condition: true,
+        principals: [
+          `principal://${pool}/subject/alice@example.com`,
+          `principalSet://${pool}/group/eng`,
+          `principalSet://${pool}/group/admins`,
+          `principalSet://${pool}/attribute.department/R&D`,
+          `principalSet://${pool}/*`,
+        ],
+        problems: [],
+      });
+    });
+
+    it('flags the constraint violations', () => {
+      const result = simulateMapping({
+        mapping: {
+          'google.subject': '"x" * 2',
+          'google.groups': 'assertion.email',
+          'google.name': 'assertion.email',
+          'attribute.Dept': 'assertion.department',
+          'attribute.team': 'assertion.team',
+        },
+        condition: 'google.groups',
+        assertion: CLAIMS,
+      });
+
+      assert.deepStrictEqual(result.problems, [
+        'google.subject: No such overload: _*_(string, int)',
+        'google.groups must be a list of strings',
+        'Unknown attribute google.name: only the google.* attributes ' +
+            'subject, groups, display_name, profile_photo, posix_username ' +
+            'and attribute.* can be mapped',
+        'Invalid custom attribute name attribute.Dept: only lowercase ' +
+            'letters, digits and underscores are allowed, up to 64 ' +
+            'characters',
+        'attribute.team: No such key: team',
+        'The attribute condition must evaluate to a bool, got ' +
+            '"Alice@Example.com"',
+      ]);
+      assert.strictEqual(result.condition, null);
+      assert.deepStrictEqual(result.principals, []);
+    });
+
+    it('flags subjects over the size limit and rejected conditions', () => {
+      const result = simulateMapping({
+        mapping: 'google.subject=assertion.subject',
+        condition: 'assertion.attributes.role[0] == "admin"',
+        assertion: {
+          subject: 'é'.repeat(64),
+          attributes: {role: ['viewer']},
+        },
+      });
+
+      assert.deepStrictEqual(result.problems, [
+        `google.subject is 128 bytes, at most ${MAX_SUBJECT_BYTES} are ` +
+            'supported',
+        'The attribute condition rejects the assertion',
+      ]);
+      assert.strictEqual(result.condition, false);
+    });
+
+    it('requires google.subject', () => {
+      const {problems} = simulateMapping({
+        mapping: {'google.groups': 'assertion.groups'},
+        assertion: CLAIMS,
+      });
+
+      assert.deepStrictEqual(problems, ['google.subject must be mapped']);
+    });
+  });
+
+  describe('getAssertion()', () => {
+    it('returns the SAML subject and attributes', () => {
+      const samlResponse = Buffer.from(
+          '<samlp:Response xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol">' +
+          '<saml:Assertion><saml:Subject><saml:NameID>alice@example.com' +
+          '</saml:NameID></saml:Subject><saml:AttributeStatement>' +
+          '<saml:Attribute Name="groups">' +
+          '<saml:AttributeValue>eng</saml:AttributeValue>' +
+          '<saml:AttributeValue>R&amp;D</saml:AttributeValue>' +
+          '</saml:Attribute><saml:Attribute Name="empty"/>' +
+          '</saml:AttributeStatement></saml:Assertion></samlp:Response>')
+          .toString('base64');
+
+      assert.deepStrictEqual(getAssertion({saml_response: samlResponse}), {
+        subject: 'alice@example.com',
+        attributes: {groups: ['eng', 'R&D']},
+      });
+    });
+  });
+
+  describe('getPoolResource()', () => {
+    it('returns the pool of a provider audience', () => {
+      assert.strictEqual(getPoolResource('//iam.googleapis.com/' +
+          `${POOL_RESOURCE}/providers/okta`), POOL_RESOURCE);
+      assert.throws(() => getPoolResource('https://example.com'),
+          /Not a workforce or workload identity pool provider audience/);
+    });
+  });
+});
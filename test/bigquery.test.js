@@ -0,0 +1,228 @@
+const assert = require('assert');
+const {
+  decodeRows,
+  runQuery,
+  toQueryParameters,
+} = require('../login/bigquery');
+const {DEFAULT_OPTIONS, FakeServer} = require('../login/fake-server');
+
+// An access token accepted by the fake server.
+const ACCESS_TOKEN = 'fake-sts-token.test';
+
+describe('bigquery', () => {
+  let fakeServer;
+  let rootUrl;
+
+  before(async () => {
+    fakeServer = new FakeServer();
+    rootUrl = `${await fakeServer.listen(0)}/bigquery/v2`;
+  });
+
+  after(() => {
+    fakeServer.close();
+  });
+
+  beforeEach(() => {
+    fakeServer.options = {...DEFAULT_OPTIONS};
+    fakeServer.bigQueryRequests = [];
+  });
+
+  describe('decodeRows()', () => {
+    it('decodes the f/v rows according to the schema', () => {
+      const schema = {
+        fields: [
+          {name: 'count', type: 'INTEGER'},
+          {name: 'big', type: 'INT64'},
+          {name: 'ratio', type: 'FLOAT'},
+          {name: 'active', type: 'BOOLEAN'},
+          {name: 'at', type: 'TIMESTAMP'},
+          {name: 'price', type: 'NUMERIC'},
+          {name: 'payload', type: 'JSON'},
+          {name: 'tags', type: 'STRING', mode: 'REPEATED'},
+          {
+            name: 'address',
+            type: 'RECORD',
+            fields: [{name: 'city', type: 'STRING'}],
+          },
+          {name: 'missing', type: 'STRING'},
+        ],
+      };
+      const rows = [{
+        f: [
+          {v: '42'},
+          {v: '9007199254740993'},
+          {v: '0.5'},
+          {v: 'true'},
+          {v: '1.6990848E9'},
+          {v: '1.10'},
+          {v: '{"a":1}'},
+          {v: [{v: 'x'}, {v: 'y'}]},
+          {v: {f: [{v: 'Chicago'}]}},
+          {v: null},
+        ],
+      }];
+
+      assert.deepStrictEqual(decodeRows(schema, rows), [{
+        count: 42,
+        // Integers that do not fit a double are kept as strings.
+        big: '9007199254740993',
+        ratio: 0.5,
+        active: true,
+        at: '2023-11-04T08:00:00.000Z',
+        price: '1.10',
+        payload: {a: 1},
+        tags: ['x', 'y'],
+        address: {city: 'Chicago'},
+        missing: null,
+      }]);
+      assert.deepStrictEqual(decodeRows(schema), []);
+    });
+  });
+
+  describe('toQueryParameters()', () => {
+    it('infers the parameter types or uses the explicit ones', () => {
+      const at = new Date('2023-01-01T00:00:00Z');
+
+      assert.deepStrictEqual(toQueryParameters({
+        city: 'Chicago',
+        age: 35,
+        ratio: 0.5,
+        active: false,
+        at,
+        ids: [1, 2],
+        since: {type: 'date', value: '2023-01-01'},
+      }), [
+        {
+          name: 'city',
+          parameterType: {type: 'STRING'},
+          parameterValue: {value: 'Chicago'},
+        },
+        {
+          name: 'age',
+          parameterType: {type: 'INT64'},
+          parameterValue: {value: '35'},
+        },
+        {
+          name: 'ratio',
+          parameterType: {type: 'FLOAT64'},
+          parameterValue: {value: '0.5'},
+        },
+        {
+          name: 'active',
+          parameterType: {type: 'BOOL'},
+          parameterValue: {value: 'false'},
+        },
+        {
+          name: 'at',
+          parameterType: {type: 'TIMESTAMP'},
+          parameterValue: {value: '2023-01-01T00:00:00.000Z'},
+        },
+        {
+          name: 'ids',
+          parameterType: {type: 'ARRAY', arrayType: {type: 'INT64'}},
+          parameterValue: {arrayValues: [{value: '1'}, {value: '2'}]},
+        },
+        {
+          name: 'since',
+          parameterType: {type: 'DATE'},
+          parameterValue: {value: '2023-01-01'},
+        },
+      ]);
+    });
+  });
+
+  describe('runQuery()', () => {
+    it('sends the query with its parameters and decodes the rows',
+        async () => {
+          const result = await runQuery(ACCESS_TOKEN, 'my-project', {
+            query: 'SELECT name, age FROM people WHERE city = @city',
+            params: {city: 'Chicago'},
+            datasetId: 'my_dataset',
+            location: 'EU',
+            rootUrl,
+          });
+
+          assert.deepStrictEqual(fakeServer.bigQueryRequests, [{
+            query: 'SELECT name, age FROM people WHERE city = @city',
+            useLegacySql: false,
+            timeoutMs: 10000,
+            maxResults: 10000,
+            parameterMode: 'NAMED',
+            queryParameters: [{
+              name: 'city',
+              parameterType: {type: 'STRING'},
+              parameterValue: {value: 'Chicago'},
+            }],
+            defaultDataset: {projectId: 'my-project', datasetId: 'my_dataset'},
+            location: 'EU',
+          }]);
+          assert.deepStrictEqual(result.rows, [
+            {name: 'Alice', age: 35},
+            {name: 'Bob', age: 42},
+            {name: 'Carol', age: null},
+          ]);
+          assert.strictEqual(result.totalRows, 3);
+          assert.strictEqual(result.truncated, false);
+          assert.strictEqual(result.jobReference.projectId, 'my-project');
+          assert.strictEqual(result.jobReference.location, 'EU');
+        });
+
+    it('polls the query results until the job completes', async () => {
+      fakeServer.options.bigQueryPolls = 3;
+
+      const result = await runQuery(
+          ACCESS_TOKEN, 'my-project', {query: 'SELECT 1', rootUrl});
+
+      assert.strictEqual(result.rows.length, 3);
+      assert.strictEqual(
+          fakeServer.bigQueryJobs.get(result.jobReference.jobId).polls, 0);
+    });
+
+    it('reads all the result pages', async () => {
+      fakeServer.options.bigQueryPageSize = 1;
+
+      const result = await runQuery(
+          ACCESS_TOKEN, 'my-project', {query: 'SELECT 1', rootUrl});
+
+      assert.deepStrictEqual(result.rows.map((row) => row.name),
+          ['Alice', 'Bob', 'Carol']);
+      assert.strictEqual(result.truncated, false);
+    });
+
+    it('stops reading the pages at maxRows', async () => {
+      fakeServer.options.bigQueryPageSize = 1;
+
+      const result = await runQuery(ACCESS_TOKEN, 'my-project',
+          {query: 'SELECT 1', maxRows: 2, rootUrl});
+
+      assert.deepStrictEqual(result.rows.map((row) => row.name),
+          ['Alice', 'Bob']);
+      assert.strictEqual(result.totalRows, 3);
+      assert.strictEqual(result.truncated, true);
+    });
+
+    it('rejects when the job does not complete in time', async () => {
+      fakeServer.options.bigQueryPolls = Infinity;
+
+      await assert.rejects(runQuery(ACCESS_TOKEN, 'my-project',
+          {query: 'SELECT 1', timeoutMs: 50, rootUrl}), {
+        name: 'GoogleApiError',
+        status: 504,
+        code: 'DEADLINE_EXCEEDED',
+        message: /did not complete in time/,
+      });
+    });
+
+    it('rejects with the API errors', async () => {
+      await assert.rejects(runQuery(
+          'invalid-token', 'my-project', {query: 'SELECT 1', rootUrl}), {
+        name: 'GoogleApiError',
+        status: 401,
+        code: 'UNAUTHENTICATED',
+        message: 'Request had invalid authentication credentials.',
+      });
+      await assert.rejects(runQuery(ACCESS_TOKEN, 'my-project', {rootUrl}),
+          {status: 400, code: 'INVALID_ARGUMENT', message: 'Missing query.'});
+    });
+  });
+});
@@ -0,0 +1,260 @@
+const assert = require('assert');
+const fetch = require('node-fetch');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const {CallerAuth} = require('../login/caller-auth');
+const {FakeServer} = require('../login/fake-server');
+const {createMetadataApp} = require('../login/index');
+const {logger} = require('../login/logger');
+const {Profile} = require('../login/profiles');
+const {MemoryStore} = require('../login/storage');
+const {driveBrowser, getFakeConfigs, writeTempFiles} = require('./helpers');
+
+describe('caller-auth', () => {
+  let fakeServer;
+  let tempFiles;
+  let secretFile;
+  let socketPath;
+  let profile;
+  let servers;
+  let serverAddress;
+  let logCalls;
+  let loggerLog;
+
+  before(async () => {
+    fakeServer = new FakeServer();
+    await fakeServer.listen(0);
+    const {oauthConfig, credentialConfig} = getFakeConfigs(fakeServer);
+    tempFiles = writeTempFiles({
+      'oauth-config.json': oauthConfig,
+      'workforce-config.json': credentialConfig,
+    });
+    secretFile = path.join(tempFiles.dir, 'secrets', 'caller-secret');
+    socketPath = path.join(tempFiles.dir, 'metadata.sock');
+  });
+
+  after(() => {
+    fakeServer.close();
+    fs.rmSync(tempFiles.dir, {recursive: true});
+  });
+
+  beforeEach(() => {
+    profile = new Profile('default', {
+      configFile: tempFiles.paths['oauth-config.json'],
+      credentialConfigFile: tempFiles.paths['workforce-config.json'],
+      port: 0,
+    }, new MemoryStore());
+    profile.getClient().openBrowser = driveBrowser;
+    servers = [];
+    // Record the log calls, whatever the level, without writing them.
+    logCalls = [];
+    loggerLog = logger.log;
+    logger.log = (level, msg, fields) => logCalls.push({msg, ...fields});
+  });
+
+  afterEach(() => {
+    logger.log = loggerLog;
+    for (const server of servers) {
+      server.close();
+    }
+  });
+
+  /**
+   * Starts the metadata server with the provided caller authentication, on
+   * TCP and on the Unix domain socket.
+   * @param {!CallerAuth} callerAuth The caller authentication.
+   */
+  async function startServer(callerAuth) {
+    const app = createMetadataApp(
+        new Map([['default', profile]]), profile, {callerAuth});
+    const server = await new Promise((resolve) => {
+      const server = app.listen(0, 'localhost', () => resolve(server));
+    });
+    const socketServer = http.createServer(app);
+    callerAuth.trustServer(socketServer);
+    await new Promise((resolve) => socketServer.listen(socketPath, resolve));
+    servers.push(server, socketServer);
+    serverAddress = `http://localhost:${server.address().port}`;
+  }
+
+  /**
+   * Sends a request to the metadata server over TCP.
+   * @param {string} requestPath The request path.
+   * @param {!Object<string, string>=} headers The optional headers.
+   * @param {string=} method The HTTP method, GET by default.
+   * @return {Promise<*>} A promise that resolves with the response.
+   */
+  function request(requestPath, headers = {}, method = 'GET') {
+    return fetch(`${serverAddress}${requestPath}`,
+        {method, redirect: 'manual', headers});
+  }
+
+  /**
+   * Sends a GET request to the metadata server over the Unix domain socket.
+   * @param {string} requestPath The request path.
+   * @param {!Object<string, string>=} headers The optional headers.
+   * @return {Promise<number>} A promise that resolves with the status.
+   */
+  function requestSocket(requestPath, headers = {}) {
+    return new Promise((resolve, reject) => {
+      http.get({socketPath, path: requestPath, headers}, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      }).on('error', reject);
+    });
+  }
+
+  describe('writeSecret()', () => {
+    it('writes a new secret only readable by the user', () => {
+      const callerAuth = new CallerAuth({enabled: true});
+
+      callerAuth.writeSecret(secretFile);
+      const first = fs.readFileSync(secretFile, 'utf8');
+      fs.chmodSync(secretFile, 0o644);
+      callerAuth.writeSecret(secretFile);
+
+      assert.match(first, /^[\w-]{43}\n$/);
+      assert.notStrictEqual(fs.readFileSync(secretFile, 'utf8'), first);
+      assert.strictEqual(fs.statSync(secretFile).mode & 0o777, 0o600);
+    });
+  });
+
+  describe('getAllowedCallers()', () => {
+    it('applies the route, group and default allowlists', () => {
+      const callerAuth = new CallerAuth({
+        enabled: true,
+        allow: {rawTokens: ['socket'], profileToken: ['bearer']},
+      });
+
+      assert.deepStrictEqual(callerAuth.getAllowedCallers('profileToken'),
+          ['bearer']);
+      assert.deepStrictEqual(callerAuth.getAllowedCallers('metadata'),
+          ['socket']);
+      assert.deepStrictEqual(callerAuth.getAllowedCallers('bigquery'),
+          ['socket', 'bearer']);
+      assert.deepStrictEqual(callerAuth.getAllowedCallers('status'),
+          ['socket', 'bearer', 'anonymous']);
+      assert.deepStrictEqual(callerAuth.getAllowedCallers('logout'),
+          ['socket', 'bearer', 'anonymous']);
+      assert.throws(() => new CallerAuth({allow: {token: ['browser']}}),
+          /Invalid callers for token: expected a list of socket, bearer, /);
+    });
+  });
+
+  describe('authorize()', () => {
+    it('rejects the callers not allowed to call the route', async () => {
+      const callerAuth =
+          new CallerAuth({enabled: true, allow: {rawTokens: ['socket']}});
+      callerAuth.writeSecret(secretFile);
+      const secret = fs.readFileSync(secretFile, 'utf8').trim();
+      await startServer(callerAuth);
+
+      const anonymous = await request('/token');
+      const wrongSecret =
+          await request('/token', {Authorization: 'Bearer wrong'});
+      const bearerToken =
+          await request('/token', {Authorization: `Bearer ${secret}`});
+      const bearerHandle = await request('/gcpaccesstoken',
+          {Authorization: `Bearer ${secret}`});
+      const status = await request('/status');
+
+      assert.strictEqual(anonymous.status, 401);
+      assert.strictEqual(anonymous.headers.get('www-authenticate'), 'Bearer');
+      assert.strictEqual(wrongSecret.status, 401);
+      assert.strictEqual(bearerToken.status, 403);
+      assert.deepStrictEqual(await bearerToken.json(),
+          {error: 'The bearer caller cannot call token.'});
+      // Past the caller check, rejected by the route validation.
+      assert.strictEqual(bearerHandle.status, 400);
+      assert.strictEqual(status.status, 200);
+      assert.strictEqual(await requestSocket('/token'), 400);
+    });
+
+    it('authenticates the callers by default', async () => {
+      const callerAuth = new CallerAuth();
+      await startServer(callerAuth);
+
+      const anonymous = await request('/token');
+      const metadata = await request(
+          '/computeMetadata/v1/instance/service-accounts/default/token',
+          {'Metadata-Flavor': 'Google'});
+      const status = await request('/status');
+
+      assert.strictEqual(callerAuth.enabled, true);
+      assert.strictEqual(anonymous.status, 401);
+      assert.strictEqual(metadata.status, 401);
+      assert.strictEqual(status.status, 200);
+    });
+
+    it('rejects the requests to other hosts', async () => {
+      await startServer(new CallerAuth({enabled: false}));
+      await profile.login();
+
+      // What a page of a domain rebound to 127.0.0.1 sends.
+      const rebound = await request('/token', {Host: 'evil.example:5000'});
+      const loopback = await request('/token',
+          {Host: `127.0.0.1:${new URL(serverAddress).port}`});
+
+      assert.strictEqual(rebound.status, 403);
+      assert.deepStrictEqual(await rebound.json(),
+          {error: 'Requests to evil.example are not allowed.'});
+      assert.strictEqual(loopback.status, 200);
+      // The socket callers are not reached over DNS.
+      assert.strictEqual(
+          await requestSocket('/token', {Host: 'evil.example'}), 200);
+    });
+
+    it('rejects cross-origin sign out requests', async () => {
+      await startServer(new CallerAuth({enabled: false}));
+      await profile.login();
+
+      const crossSite = await request('/logout',
+          {'Sec-Fetch-Site': 'cross-site'}, 'POST');
+      // Browsers without Sec-Fetch-Site still send Origin with POST.
+      const crossOrigin = await request('/logout',
+          {'Origin': 'http://evil.example'}, 'POST');
+      const sameOrigin = await request('/logout',
+          {'Sec-Fetch-Site': 'same-origin', 'Origin': serverAddress}, 'POST');
+
+      assert.strictEqual(crossSite.status, 403);
+      assert.deepStrictEqual(await crossOrigin.json(),
+          {error: 'Cross-origin requests are not allowed.'});
+      assert.strictEqual(sameOrigin.status, 303);
+      assert.strictEqual(await profile.hasSession(), false);
+    });
+
+    it('does not sign out on GET requests', async () => {
+      await startServer(new CallerAuth({enabled: false}));
+      await profile.login();
+
+      // What an <img src="/logout"> tag sends without Sec-Fetch-Site.
+      const page = await request('/logout');
+
+      assert.strictEqual(page.status, 200);
+      assert.match(await page.text(),
+          /<form method="post" action="\/logout">/);
+      assert.strictEqual(await profile.hasSession(), true);
+    });
+  });
+
+  describe('auditTokenIssued()', () => {
+    it('writes an audit line for each token issued', async () => {
+      await startServer(new CallerAuth({enabled: false}));
+      await profile.login();
+
+      await requestSocket('/token');
+      await request('/idptoken');
+
+      const audits = logCalls.filter((call) => call.audit);
+      assert.deepStrictEqual(audits.map(({msg, route, caller, type}) =>
+        ({msg, route, caller, type})), [
+        {msg: 'Token issued', route: 'token', caller: 'socket',
+          type: 'id_token'},
+        {msg: 'Token issued', route: 'idptoken', caller: 'anonymous',
+          type: 'id_token'},
+      ]);
+      assert.strictEqual(audits[0].profile, 'default');
+    });
+  });
+});
@@ -0,0 +1,180 @@
+const assert = require('assert');
+const express = require('express');
+const {
+  assertValidCredentialConfig,
+  buildCredentialConfig,
+  checkCredentialSource,
+  validateCredentialConfig,
+} = require('../login/cred-config');
+
+describe('cred-config', () => {
+  describe('buildCredentialConfig()', () => {
+    it('builds a URL sourced workforce pool config', () => {
+      const credentialConfig = buildCredentialConfig({
+        pool: 'my-pool',
+        provider: 'okta',
+        billingProject: 123456789,
+        source: {url: 'http://localhost:5000/token'},
+      });
+
+      assert.deepStrictEqual(credentialConfig, {
+        type: 'external_account',
+        audience: '//iam.googleapis.com/locations/global/workforcePools/' +
+            'my-pool/providers/okta',
+        subject_token_type: 'urn:ietf:params:oauth:token-type:id_token',
+        token_url: 'https://sts.googleapis.com/v1/token',
+        credential_source: {url: 'http://localhost:5000/token'},
+        workforce_pool_user_project: '123456789',
+      });
+      assert.deepStrictEqual(validateCredentialConfig(credentialConfig), []);
+    });
+
+    it('builds an executable sourced SAML config with impersonation', () => {
+      const credentialConfig = buildCredentialConfig({
+        pool: 'my-pool',
+        provider: 'okta-saml',
+        tokenType: 'saml2',
+        source: {type: 'executable', command: 'node login/executable.js'},
+        serviceAccount: 'sa@project.iam.gserviceaccount.com',
+        tokenLifetimeSeconds: '3600',
+      });
+
+      assert.strictEqual(credentialConfig.subject_token_type,
+          'urn:ietf:params:oauth:token-type:saml2');
+      assert.deepStrictEqual(credentialConfig.credential_source, {
+        executable: {
+          command: 'node login/executable.js',
+          timeout_millis: 30000,
+        },
+      });
+      assert.match(credentialConfig.service_account_impersonation_url,
+          /serviceAccounts\/sa@project.iam.gserviceaccount.com:generate/);
+      assert.deepStrictEqual(credentialConfig.service_account_impersonation,
+          {token_lifetime_seconds: 3600});
+      assert.deepStrictEqual(validateCredentialConfig(credentialConfig), []);
+    });
+
+    it('sends the headers of URL sources', () => {
+      const credentialConfig = buildCredentialConfig({
+        pool: 'my-pool',
+        provider: 'okta',
+        source: {
+          url: 'https://tokens.example.com/token',
+          headers: {'X-Api-Key': 'key'},
+        },
+      });
+
+      assert.deepStrictEqual(credentialConfig.credential_source, {
+        url: 'https://tokens.example.com/token',
+        headers: {'X-Api-Key': 'key'},
+      });
+    });
+
+    it('rejects a token lifetime without service account', () => {
+      assert.throws(() => buildCredentialConfig(
+          {pool: 'p', provider: 'p', tokenLifetimeSeconds: '3600'}),
+          /The token lifetime is only supported with a service account/);
+    });
+
+    it('rejects unknown token and source types', () => {
+      assert.throws(() => buildCredentialConfig(
+          {pool: 'p', provider: 'p', tokenType: 'saml1'}),
+          /Unknown subject token type: saml1/);
+      assert.throws(() => buildCredentialConfig(
+          {pool: 'p', provider: 'p', source: {type: 'aws'}}),
+          /Unknown credential source type: aws/);
+    });
+  });
+
+  describe('assertValidCredentialConfig()', () => {
+    it('lists all the problems found', () => {
+      const credentialConfig = buildCredentialConfig({
+        pool: 'My_Pool',
+        provider: 'okta',
+        billingProject: 'my-project',
+        source: {type: 'file'},
+        tokenUrl: 'http://sts.googleapis.com/v1/token',
+      });
+
+      assert.throws(() => assertValidCredentialConfig(credentialConfig), {
+        message: 'Invalid credential config:\n' +
+            '- The pool ID My_Pool must only contain lowercase letters, ' +
+            'digits and hyphens\n' +
+            '- token_url is not an https URL: ' +
+            'http://sts.googleapis.com/v1/token\n' +
+            '- workforce_pool_user_project must be a project number: ' +
+            'my-project\n' +
+            '- credential_source.file is empty',
+      });
+    });
+
+    it('rejects user projects for workload identity pools', () => {
+      const problems = validateCredentialConfig({
+        type: 'external_account',
+        audience: '//iam.googleapis.com/projects/123/locations/global/' +
+            'workloadIdentityPools/pool/providers/provider',
+        subject_token_type: 'urn:ietf:params:oauth:token-type:jwt',
+        token_url: 'https://sts.googleapis.com/v1/token',
+        workforce_pool_user_project: '123',
+        credential_source: {url: 'http://localhost:5000/token', file: 'f'},
+      });
+
+      assert.deepStrictEqual(problems, [
+        'workforce_pool_user_project is only supported for workforce pool ' +
+            'audiences',
+        'credential_source must set exactly one of url, file, executable',
+      ]);
+    });
+  });
+
+  describe('checkCredentialSource()', () => {
+    let server;
+    let serverAddress;
+
+    before(async () => {
+      const app = express();
+      app.get('/token', (req, res) => res.send('subject-token'));
+      app.get('/profiles/okta/token', (req, res) => res.status(400)
+          .json({error: 'No session detected. Please login first.'}));
+      await new Promise((resolve) => {
+        server = app.listen(0, 'localhost', resolve);
+      });
+      serverAddress = `http://localhost:${server.address().port}`;
+    });
+
+    after(() => {
+      server.close();
+    });
+
+    /**
+     * Checks a URL credential source.
+     * @param {string} url The credential source URL.
+     * @return {Promise<{live: boolean, message: string}>} The check result.
+     */
+    function checkUrl(url) {
+      return checkCredentialSource(buildCredentialConfig(
+          {pool: 'pool', provider: 'provider', source: {url}}));
+    }
+
+    it('reports live endpoints returning a token', async () => {
+      const {live} = await checkUrl(`${serverAddress}/token`);
+
+      assert.strictEqual(live, true);
+    });
+
+    it('reports the error of endpoints without a session', async () => {
+      const {live, message} = await checkUrl(
+          `${serverAddress}/profiles/okta/token`);
+
+      assert.strictEqual(live, false);
+      assert.match(message, /responded with 400: No session detected/);
+    });
+
+    it('reports unreachable endpoints', async () => {
+      const {live, message} = await checkUrl('http://localhost:1/token');
+
+      assert.strictEqual(live, false);
+      assert.match(message, /is not reachable \(ECONNREFUSED\)/);
+    });
+  });
+});
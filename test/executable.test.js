@@ -0,0 +1,178 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  buildErrorResponse,
+  buildSuccessResponse,
+  getResponse,
+} = require('../login/executable');
+const {FakeServer} = require('../login/fake-server');
+const {Profile} = require('../login/profiles');
+const {MemoryStore} = require('../login/storage');
+const {driveBrowser, getFakeConfigs, writeTempFiles} = require('./helpers');
+
+const ID_TOKEN_TYPE = 'urn:ietf:params:oauth:token-type:id_token';
+const JWT_TOKEN_TYPE = 'urn:ietf:params:oauth:token-type:jwt';
+const SAML2_TOKEN_TYPE = 'urn:ietf:params:oauth:token-type:saml2';
+
+/**
+ * Returns a base64 encoded SAMLResponse.
+ *
+ * @param {string=} conditions The optional Conditions attributes.
+ * @return {string} The base64 encoded SAMLResponse.
+ */
+function buildSamlResponse(conditions = '') {
+  return Buffer.from(
+      '<samlp:Response xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol">' +
+      `<saml:Conditions${conditions}/></samlp:Response>`).toString('base64');
+}
+
+describe('executable', () => {
+  let fakeServer;
+  let tempFiles;
+  let outputFile;
+  let profile;
+
+  before(async () => {
+    fakeServer = new FakeServer();
+    await fakeServer.listen(0);
+    const {oauthConfig, credentialConfig} = getFakeConfigs(fakeServer);
+    tempFiles = writeTempFiles({
+      'oauth-config.json': oauthConfig,
+      'workforce-config.json': credentialConfig,
+    });
+    outputFile = path.join(tempFiles.dir, 'output.json');
+  });
+
+  after(() => {
+    fakeServer.close();
+    fs.rmSync(tempFiles.dir, {recursive: true});
+  });
+
+  beforeEach(() => {
+    profile = new Profile('default', {
+      configFile: tempFiles.paths['oauth-config.json'],
+      credentialConfigFile: tempFiles.paths['workforce-config.json'],
+      port: 0,
+    }, new MemoryStore());
+    profile.getClient().openBrowser = driveBrowser;
+    fs.rmSync(outputFile, {force: true});
+  });
+
+  afterEach(() => {
+    profile.close();
+  });
+
+  describe('buildSuccessResponse()', () => {
+    it('returns the ID token with its expiry', () => {
+      const idToken = fakeServer.signIdToken({});
+      const {exp} = JSON.parse(
+          Buffer.from(idToken.split('.')[1], 'base64url').toString());
+
+      assert.deepStrictEqual(buildSuccessResponse({id_token: idToken}), {
+        version: 1,
+        success: true,
+        token_type: ID_TOKEN_TYPE,
+        id_token: idToken,
+        expiration_time: exp,
+      });
+      assert.strictEqual(buildSuccessResponse(
+          {id_token: idToken}, JWT_TOKEN_TYPE).token_type, JWT_TOKEN_TYPE);
+      assert.throws(
+          () => buildSuccessResponse({id_token: idToken}, SAML2_TOKEN_TYPE),
+          /Profile returns id_token subject tokens, .*saml2 expected/);
+    });
+
+    it('returns the SAML response with its NotOnOrAfter', () => {
+      const samlResponse =
+          buildSamlResponse(' NotOnOrAfter="2099-01-01T00:00:00Z"');
+
+      assert.deepStrictEqual(
+          buildSuccessResponse({saml_response: samlResponse}), {
+            version: 1,
+            success: true,
+            token_type: SAML2_TOKEN_TYPE,
+            saml_response: samlResponse,
+            expiration_time: Date.parse('2099-01-01T00:00:00Z') / 1000,
+          });
+      assert.throws(() => buildSuccessResponse(
+          {saml_response: samlResponse}, ID_TOKEN_TYPE),
+      /Profile returns saml2 subject tokens, .*id_token expected/);
+    });
+
+    it('expires the SAML responses without NotOnOrAfter after 5 minutes',
+        () => {
+          const now = Math.floor(Date.now() / 1000);
+
+          const response =
+              buildSuccessResponse({saml_response: buildSamlResponse()});
+
+          assert.ok(response.expiration_time >= now + 300);
+          assert.ok(response.expiration_time <= now + 301);
+        });
+  });
+
+  describe('buildErrorResponse()', () => {
+    it('returns the error message', () => {
+      assert.deepStrictEqual(buildErrorResponse(new Error('No session')), {
+        version: 1,
+        success: false,
+        code: '401',
+        message: 'No session',
+      });
+    });
+  });
+
+  describe('getResponse()', () => {
+    it('rejects without a session unless interactive', async () => {
+      await assert.rejects(getResponse(profile),
+          /No session detected. Please login first./);
+
+      const response = await getResponse(profile, {interactive: true});
+
+      assert.strictEqual(response.success, true);
+      assert.strictEqual(await profile.hasSession(), true);
+    });
+
+    it('writes the response to the output file and reuses it', async () => {
+      await profile.login();
+
+      const response = await getResponse(profile, {outputFile});
+      const cached = await getResponse(profile, {outputFile});
+
+      assert.deepStrictEqual(
+          JSON.parse(fs.readFileSync(outputFile, 'utf8')), response);
+      assert.strictEqual(fs.statSync(outputFile).mode & 0o777, 0o600);
+      assert.deepStrictEqual(cached, response);
+    });
+
+    it('ignores expired or other token type cached responses', async () => {
+      await profile.login();
+      fs.writeFileSync(outputFile, JSON.stringify({
+        version: 1,
+        success: true,
+        token_type: ID_TOKEN_TYPE,
+        id_token: 'expired',
+        expiration_time: Math.floor(Date.now() / 1000) - 1,
+      }));
+
+      const response = await getResponse(profile, {outputFile});
+      const jwtResponse =
+          await getResponse(profile, {outputFile, tokenType: JWT_TOKEN_TYPE});
+
+      assert.notStrictEqual(response.id_token, 'expired');
+      assert.strictEqual(jwtResponse.token_type, JWT_TOKEN_TYPE);
+    });
+
+    it('signs out and deletes the output file on revoke', async () => {
+      await profile.login();
+      await getResponse(profile, {outputFile});
+
+      const response = await getResponse(profile, {outputFile, revoke: true});
+
+      assert.deepStrictEqual(response, {version: 1, success: true});
+      assert.strictEqual(fs.existsSync(outputFile), false);
+      assert.strictEqual(await profile.hasSession(), false);
+    });
+  });
+});
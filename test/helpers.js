@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Provides the shared test helpers: a browser stand-in
+ * driving the PKCE flow and temporary config files. Loading them also quiets
+ * the shared logger, only the errors are written during the tests.
+ */
+
+const fetch = require('node-fetch');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {logger} = require('../login/logger');
+
+logger.setLevel('error');
+
+/**
+ * Drives the PKCE flow the way a browser would: opens the local /auth URL,
+ * follows the redirect to the IdP, then back to the local /callback with the
+ * session cookie.
+ *
+ * @param {string} url The local /auth URL.
+ * @return {Promise<*>} A promise that resolves with the callback response.
+ */
+async function driveBrowser(url) {
+  const authResponse = await fetch(url, {redirect: 'manual'});
+  const cookie = authResponse.headers.get('set-cookie').split(';')[0];
+  const idpResponse = await fetch(
+      authResponse.headers.get('location'), {redirect: 'manual'});
+  return fetch(idpResponse.headers.get('location'), {
+    redirect: 'manual',
+    headers: {cookie},
+  });
+}
+
+/**
+ * Writes JSON files to a new temporary directory.
+ *
+ * @param {!Object<string, *>} files The file contents keyed by file name.
+ * @return {{dir: string, paths: !Object<string, string>}} The directory and
+ *     the absolute file paths keyed by file name.
+ */
+function writeTempFiles(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workforce-test-'));
+  const paths = {};
+  for (const [name, content] of Object.entries(files)) {
+    paths[name] = path.join(dir, name);
+    fs.writeFileSync(paths[name], JSON.stringify(content));
+  }
+  return {dir, paths};
+}
+
+/**
+ * Returns the configs pointing at the provided fake server.
+ *
+ * @param {!FakeServer} fakeServer The listening fake server.
+ * @return {{oauthConfig: *, credentialConfig: *}} The OAuth client config and
+ *     the external_account credential config.
+ */
+function getFakeConfigs(fakeServer) {
+  const {clientId, clientSecret, audience, subjectTokenType} =
+      fakeServer.options;
+  return {
+    oauthConfig: {
+      clientId,
+      clientSecret,
+      issuer: fakeServer.issuer,
+      successUri: `${fakeServer.issuer}/success`,
+    },
+    credentialConfig: {
+      type: 'external_account',
+      audience,
+      subject_token_type: subjectTokenType,
+      token_url: `${fakeServer.issuer}/v1/token`,
+    },
+  };
+}
+
+exports.driveBrowser = driveBrowser;
+exports.getFakeConfigs = getFakeConfigs;
+exports.writeTempFiles = writeTempFiles;
@@ -0,0 +1,416 @@
+const assert = require('assert');
+const fetch = require('node-fetch');
+const fs = require('fs');
+const {CallerAuth} = require('../login/caller-auth');
+const {FakeServer} = require('../login/fake-server');
+const {createMetadataApp} = require('../login/index');
+const {Profile} = require('../login/profiles');
+const {MemoryStore} = require('../login/storage');
+const {driveBrowser, getFakeConfigs, writeTempFiles} = require('./helpers');
+
+describe('metadata server', () => {
+  let fakeServer;
+  let tempFiles;
+  let store;
+  let profile;
+  let server;
+  let serverAddress;
+  let logoutCount;
+
+  before(async () => {
+    fakeServer = new FakeServer();
+    await fakeServer.listen(0);
+    const {oauthConfig, credentialConfig} = getFakeConfigs(fakeServer);
+    tempFiles = writeTempFiles({
+      'oauth-config.json': oauthConfig,
+      'workforce-config.json': credentialConfig,
+      'project-config.json':
+          {...credentialConfig, workforce_pool_user_project: '123456789'},
+    });
+  });
+
+  after(() => {
+    fakeServer.close();
+    fs.rmSync(tempFiles.dir, {recursive: true});
+  });
+
+  /**
+   * Starts the metadata server serving a new default profile.
+   * @param {*=} profileOptions The profile options overriding the defaults.
+   * @return {Promise<void>} A promise that resolves once listening.
+   */
+  async function startServer(profileOptions = {}) {
+    store = new MemoryStore();
+    profile = new Profile('default', {
+      configFile: tempFiles.paths['oauth-config.json'],
+      credentialConfigFile: tempFiles.paths['workforce-config.json'],
+      port: 0,
+      ...profileOptions,
+    }, store);
+    profile.getClient().openBrowser = driveBrowser;
+    logoutCount = 0;
+    const app = createMetadataApp(new Map([['default', profile]]), profile, {
+      onLogout: () => logoutCount++,
+      // The caller authentication is covered by caller-auth.test.js.
+      callerAuth: new CallerAuth({enabled: false}),
+    });
+    await new Promise((resolve) => {
+      server = app.listen(0, 'localhost', resolve);
+    });
+    serverAddress = `http://localhost:${server.address().port}`;
+  }
+
+  beforeEach(async () => {
+    await startServer();
+  });
+
+  afterEach(() => {
+    server.close();
+  });
+
+  /**
+   * Sends a request to the metadata server.
+   * @param {string} path The request path.
+   * @param {*=} options The optional fetch options.
+   * @return {Promise<*>} A promise that resolves with the response.
+   */
+  function request(path, options = {}) {
+    return fetch(`${serverAddress}${path}`, {redirect: 'manual', ...options});
+  }
+
+  /**
+   * Sends a JSON POST request to the metadata server.
+   * @param {string} path The request path.
+   * @param {*} body The JSON body.
+   * @return {Promise<*>} A promise that resolves with the response.
+   */
+  function post(path, body) {
+    return request(path, {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify(body),
+    });
+  }
+
+  describe('GET /token', () => {
+    it('responds with 400 when there is no session', async () => {
+      const response = await request('/token');
+
+      assert.strictEqual(response.status, 400);
+      assert.deepStrictEqual(await response.json(),
+          {error: 'No session detected. Please login first.'});
+    });
+
+    it('returns the ID token of the session and caches it', async () => {
+      await profile.login();
+
+      const first = await request('/token');
+      const second = await request('/token');
+
+      assert.strictEqual(first.status, 200);
+      const idToken = await first.text();
+      assert.strictEqual(idToken.split('.').length, 3);
+      assert.strictEqual(await second.text(), idToken);
+      const status = await (await request('/status')).json();
+      assert.strictEqual(status.profiles.default.hits, 1);
+      assert.strictEqual(status.profiles.default.misses, 1);
+    });
+
+    it('responds with 400 when the refresh token is revoked', async () => {
+      await profile.login();
+      await store.setPassword(
+          'WorkforcePoolTesting', 'RefreshToken', 'revoked');
+
+      const response = await request('/token');
+
+      assert.strictEqual(response.status, 400);
+      assert.match((await response.json()).error, /invalid or expired/);
+      assert.strictEqual(await profile.hasSession(), false);
+    });
+
+    it('responds with 404 for unknown profiles', async () => {
+      const response = await request('/profiles/unknown/token');
+
+      assert.strictEqual(response.status, 404);
+    });
+  });
+
+  describe('GET /idptoken', () => {
+    it('responds with 400 when there is no session', async () => {
+      const response = await request('/idptoken');
+
+      assert.strictEqual(response.status, 400);
+    });
+  });
+
+  describe('GET /gcpaccesstoken', () => {
+    it('responds with 400 when input_token is missing', async () => {
+      const response = await request('/gcpaccesstoken');
+
+      assert.strictEqual(response.status, 400);
+      assert.deepStrictEqual(await response.json(), {
+        error: 'Invalid request: query parameter input_token is required',
+        details: [{in: 'query', name: 'input_token', message: 'is required'}],
+      });
+    });
+
+    it('responds with 400 when the STS exchange fails', async () => {
+      const response = await request('/gcpaccesstoken?input_token=invalid');
+
+      assert.strictEqual(response.status, 400);
+      assert.match((await response.json()).error,
+          /STS token exchange failed: invalid_grant/);
+    });
+
+    it('returns a revocable handle for the STS token', async () => {
+      const {id_token: idToken} = await profile.login();
+
+      const response = await request(
+          `/gcpaccesstoken?input_token=${idToken}&apis=projects`);
+      const {access_token: handle, id, apis} = await response.json();
+      const {handles} = await (await request('/handles')).json();
+      const forbidden = await post('/bigquery',
+          {access_token: handle, projectId: 'project'});
+      const revoked = await request(`/handles/${id}`, {method: 'DELETE'});
+      const invalid = await post('/gcpprojects', {access_token: handle});
+
+      assert.strictEqual(response.status, 200);
+      assert.doesNotMatch(handle, /^fake-sts-token/);
+      assert.deepStrictEqual(apis, ['projects']);
+      assert.deepStrictEqual(handles.map((entry) => entry.id), [id]);
+      assert.strictEqual(forbidden.status, 403);
+      assert.strictEqual(revoked.status, 200);
+      assert.strictEqual(invalid.status, 401);
+    });
+  });
+
+  describe('POST /gcpprojects', () => {
+    it('responds with 400 when the access token is missing', async () => {
+      const response = await post('/gcpprojects', {});
+
+      assert.strictEqual(response.status, 400);
+    });
+  });
+
+  describe('POST /bigquery', () => {
+    it('rejects bodies not matching the route schema', async () => {
+      const response = await post('/bigquery',
+          {access_token: 'handle', projectId: 'project', maxRows: 'all'});
+
+      assert.strictEqual(response.status, 400);
+      assert.deepStrictEqual(await response.json(), {
+        error: 'Invalid request: body field maxRows must be an integer',
+        details: [{in: 'body', name: 'maxRows', message: 'must be an integer'}],
+      });
+    });
+  });
+
+  describe('GET /openapi.json', () => {
+    it('documents the registered routes', async () => {
+      const response = await request('/openapi.json');
+      const spec = await response.json();
+
+      assert.strictEqual(spec.servers[0].url, serverAddress);
+      assert.ok(spec.paths['/token'].get);
+      assert.ok(spec.paths['/profiles/{name}/token'].get);
+      assert.ok(spec.paths['/logout'].post);
+      assert.deepStrictEqual(
+          spec.paths['/bigquery'].post.requestBody.content['application/json']
+              .schema.required,
+          ['access_token', 'projectId']);
+      const yaml = await (await request('/openapi.yaml')).text();
+      assert.match(yaml, /^openapi: 3\.0\.3$/m);
+    });
+  });
+
+  describe('POST /login', () => {
+    let browserCount;
+
+    beforeEach(() => {
+      browserCount = 0;
+      profile.getClient().openBrowser = (url) => {
+        browserCount++;
+        return driveBrowser(url);
+      };
+    });
+
+    it('reuses the stored session', async () => {
+      await profile.login();
+
+      const response = await request('/login', {method: 'POST'});
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(await response.text(), 'Profile default signed in.');
+      assert.strictEqual(browserCount, 1);
+    });
+
+    it('signs in again when forced', async () => {
+      await profile.login();
+
+      const response = await request(
+          '/profiles/default/login?force=true', {method: 'POST'});
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(browserCount, 2);
+    });
+
+    it('keeps the stored session when a forced login fails', async () => {
+      await profile.login();
+      profile.getClient().openBrowser = async () => {
+        throw new Error('<b>Browser closed</b>');
+      };
+
+      const response = await request('/login?force=true', {method: 'POST'});
+
+      assert.strictEqual(response.status, 500);
+      assert.deepStrictEqual(
+          await response.json(), {error: '<b>Browser closed</b>'});
+      assert.strictEqual(await profile.hasSession(), true);
+      assert.strictEqual((await request('/token')).status, 200);
+    });
+
+    it('signs in again when the stored session is revoked', async () => {
+      await profile.login();
+      await store.setPassword(
+          'WorkforcePoolTesting', 'RefreshToken', 'revoked');
+
+      const response = await request('/login', {method: 'POST'});
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(browserCount, 2);
+      assert.notStrictEqual(await store.getPassword(
+          'WorkforcePoolTesting', 'RefreshToken'), 'revoked');
+    });
+
+    it('signs in after /logout without restarting', async () => {
+      await profile.login();
+      await request('/logout', {method: 'POST'});
+
+      const response = await request('/login', {method: 'POST'});
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(browserCount, 2);
+      assert.strictEqual((await request('/token')).status, 200);
+    });
+  });
+
+  describe('POST /logout', () => {
+    it('signs out and redirects to the IdP logout URL', async () => {
+      await profile.login();
+
+      const response = await request('/logout', {method: 'POST'});
+
+      assert.strictEqual(response.status, 303);
+      assert.match(response.headers.get('location'),
+          new RegExp(`^${fakeServer.issuer}/logout`));
+      assert.strictEqual(await profile.hasSession(), false);
+      assert.strictEqual(logoutCount, 1);
+    });
+
+    it('revokes the handles issued for the profile', async () => {
+      const {id_token: idToken} = await profile.login();
+      const {access_token: handle} = await (await request(
+          `/gcpaccesstoken?input_token=${idToken}&apis=projects`)).json();
+
+      await request('/profiles/default/logout', {method: 'POST'});
+      const {handles} = await (await request('/handles')).json();
+      const revoked = await post('/gcpprojects', {access_token: handle});
+
+      assert.deepStrictEqual(handles, []);
+      assert.strictEqual(revoked.status, 401);
+    });
+  });
+
+  describe('GCE metadata emulation', () => {
+    it('rejects requests without the Metadata-Flavor header', async () => {
+      const response = await request(
+          '/computeMetadata/v1/instance/service-accounts/default/token');
+
+      assert.strictEqual(response.status, 403);
+    });
+
+    it('returns the STS access token', async () => {
+      await profile.login();
+
+      const response = await request(
+          '/computeMetadata/v1/instance/service-accounts/default/token',
+          {headers: {'Metadata-Flavor': 'Google'}});
+
+      assert.strictEqual(response.status, 200);
+      const json = await response.json();
+      assert.match(json.access_token, /^fake-sts-token\./);
+      assert.strictEqual(json.token_type, 'Bearer');
+    });
+
+    /**
+     * Sends a metadata request with the Metadata-Flavor header.
+     * @param {string} path The path relative to /computeMetadata/v1.
+     * @return {Promise<*>} A promise that resolves with the response.
+     */
+    function requestMetadata(path) {
+      return request(`/computeMetadata/v1${path}`,
+          {headers: {'Metadata-Flavor': 'Google'}});
+    }
+
+    it('returns the configured project ID and user project number',
+        async () => {
+          server.close();
+          await startServer({
+            credentialConfigFile: tempFiles.paths['project-config.json'],
+            projectId: 'fake-project',
+          });
+
+          const projectId = await requestMetadata('/project/project-id');
+          const projectNumber =
+              await requestMetadata('/project/numeric-project-id');
+
+          assert.strictEqual(projectId.status, 200);
+          assert.strictEqual(await projectId.text(), 'fake-project');
+          assert.strictEqual(await projectNumber.text(), '123456789');
+        });
+
+    it('responds with 404 when the project ID is not configured',
+        async () => {
+          server.close();
+          await startServer({
+            credentialConfigFile: tempFiles.paths['project-config.json'],
+          });
+
+          const response = await requestMetadata('/project/project-id');
+
+          assert.strictEqual(response.status, 404);
+        });
+
+    it('returns the email and scopes of the default service account',
+        async () => {
+          await profile.login();
+
+          const email = await requestMetadata(
+              '/instance/service-accounts/default/email');
+          const scopes = await requestMetadata(
+              '/instance/service-accounts/default/scopes');
+
+          assert.strictEqual(await email.text(), 'fake-user@example.com');
+          assert.strictEqual(await scopes.text(),
+              'https://www.googleapis.com/auth/cloud-platform\n');
+        });
+
+    it('lists the default service account, recursively on request',
+        async () => {
+          await profile.login();
+
+          const listing =
+              await requestMetadata('/instance/service-accounts/default/');
+          const recursive = await requestMetadata(
+              '/instance/service-accounts/default/?recursive=true');
+
+          assert.strictEqual(await listing.text(),
+              'aliases\nemail\nidentity\nscopes\ntoken\n');
+          assert.deepStrictEqual(await recursive.json(), {
+            aliases: ['default'],
+            email: 'fake-user@example.com',
+            scopes: ['https://www.googleapis.com/auth/cloud-platform'],
+          });
+        });
+  });
+});
@@ -0,0 +1,235 @@
+const assert = require('assert');
+const fetch = require('node-fetch');
+const fs = require('fs');
+const {PassThrough} = require('stream');
+const {CallerAuth} = require('../login/caller-auth');
+const {FakeServer} = require('../login/fake-server');
+const {createMetadataApp} = require('../login/index');
+const {PROTOCOL_VERSIONS} = require('../login/mcp');
+const {Profile} = require('../login/profiles');
+const {MemoryStore} = require('../login/storage');
+const {driveBrowser, getFakeConfigs, writeTempFiles} = require('./helpers');
+
+describe('mcp', () => {
+  let fakeServer;
+  let tempFiles;
+  let profile;
+  let app;
+  let server;
+  let serverAddress;
+  let nextId;
+
+  before(async () => {
+    fakeServer = new FakeServer();
+    await fakeServer.listen(0);
+    const {oauthConfig, credentialConfig} = getFakeConfigs(fakeServer);
+    tempFiles = writeTempFiles({
+      'oauth-config.json': oauthConfig,
+      'workforce-config.json': credentialConfig,
+    });
+  });
+
+  after(() => {
+    fakeServer.close();
+    fs.rmSync(tempFiles.dir, {recursive: true});
+  });
+
+  beforeEach(async () => {
+    profile = new Profile('default', {
+      configFile: tempFiles.paths['oauth-config.json'],
+      credentialConfigFile: tempFiles.paths['workforce-config.json'],
+      port: 0,
+    }, new MemoryStore());
+    profile.getClient().openBrowser = driveBrowser;
+    app = createMetadataApp(new Map([['default', profile]]), profile, {
+      corsOrigins: ['http://localhost:3000'],
+      // The caller authentication is covered by caller-auth.test.js.
+      callerAuth: new CallerAuth({enabled: false}),
+    });
+    await new Promise((resolve) => {
+      server = app.listen(0, 'localhost', resolve);
+    });
+    serverAddress = `http://localhost:${server.address().port}`;
+    nextId = 1;
+  });
+
+  afterEach(() => {
+    server.close();
+  });
+
+  /**
+   * Sends a JSON-RPC message to the /mcp endpoint.
+   * @param {*} message The JSON-RPC message.
+   * @param {!Object<string, string>=} headers The optional extra headers.
+   * @return {Promise<*>} A promise that resolves with the response.
+   */
+  function post(message, headers = {}) {
+    return fetch(`${serverAddress}/mcp`, {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json', ...headers},
+      body: JSON.stringify(message),
+    });
+  }
+
+  /**
+   * Calls a JSON-RPC method over HTTP.
+   * @param {string} method The method.
+   * @param {*=} params The optional method parameters.
+   * @return {Promise<*>} A promise that resolves with the JSON-RPC response.
+   */
+  async function call(method, params) {
+    const response =
+        await post({jsonrpc: '2.0', id: nextId++, method, params});
+    assert.strictEqual(response.status, 200);
+    return response.json();
+  }
+
+  /**
+   * Calls a tool over HTTP.
+   * @param {string} name The tool name.
+   * @param {*=} args The optional tool arguments.
+   * @return {Promise<*>} A promise that resolves with the tool result.
+   */
+  async function callTool(name, args) {
+    const {result} = await call('tools/call', {name, arguments: args});
+    return result;
+  }
+
+  describe('HTTP transport', () => {
+    it('negotiates the protocol version', async () => {
+      const {result} = await call('initialize', {
+        protocolVersion: '2025-03-26',
+        capabilities: {},
+        clientInfo: {name: 'test', version: '1.0.0'},
+      });
+      const unknown =
+          await call('initialize', {protocolVersion: '1999-01-01'});
+
+      assert.strictEqual(result.protocolVersion, '2025-03-26');
+      assert.deepStrictEqual(result.capabilities,
+          {tools: {listChanged: false}});
+      assert.strictEqual(result.serverInfo.name,
+          'workforce-pool-metadata-server');
+      assert.strictEqual(
+          unknown.result.protocolVersion, PROTOCOL_VERSIONS[0]);
+    });
+
+    it('lists the tools typed with the route schemas', async () => {
+      const {result} = await call('tools/list');
+      const tools = Object.fromEntries(
+          result.tools.map((tool) => [tool.name, tool]));
+
+      assert.deepStrictEqual(Object.keys(tools), [
+        'idptoken', 'gcpaccesstoken', 'gcpprojects', 'bigquery',
+        'securityconsult',
+      ]);
+      assert.deepStrictEqual(tools.gcpaccesstoken.inputSchema.required, []);
+      assert.deepStrictEqual(tools.bigquery.inputSchema.required,
+          ['access_token', 'projectId']);
+      assert.deepStrictEqual(tools.bigquery.inputSchema.properties.maxRows, {
+        type: 'integer',
+        minimum: 1,
+        description:
+            'The maximum number of rows returned. Defaults to 10000.',
+      });
+    });
+
+    it('answers notifications with 202', async () => {
+      const response = await post(
+          {jsonrpc: '2.0', method: 'notifications/initialized'});
+
+      assert.strictEqual(response.status, 202);
+    });
+
+    it('reports unknown methods and tools', async () => {
+      const method = await call('resources/list');
+      const tool = await call('tools/call', {name: 'token'});
+
+      assert.strictEqual(method.error.code, -32601);
+      assert.strictEqual(tool.error.code, -32602);
+      assert.strictEqual(tool.error.message, 'Unknown tool: token');
+    });
+
+    it('rejects the origins not allowed', async () => {
+      const allowed = await post({jsonrpc: '2.0', id: 1, method: 'ping'},
+          {Origin: 'http://localhost:3000'});
+      const rejected = await post({jsonrpc: '2.0', id: 1, method: 'ping'},
+          {Origin: 'http://evil.example'});
+
+      assert.strictEqual(allowed.status, 200);
+      assert.strictEqual(
+          allowed.headers.get('access-control-allow-origin'),
+          'http://localhost:3000');
+      assert.strictEqual(rejected.status, 403);
+    });
+  });
+
+  describe('tools', () => {
+    it('reports the route errors as tool errors', async () => {
+      const noSession = await callTool('idptoken');
+      const invalid = await callTool('bigquery',
+          {access_token: 'handle', projectId: '', maxRows: 0});
+
+      assert.deepStrictEqual(noSession, {
+        content: [{
+          type: 'text',
+          text: 'No session detected. Please login first.',
+        }],
+        isError: true,
+      });
+      assert.strictEqual(invalid.isError, true);
+      assert.strictEqual(invalid.content[0].text,
+          'Invalid request: body field projectId must not be empty\n' +
+          '- body projectId must not be empty\n' +
+          '- body maxRows must be >= 1');
+    });
+
+    it('never returns the raw tokens', async () => {
+      const {id_token: idToken} = await profile.login();
+
+      const session = await callTool('idptoken');
+      const exchange = await callTool('gcpaccesstoken', {apis: 'projects'});
+      const {access_token: handle} = exchange.structuredContent;
+      const forbidden = await callTool('bigquery',
+          {access_token: handle, projectId: 'project'});
+
+      assert.strictEqual(session.isError, undefined);
+      assert.strictEqual(session.structuredContent.token_type, 'id_token');
+      assert.strictEqual(session.structuredContent.assertion.iss,
+          fakeServer.issuer);
+      assert.doesNotMatch(JSON.stringify(session), new RegExp(idToken));
+      assert.doesNotMatch(handle, /^fake-sts-token/);
+      assert.deepStrictEqual(exchange.structuredContent.apis, ['projects']);
+      assert.doesNotMatch(JSON.stringify(exchange), /fake-sts-token/);
+      assert.strictEqual(forbidden.isError, true);
+      assert.strictEqual(forbidden.content[0].text,
+          'The access token is not allowed to call the bigquery API.');
+    });
+  });
+
+  describe('stdio transport', () => {
+    it('answers one JSON-RPC message per line', async () => {
+      const input = new PassThrough();
+      const output = new PassThrough();
+      const lines = [];
+      output.on('data', (chunk) => lines.push(
+          ...chunk.toString().split('\n').filter(Boolean)));
+
+      const served = app.locals.mcp.serveStdio(input, output);
+      input.write('{"jsonrpc":"2.0","id":1,"method":"ping"}\n');
+      input.write('{"jsonrpc":"2.0","method":"notifications/initialized"}\n');
+      input.end('not json\n');
+      await served;
+
+      assert.deepStrictEqual(lines.map((line) => JSON.parse(line)).sort(
+          (a, b) => String(a.id).localeCompare(String(b.id))), [
+        {jsonrpc: '2.0', id: 1, result: {}},
+        {
+          jsonrpc: '2.0',
+          id: null,
+          error: {code: -32700, message: 'Parse error'},
+        },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,474 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const net = require('net');
+const {FakeServer} = require('../login/fake-server');
+const {OAuthClientServer} = require('../login/pkce');
+const {decodeJwt} = require('../login/verifier');
+const {driveBrowser, getFakeConfigs} = require('./helpers');
+
+describe('OAuthClientServer', () => {
+  let fakeServer;
+  let client;
+
+  before(async () => {
+    fakeServer = new FakeServer();
+    await fakeServer.listen(0);
+  });
+
+  after(() => {
+    fakeServer.close();
+  });
+
+  beforeEach(() => {
+    client = new OAuthClientServer(getFakeConfigs(fakeServer).oauthConfig);
+  });
+
+  afterEach(() => {
+    client.close();
+  });
+
+  /**
+   * Runs the authorization flow with the provided scopes, driving the
+   * browser with the provided function.
+   * @param {string=} scopes The optional scopes.
+   * @param {function(string): Promise<*>=} browser The browser stand-in.
+   * @return {Promise<*>} A promise that resolves with the OAuth response.
+   */
+  function authorize(scopes, browser = driveBrowser) {
+    client.openBrowser = browser;
+    return client.authorize(scopes, 0);
+  }
+
+  describe('authorize()', () => {
+    it('returns the tokens and the nonce of the ID token', async () => {
+      const response = await authorize('offline_access email');
+
+      assert.ok(response.refresh_token);
+      assert.strictEqual(response.scope, 'offline_access email openid');
+      assert.strictEqual(
+          decodeJwt(response.id_token).payload.nonce, client.nonce);
+      assert.strictEqual(client.server, null);
+    });
+
+    it('only requests openid when no scopes are provided', async () => {
+      const response = await authorize();
+
+      assert.strictEqual(response.scope, 'openid');
+      assert.strictEqual(response.refresh_token, undefined);
+    });
+
+    it('sends the base64url SHA-256 code challenge', async () => {
+      let authUrl;
+      await authorize(undefined, async (url) => {
+        const authResponse = await fetch(url, {redirect: 'manual'});
+        authUrl = new URL(authResponse.headers.get('location'));
+        const {codeVerifier} =
+            client.sessionStore[authUrl.searchParams.get('state')];
+        const expected = crypto.createHash('sha256')
+            .update(codeVerifier).digest('base64url');
+        assert.strictEqual(
+            authUrl.searchParams.get('code_challenge'), expected);
+        assert.doesNotMatch(expected, /[+/=]/);
+        assert.strictEqual(
+            authUrl.searchParams.get('code_challenge_method'), 'S256');
+        // Complete the flow.
+        const cookie = authResponse.headers.get('set-cookie').split(';')[0];
+        const idpResponse = await fetch(authUrl, {redirect: 'manual'});
+        return fetch(idpResponse.headers.get('location'),
+            {redirect: 'manual', headers: {cookie}});
+      });
+      assert.ok(authUrl);
+    });
+
+    it('ignores stray callbacks', async () => {
+      const statuses = [];
+      const response = await authorize(undefined, async (url) => {
+        const callbackUrl = url.replace(/\/auth$/, '/callback');
+        // A stale tab with an unknown state.
+        statuses.push((await fetch(`${callbackUrl}?code=code&state=unknown`, {
+          redirect: 'manual',
+          headers: {cookie: 'session_state=unknown'},
+        })).status);
+        // A callback without the session cookie.
+        const authResponse = await fetch(url, {redirect: 'manual'});
+        const idpResponse = await fetch(
+            authResponse.headers.get('location'), {redirect: 'manual'});
+        statuses.push((await fetch(
+            idpResponse.headers.get('location'), {redirect: 'manual'})).status);
+        return driveBrowser(url);
+      });
+
+      assert.deepStrictEqual(statuses, [400, 400]);
+      assert.ok(response.id_token);
+    });
+
+    it('rejects with the IdP error redirect', async () => {
+      let browsing;
+      const pending = authorize(undefined, (url) => browsing = (async () => {
+        const authResponse = await fetch(url, {redirect: 'manual'});
+        const cookie = authResponse.headers.get('set-cookie').split(';')[0];
+        const state = new URL(authResponse.headers.get('location'))
+            .searchParams.get('state');
+        const callbackUrl = url.replace(/\/auth$/, '/callback');
+        const callback = await fetch(`${callbackUrl}?error=access_denied` +
+            '&error_description=User%20%3Cb%3Edenied%3C%2Fb%3E' +
+            `&state=${state}`, {redirect: 'manual', headers: {cookie}});
+        return callback.text();
+      })());
+
+      await assert.rejects(pending, (error) => {
+        assert.strictEqual(error.message,
+            'The IdP returned access_denied: User <b>denied</b>');
+        assert.strictEqual(error.code, 'access_denied');
+        return true;
+      });
+      assert.match(await browsing, /User &lt;b&gt;denied&lt;\/b&gt;/);
+      assert.strictEqual(client.server, null);
+    });
+
+    it('rejects ID tokens with another nonce', async () => {
+      const pending = authorize(undefined, async (url) => {
+        const authResponse = await fetch(url, {redirect: 'manual'});
+        const cookie = authResponse.headers.get('set-cookie').split(';')[0];
+        const authUrl = new URL(authResponse.headers.get('location'));
+        authUrl.searchParams.set('nonce', 'injected');
+        const idpResponse = await fetch(authUrl, {redirect: 'manual'});
+        return fetch(idpResponse.headers.get('location'),
+            {redirect: 'manual', headers: {cookie}});
+      });
+
+      await assert.rejects(pending,
+          /The ID token nonce does not match the authorization request/);
+    });
+
+    it('times out when the browser never calls back', async () => {
+      client.loginTimeoutSeconds = 0.05;
+
+      await assert.rejects(authorize(undefined, async () => {}),
+          /Login timed out after 0.05 seconds/);
+      assert.strictEqual(client.server, null);
+      assert.strictEqual(client.pending, null);
+    });
+
+    it('is cancelled by close()', async () => {
+      const pending = authorize(undefined, async () => client.close());
+
+      await assert.rejects(pending, /Login cancelled/);
+      assert.strictEqual(client.server, null);
+    });
+
+    it('falls back to a free port when the port is taken', async () => {
+      const blocker = net.createServer().listen(0, 'localhost');
+      await new Promise((resolve) => blocker.once('listening', resolve));
+      const {port} = blocker.address();
+
+      try {
+        client.openBrowser = driveBrowser;
+        await assert.rejects(client.authorize(undefined, port),
+            /Unable to start the login server on port \d+: .*EADDRINUSE/);
+
+        client.ephemeralPortFallback = true;
+        const response = await client.authorize(undefined, port);
+        assert.ok(response.id_token);
+      } finally {
+        blocker.close();
+      }
+    });
+
+    it('rejects when the code exchange fails', async () => {
+      client.clientSecret = 'wrong-secret';
+
+      await assert.rejects(authorize(), /invalid_client/);
+    });
+
+    it('rejects concurrent authorization flows', async () => {
+      let release;
+      const pending = authorize(undefined, (url) => new Promise((resolve) => {
+        release = () => resolve(driveBrowser(url));
+      }));
+      // Wait for the discovery and the local server to start.
+      while (!release) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+
+      await assert.rejects(authorize(), /Pending authorization flow/);
+      release();
+      await pending;
+    });
+  });
+
+  describe('authorizeDevice()', () => {
+    let deviceServer;
+
+    before(async () => {
+      // Poll without waiting.
+      deviceServer = new FakeServer({deviceIntervalSeconds: 0});
+      await deviceServer.listen(0);
+    });
+
+    after(() => {
+      deviceServer.close();
+    });
+
+    beforeEach(() => {
+      client = new OAuthClientServer(getFakeConfigs(deviceServer).oauthConfig);
+    });
+
+    /**
+     * Runs the device flow, approving or denying the user code after a few
+     * pending polls.
+     * @param {string=} action The verification page action, deny to deny.
+     * @return {Promise<*>} A promise that resolves with the OAuth response.
+     */
+    function authorizeDevice(action = 'approve') {
+      client.showDeviceCode = (device) => {
+        assert.strictEqual(device.verification_uri,
+            `${deviceServer.issuer}/device`);
+        setTimeout(() => {
+          fetch(`${device.verification_uri_complete}&action=${action}`);
+        }, 20);
+      };
+      return client.authorizeDevice('offline_access');
+    }
+
+    it('polls until the user approves the device code', async () => {
+      const response = await authorizeDevice();
+
+      assert.ok(response.refresh_token);
+      assert.strictEqual(response.scope, 'offline_access openid');
+      assert.strictEqual(client.nonce, null);
+    });
+
+    it('polls without the expires_in of the device code', async () => {
+      const postForm = client.postForm.bind(client);
+      client.postForm = async (uri, params) => {
+        const res = await postForm(uri, params);
+        if (uri !== client.deviceAuthorizationUri) {
+          return res;
+        }
+        const device = await res.json();
+        delete device.expires_in;
+        return {status: res.status, json: async () => device};
+      };
+
+      const response = await authorizeDevice();
+
+      assert.ok(response.refresh_token);
+    });
+
+    it('rejects when the user denies the device code', async () => {
+      await assert.rejects(authorizeDevice('deny'),
+          /The user denied the request/);
+    });
+
+    it('rejects when the provider does not support it', async () => {
+      const {clientId, clientSecret} = fakeServer.options;
+      client = new OAuthClientServer({
+        clientId,
+        clientSecret,
+        tokenUri: `${fakeServer.issuer}/token`,
+      });
+
+      await assert.rejects(client.authorizeDevice(),
+          /Device authorization is not supported by the provider/);
+    });
+  });
+
+  describe('authorizeManual()', () => {
+    /**
+     * Runs the manual flow, pasting the redirect URL returned by the IdP
+     * after the provided transformation.
+     * @param {function(string): string=} paste Transforms the redirect URL.
+     * @return {Promise<*>} A promise that resolves with the OAuth response.
+     */
+    function authorizeManual(paste = (url) => url) {
+      let redirectUrl;
+      client.showAuthorizationUrl = (authUri) => {
+        redirectUrl = fetch(authUri, {redirect: 'manual'})
+            .then((response) => response.headers.get('location'));
+      };
+      client.promptRedirectUrl = async () => paste(await redirectUrl);
+      return client.authorizeManual('offline_access');
+    }
+
+    it('exchanges the code of the pasted redirect URL', async () => {
+      const response = await authorizeManual();
+
+      assert.ok(response.refresh_token);
+      assert.strictEqual(
+          decodeJwt(response.id_token).payload.nonce, client.nonce);
+      assert.deepStrictEqual(client.sessionStore, {});
+    });
+
+    it('rejects redirect URLs with another state', async () => {
+      await assert.rejects(
+          authorizeManual((url) => url.replace(/state=[^&]+/, 'state=other')),
+          /Invalid IdP response/);
+    });
+
+    it('rejects invalid redirect URLs', async () => {
+      await assert.rejects(authorizeManual(() => 'not a url'),
+          /Invalid redirect URL/);
+    });
+  });
+
+  describe('refresh()', () => {
+    it('returns a new ID token and rotates the refresh token', async () => {
+      const {refresh_token: refreshToken} =
+          await authorize('offline_access');
+
+      const response = await client.refresh(refreshToken);
+
+      assert.ok(response.id_token);
+      assert.ok(response.refresh_token);
+      assert.notStrictEqual(response.refresh_token, refreshToken);
+    });
+
+    it('rejects with the OAuth error description', async () => {
+      await assert.rejects(client.refresh('unknown'),
+          /The refresh token is invalid or expired/);
+    });
+  });
+
+  describe('revoke()', () => {
+    it('revokes the refresh token', async () => {
+      const {refresh_token: refreshToken} =
+          await authorize('offline_access');
+
+      await client.revoke(refreshToken, 'refresh_token');
+
+      await assert.rejects(
+          client.refresh(refreshToken), /The refresh token is invalid/);
+    });
+
+    it('rejects with the OAuth error description', async () => {
+      client.clientSecret = 'wrong-secret';
+
+      await assert.rejects(client.revoke('token', 'refresh_token'),
+          /Client authentication failed/);
+    });
+
+    it('rejects when the provider does not support revocation', async () => {
+      const {clientId, clientSecret} = fakeServer.options;
+      client = new OAuthClientServer({
+        clientId,
+        clientSecret,
+        tokenUri: `${fakeServer.issuer}/token`,
+      });
+
+      await assert.rejects(client.revoke('token', 'refresh_token'),
+          /Token revocation is not supported by the provider/);
+    });
+  });
+
+  describe('client authentication', () => {
+    let authServer;
+
+    afterEach(() => {
+      authServer.close();
+    });
+
+    /**
+     * Starts a fake server accepting the provided client authentication
+     * methods and creates the client for it.
+     * @param {!Array<string>} tokenEndpointAuthMethods The accepted methods.
+     * @param {*=} options The additional server and client options.
+     */
+    async function useAuthServer(tokenEndpointAuthMethods, options = {}) {
+      authServer = new FakeServer(
+          {tokenEndpointAuthMethods, clientPublicKey: options.publicKey});
+      await authServer.listen(0);
+      client = new OAuthClientServer({
+        ...getFakeConfigs(authServer).oauthConfig,
+        ...options.client,
+      });
+    }
+
+    it('uses client_secret_basic when it is the only one advertised',
+        async () => {
+          await useAuthServer(['client_secret_basic']);
+
+          const {refresh_token: refreshToken} =
+              await authorize('offline_access');
+          const refreshed = await client.refresh(refreshToken);
+          await client.revoke(refreshed.refresh_token, 'refresh_token');
+
+          assert.strictEqual(client.tokenEndpointAuthMethod,
+              'client_secret_basic');
+        });
+
+    it('signs a new private_key_jwt client assertion per call', async () => {
+      const {privateKey, publicKey} =
+          crypto.generateKeyPairSync('ec', {namedCurve: 'prime256v1'});
+      await useAuthServer(['private_key_jwt'], {
+        publicKey,
+        client: {
+          clientSecret: undefined,
+          privateKey: privateKey.export({type: 'pkcs8', format: 'pem'}),
+          privateKeyId: 'key-1',
+        },
+      });
+
+      const {refresh_token: refreshToken} =
+          await authorize('offline_access');
+      const refreshed = await client.refresh(refreshToken);
+      await client.revoke(refreshed.refresh_token, 'refresh_token');
+
+      assert.strictEqual(client.tokenEndpointAuthMethod, 'private_key_jwt');
+      assert.strictEqual(client.clientAssertionAlg, 'ES256');
+      assert.strictEqual(authServer.clientAssertionIds.size, 3);
+      const {header, payload} = decodeJwt(client.createClientAssertion(
+          `${authServer.issuer}/token`));
+      assert.deepStrictEqual(header, {alg: 'ES256', typ: 'JWT', kid: 'key-1'});
+      assert.strictEqual(payload.iss, authServer.options.clientId);
+      assert.strictEqual(payload.aud, `${authServer.issuer}/token`);
+    });
+
+    it('rejects inconsistent settings', async () => {
+      await useAuthServer(['client_secret_post']);
+      const {oauthConfig} = getFakeConfigs(authServer);
+
+      assert.throws(() => new OAuthClientServer(
+          {...oauthConfig, tokenEndpointAuthMethod: 'tls_client_auth'}),
+      /Unsupported tokenEndpointAuthMethod: tls_client_auth/);
+      assert.throws(() => new OAuthClientServer(
+          {...oauthConfig, tokenEndpointAuthMethod: 'private_key_jwt'}),
+      /private_key_jwt requires a privateKey or privateKeyFile/);
+    });
+  });
+
+  describe('revokeAndGetLogoutUrl()', () => {
+    it('returns the end session URL with the ID token hint', async () => {
+      const {refresh_token: refreshToken} =
+          await authorize('offline_access');
+
+      const logoutUrl = await client.revokeAndGetLogoutUrl(refreshToken);
+
+      assert.match(logoutUrl,
+          new RegExp(`^${fakeServer.issuer}/logout\\?id_token_hint=`));
+      await assert.rejects(client.refresh(refreshToken));
+    });
+
+    it('keeps the query of the configured logout URL', async () => {
+      const {refresh_token: refreshToken} =
+          await authorize('offline_access');
+      client.logoutUri = `${fakeServer.issuer}/logout?client_id=a%26b`;
+
+      const logoutUrl =
+          new URL(await client.revokeAndGetLogoutUrl(refreshToken));
+
+      assert.strictEqual(logoutUrl.searchParams.get('client_id'), 'a&b');
+      assert.ok(logoutUrl.searchParams.get('id_token_hint'));
+    });
+
+    it('returns null without a logout URL', async () => {
+      const {refresh_token: refreshToken} =
+          await authorize('offline_access');
+      client.logoutUri = null;
+
+      assert.strictEqual(
+          await client.revokeAndGetLogoutUrl(refreshToken), null);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const assert = require('assert');
+const net = require('net');
+const {DEFAULT_OPTIONS, FakeServer} = require('../login/fake-server');
+const {listProjects} = require('../login/projects');
+
+// An access token accepted by the fake server.
+const ACCESS_TOKEN = 'fake-sts-token.test';
+
+describe('projects', () => {
+  let fakeServer;
+  let url;
+
+  before(async () => {
+    fakeServer = new FakeServer();
+    url = `${await fakeServer.listen(0)}/v1/projects`;
+  });
+
+  after(() => {
+    fakeServer.close();
+  });
+
+  beforeEach(() => {
+    fakeServer.options = {...DEFAULT_OPTIONS};
+    fakeServer.projectsRequests = [];
+  });
+
+  describe('listProjects()', () => {
+    it('returns the projects with their defaults', async () => {
+      const projects = await listProjects(ACCESS_TOKEN, {url});
+
+      assert.deepStrictEqual(projects, [
+        {
+          projectId: 'fake-project',
+          projectNumber: '123456789',
+          name: 'Fake Project',
+          labels: {env: 'test'},
+          lifecycleState: 'ACTIVE',
+          parent: {type: 'organization', id: '1234'},
+        },
+        {
+          projectId: 'other-project',
+          projectNumber: '987654321',
+          name: 'Other Project',
+          labels: {},
+          lifecycleState: 'ACTIVE',
+          parent: undefined,
+        },
+      ]);
+      assert.deepStrictEqual(fakeServer.projectsRequests, [{pageSize: '500'}]);
+    });
+
+    it('follows nextPageToken', async () => {
+      fakeServer.options.projectsPageSize = 1;
+
+      const projects = await listProjects(ACCESS_TOKEN, {url});
+
+      assert.deepStrictEqual(projects.map((project) => project.projectId),
+          ['fake-project', 'other-project']);
+      assert.deepStrictEqual(
+          fakeServer.projectsRequests.map((query) => query.pageToken),
+          [undefined, '1']);
+    });
+
+    it('builds the filter from the options', async () => {
+      await listProjects(ACCESS_TOKEN, {
+        filter: 'labels.env:test',
+        parent: 'folders/123',
+        lifecycleState: 'active',
+        url,
+      });
+
+      assert.strictEqual(fakeServer.projectsRequests[0].filter,
+          'labels.env:test parent.type:folder parent.id:123 ' +
+          'lifecycleState:ACTIVE');
+    });
+
+    it('rejects invalid filter options', async () => {
+      await assert.rejects(listProjects(ACCESS_TOKEN, {parent: 'org/1', url}),
+          {
+            name: 'GoogleApiError',
+            status: 400,
+            code: 'INVALID_ARGUMENT',
+            message: 'parent must be folders/FOLDER_ID or ' +
+                'organizations/ORG_ID',
+          });
+      await assert.rejects(
+          listProjects(ACCESS_TOKEN, {lifecycleState: 'gone', url}),
+          {status: 400, code: 'INVALID_ARGUMENT', message: /lifecycle_state/});
+      assert.deepStrictEqual(fakeServer.projectsRequests, []);
+    });
+
+    it('maps the API errors', async () => {
+      await assert.rejects(listProjects('invalid-token', {url}), {
+        name: 'GoogleApiError',
+        status: 401,
+        code: 'UNAUTHENTICATED',
+        message: 'Request had invalid authentication credentials.',
+      });
+      // Without the Google API error payload, the HTTP status is the code.
+      await assert.rejects(
+          listProjects(ACCESS_TOKEN, {url: `${url}/missing/path`}),
+          {name: 'GoogleApiError', status: 404, code: '404'});
+    });
+
+    it('maps the network errors to UNAVAILABLE', async () => {
+      // A free port nothing listens on.
+      const closedServer = net.createServer().listen(0, 'localhost');
+      await new Promise((resolve) => closedServer.once('listening', resolve));
+      const closedUrl =
+          `http://localhost:${closedServer.address().port}/v1/projects`;
+      await new Promise((resolve) => closedServer.close(resolve));
+
+      await assert.rejects(listProjects(ACCESS_TOKEN, {url: closedUrl}),
+          {name: 'GoogleApiError', status: 502, code: 'UNAVAILABLE'});
+    });
+  });
+});
@@ -0,0 +1,185 @@
+const assert = require('assert');
+const express = require('express');
+const fetch = require('node-fetch');
+const {RouteRegistry} = require('../login/route-registry');
+
+describe('RouteRegistry', () => {
+  let routes;
+  let server;
+  let serverAddress;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    routes = new RouteRegistry(app, {title: 'Test', version: '1.0.0'});
+    routes.addSchema('Item', {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: {type: 'string', minLength: 1},
+        tags: {type: 'array', items: {type: 'string'}},
+      },
+    });
+    routes.get(['/items', '/groups/:group/items'], {
+      operationId: ['listItems', 'listGroupItems'],
+      summary: 'Lists the items.',
+      params: {group: {schema: {type: 'string', pattern: '^[a-z]+$'}}},
+      query: {
+        limit: {schema: {type: 'integer', minimum: 1}},
+        state: {required: true, schema: {enum: ['open', 'closed']}},
+      },
+      responses: {200: {description: 'OK', schema: {type: 'array'}}},
+    }, (req, res) => res.json(req.query));
+    routes.post('/items', {
+      operationId: 'createItem',
+      body: {schema: {$ref: 'Item'}},
+      responses: {200: {description: 'OK', schema: {$ref: 'Item'}}},
+    }, (req, res) => res.json(req.body));
+    await new Promise((resolve) => {
+      server = app.listen(0, 'localhost', resolve);
+    });
+    serverAddress = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  /**
+   * Sends a request to the test server.
+   * @param {string} path The request path.
+   * @param {*=} body The optional JSON body of a POST request.
+   * @return {Promise<{status: number, json: *}>} The response status and
+   *     JSON body.
+   */
+  async function request(path, body) {
+    const response = await fetch(`${serverAddress}${path}`, body ? {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify(body),
+    } : {});
+    return {status: response.status, json: await response.json()};
+  }
+
+  describe('validateRequest()', () => {
+    it('passes valid requests to the handler unchanged', async () => {
+      const {status, json} =
+          await request('/groups/admins/items?state=open&limit=5');
+
+      assert.strictEqual(status, 200);
+      assert.deepStrictEqual(json, {state: 'open', limit: '5'});
+    });
+
+    it('rejects invalid parameters with all the problems', async () => {
+      const {status, json} = await request('/groups/Admins/items?limit=0');
+
+      assert.strictEqual(status, 400);
+      assert.deepStrictEqual(json, {
+        error: 'Invalid request: path parameter group must match ^[a-z]+$',
+        details: [
+          {in: 'path', name: 'group', message: 'must match ^[a-z]+$'},
+          {in: 'query', name: 'limit', message: 'must be >= 1'},
+          {in: 'query', name: 'state', message: 'is required'},
+        ],
+      });
+    });
+
+    it('rejects invalid bodies', async () => {
+      const {status, json} = await request('/items', {name: '', tags: [1]});
+
+      assert.strictEqual(status, 400);
+      assert.deepStrictEqual(json.details, [
+        {in: 'body', name: 'name', message: 'must not be empty'},
+        {in: 'body', name: 'tags[0]', message: 'must be a string'},
+      ]);
+    });
+
+    it('rejects non JSON bodies', async () => {
+      const response = await fetch(`${serverAddress}/items`,
+          {method: 'POST', body: 'name=item'});
+
+      assert.strictEqual(response.status, 400);
+      assert.strictEqual((await response.json()).error,
+          'Invalid request: body must be a JSON object');
+    });
+  });
+
+  describe('invoke()', () => {
+    it('splits the input into path, query and body values', async () => {
+      const items = await routes.invoke('listGroupItems',
+          {group: 'admins', state: 'open', limit: 5});
+      const created = await routes.invoke('createItem',
+          {name: 'item', tags: ['a', 'b']});
+
+      assert.deepStrictEqual(items,
+          {status: 200, body: {state: 'open', limit: '5'}});
+      assert.deepStrictEqual(created,
+          {status: 200, body: {name: 'item', tags: ['a', 'b']}});
+    });
+
+    it('validates the input like HTTP requests', async () => {
+      const {status, body} = await routes.invoke('createItem', {name: ''});
+
+      assert.strictEqual(status, 400);
+      assert.strictEqual(body.error,
+          'Invalid request: body field name must not be empty');
+      await assert.rejects(routes.invoke('unknown'),
+          /Unknown operationId: unknown/);
+    });
+  });
+
+  describe('getInputSchema()', () => {
+    it('merges the parameters and body into one object schema', () => {
+      assert.deepStrictEqual(routes.getInputSchema('listGroupItems'), {
+        type: 'object',
+        properties: {
+          group: {type: 'string', pattern: '^[a-z]+$'},
+          limit: {type: 'integer', minimum: 1},
+          state: {enum: ['open', 'closed']},
+        },
+        required: ['group', 'state'],
+      });
+      assert.deepStrictEqual(routes.getInputSchema('createItem'), {
+        type: 'object',
+        properties: {
+          name: {type: 'string', minLength: 1},
+          tags: {type: 'array', items: {type: 'string'}},
+        },
+        required: ['name'],
+      });
+    });
+  });
+
+  describe('toOpenApi()', () => {
+    it('documents the routes, parameters and schemas', () => {
+      const spec = routes.toOpenApi('http://localhost:5000');
+
+      assert.deepStrictEqual(Object.keys(spec.paths),
+          ['/items', '/groups/{group}/items']);
+      assert.deepStrictEqual(
+          spec.paths['/items'].get.parameters.map((param) => param.name),
+          ['limit', 'state']);
+      const groupItems = spec.paths['/groups/{group}/items'].get;
+      assert.strictEqual(groupItems.operationId, 'listGroupItems');
+      assert.deepStrictEqual(groupItems.parameters[0], {
+        name: 'group',
+        in: 'path',
+        required: true,
+        schema: {type: 'string', pattern: '^[a-z]+$'},
+      });
+      const createItem = spec.paths['/items'].post;
+      assert.deepStrictEqual(
+          createItem.requestBody.content['application/json'].schema,
+          {$ref: '#/components/schemas/Item'});
+      assert.deepStrictEqual(
+          createItem.responses[400].content['application/json'].schema,
+          {$ref: '#/components/schemas/ValidationError'});
+      assert.ok(spec.components.schemas.Item);
+    });
+
+    it('rejects duplicate operation IDs', () => {
+      assert.throws(() => routes.get('/other', {operationId: 'createItem'}),
+          /Duplicate operationId: createItem/);
+    });
+  });
+});
@@ -0,0 +1,224 @@
+const assert = require('assert');
+const fetch = require('node-fetch');
+const net = require('net');
+const zlib = require('zlib');
+const {SamlServiceProvider} = require('../login/saml');
+require('./helpers');
+
+// The IdP SSO endpoint. It is never called, the tests act as the IdP.
+const SSO_URI = 'https://idp.example.com/sso';
+const IDP_METADATA =
+    '<md:EntityDescriptor ' +
+    'xmlns:md="urn:oasis:names:tc:SAML:2.0:metadata" ' +
+    'entityID="https://idp.example.com">' +
+    '<md:IDPSSODescriptor>' +
+    '<md:SingleSignOnService ' +
+    'Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect" ' +
+    `Location="${SSO_URI}"/>` +
+    '</md:IDPSSODescriptor></md:EntityDescriptor>';
+const STATUS_SUCCESS = 'urn:oasis:names:tc:SAML:2.0:status:Success';
+
+/**
+ * Returns a base64 encoded SAMLResponse.
+ *
+ * @param {string} inResponseTo The AuthnRequest ID.
+ * @param {string=} status The status code value.
+ * @return {string} The base64 encoded SAMLResponse.
+ */
+function buildSamlResponse(inResponseTo, status = STATUS_SUCCESS) {
+  const xml =
+      '<samlp:Response ' +
+      'xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol" ' +
+      'xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion" ' +
+      `ID="_response" InResponseTo="${inResponseTo}">` +
+      `<samlp:Status><samlp:StatusCode Value="${status}"/></samlp:Status>` +
+      '<saml:Assertion><saml:Subject>' +
+      '<saml:NameID>user@example.com</saml:NameID></saml:Subject>' +
+      '<saml:Conditions NotOnOrAfter="2099-01-01T00:00:00Z"/>' +
+      '</saml:Assertion></samlp:Response>';
+  return Buffer.from(xml).toString('base64');
+}
+
+/**
+ * Opens the local /auth URL the way a browser would and returns the
+ * AuthnRequest sent to the IdP.
+ *
+ * @param {string} url The local /auth URL.
+ * @return {Promise<{id: string, relayState: string, acsUrl: string}>} A
+ *     promise that resolves with the AuthnRequest ID, the RelayState and the
+ *     ACS URL to post the response to.
+ */
+async function startSignIn(url) {
+  const authResponse = await fetch(url, {redirect: 'manual'});
+  const ssoUrl = new URL(authResponse.headers.get('location'));
+  assert.strictEqual(ssoUrl.origin + ssoUrl.pathname, SSO_URI);
+  const authnRequest = zlib.inflateRawSync(Buffer.from(
+      ssoUrl.searchParams.get('SAMLRequest'), 'base64')).toString('utf8');
+  return {
+    id: authnRequest.match(/ ID="([^"]+)"/)[1],
+    relayState: ssoUrl.searchParams.get('RelayState'),
+    acsUrl: new URL('/login/callback', url).toString(),
+  };
+}
+
+/**
+ * Posts a SAMLResponse to the ACS endpoint the way the IdP form would.
+ *
+ * @param {string} acsUrl The ACS URL.
+ * @param {string} samlResponse The base64 encoded SAMLResponse.
+ * @param {string} relayState The RelayState.
+ * @return {Promise<*>} A promise that resolves with the ACS response.
+ */
+function postSamlResponse(acsUrl, samlResponse, relayState) {
+  return fetch(acsUrl, {
+    method: 'POST',
+    redirect: 'manual',
+    body: new URLSearchParams(
+        {SAMLResponse: samlResponse, RelayState: relayState}),
+  });
+}
+
+/**
+ * Drives the SAML flow the way a browser and the IdP would.
+ *
+ * @param {string} url The local /auth URL.
+ * @return {Promise<*>} A promise that resolves with the ACS response.
+ */
+async function driveSamlBrowser(url) {
+  const {id, relayState, acsUrl} = await startSignIn(url);
+  return postSamlResponse(acsUrl, buildSamlResponse(id), relayState);
+}
+
+describe('SamlServiceProvider', () => {
+  let client;
+
+  beforeEach(() => {
+    client = new SamlServiceProvider({
+      idpMetadata: IDP_METADATA,
+      entityId: 'https://sp.example.com',
+      // Port 0 picks a free port.
+      acsUri: 'http://localhost:0/login/callback',
+    });
+  });
+
+  afterEach(() => {
+    client.close();
+  });
+
+  /**
+   * Runs the SAML flow, driving the browser with the provided function.
+   * @param {function(string): Promise<*>=} browser The browser stand-in.
+   * @return {Promise<*>} A promise that resolves with the SAML response.
+   */
+  function authorize(browser = driveSamlBrowser) {
+    client.openBrowser = browser;
+    return client.authorize();
+  }
+
+  describe('authorize()', () => {
+    it('returns the SAML response and closes the server', async () => {
+      const response = await authorize();
+
+      assert.strictEqual(response.name_id, 'user@example.com');
+      assert.deepStrictEqual(
+          response.expires_at, new Date('2099-01-01T00:00:00Z'));
+      assert.ok(response.saml_response);
+      assert.strictEqual(client.server, null);
+      assert.strictEqual(client.pending, null);
+    });
+
+    it('runs another sign-in after the first one', async () => {
+      await authorize();
+      const response = await authorize();
+
+      assert.strictEqual(response.name_id, 'user@example.com');
+    });
+
+    it('ignores stray responses and keeps waiting', async () => {
+      const response = await authorize(async (url) => {
+        const {id, relayState, acsUrl} = await startSignIn(url);
+        const strayResponses = await Promise.all([
+          postSamlResponse(acsUrl, buildSamlResponse(id), 'unknown'),
+          postSamlResponse(acsUrl, buildSamlResponse('_other'), relayState),
+          postSamlResponse(acsUrl, 'not-a-saml-response', relayState),
+        ]);
+        for (const strayResponse of strayResponses) {
+          assert.strictEqual(strayResponse.status, 400);
+        }
+        return postSamlResponse(acsUrl, buildSamlResponse(id), relayState);
+      });
+
+      assert.strictEqual(response.name_id, 'user@example.com');
+    });
+
+    it('rejects when the IdP authentication fails', async () => {
+      const status = 'urn:oasis:names:tc:SAML:2.0:status:Requester';
+      let acsResponse;
+      const pending = authorize(async (url) => {
+        const {id, relayState, acsUrl} = await startSignIn(url);
+        acsResponse = postSamlResponse(
+            acsUrl, buildSamlResponse(id, status), relayState);
+      });
+
+      await assert.rejects(pending,
+          new RegExp(`SAML authentication failed: ${status}`));
+      assert.strictEqual((await acsResponse).status, 400);
+      assert.strictEqual(client.server, null);
+    });
+
+    it('times out when the IdP never posts back', async () => {
+      client.loginTimeoutSeconds = 0.05;
+
+      await assert.rejects(authorize(async () => {}),
+          /Login timed out after 0.05 seconds/);
+      assert.strictEqual(client.server, null);
+      assert.strictEqual(client.pending, null);
+    });
+
+    it('is cancelled by close()', async () => {
+      const pending = authorize(async () => client.close());
+
+      await assert.rejects(pending, /Login cancelled/);
+      assert.strictEqual(client.server, null);
+    });
+
+    it('rejects when the ACS port is taken', async () => {
+      const blocker = net.createServer().listen(0, 'localhost');
+      await new Promise((resolve) => blocker.once('listening', resolve));
+      client.acsUri = `http://localhost:${blocker.address().port}/acs`;
+
+      try {
+        await assert.rejects(authorize(),
+            /Unable to start the ACS server on port \d+: .*EADDRINUSE/);
+        assert.strictEqual(client.pending, null);
+      } finally {
+        blocker.close();
+      }
+    });
+
+    it('rejects concurrent authorization flows', async () => {
+      let release;
+      const pending = authorize((url) => new Promise((resolve) => {
+        release = () => resolve(driveSamlBrowser(url));
+      }));
+      while (!release) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+
+      await assert.rejects(authorize(), /Pending authorization flow/);
+      release();
+      await pending;
+    });
+  });
+
+  describe('refresh()', () => {
+    it('rejects expired assertions with invalid_grant', async () => {
+      const samlResponse = Buffer.from(
+          Buffer.from(buildSamlResponse('_id'), 'base64').toString('utf8')
+              .replace('2099-01-01', '2000-01-01')).toString('base64');
+
+      await assert.rejects(client.refresh(samlResponse),
+          {code: 'invalid_grant', message: /SAML assertion expired/});
+    });
+  });
+});
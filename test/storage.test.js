@@ -0,0 +1,141 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {Profile, migrateSessions} = require('../login/profiles');
+const {
+  EncryptedFileStore,
+  EnvStore,
+  MemoryStore,
+  createStore,
+} = require('../login/storage');
+const {writeTempFiles} = require('./helpers');
+
+const SERVICE = 'WorkforcePoolTesting';
+
+describe('storage', () => {
+  let tempFiles;
+  let savedEnv;
+
+  beforeEach(() => {
+    tempFiles = writeTempFiles({'sessions.json': {'RefreshToken:ci': 'rt'}});
+    savedEnv = {...process.env};
+  });
+
+  afterEach(() => {
+    process.env = savedEnv;
+    fs.rmSync(tempFiles.dir, {recursive: true});
+  });
+
+  describe('EncryptedFileStore', () => {
+    /**
+     * Creates a store writing to the temporary directory.
+     * @return {!EncryptedFileStore} The store.
+     */
+    function createFileStore() {
+      return new EncryptedFileStore(
+          {file: path.join(tempFiles.dir, 'sessions.enc.json')});
+    }
+
+    it('encrypts the credentials with the passphrase', async () => {
+      process.env.WORKFORCE_POOL_STORAGE_PASSPHRASE = 'passphrase';
+      const store = createFileStore();
+
+      await store.setPassword(SERVICE, 'RefreshToken', 'secret-token');
+
+      const file = path.join(tempFiles.dir, 'sessions.enc.json');
+      assert.doesNotMatch(fs.readFileSync(file, 'utf8'), /secret-token/);
+      assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+      assert.strictEqual(await createFileStore().getPassword(
+          SERVICE, 'RefreshToken'), 'secret-token');
+      assert.strictEqual(
+          await store.deletePassword(SERVICE, 'RefreshToken'), true);
+      assert.strictEqual(
+          await store.getPassword(SERVICE, 'RefreshToken'), null);
+    });
+
+    it('encrypts the credentials with the key', async () => {
+      process.env.WORKFORCE_POOL_STORAGE_KEY =
+          crypto.randomBytes(32).toString('base64');
+      const store = createFileStore();
+
+      await store.setPassword(SERVICE, 'RefreshToken', 'secret-token');
+
+      assert.strictEqual(await createFileStore().getPassword(
+          SERVICE, 'RefreshToken'), 'secret-token');
+    });
+
+    it('rejects the wrong passphrase', async () => {
+      process.env.WORKFORCE_POOL_STORAGE_PASSPHRASE = 'passphrase';
+      await createFileStore().setPassword(SERVICE, 'RefreshToken', 'token');
+      process.env.WORKFORCE_POOL_STORAGE_PASSPHRASE = 'wrong';
+
+      await assert.rejects(
+          createFileStore().getPassword(SERVICE, 'RefreshToken'),
+          /Unable to decrypt/);
+    });
+
+    it('requires a key or passphrase', async () => {
+      delete process.env.WORKFORCE_POOL_STORAGE_KEY;
+      delete process.env.WORKFORCE_POOL_STORAGE_PASSPHRASE;
+
+      await assert.rejects(
+          createFileStore().setPassword(SERVICE, 'RefreshToken', 'token'),
+          /Set WORKFORCE_POOL_STORAGE_KEY or/);
+    });
+  });
+
+  describe('EnvStore', () => {
+    it('reads the credentials from the environment or file', async () => {
+      process.env.WORKFORCE_POOL_SESSION_REFRESHTOKEN_OKTA = 'env-token';
+      const store =
+          new EnvStore({file: tempFiles.paths['sessions.json']});
+
+      assert.strictEqual(
+          await store.getPassword(SERVICE, 'RefreshToken:okta'), 'env-token');
+      assert.strictEqual(
+          await store.getPassword(SERVICE, 'RefreshToken:ci'), 'rt');
+      assert.strictEqual(
+          await store.getPassword(SERVICE, 'RefreshToken'), null);
+    });
+
+    it('keeps updates in memory', async () => {
+      const store = new EnvStore({file: tempFiles.paths['sessions.json']});
+
+      await store.setPassword(SERVICE, 'RefreshToken:ci', 'rotated');
+      assert.strictEqual(
+          await store.getPassword(SERVICE, 'RefreshToken:ci'), 'rotated');
+      await store.deletePassword(SERVICE, 'RefreshToken:ci');
+
+      assert.strictEqual(
+          await store.getPassword(SERVICE, 'RefreshToken:ci'), null);
+      assert.deepStrictEqual(
+          JSON.parse(fs.readFileSync(tempFiles.paths['sessions.json'])),
+          {'RefreshToken:ci': 'rt'});
+    });
+  });
+
+  describe('createStore()', () => {
+    it('rejects unknown backend types', () => {
+      assert.throws(() => createStore('vault'),
+          /Unknown session storage type: vault/);
+    });
+  });
+
+  describe('migrateSessions()', () => {
+    it('copies the stored sessions of the profiles', async () => {
+      const fromStore = new EnvStore({file: tempFiles.paths['sessions.json']});
+      const toStore = new MemoryStore();
+      const profiles = [
+        new Profile('ci', {}, fromStore),
+        new Profile('okta', {}, fromStore),
+      ];
+
+      const migrated = await migrateSessions(profiles, fromStore, toStore);
+
+      assert.deepStrictEqual(migrated, ['ci']);
+      assert.strictEqual(
+          await toStore.getPassword(SERVICE, 'RefreshToken:ci'), 'rt');
+    });
+  });
+});
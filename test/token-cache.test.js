@@ -0,0 +1,71 @@
+const assert = require('assert');
+const {TokenCache} = require('../login/token-cache');
+
+describe('token-cache', () => {
+  /**
+   * Returns a fetcher resolving once release() is called.
+   * @param {*} value The fetched value.
+   * @return {{fetcher: function(): !Promise<*>, release: function()}} The
+   *     fetcher and the function releasing it.
+   */
+  function deferredFetcher(value) {
+    let release;
+    const released = new Promise((resolve) => {
+      release = resolve;
+    });
+    const fetcher = async () => {
+      await released;
+      return {value, expiresAt: Date.now() + 3600 * 1000};
+    };
+    return {fetcher, release};
+  }
+
+  describe('get()', () => {
+    it('merges concurrent fetches and caches the value', async () => {
+      const cache = new TokenCache();
+      const {fetcher, release} = deferredFetcher('token');
+
+      const first = cache.get('key', fetcher);
+      const second = cache.get('key', fetcher);
+      release();
+
+      assert.deepStrictEqual(await Promise.all([first, second]),
+          ['token', 'token']);
+      assert.strictEqual(await cache.get('key', fetcher), 'token');
+      assert.deepStrictEqual(
+          {...cache.stats}, {hits: 1, misses: 1, merged: 1});
+    });
+  });
+
+  describe('clear()', () => {
+    it('does not cache or share the fetches pending when cleared', async () => {
+      const cache = new TokenCache();
+      const old = deferredFetcher('old-session');
+      const current = deferredFetcher('new-session');
+
+      const before = cache.get('key', old.fetcher);
+      cache.clear();
+      const after = cache.get('key', current.fetcher);
+      old.release();
+      await before;
+      current.release();
+
+      assert.strictEqual(await before, 'old-session');
+      assert.strictEqual(await after, 'new-session');
+      assert.strictEqual(
+          await cache.get('key', old.fetcher), 'new-session');
+    });
+
+    it('does not cache the fetches completing after clear()', async () => {
+      const cache = new TokenCache();
+      const old = deferredFetcher('old-session');
+
+      const before = cache.get('key', old.fetcher);
+      cache.clear();
+      old.release();
+      await before;
+
+      assert.deepStrictEqual(cache.getStatus().entries, []);
+    });
+  });
+});